@@ -0,0 +1,283 @@
+/**
+ * Alert Monitor Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { AlertMonitorService, ALERT_TRIGGERED_EVENT } = await import('../../src/services/AlertMonitorService.js');
+const { SymbolRegistryService } = await import('../../src/services/SymbolRegistryService.js');
+
+// Registry holding just the seed symbols
+const createSymbolRegistry = async () => {
+  let entries = [];
+  const registry = new SymbolRegistryService({
+    symbolMappingRepository: {
+      count: async () => entries.length,
+      findAll: async () => entries,
+      bulkUpsert: async (seed) => { entries = seed; return { upserted: seed.length, modified: 0 }; },
+    },
+  });
+  await registry.initialize();
+  return registry;
+};
+
+const makeAlert = (overrides = {}) => ({
+  _id: 'alert-1',
+  userId: 'user-1',
+  symbol: 'IBM',
+  assetType: 'stock',
+  condition: 'above',
+  targetPrice: 100,
+  triggeredPrice: 150,
+  triggeredAt: new Date('2026-01-01T00:00:00Z'),
+  notificationMethod: { email: false, websocket: true },
+  ...overrides,
+});
+
+describe('AlertMonitorService', () => {
+  let monitor;
+  let mockAlertService;
+  let mockAlphaVantage;
+  let mockCoinGecko;
+  let mockExchangeRate;
+
+  beforeEach(async () => {
+    mockAlertService = {
+      deactivateExpiredAlerts: jest.fn().mockResolvedValue(0),
+      getActiveAlertSymbols: jest.fn().mockResolvedValue([]),
+      checkAndTriggerAlerts: jest.fn().mockResolvedValue([]),
+    };
+
+    mockAlphaVantage = {
+      getGlobalQuote: jest.fn().mockResolvedValue({ symbol: 'IBM', price: '150' }),
+    };
+
+    mockCoinGecko = {
+      getSimplePrice: jest.fn().mockResolvedValue({
+        allCoins: [{ id: 'bitcoin', symbol: 'BTC', price: '65000' }],
+      }),
+    };
+
+    mockExchangeRate = {
+      getLatestRates: jest.fn().mockResolvedValue({ allRates: { USD: '1.08', JPY: '162.5' } }),
+    };
+
+    monitor = new AlertMonitorService({
+      alertService: mockAlertService,
+      alphaVantageClient: mockAlphaVantage,
+      coinGeckoClient: mockCoinGecko,
+      exchangeRateClient: mockExchangeRate,
+      symbolRegistryService: await createSymbolRegistry(),
+      intervalMs: 60000,
+      batchSize: 2,
+    });
+  });
+
+  afterEach(() => {
+    monitor.stop();
+  });
+
+  describe('runCheck', () => {
+    it('should do nothing when there are no active alerts', async () => {
+      const summary = await monitor.runCheck();
+
+      expect(summary.symbolsChecked).toBe(0);
+      expect(mockAlphaVantage.getGlobalQuote).not.toHaveBeenCalled();
+      expect(mockAlertService.checkAndTriggerAlerts).not.toHaveBeenCalled();
+    });
+
+    it('should route each asset type to its provider', async () => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([
+        { symbol: 'IBM', assetType: 'stock' },
+        { symbol: 'BTC', assetType: 'crypto' },
+        { symbol: 'EURUSD', assetType: 'forex' },
+      ]);
+
+      await monitor.runCheck();
+
+      expect(mockAlphaVantage.getGlobalQuote).toHaveBeenCalledWith('IBM');
+      expect(mockCoinGecko.getSimplePrice).toHaveBeenCalledWith({ ids: 'bitcoin', vsCurrencies: 'usd' });
+      expect(mockExchangeRate.getLatestRates).toHaveBeenCalledWith('EUR');
+
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledWith('IBM', 150, { assetType: 'stock' });
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledWith('BTC', 65000, { assetType: 'crypto' });
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledWith('EURUSD', 1.08, { assetType: 'forex' });
+    });
+
+    it('should batch crypto IDs into a single CoinGecko request per batch', async () => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([
+        { symbol: 'BTC', assetType: 'crypto' },
+        { symbol: 'SOLANA', assetType: 'crypto' },
+        { symbol: 'CARDANO', assetType: 'crypto' },
+      ]);
+
+      await monitor.runCheck();
+
+      expect(mockCoinGecko.getSimplePrice).toHaveBeenCalledTimes(2);
+      expect(mockCoinGecko.getSimplePrice).toHaveBeenNthCalledWith(1, { ids: 'bitcoin,solana', vsCurrencies: 'usd' });
+      expect(mockCoinGecko.getSimplePrice).toHaveBeenNthCalledWith(2, { ids: 'cardano', vsCurrencies: 'usd' });
+    });
+
+    it('should share one rate table across forex pairs with the same base', async () => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([
+        { symbol: 'EURUSD', assetType: 'forex' },
+        { symbol: 'EUR/JPY', assetType: 'forex' },
+      ]);
+
+      await monitor.runCheck();
+
+      expect(mockExchangeRate.getLatestRates).toHaveBeenCalledTimes(1);
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledWith('EUR/JPY', 162.5, { assetType: 'forex' });
+    });
+
+    it('should emit an event for each triggered alert', async () => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([{ symbol: 'IBM', assetType: 'stock' }]);
+      mockAlertService.checkAndTriggerAlerts.mockResolvedValue([makeAlert()]);
+
+      const listener = jest.fn();
+      monitor.on(ALERT_TRIGGERED_EVENT, listener);
+
+      const summary = await monitor.runCheck();
+
+      expect(summary.triggered).toBe(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        alertId: 'alert-1',
+        userId: 'user-1',
+        symbol: 'IBM',
+        triggeredPrice: 150,
+        notificationMethod: { email: false, websocket: true },
+        source: 'alpha_vantage',
+      }));
+    });
+
+    it('should skip symbols whose provider call fails without aborting the cycle', async () => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([
+        { symbol: 'IBM', assetType: 'stock' },
+        { symbol: 'BTC', assetType: 'crypto' },
+      ]);
+      mockAlphaVantage.getGlobalQuote.mockRejectedValue(new Error('API limit'));
+
+      const summary = await monitor.runCheck();
+
+      expect(summary.errors).toEqual([{ symbol: 'IBM', assetType: 'stock', message: 'API limit' }]);
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledTimes(1);
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledWith('BTC', 65000, { assetType: 'crypto' });
+    });
+
+    it('should not run overlapping cycles', async () => {
+      let release;
+      mockAlertService.deactivateExpiredAlerts.mockReturnValue(new Promise((resolve) => { release = resolve; }));
+
+      const first = monitor.runCheck();
+      const second = await monitor.runCheck();
+
+      expect(second).toBeNull();
+
+      release(0);
+      await first;
+      expect(mockAlertService.getActiveAlertSymbols).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('provider quotas', () => {
+    // getQuotaStatus shape from ProviderQuota
+    const quotaStatus = (dayLimit, dayRemaining) => ({
+      minute: { limit: 5, remaining: 5 },
+      day: { limit: dayLimit, remaining: dayRemaining },
+    });
+
+    // In-memory stand-in for the RedisCache calls the monitor makes
+    const createCache = () => {
+      const entries = new Map();
+      return {
+        entries,
+        buildKey: (service, key) => `${service}:${key}`,
+        getTTL: () => 60,
+        getAge: jest.fn(async key => (entries.has(key) ? Math.floor((Date.now() - entries.get(key).storedAt) / 1000) : null)),
+        get: jest.fn(async key => entries.get(key)?.value ?? null),
+        refresh: jest.fn(async (key, fetchFn, ttl, options) => {
+          const data = await fetchFn();
+          entries.set(key, { value: data, storedAt: Date.now(), options });
+          return { data, fromCache: false, stale: false, age: 0 };
+        }),
+      };
+    };
+
+    beforeEach(() => {
+      mockAlertService.getActiveAlertSymbols.mockResolvedValue([{ symbol: 'IBM', assetType: 'stock' }]);
+    });
+
+    it('should space Alpha Vantage polls so they fit in the non-reserved daily quota', async () => {
+      const cache = createCache();
+      mockAlphaVantage.getQuotaStatus = jest.fn().mockResolvedValue(quotaStatus(25, 25));
+      monitor = new AlertMonitorService({
+        alertService: mockAlertService,
+        alphaVantageClient: mockAlphaVantage,
+        symbolRegistryService: await createSymbolRegistry(),
+        cache,
+        intervalMs: 60000,
+        quotaReserve: 0.2,
+      });
+
+      // 20 calls a day for one symbol - one every 72 minutes
+      expect(await monitor._pollInterval('alpha_vantage', 1)).toBe(72 * 60 * 1000);
+
+      await monitor.runCheck();
+      const entry = cache.entries.get('alpha_vantage:stocks:IBM');
+      expect(entry.options.hardTtlSeconds).toBe(72 * 60);
+
+      // Past the 60s cache TTL but inside the poll interval - reuse the price, no upstream call
+      entry.storedAt -= 30 * 60 * 1000;
+      await monitor.runCheck();
+
+      expect(mockAlphaVantage.getGlobalQuote).toHaveBeenCalledTimes(1);
+      expect(mockAlertService.checkAndTriggerAlerts).toHaveBeenCalledTimes(2);
+
+      entry.storedAt -= 45 * 60 * 1000;
+      await monitor.runCheck();
+
+      expect(mockAlphaVantage.getGlobalQuote).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave the quota reserve to user requests', async () => {
+      mockAlphaVantage.getQuotaStatus = jest.fn().mockResolvedValue(quotaStatus(25, 5));
+      monitor = new AlertMonitorService({
+        alertService: mockAlertService,
+        alphaVantageClient: mockAlphaVantage,
+        symbolRegistryService: await createSymbolRegistry(),
+        cache: createCache(),
+        quotaReserve: 0.2,
+      });
+
+      const summary = await monitor.runCheck();
+
+      expect(mockAlphaVantage.getGlobalQuote).not.toHaveBeenCalled();
+      expect(mockAlertService.checkAndTriggerAlerts).not.toHaveBeenCalled();
+      expect(summary.errors).toEqual([
+        { symbol: 'IBM', assetType: 'stock', message: 'alpha_vantage quota reserved for user requests' },
+      ]);
+    });
+  });
+
+  describe('start/stop', () => {
+    it('should toggle the running state', () => {
+      monitor.start();
+      expect(monitor.isRunning()).toBe(true);
+
+      monitor.stop();
+      expect(monitor.isRunning()).toBe(false);
+    });
+  });
+});
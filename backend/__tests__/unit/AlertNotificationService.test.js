@@ -0,0 +1,95 @@
+/**
+ * Alert Notification Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { AlertNotificationService } = await import('../../src/services/AlertNotificationService.js');
+
+const makeEvent = (overrides = {}) => ({
+  alertId: 'alert-1',
+  userId: 'user-1',
+  symbol: 'IBM',
+  triggeredPrice: 150,
+  notificationMethod: { email: false, websocket: true },
+  ...overrides,
+});
+
+const makeUser = (notifications = {}) => ({
+  _id: 'user-1',
+  isActive: true,
+  preferences: { notifications: { email: true, websocket: true, ...notifications } },
+});
+
+describe('AlertNotificationService', () => {
+  let service;
+  let mockUserRepository;
+  let mockSocketManager;
+
+  beforeEach(() => {
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue(makeUser()),
+    };
+
+    mockSocketManager = {
+      emitAlertTriggered: jest.fn(),
+    };
+
+    service = new AlertNotificationService({
+      userRepository: mockUserRepository,
+      socketManager: mockSocketManager,
+    });
+  });
+
+  it('should push the alert to the owner over websocket', async () => {
+    const event = makeEvent();
+
+    const delivered = await service.notify(event);
+
+    expect(mockUserRepository.findById).toHaveBeenCalledWith('user-1');
+    expect(mockSocketManager.emitAlertTriggered).toHaveBeenCalledWith(event);
+    expect(delivered.websocket).toBe(true);
+  });
+
+  it('should respect the alert websocket flag', async () => {
+    const delivered = await service.notify(makeEvent({ notificationMethod: { email: true, websocket: false } }));
+
+    expect(mockSocketManager.emitAlertTriggered).not.toHaveBeenCalled();
+    expect(delivered.websocket).toBe(false);
+  });
+
+  it('should respect the user websocket preference', async () => {
+    mockUserRepository.findById.mockResolvedValue(makeUser({ websocket: false }));
+
+    const delivered = await service.notify(makeEvent());
+
+    expect(mockSocketManager.emitAlertTriggered).not.toHaveBeenCalled();
+    expect(delivered.websocket).toBe(false);
+  });
+
+  it('should skip inactive users', async () => {
+    mockUserRepository.findById.mockResolvedValue({ ...makeUser(), isActive: false });
+
+    await service.notify(makeEvent());
+
+    expect(mockSocketManager.emitAlertTriggered).not.toHaveBeenCalled();
+  });
+
+  it('should not throw when the user lookup fails', async () => {
+    mockUserRepository.findById.mockRejectedValue(new Error('DB down'));
+
+    await expect(service.notify(makeEvent())).resolves.toEqual({ websocket: false, email: false });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Alpha Vantage Client Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { AlphaVantageClient } = await import('../../src/infrastructure/http/AlphaVantageClient.js');
+const { ValidationError } = await import('../../src/utils/errors.js');
+
+const bar = (open, close, volume) => ({
+  '1. open': open,
+  '2. high': '200.0000',
+  '3. low': '100.0000',
+  '4. close': close,
+  '5. volume': volume,
+});
+
+describe('AlphaVantageClient time series', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new AlphaVantageClient();
+    jest.spyOn(client, 'get');
+  });
+
+  it('should convert exchange-local intraday bars to UTC, oldest first', async () => {
+    client.get.mockResolvedValue({
+      'Meta Data': { '2. Symbol': 'IBM', '3. Last Refreshed': '2026-07-06 09:35:00', '6. Time Zone': 'US/Eastern' },
+      'Time Series (5min)': {
+        '2026-07-06 09:35:00': bar('150.1000', '150.5000', '1200'),
+        '2026-01-05 09:30:00': bar('140.0000', '141.2500', '900'),
+      },
+    });
+
+    const series = await client.getIntraday('IBM', { interval: '5m' });
+
+    expect(client.get).toHaveBeenCalledWith('/query', expect.objectContaining({
+      function: 'TIME_SERIES_INTRADAY',
+      interval: '5min',
+      outputsize: 'compact',
+    }));
+    // EST is UTC-5 in January, EDT UTC-4 in July
+    expect(series.candles.map(c => c.timestamp)).toEqual(['2026-01-05T14:30:00.000Z', '2026-07-06T13:35:00.000Z']);
+    expect(series.candles[0]).toEqual({
+      timestamp: '2026-01-05T14:30:00.000Z',
+      open: '140',
+      high: '200',
+      low: '100',
+      close: '141.25',
+      adjustedClose: null,
+      volume: 900,
+    });
+  });
+
+  it('should read adjusted close and volume from daily adjusted bars', async () => {
+    client.get.mockResolvedValue({
+      'Meta Data': { '2. Symbol': 'IBM' },
+      'Time Series (Daily)': {
+        '2026-01-05': {
+          '1. open': '140.00', '2. high': '142.00', '3. low': '139.00', '4. close': '141.00',
+          '5. adjusted close': '139.50', '6. volume': '4500000', '7. dividend amount': '0.0000', '8. split coefficient': '1.0',
+        },
+      },
+    });
+
+    const series = await client.getDailyAdjusted('IBM', { outputSize: 'full' });
+
+    expect(series.interval).toBe('1d');
+    expect(series.candles[0]).toMatchObject({ timestamp: '2026-01-05T00:00:00.000Z', adjustedClose: '139.5', volume: 4500000 });
+  });
+
+  it('should key weekly and monthly bars by the start of their period', async () => {
+    client.get.mockResolvedValueOnce({ 'Weekly Time Series': { '2026-01-09': bar('1', '2', '10') } });
+    client.get.mockResolvedValueOnce({ 'Monthly Time Series': { '2026-01-30': bar('1', '2', '10') } });
+
+    const weekly = await client.getWeekly('IBM');
+    const monthly = await client.getMonthly('IBM');
+
+    expect(weekly.candles[0].timestamp).toBe('2026-01-05T00:00:00.000Z');
+    expect(monthly.candles[0].timestamp).toBe('2026-01-01T00:00:00.000Z');
+  });
+
+  it('should treat Note and Information responses as API limit errors', async () => {
+    client.get.mockResolvedValue({ Information: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.' });
+
+    const error = await client.getDailyAdjusted('IBM').catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Alpha Vantage API limit or invalid response');
+  });
+
+  it('should reject unknown symbols and unsupported intervals', async () => {
+    client.get.mockResolvedValue({ 'Error Message': 'Invalid API call.' });
+
+    await expect(client.getWeekly('NOPE')).rejects.toThrow('No time series data returned for symbol: NOPE');
+    await expect(client.getIntraday('IBM', { interval: '4h' })).rejects.toThrow('Unsupported intraday interval: 4h');
+  });
+});
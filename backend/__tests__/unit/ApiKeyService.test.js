@@ -0,0 +1,127 @@
+/**
+ * API Key Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { ApiKeyService } = await import('../../src/services/ApiKeyService.js');
+const { hashApiKey, API_KEY_PREFIX } = await import('../../src/utils/apiKeys.js');
+
+const makeStoredKey = (overrides = {}) => ({
+  _id: 'key-1',
+  userId: 'user-1',
+  name: 'notebook',
+  prefix: 'gfu_abcdefgh',
+  keyHash: 'hash',
+  scopes: ['market:read'],
+  expiresAt: null,
+  revokedAt: null,
+  ...overrides,
+});
+
+describe('ApiKeyService', () => {
+  let service;
+  let mockApiKeyRepository;
+  let mockUserRepository;
+
+  beforeEach(() => {
+    mockApiKeyRepository = {
+      countActiveByUser: jest.fn().mockResolvedValue(0),
+      create: jest.fn(async (data) => ({ toObject: () => ({ _id: 'key-1', ...data }) })),
+      findByUser: jest.fn().mockResolvedValue([]),
+      findActiveByHash: jest.fn().mockResolvedValue(null),
+      revokeOwned: jest.fn().mockResolvedValue(null),
+      recordUsage: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue({ _id: 'user-1', email: 'a@b.co', role: 'admin', isActive: true }),
+    };
+
+    service = new ApiKeyService({
+      apiKeyRepository: mockApiKeyRepository,
+      userRepository: mockUserRepository,
+      maxKeysPerUser: 2,
+    });
+  });
+
+  describe('createKey', () => {
+    it('should store only the hash and return the raw key once', async () => {
+      const { apiKey, key } = await service.createKey('user-1', { name: 'notebook', scopes: ['market:read', 'market:read'] });
+
+      expect(key.startsWith(API_KEY_PREFIX)).toBe(true);
+
+      const stored = mockApiKeyRepository.create.mock.calls[0][0];
+      expect(stored.keyHash).toBe(hashApiKey(key));
+      expect(stored).not.toHaveProperty('key');
+      expect(stored.scopes).toEqual(['market:read']);
+      expect(key.startsWith(stored.prefix)).toBe(true);
+
+      expect(apiKey).not.toHaveProperty('keyHash');
+      expect(apiKey.isActive).toBe(true);
+    });
+
+    it('should enforce the per-user key limit', async () => {
+      mockApiKeyRepository.countActiveByUser.mockResolvedValue(2);
+
+      await expect(service.createKey('user-1', { name: 'x', scopes: ['ai:invoke'] }))
+        .rejects.toThrow('API key limit reached');
+    });
+  });
+
+  describe('authenticate', () => {
+    it('should resolve a valid key to a scoped principal without the owner role', async () => {
+      mockApiKeyRepository.findActiveByHash.mockResolvedValue(makeStoredKey({ scopes: ['alerts:write'] }));
+
+      const principal = await service.authenticate('gfu_raw', { ip: '10.0.0.1' });
+
+      expect(mockApiKeyRepository.findActiveByHash).toHaveBeenCalledWith(hashApiKey('gfu_raw'));
+      expect(principal).toEqual({
+        userId: 'user-1',
+        email: 'a@b.co',
+        plan: 'free',
+        authMethod: 'api_key',
+        apiKeyId: 'key-1',
+        scopes: ['alerts:write'],
+      });
+      expect(mockApiKeyRepository.recordUsage).toHaveBeenCalledWith('key-1', '10.0.0.1');
+    });
+
+    it('should reject unknown keys', async () => {
+      expect(await service.authenticate('gfu_unknown')).toBeNull();
+    });
+
+    it('should reject expired keys', async () => {
+      mockApiKeyRepository.findActiveByHash.mockResolvedValue(makeStoredKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+      expect(await service.authenticate('gfu_raw')).toBeNull();
+      expect(mockApiKeyRepository.recordUsage).not.toHaveBeenCalled();
+    });
+
+    it('should reject keys of inactive users', async () => {
+      mockApiKeyRepository.findActiveByHash.mockResolvedValue(makeStoredKey());
+      mockUserRepository.findById.mockResolvedValue({ _id: 'user-1', isActive: false });
+
+      expect(await service.authenticate('gfu_raw')).toBeNull();
+    });
+  });
+
+  describe('revokeKey', () => {
+    it('should report keys the user does not own as not found', async () => {
+      await expect(service.revokeKey('key-1', 'someone-else')).rejects.toThrow('API key not found');
+      expect(mockApiKeyRepository.revokeOwned).toHaveBeenCalledWith('key-1', 'someone-else');
+    });
+  });
+});
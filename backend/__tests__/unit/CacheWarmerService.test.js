@@ -0,0 +1,185 @@
+/**
+ * Cache Warmer Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { CacheWarmerService } = await import('../../src/services/CacheWarmerService.js');
+const { SymbolRegistryService } = await import('../../src/services/SymbolRegistryService.js');
+const { QuotaExceededError } = await import('../../src/utils/errors.js');
+
+// Registry holding just the seed symbols
+const createSymbolRegistry = async () => {
+  let entries = [];
+  const registry = new SymbolRegistryService({
+    symbolMappingRepository: {
+      count: async () => entries.length,
+      findAll: async () => entries,
+      bulkUpsert: async (seed) => { entries = seed; return { upserted: seed.length, modified: 0 }; },
+    },
+  });
+  await registry.initialize();
+  return registry;
+};
+
+const TTL = { alpha_vantage: 60, coingecko: 30, exchangerate_api: 300 };
+
+const unlimited = { minute: { limit: 'unlimited', used: 0 }, day: { limit: 'unlimited', used: 0 } };
+
+describe('CacheWarmerService', () => {
+  let service;
+  let ages;
+  let mockCache;
+  let mockUserRepository;
+  let mockWatchlistRepository;
+  let mockAlertService;
+  let mockAlphaVantageClient;
+  let mockCoinGeckoClient;
+  let mockExchangeRateClient;
+
+  beforeEach(async () => {
+    ages = new Map();
+
+    mockCache = {
+      buildKey: (service, identifier) => `globalfi:${service}:${identifier}`,
+      getTTL: (service) => TTL[service],
+      getAge: jest.fn(async (key) => (ages.has(key) ? ages.get(key) : null)),
+      refresh: jest.fn(async (key, fetchFn) => ({ data: await fetchFn(), fromCache: false })),
+    };
+
+    mockUserRepository = {
+      findPreferenceTargets: jest.fn().mockResolvedValue([
+        { stockSymbol: 'IBM', cryptoIds: 'bitcoin,ethereum', currency: 'USD', userCount: 3 },
+      ]),
+    };
+    mockWatchlistRepository = {
+      findDistinctSymbols: jest.fn().mockResolvedValue(['AAPL', 'BTC', 'IBM']),
+    };
+    mockAlertService = {
+      getActiveAlertSymbols: jest.fn().mockResolvedValue([
+        { symbol: 'MSFT', assetType: 'stock' },
+        { symbol: 'ETH', assetType: 'crypto' },
+        { symbol: 'EUR/USD', assetType: 'forex' },
+      ]),
+    };
+
+    mockAlphaVantageClient = {
+      getGlobalQuote: jest.fn(async (symbol) => ({ symbol, price: 100 })),
+      getQuotaStatus: jest.fn().mockResolvedValue({
+        minute: { limit: 5, used: 0, remaining: 5 },
+        day: { limit: 25, used: 0, remaining: 25 },
+      }),
+    };
+    mockCoinGeckoClient = {
+      getSimplePrice: jest.fn(async () => ({ allCoins: [] })),
+      getQuotaStatus: jest.fn().mockResolvedValue(unlimited),
+    };
+    mockExchangeRateClient = {
+      getLatestRates: jest.fn(async () => ({ allRates: {} })),
+      getQuotaStatus: jest.fn().mockResolvedValue(unlimited),
+    };
+
+    service = new CacheWarmerService({
+      userRepository: mockUserRepository,
+      watchlistRepository: mockWatchlistRepository,
+      alertService: mockAlertService,
+      alphaVantageClient: mockAlphaVantageClient,
+      coinGeckoClient: mockCoinGeckoClient,
+      exchangeRateClient: mockExchangeRateClient,
+      symbolRegistryService: await createSymbolRegistry(),
+      cache: mockCache,
+      intervalMs: 60000,
+      maxKeys: 50,
+      quotaReserve: 0.2,
+    });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should warm the FinancialDataService keys for preferences, alerts and watchlists', async () => {
+    await service.runWarmup();
+
+    const warmedKeys = mockCache.refresh.mock.calls.map(([key]) => key);
+    expect(warmedKeys).toEqual([
+      'globalfi:alpha_vantage:stocks:IBM',
+      'globalfi:coingecko:crypto:bitcoin,ethereum',
+      'globalfi:exchangerate_api:forex:USD',
+      'globalfi:alpha_vantage:stocks:MSFT',
+      'globalfi:coingecko:crypto:ethereum',
+      'globalfi:exchangerate_api:forex:EUR',
+      'globalfi:alpha_vantage:stocks:AAPL',
+      'globalfi:coingecko:crypto:bitcoin',
+    ]);
+    expect(mockAlphaVantageClient.getGlobalQuote).toHaveBeenCalledWith('IBM');
+    expect(mockExchangeRateClient.getLatestRates).toHaveBeenCalledWith('EUR');
+  });
+
+  it('should tag warmed entries with their symbols', async () => {
+    await service.runWarmup();
+
+    expect(mockCache.refresh).toHaveBeenCalledWith(
+      'globalfi:coingecko:crypto:bitcoin,ethereum', expect.any(Function), 30, { symbols: ['BTC', 'ETH'] }
+    );
+  });
+
+  it('should skip keys that stay fresh until the next cycle', async () => {
+    // Exchange rates are cached for 300s, so a 100s old entry survives another 60s cycle
+    ages.set('globalfi:exchangerate_api:forex:USD', 100);
+    // Stock quotes are cached for 60s, so a 10s old entry would expire before the next cycle
+    ages.set('globalfi:alpha_vantage:stocks:IBM', 10);
+
+    const summary = await service.runWarmup();
+    const warmedKeys = mockCache.refresh.mock.calls.map(([key]) => key);
+
+    expect(warmedKeys).not.toContain('globalfi:exchangerate_api:forex:USD');
+    expect(warmedKeys).toContain('globalfi:alpha_vantage:stocks:IBM');
+    expect(summary.fresh).toBe(1);
+  });
+
+  it('should leave the quota reserve to user requests', async () => {
+    mockAlphaVantageClient.getQuotaStatus.mockResolvedValue({
+      minute: { limit: 5, used: 4, remaining: 1 },
+      day: { limit: 25, used: 4, remaining: 21 },
+    });
+
+    const summary = await service.runWarmup();
+
+    expect(mockAlphaVantageClient.getGlobalQuote).not.toHaveBeenCalled();
+    expect(summary.byProvider.alpha_vantage).toMatchObject({ keys: 3, skipped: 3, warmed: 0 });
+  });
+
+  it('should count quota rejections as skipped and report coverage', async () => {
+    mockCache.refresh.mockImplementation(async (key, fetchFn) => {
+      if (key.includes('coingecko')) throw new QuotaExceededError('coingecko', 'minute', 1000);
+      return { data: await fetchFn() };
+    });
+
+    const summary = await service.runWarmup();
+
+    expect(summary).toMatchObject({ keys: 8, warmed: 5, skipped: 3, failed: 0, coverage: 0.63 });
+    expect(service.getStatus().lastRun).toMatchObject({ keys: 8, coverage: 0.63 });
+  });
+
+  it('should cap the number of keys per cycle', async () => {
+    service.maxKeys = 2;
+
+    const summary = await service.runWarmup();
+
+    expect(summary.keys).toBe(2);
+    expect(mockCache.refresh).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * CoinGecko Client Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { CoinGeckoClient } = await import('../../src/infrastructure/http/CoinGeckoClient.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const JAN_5 = Date.UTC(2026, 0, 5);
+
+describe('CoinGeckoClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new CoinGeckoClient();
+    client.setSymbolResolver(coinId => ({ bitcoin: 'BTC', 'matic-network': 'POL' })[coinId] || null);
+    jest.spyOn(client, 'get');
+  });
+
+  it('should label coins with registry tickers and leave unknown coins unlabelled', async () => {
+    client.get.mockResolvedValue({
+      'matic-network': { usd: 0.21 },
+      'some-new-coin': { usd: 1.5 },
+    });
+
+    const { allCoins } = await client.getSimplePrice({ ids: 'matic-network,some-new-coin' });
+
+    expect(allCoins.map(coin => [coin.id, coin.symbol])).toEqual([['matic-network', 'POL'], ['some-new-coin', null]]);
+  });
+
+  it('should key OHLC candles by their open time', async () => {
+    client.get.mockResolvedValue([
+      [JAN_5 + 4 * HOUR, 100, 110, 95, 105],
+      [JAN_5 + 8 * HOUR, 105, 120, 104, 118.5],
+    ]);
+
+    const series = await client.getOhlc('bitcoin', { days: 7 });
+
+    expect(client.get).toHaveBeenCalledWith('/coins/bitcoin/ohlc', { vs_currency: 'usd', days: 7 });
+    expect(series).toMatchObject({ id: 'bitcoin', symbol: 'BTC', interval: '4h', source: 'coingecko' });
+    expect(series.candles[1]).toEqual({
+      timestamp: new Date(JAN_5 + 4 * HOUR).toISOString(),
+      open: '105',
+      high: '120',
+      low: '104',
+      close: '118.5',
+      adjustedClose: null,
+      volume: 0,
+    });
+  });
+
+  it('should build daily candles from the complete days of 4h OHLC bars', async () => {
+    // Bars are stamped with their close time: Jan 4 is complete, Jan 5 has two bars
+    const closes = [4, 8, 12, 16, 20, 24, 28, 32].map(hours => JAN_5 - DAY + hours * HOUR);
+    client.get.mockResolvedValue(closes.map((time, i) => [time, 100 + i, 110 + i + (i === 2 ? 20 : 0), 90 + i, 101 + i]));
+
+    const series = await client.getDailyCandles('ethereum', { days: 90 });
+
+    expect(client.get).toHaveBeenCalledWith('/coins/ethereum/ohlc', { vs_currency: 'usd', days: 30 });
+    expect(series).toMatchObject({ id: 'ethereum', interval: '1d', source: 'coingecko' });
+    expect(series.candles).toEqual([{
+      timestamp: new Date(JAN_5 - DAY).toISOString(),
+      open: '100',
+      high: '132',
+      low: '90',
+      close: '106',
+      adjustedClose: null,
+      volume: 0,
+    }]);
+  });
+
+  it('should normalize markets to the asset shape', async () => {
+    client.get.mockResolvedValue([{
+      id: 'solana',
+      symbol: 'sol',
+      name: 'Solana',
+      image: 'https://assets.coingecko.com/coins/images/4128/large/solana.png',
+      current_price: 142.31,
+      market_cap: 66000000000,
+      market_cap_rank: 5,
+      total_volume: 2500000000,
+      price_change_percentage_24h: -1.2,
+      last_updated: '2026-01-05T12:00:00.000Z',
+    }]);
+
+    const { assets } = await client.getMarkets({ ids: 'solana' });
+
+    expect(assets[0]).toEqual({
+      coinId: 'solana',
+      symbol: 'SOL',
+      name: 'Solana',
+      type: 'crypto',
+      currentPrice: '142.31',
+      currency: 'USD',
+      lastUpdated: '2026-01-05T12:00:00.000Z',
+      volume24h: 2500000000,
+      changePercent24h: -1.2,
+      metadata: {
+        marketCap: 66000000000,
+        rank: 5,
+        logo: 'https://assets.coingecko.com/coins/images/4128/large/solana.png',
+      },
+    });
+  });
+});
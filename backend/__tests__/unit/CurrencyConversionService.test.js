@@ -0,0 +1,219 @@
+/**
+ * Currency Conversion Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { CurrencyConversionService } = await import('../../src/services/CurrencyConversionService.js');
+const { WatchlistService } = await import('../../src/services/WatchlistService.js');
+const { WatchlistController } = await import('../../src/controllers/WatchlistController.js');
+const { AssetController } = await import('../../src/controllers/AssetController.js');
+const { getAssetHistorySchema } = await import('../../src/validators/assetSchemas.js');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const crossRate = (from, to, rate) => ({
+  from,
+  to,
+  rate,
+  pivot: 'USD',
+  date: '2026-10-19',
+  rateTimestamp: '2026-10-19T00:02:31.000Z',
+  historical: false,
+  source: 'exchangerate_api',
+  fromCache: true,
+});
+
+describe('CurrencyConversionService', () => {
+  let service;
+  let mockForexService;
+  let mockUserRepository;
+
+  beforeEach(() => {
+    mockForexService = {
+      getCrossRate: jest.fn(async (from, to) => crossRate(from, to, { USD: '0.8', GBP: '1.15' }[from])),
+    };
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue({ preferences: { defaultCurrency: 'GBP' } }),
+    };
+
+    service = new CurrencyConversionService({ forexService: mockForexService, userRepository: mockUserRepository });
+  });
+
+  it('should prefer ?currency over the user preference', async () => {
+    await expect(service.resolveTarget({ currency: 'EUR', userId: 'u1' })).resolves.toEqual({ currency: 'EUR', basis: 'query' });
+    expect(mockUserRepository.findById).not.toHaveBeenCalled();
+
+    await expect(service.resolveTarget({ userId: 'u1' })).resolves.toEqual({ currency: 'GBP', basis: 'preference' });
+    await expect(service.resolveTarget({})).resolves.toBeNull();
+  });
+
+  it('should cache the preferred currency per user under the user:<id> tag', async () => {
+    const stored = new Map();
+    const cache = {
+      buildKey: (namespace, key) => `globalfi:${namespace}:${key}`,
+      getOrSet: jest.fn(async (key, fetchFn) => {
+        if (!stored.has(key)) stored.set(key, await fetchFn());
+        return { data: stored.get(key) };
+      }),
+    };
+    service = new CurrencyConversionService({ forexService: mockForexService, userRepository: mockUserRepository, cache });
+
+    await service.resolveTarget({ userId: 'u1' });
+    const target = await service.resolveTarget({ userId: 'u1' });
+
+    expect(target).toEqual({ currency: 'GBP', basis: 'preference' });
+    expect(mockUserRepository.findById).toHaveBeenCalledTimes(1);
+    expect(cache.getOrSet).toHaveBeenCalledWith('globalfi:users:u1:currency', expect.any(Function), 300, { userId: 'u1' });
+  });
+
+  it('should add converted values next to the originals, one rate lookup per source currency', async () => {
+    const records = [
+      { symbol: 'AAPL', currency: 'USD', currentPrice: 200, metadata: { marketCap: 3000000000000 } },
+      { symbol: 'MSFT', currency: 'USD', currentPrice: 400.5, metadata: {} },
+      { symbol: 'VOD', currency: 'gbp', currentPrice: 0.7, metadata: { marketCap: null } },
+    ];
+
+    const result = await service.convertRecords({ currency: 'EUR', basis: 'query' }, records, {
+      fields: ['currentPrice', 'metadata.marketCap'],
+      currencyOf: record => record.currency,
+    });
+
+    expect(mockForexService.getCrossRate).toHaveBeenCalledTimes(2);
+    expect(result.records[0]).toEqual({
+      ...records[0],
+      converted: { currency: 'EUR', rate: '0.8', currentPrice: '160', marketCap: '2400000000000' },
+    });
+    expect(result.records[1].converted).toEqual({ currency: 'EUR', rate: '0.8', currentPrice: '320.4', marketCap: null });
+    expect(result.records[2].converted).toEqual({ currency: 'EUR', rate: '1.15', currentPrice: '0.805', marketCap: null });
+    expect(result.conversion).toEqual({
+      currency: 'EUR',
+      basis: 'query',
+      date: '2026-10-19',
+      rateTimestamp: '2026-10-19T00:02:31.000Z',
+      source: 'exchangerate_api',
+    });
+  });
+
+  it('should convert mongoose documents as plain objects and skip lookups for the same currency', async () => {
+    const doc = { toObject: () => ({ symbol: 'AAPL', currency: 'USD', currentPrice: 200 }) };
+
+    const result = await service.convertRecords({ currency: 'USD', basis: 'preference' }, [doc], {
+      fields: ['currentPrice'],
+      currencyOf: record => record.currency,
+    });
+
+    expect(mockForexService.getCrossRate).not.toHaveBeenCalled();
+    expect(result.records[0]).toEqual({
+      symbol: 'AAPL',
+      currency: 'USD',
+      currentPrice: 200,
+      converted: { currency: 'USD', rate: '1', currentPrice: '200' },
+    });
+  });
+
+  it('should fail a requested conversion but only skip a preferred one', async () => {
+    mockForexService.getCrossRate.mockRejectedValue(new Error('Unsupported currency: XYZ'));
+    const records = [{ price: '10', currency: 'USD' }];
+    const options = { fields: ['price'], currencyOf: record => record.currency };
+
+    await expect(service.convertRecords({ currency: 'XYZ', basis: 'query' }, records, options))
+      .rejects.toThrow('Unsupported currency: XYZ');
+
+    const result = await service.convertRecords({ currency: 'XYZ', basis: 'preference' }, records, options);
+    expect(result).toEqual({
+      records,
+      conversion: { currency: 'XYZ', basis: 'preference', error: 'Unsupported currency: XYZ' },
+    });
+  });
+
+  it('should leave records untouched without a target currency', async () => {
+    const records = [{ price: '10' }];
+
+    await expect(service.convertRecords(null, records, { fields: ['price'], currencyOf: () => 'USD' }))
+      .resolves.toEqual({ records, conversion: null });
+  });
+
+  describe('endpoints', () => {
+    it('should price watchlist entries from stored assets and convert them', async () => {
+      const watchlistService = new WatchlistService({
+        watchlistRepository: {
+          findVisible: jest.fn().mockResolvedValue({
+            _id: 'w1',
+            name: 'Tech',
+            assets: [{ symbol: 'AAPL', notes: 'core' }, { symbol: 'NEWCO' }],
+          }),
+        },
+        financialAssetRepository: {
+          findBySymbols: jest.fn().mockResolvedValue([
+            { symbol: 'AAPL', currentPrice: 200, currency: 'USD', lastUpdated: '2026-10-19T12:00:00.000Z' },
+          ]),
+        },
+      });
+      const controller = new WatchlistController({ watchlistService, currencyConversionService: service });
+      const res = createRes();
+
+      await controller.getWatchlist({ params: { id: 'w1' }, query: {}, user: { userId: 'u1' }, requestId: 'r1' }, res, jest.fn());
+
+      const { watchlist, conversion } = res.json.mock.calls[0][0];
+      expect(watchlistService.financialAssetRepository.findBySymbols).toHaveBeenCalledWith(['AAPL', 'NEWCO']);
+      expect(watchlist.assets[0]).toMatchObject({
+        symbol: 'AAPL',
+        notes: 'core',
+        currentPrice: 200,
+        currency: 'USD',
+        converted: { currency: 'GBP', rate: '0.8', currentPrice: '160' },
+      });
+      expect(watchlist.assets[1]).toMatchObject({ symbol: 'NEWCO', currentPrice: null, converted: { currentPrice: null } });
+      expect(conversion).toMatchObject({ currency: 'GBP', basis: 'preference' });
+    });
+
+    it('should convert the fundamentals market cap and leave metrics as reported', async () => {
+      const fundamentals = {
+        symbol: 'VOD',
+        profile: { name: 'Vodafone Group PLC', currency: 'GBP', marketCap: 20000000000 },
+        metrics: { '52WeekHigh': 0.8 },
+        recommendations: null,
+        errors: [],
+        source: 'finnhub',
+      };
+      const controller = new AssetController({
+        assetService: { getFundamentals: jest.fn().mockResolvedValue(fundamentals) },
+        currencyConversionService: service,
+      });
+      const res = createRes();
+
+      await controller.getAssetFundamentals({ params: { symbol: 'VOD' }, query: { currency: 'EUR' }, requestId: 'r1' }, res, jest.fn());
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.profile.converted).toEqual({ currency: 'EUR', rate: '1.15', marketCap: '23000000000' });
+      expect(body.metrics).toEqual({ '52WeekHigh': 0.8 });
+      expect(body.conversion).toMatchObject({ currency: 'EUR', basis: 'query' });
+    });
+
+    it('should refuse ?currency on price history instead of ignoring it', () => {
+      const result = getAssetHistorySchema.safeParse({ params: { symbol: 'AAPL' }, query: { currency: 'EUR' } });
+
+      expect(result.success).toBe(false);
+      expect(result.error.errors[0]).toMatchObject({ path: ['query', 'currency'] });
+      expect(getAssetHistorySchema.safeParse({ params: { symbol: 'AAPL' }, query: { interval: '1h' } }).success).toBe(true);
+    });
+  });
+});
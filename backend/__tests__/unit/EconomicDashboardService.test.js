@@ -0,0 +1,115 @@
+/**
+ * Economic Dashboard Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { EconomicDashboardService } = await import('../../src/services/EconomicDashboardService.js');
+
+const SERIES = {
+  CPIAUCSL: { title: 'Consumer Price Index', unitsShort: 'Index 1982-1984=100', frequencyShort: 'M', lastUpdated: '2026-10-15 07:38:02-05' },
+  UNRATE: { title: 'Unemployment Rate', unitsShort: '%', frequencyShort: 'M', lastUpdated: '2026-10-03 07:44:02-05' },
+  PAYEMS: { title: 'All Employees, Total Nonfarm', unitsShort: 'Thous. of Persons', frequencyShort: 'M', lastUpdated: '2026-10-03 07:44:03-05' },
+};
+
+describe('EconomicDashboardService', () => {
+  let service;
+  let observations;
+  let mockEconomicDataService;
+  let mockSocketManager;
+
+  beforeEach(() => {
+    // Oldest first, as EconomicDataService returns them
+    observations = {
+      CPIAUCSL: [{ date: '2026-07-01', value: '2.9' }, { date: '2026-08-01', value: '3.1' }, { date: '2026-09-01', value: '3.0' }],
+      UNRATE: [{ date: '2026-07-01', value: '4.3' }, { date: '2026-08-01', value: '4.3' }, { date: '2026-09-01', value: null }],
+      PAYEMS: [{ date: '2026-08-01', value: '22' }, { date: '2026-09-01', value: '119' }],
+    };
+
+    mockEconomicDataService = {
+      getSeries: jest.fn(async (seriesId) => ({ series: SERIES[seriesId], observations: observations[seriesId] })),
+    };
+    mockSocketManager = { broadcastEconomicUpdate: jest.fn() };
+
+    service = new EconomicDashboardService({
+      economicDataService: mockEconomicDataService,
+      socketManager: mockSocketManager,
+      indicators: ['cpi_yoy', 'unemployment', 'PAYEMS:chg'],
+      intervalMs: 60000,
+    });
+  });
+
+  afterEach(() => {
+    service.stop();
+  });
+
+  it('should report latest, previous, change and trend per indicator', async () => {
+    const dashboard = await service.getDashboard();
+
+    expect(mockEconomicDataService.getSeries).toHaveBeenCalledWith('CPIAUCSL', { units: 'pc1', limit: 4 });
+    expect(dashboard.indicators[0]).toEqual({
+      key: 'cpi_yoy',
+      label: 'CPI inflation (YoY)',
+      seriesId: 'CPIAUCSL',
+      units: 'pc1',
+      unit: '%',
+      frequency: 'M',
+      latest: { date: '2026-09-01', value: '3.0' },
+      previous: { date: '2026-08-01', value: '3.1' },
+      change: '-0.1',
+      trend: 'down',
+      releasedAt: '2026-10-15 07:38:02-05',
+    });
+    // September is missing, so August is the latest reading
+    expect(dashboard.indicators[1]).toMatchObject({ latest: { date: '2026-08-01' }, change: '0', trend: 'flat' });
+  });
+
+  it('should label raw FRED series from their metadata', async () => {
+    const dashboard = await service.getDashboard();
+
+    expect(dashboard.indicators[2]).toMatchObject({
+      key: 'PAYEMS:chg',
+      label: 'All Employees, Total Nonfarm',
+      units: 'chg',
+      unit: 'Thous. of Persons',
+      trend: 'up',
+    });
+  });
+
+  it('should list failing indicators under errors', async () => {
+    mockEconomicDataService.getSeries.mockImplementation(async (seriesId) => {
+      if (seriesId === 'UNRATE') throw new Error('Series not found');
+      return { series: SERIES[seriesId], observations: observations[seriesId] };
+    });
+
+    const dashboard = await service.getDashboard();
+
+    expect(dashboard.indicators.map(({ key }) => key)).toEqual(['cpi_yoy', 'PAYEMS:chg']);
+    expect(dashboard.errors).toEqual([{ key: 'unemployment', seriesId: 'UNRATE', message: 'Series not found' }]);
+  });
+
+  it('should broadcast only indicators with a new observation after the first check', async () => {
+    await service.runCheck();
+    expect(mockSocketManager.broadcastEconomicUpdate).not.toHaveBeenCalled();
+
+    observations.CPIAUCSL = [...observations.CPIAUCSL, { date: '2026-10-01', value: '3.2' }];
+    const updated = await service.runCheck();
+
+    expect(updated.map(({ key }) => key)).toEqual(['cpi_yoy']);
+    expect(mockSocketManager.broadcastEconomicUpdate).toHaveBeenCalledWith({
+      indicators: [expect.objectContaining({ key: 'cpi_yoy', latest: { date: '2026-10-01', value: '3.2' }, trend: 'up' })],
+    });
+  });
+});
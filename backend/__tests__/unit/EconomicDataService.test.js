@@ -0,0 +1,136 @@
+/**
+ * Economic Data Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { EconomicDataService } = await import('../../src/services/EconomicDataService.js');
+const { ExternalAPIError } = await import('../../src/utils/errors.js');
+
+describe('EconomicDataService', () => {
+  let service;
+  let mockFredClient;
+  let mockCache;
+
+  beforeEach(() => {
+    mockFredClient = {
+      getSeries: jest.fn().mockResolvedValue({ id: 'CPIAUCSL', title: 'Consumer Price Index', frequencyShort: 'M' }),
+      getSeriesObservations: jest.fn().mockResolvedValue({
+        value: '3.1',
+        date: '2026-09-01',
+        realtimeStart: '2026-10-19',
+        realtimeEnd: '2026-10-19',
+        observations: [{ date: '2026-09-01', value: '3.1' }, { date: '2026-08-01', value: '2.9' }],
+      }),
+      searchSeries: jest.fn(),
+    };
+    mockCache = {
+      buildKey: (service, identifier) => `globalfi:${service}:${identifier}`,
+      getTTL: () => 1800,
+      getOrSet: jest.fn(async (key, fetchFn) => ({ data: await fetchFn(), fromCache: false })),
+    };
+
+    service = new EconomicDataService({ fredClient: mockFredClient, cache: mockCache });
+  });
+
+  it('should return the latest observations oldest first when no range is given', async () => {
+    const result = await service.getSeries('cpiaucsl', { units: 'pc1', limit: 2 });
+
+    expect(mockFredClient.getSeriesObservations).toHaveBeenCalledWith(expect.objectContaining({
+      seriesId: 'CPIAUCSL',
+      units: 'pc1',
+      sortOrder: 'desc',
+      limit: 2,
+    }));
+    expect(result).toMatchObject({
+      seriesId: 'CPIAUCSL',
+      units: 'pc1',
+      frequency: 'm',
+      latest: { date: '2026-09-01', value: '3.1' },
+      count: 2,
+    });
+    expect(result.observations.map(obs => obs.date)).toEqual(['2026-08-01', '2026-09-01']);
+  });
+
+  it('should cache observations per distinct query', async () => {
+    await service.getSeries('UNRATE', { start: '2020-01-01', frequency: 'q', aggregation: 'eop' });
+
+    const keys = mockCache.getOrSet.mock.calls.map(([key]) => key);
+    expect(keys).toEqual([
+      'globalfi:fred:series:UNRATE',
+      'globalfi:fred:observations:UNRATE:2020-01-01::q:eop:::::asc:1000',
+    ]);
+  });
+
+  it('should report unknown series as not found', async () => {
+    mockFredClient.getSeries.mockRejectedValue(new ExternalAPIError('Invalid response 400 from fred', 'fred'));
+
+    await expect(service.getSeries('NOPE')).rejects.toThrow('Series not found');
+    expect(mockFredClient.getSeriesObservations).not.toHaveBeenCalled();
+  });
+
+  describe('yield curve', () => {
+    // Inverted at the front end: 3M above 10Y, 2Y below it
+    const YIELDS = {
+      DGS1MO: '4.40', DGS3MO: '4.35', DGS6MO: '4.20', DGS1: '4.05', DGS2: '3.90', DGS3: '3.85',
+      DGS5: '3.95', DGS7: '4.05', DGS10: '4.15', DGS20: '4.50', DGS30: '4.60',
+    };
+
+    beforeEach(() => {
+      mockFredClient.getSeriesObservations.mockImplementation(async ({ seriesId, observationEnd }) => ({
+        observations: [
+          // Holiday: missing on the requested day, so the previous trading day's yield is used
+          { date: observationEnd || '2026-10-16', value: null },
+          { date: '2026-10-15', value: observationEnd ? String(Number(YIELDS[seriesId]) + 0.25) : YIELDS[seriesId] },
+        ],
+      }));
+    });
+
+    it('should assemble the curve with 2s10s and 3m10y spreads and inversion flags', async () => {
+      const curve = await service.getYieldCurve();
+
+      expect(mockFredClient.getSeriesObservations).toHaveBeenCalledTimes(11);
+      expect(curve.points.map(point => point.tenor)).toEqual(['1M', '3M', '6M', '1Y', '2Y', '3Y', '5Y', '7Y', '10Y', '20Y', '30Y']);
+      expect(curve.points[8]).toMatchObject({ tenor: '10Y', seriesId: 'DGS10', yield: '4.15', date: '2026-10-15' });
+      expect(curve.spreads).toEqual({
+        '2s10s': { value: '0.25', bps: 25, inverted: false },
+        '3m10y': { value: '-0.2', bps: -20, inverted: true },
+      });
+      expect(curve).toMatchObject({ asOf: '2026-10-15', inverted: true, errors: [] });
+    });
+
+    it('should keep the other tenors when one series fails', async () => {
+      const implementation = mockFredClient.getSeriesObservations.getMockImplementation();
+      mockFredClient.getSeriesObservations.mockImplementation(async (query) => {
+        if (query.seriesId === 'DGS2') throw new ExternalAPIError('Server error 500 from fred', 'fred');
+        return implementation(query);
+      });
+
+      const curve = await service.getYieldCurve('2026-10-15');
+
+      expect(curve.points[4]).toMatchObject({ tenor: '2Y', yield: null });
+      expect(curve.spreads['2s10s']).toBeNull();
+      expect(curve.errors).toEqual([{ tenor: '2Y', seriesId: 'DGS2', message: 'Server error 500 from fred' }]);
+    });
+
+    it('should compare two dates in basis points', async () => {
+      const comparison = await service.compareYieldCurves('2026-01-02', null);
+
+      expect(mockCache.getOrSet).toHaveBeenCalledWith('globalfi:fred:yield:DGS10:2026-01-02', expect.any(Function), 1800);
+      expect(comparison.changes[8]).toEqual({ tenor: '10Y', from: '4.4', to: '4.15', changeBps: -25 });
+      expect(comparison.spreadChanges).toEqual({ '2s10s': 0, '3m10y': 0 });
+    });
+  });
+});
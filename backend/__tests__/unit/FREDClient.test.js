@@ -0,0 +1,115 @@
+/**
+ * FRED Client Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { FREDClient } = await import('../../src/infrastructure/http/FREDClient.js');
+
+describe('FREDClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new FREDClient();
+    jest.spyOn(client, 'get');
+  });
+
+  it('should keep returning the latest observation by default', async () => {
+    client.get.mockResolvedValue({ observations: [{ date: '2026-04-01', value: '30353.9' }] });
+
+    const result = await client.getSeriesObservations({ seriesId: 'GDP' });
+
+    expect(client.get).toHaveBeenCalledWith('/series/observations', expect.objectContaining({
+      series_id: 'GDP',
+      sort_order: 'desc',
+      limit: 1,
+    }));
+    expect(result).toMatchObject({ indicator: 'GDP', value: '30353.9', date: '2026-04-01', source: 'fred' });
+  });
+
+  it('should map range, frequency, units and vintage options to FRED parameters', async () => {
+    client.get.mockResolvedValue({
+      units: 'Percent Change from Year Ago',
+      count: 3,
+      observations: [
+        { date: '2026-01-01', value: '2.9', realtime_start: '2026-02-12', realtime_end: '2026-02-12' },
+        { date: '2026-04-01', value: '.', realtime_start: '2026-05-13', realtime_end: '2026-05-13' },
+        { date: '2026-07-01', value: '-0.4', realtime_start: '2026-08-12', realtime_end: '2026-08-12' },
+      ],
+    });
+
+    const result = await client.getSeriesObservations({
+      seriesId: 'CPIAUCSL',
+      sortOrder: 'asc',
+      limit: 1000,
+      observationStart: '2026-01-01',
+      observationEnd: '2026-09-30',
+      frequency: 'q',
+      aggregationMethod: 'avg',
+      units: 'pc1',
+      vintageDates: ['2026-02-12', '2026-05-13', '2026-08-12'],
+    });
+
+    const params = client.get.mock.calls[0][1];
+    expect(params).toMatchObject({
+      observation_start: '2026-01-01',
+      observation_end: '2026-09-30',
+      frequency: 'q',
+      aggregation_method: 'avg',
+      units: 'pc1',
+      vintage_dates: '2026-02-12,2026-05-13,2026-08-12',
+    });
+    expect(params).not.toHaveProperty('realtime_start');
+    expect(result).toMatchObject({ value: '-0.4', date: '2026-07-01', units: 'Percent Change from Year Ago', count: 3 });
+    expect(result.observations[1]).toEqual({ date: '2026-04-01', value: null, realtimeStart: '2026-05-13', realtimeEnd: '2026-05-13' });
+  });
+
+  it('should return an empty range instead of failing', async () => {
+    client.get.mockResolvedValue({ observations: [] });
+
+    const result = await client.getSeriesObservations({ seriesId: 'UNRATE', observationStart: '2030-01-01', limit: 100 });
+
+    expect(result).toMatchObject({ value: null, date: null, observations: [] });
+  });
+
+  it('should normalize series metadata and search results', async () => {
+    const unrate = {
+      id: 'UNRATE',
+      title: 'Unemployment Rate',
+      frequency: 'Monthly',
+      frequency_short: 'M',
+      units: 'Percent',
+      units_short: '%',
+      seasonal_adjustment_short: 'SA',
+      observation_start: '1948-01-01',
+      observation_end: '2026-09-01',
+      last_updated: '2026-10-03 07:44:02-05',
+      popularity: 94,
+    };
+    client.get.mockResolvedValueOnce({ seriess: [unrate] });
+    client.get.mockResolvedValueOnce({ count: 412, offset: 0, seriess: [unrate] });
+
+    const series = await client.getSeries('UNRATE');
+    const search = await client.searchSeries('unemployment', { limit: 1 });
+
+    expect(series).toMatchObject({ id: 'UNRATE', frequencyShort: 'M', unitsShort: '%', seasonalAdjustment: 'SA', source: 'fred' });
+    expect(client.get).toHaveBeenLastCalledWith('/series/search', expect.objectContaining({
+      search_text: 'unemployment',
+      order_by: 'popularity',
+      limit: 1,
+    }));
+    expect(search).toMatchObject({ query: 'unemployment', count: 412, series: [{ id: 'UNRATE', title: 'Unemployment Rate' }] });
+  });
+});
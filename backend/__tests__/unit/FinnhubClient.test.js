@@ -0,0 +1,103 @@
+/**
+ * Finnhub Client Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { FinnhubClient } = await import('../../src/infrastructure/http/FinnhubClient.js');
+
+describe('FinnhubClient', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new FinnhubClient();
+    jest.spyOn(client, 'get');
+  });
+
+  it('should normalize the company profile and scale millions', async () => {
+    client.get.mockResolvedValue({
+      ticker: 'AAPL',
+      name: 'Apple Inc',
+      exchange: 'NASDAQ NMS - GLOBAL MARKET',
+      finnhubIndustry: 'Technology',
+      country: 'US',
+      currency: 'USD',
+      ipo: '1980-12-12',
+      marketCapitalization: 3500000.5,
+      shareOutstanding: 15204.1,
+      logo: 'https://static.finnhub.io/logo/aapl.png',
+      weburl: 'https://www.apple.com/',
+    });
+
+    const profile = await client.getCompanyProfile('AAPL');
+
+    expect(client.get).toHaveBeenCalledWith('/stock/profile2', expect.objectContaining({ symbol: 'AAPL' }));
+    expect(profile).toMatchObject({
+      symbol: 'AAPL',
+      exchange: 'NASDAQ NMS - GLOBAL MARKET',
+      industry: 'Technology',
+      marketCap: 3500000500000,
+      sharesOutstanding: 15204100000,
+      website: 'https://www.apple.com/',
+      source: 'finnhub',
+    });
+  });
+
+  it('should reject unknown symbols, which come back as an empty profile', async () => {
+    client.get.mockResolvedValue({});
+
+    await expect(client.getCompanyProfile('NOPE')).rejects.toMatchObject({ code: 'E1008' });
+  });
+
+  it('should return basic financials as reported', async () => {
+    client.get.mockResolvedValue({ symbol: 'AAPL', metric: { peTTM: 31.2, '52WeekHigh': 260.1 }, series: {} });
+
+    const result = await client.getBasicFinancials('AAPL');
+
+    expect(client.get).toHaveBeenCalledWith('/stock/metric', expect.objectContaining({ symbol: 'AAPL', metric: 'all' }));
+    expect(result).toEqual({ symbol: 'AAPL', metrics: { peTTM: 31.2, '52WeekHigh': 260.1 }, source: 'finnhub' });
+  });
+
+  it('should sort recommendation trends newest first', async () => {
+    client.get.mockResolvedValue([
+      { period: '2026-08-01', strongBuy: 10, buy: 20, hold: 5, sell: 1, strongSell: 0 },
+      { period: '2026-09-01', strongBuy: 12, buy: 18, hold: 6 },
+    ]);
+
+    const { trends } = await client.getRecommendationTrends('AAPL');
+
+    expect(trends.map(trend => trend.period)).toEqual(['2026-09-01', '2026-08-01']);
+    expect(trends[0]).toEqual({ period: '2026-09-01', strongBuy: 12, buy: 18, hold: 6, sell: 0, strongSell: 0 });
+  });
+
+  it('should request company news for the date range and cap the article count', async () => {
+    client.get.mockResolvedValue(Array.from({ length: 5 }, (_, index) => ({
+      id: index,
+      headline: `Headline ${index}`,
+      datetime: 1760000000 + index,
+    })));
+
+    const result = await client.getCompanyNews('AAPL', { from: '2026-10-01', to: '2026-10-07', limit: 3 });
+
+    expect(client.get).toHaveBeenCalledWith('/company-news', expect.objectContaining({
+      symbol: 'AAPL',
+      from: '2026-10-01',
+      to: '2026-10-07',
+    }));
+    expect(result.symbol).toBe('AAPL');
+    expect(result.news).toHaveLength(3);
+    expect(result.news[0]).toMatchObject({ id: '0', headline: 'Headline 0' });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Forex Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { ForexService } = await import('../../src/services/ForexService.js');
+const { ExchangeRateClient } = await import('../../src/infrastructure/http/ExchangeRateClient.js');
+const { ValidationError } = await import('../../src/utils/errors.js');
+const { logger } = await import('../../src/config/logger.js');
+
+const usdTable = (date, updatedAt) => ({
+  baseCurrency: 'USD',
+  rates: {},
+  allRates: { USD: '1', EUR: '0.8', JPY: '150', GBP: '0.75' },
+  date,
+  updatedAt,
+  provider: 'exchangerate-api',
+  source: 'exchangerate_api',
+});
+
+describe('ForexService', () => {
+  let service;
+  let mockClient;
+  let mockCache;
+
+  beforeEach(() => {
+    mockClient = {
+      getLatestRates: jest.fn().mockResolvedValue(usdTable('2026-10-19', '2026-10-19T00:02:31.000Z')),
+      getHistoricalRates: jest.fn().mockResolvedValue(usdTable('2025-03-14', '2025-03-14T00:00:00.000Z')),
+    };
+    mockCache = {
+      buildKey: (service, identifier) => `globalfi:${service}:${identifier}`,
+      getTTL: () => 300,
+      getOrSet: jest.fn(async (key, fetchFn) => ({ data: await fetchFn(), fromCache: false })),
+    };
+
+    service = new ForexService({ exchangeRateClient: mockClient, cache: mockCache, pivotCurrency: 'USD' });
+  });
+
+  it('should convert between two non-pivot currencies through the pivot table', async () => {
+    const result = await service.convert({ from: 'EUR', to: 'JPY', amount: '100' });
+
+    expect(mockClient.getLatestRates).toHaveBeenCalledWith('USD');
+    expect(mockCache.getOrSet).toHaveBeenCalledWith('globalfi:exchangerate_api:forex:USD', expect.any(Function), 300, { symbols: ['USD'] });
+    expect(result).toEqual({
+      from: 'EUR',
+      to: 'JPY',
+      amount: '100',
+      rate: '187.5',
+      result: '18750',
+      pivot: 'USD',
+      date: '2026-10-19',
+      rateTimestamp: '2026-10-19T00:02:31.000Z',
+      historical: false,
+      source: 'exchangerate_api',
+      fromCache: false,
+    });
+  });
+
+  it('should read a past date from the historical table under its own cache key', async () => {
+    const result = await service.convert({ from: 'GBP', to: 'USD', amount: '3', date: '2025-03-14' });
+
+    expect(mockClient.getHistoricalRates).toHaveBeenCalledWith('2025-03-14', 'USD');
+    expect(mockClient.getLatestRates).not.toHaveBeenCalled();
+    expect(mockCache.getOrSet).toHaveBeenCalledWith('globalfi:exchangerate_api:forex:USD:2025-03-14', expect.any(Function), 86400, { symbols: ['USD'] });
+    expect(result).toMatchObject({ rate: '1.3333333333', result: '4', date: '2025-03-14', historical: true });
+  });
+
+  it('should use the latest table for today', async () => {
+    const todayDate = new Date().toISOString().slice(0, 10);
+
+    const result = await service.getCrossRate('USD', 'EUR', todayDate);
+
+    expect(mockClient.getHistoricalRates).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ rate: '0.8', historical: false });
+  });
+
+  it('should reject currencies missing from the pivot table', async () => {
+    await expect(service.convert({ from: 'EUR', to: 'XYZ', amount: '1' })).rejects.toThrow('Unsupported currency: XYZ');
+  });
+});
+
+describe('ExchangeRateClient historical rates', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new ExchangeRateClient();
+    client.apiKey = 'test-key';
+    jest.spyOn(client, 'get');
+  });
+
+  it('should fetch the v6 history table and normalize it like the latest one', async () => {
+    client.get.mockResolvedValue({
+      result: 'success',
+      year: 2025,
+      month: 3,
+      day: 14,
+      base_code: 'EUR',
+      conversion_rates: { USD: 1.0876, JPY: 161.42 },
+    });
+
+    const result = await client.getHistoricalRates('2025-03-14', 'eur');
+
+    expect(client.get).toHaveBeenCalledWith('https://v6.exchangerate-api.com/v6/test-key/history/EUR/2025/3/14');
+    expect(result).toEqual({
+      baseCurrency: 'EUR',
+      rates: { JPY: '161.42' },
+      allRates: { USD: '1.0876', JPY: '161.42' },
+      date: '2025-03-14',
+      updatedAt: '2025-03-14T00:00:00.000Z',
+      provider: 'exchangerate-api',
+      source: 'exchangerate_api',
+    });
+  });
+
+  it('should turn a provider error body into a validation error', async () => {
+    client.get.mockResolvedValue({ result: 'error', 'error-type': 'no-data-available' });
+
+    await expect(client.getHistoricalRates('1985-01-02', 'USD')).rejects.toThrow('ExchangeRate-API error: no-data-available');
+  });
+
+  it('should never write the API key into logged URLs', async () => {
+    client.get.mockRestore();
+    jest.spyOn(client.quota, 'acquire').mockResolvedValue();
+    client.client.defaults.adapter = (requestConfig) => Promise.reject(Object.assign(
+      new Error('Request failed with status code 403'),
+      { config: requestConfig, response: { status: 403, config: requestConfig, data: {} } },
+    ));
+
+    await expect(client.getHistoricalRates('2025-03-14', 'USD')).rejects.toThrow('Invalid response 403 from exchangerate_api');
+
+    const loggedUrls = [...logger.debug.mock.calls, ...logger.error.mock.calls]
+      .map(([, meta]) => meta?.url)
+      .filter(Boolean);
+    expect(loggedUrls).toContain('https://v6.exchangerate-api.com/v6/***/history/USD/2025/3/14');
+    expect(loggedUrls.join(' ')).not.toContain('test-key');
+  });
+
+  it('should refuse historical lookups without an API key', async () => {
+    client.apiKey = '';
+
+    await expect(client.getHistoricalRates('2025-03-14')).rejects.toBeInstanceOf(ValidationError);
+    expect(client.get).not.toHaveBeenCalled();
+  });
+});
@@ -52,6 +52,12 @@ describe('Money', () => {
             expect(result.toString()).toBe('30');
         });
 
+        it('should multiply by a string or Money factor', () => {
+            const price = new Money('200');
+            expect(price.times('0.857142').toString()).toBe('171.4284');
+            expect(price.times(new Money('1.15')).toString()).toBe('230');
+        });
+
         it('should divide Money values', () => {
             const total = new Money('100.00');
             const result = total.div(4);
@@ -0,0 +1,177 @@
+/**
+ * Price Candle Repository Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// Stand-in for the time-series model - no MongoDB needed
+const mockPriceCandle = {
+  distinct: jest.fn(),
+  aggregate: jest.fn(),
+  deleteMany: jest.fn(),
+  insertMany: jest.fn(),
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/models/index.js', () => ({
+  PriceCandle: mockPriceCandle,
+}));
+
+const { PriceCandleRepository } = await import('../../src/infrastructure/repositories/PriceCandleRepository.js');
+const { canDownsample } = await import('../../src/models/PriceCandle.js');
+const { AssetService } = await import('../../src/services/AssetService.js');
+
+describe('canDownsample', () => {
+  it.each([
+    ['1m', '1h', true],
+    ['30m', '4h', true],
+    ['4h', '1d', true],
+    ['1d', '1w', true],
+    ['1d', '1M', true],
+    ['1w', '1M', false],
+    ['1h', '1m', false],
+    ['1d', '1d', true],
+  ])('%s bars build %s candles: %s', (source, target, expected) => {
+    expect(canDownsample(source, target)).toBe(expected);
+  });
+});
+
+describe('PriceCandleRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = new PriceCandleRepository();
+  });
+
+  it('should pick the coarsest stored interval that fits the requested one', async () => {
+    mockPriceCandle.distinct.mockResolvedValue(['1m', '1h', '1w']);
+
+    expect(await repository.findSourceInterval('aapl', '1d')).toBe('1h');
+    expect(await repository.findSourceInterval('aapl', '1M')).toBe('1h');
+    expect(await repository.findSourceInterval('aapl', '1m')).toBe('1m');
+    expect(mockPriceCandle.distinct).toHaveBeenCalledWith('meta.interval', { 'meta.symbol': 'AAPL' });
+  });
+
+  it('should return null when no stored interval fits', async () => {
+    mockPriceCandle.distinct.mockResolvedValue(['1d']);
+
+    expect(await repository.findSourceInterval('AAPL', '1h')).toBeNull();
+  });
+
+  it('should bucket source bars into the requested interval, oldest first', async () => {
+    mockPriceCandle.aggregate.mockResolvedValue([
+      { timestamp: new Date('2026-01-06'), open: 2, high: 3, low: 1, close: 2, volume: 10 },
+      { timestamp: new Date('2026-01-05'), open: 1, high: 2, low: 1, close: 2, volume: 5 },
+    ]);
+    const from = new Date('2026-01-01');
+    const to = new Date('2026-01-10');
+
+    const candles = await repository.findRange('aapl', '1d', { from, to, sourceInterval: '1h', limit: 2 });
+
+    const [match, , group, , limit] = mockPriceCandle.aggregate.mock.calls[0][0];
+    expect(match.$match).toEqual({ 'meta.symbol': 'AAPL', 'meta.interval': '1h', timestamp: { $gte: from, $lt: to } });
+    expect(group.$group._id.$dateTrunc).toMatchObject({ unit: 'day', binSize: 1 });
+    expect(limit).toEqual({ $limit: 2 });
+    expect(candles.map(c => c.timestamp.toISOString().slice(0, 10))).toEqual(['2026-01-05', '2026-01-06']);
+  });
+
+  it('should replace stored bars in the span of a re-import', async () => {
+    await repository.insertCandles('btc', '1d', [
+      { timestamp: '2026-01-01T00:00:00Z', open: 1, high: 2, low: 1, close: 2 },
+      { timestamp: '2026-01-03T00:00:00Z', open: 2, high: 3, low: 2, close: 3, volume: 7 },
+    ], 'coingecko');
+
+    expect(mockPriceCandle.deleteMany).toHaveBeenCalledWith({
+      'meta.symbol': 'BTC',
+      'meta.interval': '1d',
+      timestamp: { $gte: new Date('2026-01-01T00:00:00Z'), $lte: new Date('2026-01-03T00:00:00Z') },
+    });
+    const [docs] = mockPriceCandle.insertMany.mock.calls[0];
+    expect(docs[0]).toMatchObject({ meta: { symbol: 'BTC', interval: '1d', source: 'coingecko' }, volume: 0 });
+    expect(docs[1].volume).toBe(7);
+  });
+
+  it('should record a price as a 1m bar at the start of its minute', async () => {
+    await repository.recordPrice('ibm', 101.5, 'manual', new Date('2026-01-05T12:00:42.500Z'));
+
+    expect(mockPriceCandle.create).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: new Date('2026-01-05T12:00:00Z'),
+      meta: { symbol: 'IBM', interval: '1m', source: 'manual' },
+      open: 101.5,
+      close: 101.5,
+    }));
+  });
+});
+
+describe('AssetService price history', () => {
+  it('should return no candles without querying when nothing is stored', async () => {
+    const priceCandleRepository = {
+      findSourceInterval: jest.fn().mockResolvedValue(null),
+      findRange: jest.fn(),
+    };
+    const service = new AssetService({ financialAssetRepository: {}, priceCandleRepository });
+    const to = new Date('2026-01-10T00:00:00Z');
+
+    const history = await service.getPriceHistory('aapl', { interval: '1d', to, limit: 5 });
+
+    expect(history).toEqual({
+      symbol: 'AAPL',
+      interval: '1d',
+      sourceInterval: null,
+      from: new Date('2026-01-05T00:00:00Z'),
+      to,
+      candles: [],
+    });
+    expect(priceCandleRepository.findRange).not.toHaveBeenCalled();
+  });
+
+  it('should backfill crypto assets from CoinGecko', async () => {
+    const candles = [{ timestamp: '2026-01-05T00:00:00.000Z', open: '1', high: '2', low: '0.5', close: '1.5', volume: 0 }];
+    const symbolRegistryService = { getProviderId: jest.fn().mockReturnValue('solana') };
+    const coinGeckoClient = {
+      getDailyCandles: jest.fn().mockResolvedValue({ candles, source: 'coingecko' }),
+    };
+    const priceCandleRepository = { insertCandles: jest.fn().mockResolvedValue(1) };
+    const service = new AssetService({
+      financialAssetRepository: { findBySymbol: jest.fn().mockResolvedValue({ symbol: 'SOL', type: 'crypto' }) },
+      priceCandleRepository,
+      alphaVantageClient: {},
+      coinGeckoClient,
+      symbolRegistryService,
+    });
+
+    const result = await service.backfillPriceHistory('SOL', { interval: '1d', outputSize: 'full' });
+
+    expect(symbolRegistryService.getProviderId).toHaveBeenCalledWith('SOL', 'coingecko', { assetType: 'crypto' });
+    expect(coinGeckoClient.getDailyCandles).toHaveBeenCalledWith('solana', { days: 30 });
+    expect(priceCandleRepository.insertCandles).toHaveBeenCalledWith('SOL', '1d', candles, 'coingecko');
+    expect(result).toMatchObject({ stored: 1, source: 'coingecko' });
+    await expect(service.backfillPriceHistory('SOL', { interval: '1w' })).rejects.toThrow('Unsupported interval for crypto history');
+  });
+
+  it('should record fresh live quotes as the asset price and a 1m bar', async () => {
+    const financialAssetRepository = { updatePrice: jest.fn().mockResolvedValue({ symbol: 'AAPL' }) };
+    const priceCandleRepository = { recordPrice: jest.fn().mockResolvedValue() };
+    const service = new AssetService({ financialAssetRepository, priceCandleRepository });
+
+    await service.recordQuote('AAPL', { price: '187.3', provider: 'finnhub', fromCache: false });
+    await service.recordQuote('AAPL', { price: '187.3', provider: 'finnhub', fromCache: true });
+
+    expect(financialAssetRepository.updatePrice).toHaveBeenCalledTimes(1);
+    expect(financialAssetRepository.updatePrice).toHaveBeenCalledWith('AAPL', 187.3, 'finnhub');
+    expect(priceCandleRepository.recordPrice).toHaveBeenCalledWith('AAPL', 187.3, 'finnhub');
+  });
+});
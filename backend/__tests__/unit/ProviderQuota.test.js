@@ -0,0 +1,182 @@
+/**
+ * Provider Quota Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// In-memory stand-in for the Redis commands the quota uses
+let redisClient = null;
+const createFakeRedis = () => {
+  const counters = new Map();
+  return {
+    counters,
+    // Mirrors CONSUME_SCRIPT
+    eval: jest.fn(async (script, numKeys, minuteKey, dayKey, perMinute, perDay) => {
+      const minuteUsed = counters.get(minuteKey) || 0;
+      const dayUsed = counters.get(dayKey) || 0;
+      if (perDay > 0 && dayUsed >= perDay) return [-2, minuteUsed, dayUsed];
+      if (perMinute > 0 && minuteUsed >= perMinute) return [-1, minuteUsed, dayUsed];
+      counters.set(minuteKey, minuteUsed + 1);
+      counters.set(dayKey, dayUsed + 1);
+      return [1, minuteUsed + 1, dayUsed + 1];
+    }),
+    mget: jest.fn(async (...keys) => keys.map(key => (counters.has(key) ? String(counters.get(key)) : null))),
+  };
+};
+
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  getRedisClient: () => redisClient,
+  isRedisConnected: () => redisClient !== null,
+}));
+
+const { ProviderQuota } = await import('../../src/infrastructure/resilience/ProviderQuota.js');
+const { BaseApiClient } = await import('../../src/infrastructure/http/BaseApiClient.js');
+const { QuotaExceededError } = await import('../../src/utils/errors.js');
+const { AxiosError } = await import('axios');
+
+// Axios adapter answering 503 for the first `failures` calls, then 200
+const flakyAdapter = (failures) => {
+  const adapter = jest.fn(async (config) => {
+    if (adapter.mock.calls.length <= failures) {
+      const response = { status: 503, statusText: 'Service Unavailable', data: {}, headers: {}, config };
+      throw new AxiosError('Request failed with status code 503', AxiosError.ERR_BAD_RESPONSE, config, null, response);
+    }
+    return { status: 200, statusText: 'OK', data: { ok: true }, headers: {}, config };
+  });
+  return adapter;
+};
+
+// 10 seconds into a minute, well inside a UTC day
+const START = Date.UTC(2026, 0, 5, 12, 0, 10);
+
+describe('ProviderQuota', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    redisClient = createFakeRedis();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should count calls in Redis under the provider prefix', async () => {
+    const quota = new ProviderQuota('alpha_vantage', { perMinute: 5, perDay: 25, maxWaitMs: 0 });
+
+    await quota.acquire();
+    await quota.acquire();
+
+    const minute = Math.floor(START / 60000);
+    expect(redisClient.counters.get(`globalfi:quota:alpha_vantage:minute:${minute}`)).toBe(2);
+  });
+
+  it('should reject when the minute window will not open within the wait budget', async () => {
+    const quota = new ProviderQuota('alpha_vantage', { perMinute: 1, perDay: 25, maxWaitMs: 1000 });
+
+    await quota.acquire();
+
+    const error = await quota.acquire().catch(e => e);
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.window).toBe('minute');
+    expect(error.retryAfterMs).toBe(50000);
+  });
+
+  it('should queue a call until the next minute window opens', async () => {
+    const quota = new ProviderQuota('finnhub', { perMinute: 1, perDay: 0, maxWaitMs: 60000 });
+    await quota.acquire();
+
+    let granted = false;
+    const pending = quota.acquire().then(() => { granted = true; });
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(granted).toBe(false);
+    expect(quota.queued).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(50000);
+    await pending;
+
+    expect(granted).toBe(true);
+    expect(quota.queued).toBe(0);
+  });
+
+  it('should reject once the daily budget is spent without waiting', async () => {
+    const quota = new ProviderQuota('newsapi', { perMinute: 0, perDay: 1, maxWaitMs: 60000 });
+    await quota.acquire();
+
+    await expect(quota.acquire()).rejects.toMatchObject({ code: 'E1015', window: 'day' });
+  });
+
+  it('should report the remaining budget per window', async () => {
+    const quota = new ProviderQuota('alpha_vantage', { perMinute: 5, perDay: 25 });
+    await quota.acquire();
+
+    const status = await quota.getStatus();
+
+    expect(status).toMatchObject({
+      provider: 'alpha_vantage',
+      minute: { limit: 5, used: 1, remaining: 4 },
+      day: { limit: 25, used: 1, remaining: 24 },
+      shared: true,
+    });
+  });
+
+  it('should fall back to in-process counters while Redis is unavailable', async () => {
+    redisClient = null;
+    const quota = new ProviderQuota('coingecko', { perMinute: 1, perDay: 0, maxWaitMs: 0 });
+
+    await quota.acquire();
+
+    await expect(quota.acquire()).rejects.toBeInstanceOf(QuotaExceededError);
+    expect(quota.usingFallback).toBe(true);
+    expect((await quota.getStatus()).shared).toBe(false);
+  });
+
+  it('should never send or trip the circuit breaker for rejected calls', async () => {
+    const quota = { acquire: jest.fn().mockRejectedValue(new QuotaExceededError('test', 'day', 1000)) };
+    const client = new BaseApiClient('test', { baseURL: 'http://localhost', quota });
+    const send = jest.spyOn(client.client, 'get');
+
+    await expect(client.get('/quote')).rejects.toBeInstanceOf(QuotaExceededError);
+
+    expect(send).not.toHaveBeenCalled();
+    expect(client.getCircuitBreakerStatus().failureCount).toBe(0);
+  });
+
+  it('should spend quota on every retry, not just the first attempt', async () => {
+    const quota = new ProviderQuota('test', { perMinute: 10, perDay: 0, maxWaitMs: 0 });
+    const client = new BaseApiClient('test', { baseURL: 'http://localhost', quota });
+    client.client.defaults.adapter = flakyAdapter(2);
+
+    const request = client.get('/quote');
+    await jest.advanceTimersByTimeAsync(1000 + 2000);
+
+    await expect(request).resolves.toEqual({ ok: true });
+    expect(client.client.defaults.adapter).toHaveBeenCalledTimes(3);
+    expect((await quota.getStatus()).minute.used).toBe(3);
+  });
+
+  it('should stop retrying once the quota refuses the retry', async () => {
+    const quota = new ProviderQuota('test', { perMinute: 0, perDay: 2, maxWaitMs: 0 });
+    const client = new BaseApiClient('test', { baseURL: 'http://localhost', quota });
+    client.client.defaults.adapter = flakyAdapter(3);
+
+    const request = client.get('/quote');
+    const settled = expect(request).rejects.toBeInstanceOf(QuotaExceededError);
+    await jest.advanceTimersByTimeAsync(1000 + 2000);
+    await settled;
+
+    expect(client.client.defaults.adapter).toHaveBeenCalledTimes(2);
+    expect((await quota.getStatus()).day).toMatchObject({ used: 2, remaining: 0 });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Quote Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { QuoteService } = await import('../../src/services/QuoteService.js');
+const { ExternalAPIError, ValidationError } = await import('../../src/utils/errors.js');
+
+const unlimited = { minute: { limit: 'unlimited', used: 0 }, day: { limit: 'unlimited', used: 0 } };
+
+const createClient = (methods) => ({
+  circuitBreaker: { isAllowingRequests: jest.fn().mockReturnValue(true) },
+  getQuotaStatus: jest.fn().mockResolvedValue(unlimited),
+  ...methods,
+});
+
+describe('QuoteService', () => {
+  let service;
+  let alphaVantageClient;
+  let finnhubClient;
+  let coinGeckoClient;
+  let exchangeRateClient;
+  let auditLogRepository;
+
+  beforeEach(() => {
+    alphaVantageClient = createClient({
+      getGlobalQuote: jest.fn().mockResolvedValue({
+        symbol: 'AAPL', price: '190.5', change: '1.2', changePercent: '0.63%', latestTradingDay: '2026-01-05', source: 'alpha_vantage',
+      }),
+    });
+    finnhubClient = createClient({
+      getQuote: jest.fn().mockResolvedValue({
+        symbol: 'AAPL', price: '190.6', change: '1.3', changePercent: '0.69%', timestamp: '2026-01-05T20:00:00.000Z', source: 'finnhub',
+      }),
+    });
+    coinGeckoClient = createClient({
+      getSimplePrice: jest.fn().mockResolvedValue({
+        allCoins: [{ id: 'bitcoin', symbol: 'BTC', currency: 'USD', price: '65000', change24h: '-1.5', marketCap: '1280000000000' }],
+      }),
+    });
+    exchangeRateClient = createClient({
+      getLatestRates: jest.fn().mockResolvedValue({ allRates: { USD: '1.08', JPY: '162.5' }, date: '2026-01-05' }),
+    });
+    auditLogRepository = { create: jest.fn().mockResolvedValue({}) };
+
+    const registry = {
+      AAPL: { assetType: 'stock', providers: { alpha_vantage: 'AAPL', finnhub: 'AAPL' } },
+      BTC: { assetType: 'crypto', providers: { coingecko: 'bitcoin', finnhub: 'BINANCE:BTCUSDT' } },
+      EURJPY: { assetType: 'forex', providers: { exchangerate_api: 'EUR/JPY', finnhub: 'OANDA:EUR_JPY' } },
+    };
+
+    service = new QuoteService({
+      alphaVantageClient,
+      coinGeckoClient,
+      exchangeRateClient,
+      finnhubClient,
+      symbolRegistryService: { resolve: (symbol) => ({ symbol, ...registry[symbol] }) },
+      cache: {
+        buildKey: (provider, key) => `globalfi:${provider}:${key}`,
+        getTTL: () => 60,
+        get: jest.fn().mockResolvedValue(null),
+        getOrSet: jest.fn(async (key, fetchFn) => ({ data: await fetchFn(), fromCache: false })),
+      },
+      auditLogRepository,
+      providerOrder: {
+        stock: ['alpha_vantage', 'finnhub'],
+        crypto: ['coingecko', 'finnhub'],
+        forex: ['exchangerate_api'],
+      },
+    });
+  });
+
+  it('should serve from the first provider and audit it', async () => {
+    const quote = await service.getQuote('AAPL');
+
+    expect(quote).toMatchObject({ symbol: 'AAPL', price: '190.5', provider: 'alpha_vantage', timestamp: '2026-01-05' });
+    expect(finnhubClient.getQuote).not.toHaveBeenCalled();
+    expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'success',
+      provider: 'alpha_vantage',
+      metadata: { type: 'quote', symbol: 'AAPL', assetType: 'stock' },
+    }));
+  });
+
+  it('should skip a provider whose circuit breaker is open', async () => {
+    alphaVantageClient.circuitBreaker.isAllowingRequests.mockReturnValue(false);
+
+    const quote = await service.getQuote('AAPL');
+
+    expect(alphaVantageClient.getGlobalQuote).not.toHaveBeenCalled();
+    expect(quote).toMatchObject({ price: '190.6', provider: 'finnhub' });
+    expect(quote.attempts[0]).toEqual({ provider: 'alpha_vantage', status: 'skipped', reason: 'circuit_open' });
+
+    const [audit] = auditLogRepository.create.mock.calls[0];
+    expect(audit).toMatchObject({ status: 'partial', provider: 'finnhub', apiCallsMade: 1 });
+    expect(audit.apiCalls[0]).toMatchObject({ service: 'alpha_vantage', status: 'skipped', errorCode: 'E1007' });
+  });
+
+  it('should skip a provider whose quota window is spent', async () => {
+    alphaVantageClient.getQuotaStatus.mockResolvedValue({
+      minute: { limit: 5, used: 2, remaining: 3 },
+      day: { limit: 25, used: 25, remaining: 0 },
+    });
+
+    const quote = await service.getQuote('AAPL');
+
+    expect(alphaVantageClient.getGlobalQuote).not.toHaveBeenCalled();
+    expect(quote.provider).toBe('finnhub');
+    expect(quote.attempts[0].reason).toBe('quota_exhausted');
+  });
+
+  it.each([
+    ['circuit breaker is open', (client) => client.circuitBreaker.isAllowingRequests.mockReturnValue(false)],
+    ['quota window is spent', (client) => client.getQuotaStatus.mockResolvedValue({
+      minute: { limit: 5, used: 5, remaining: 0 },
+      day: { limit: 25, used: 25, remaining: 0 },
+    })],
+  ])('should still serve a stale cached quote while the provider\'s %s', async (reason, makeUnavailable) => {
+    makeUnavailable(alphaVantageClient);
+    const cached = { symbol: 'AAPL', price: '189.9', latestTradingDay: '2026-01-02', source: 'alpha_vantage' };
+    service.cache.get.mockImplementation(async key => (key === 'globalfi:alpha_vantage:stocks:AAPL' ? cached : null));
+    service.cache.getOrSet.mockResolvedValue({ data: cached, fromCache: true, stale: true });
+
+    const quote = await service.getQuote('AAPL');
+
+    expect(quote).toMatchObject({ price: '189.9', provider: 'alpha_vantage', fromCache: true, stale: true });
+    expect(quote.attempts).toEqual([{ provider: 'alpha_vantage', status: 'stale', duration: expect.any(Number) }]);
+    expect(alphaVantageClient.getGlobalQuote).not.toHaveBeenCalled();
+    expect(finnhubClient.getQuote).not.toHaveBeenCalled();
+  });
+
+  it('should fall over when a provider call fails', async () => {
+    alphaVantageClient.getGlobalQuote.mockRejectedValue(new ValidationError('Alpha Vantage API limit or invalid response'));
+
+    const quote = await service.getQuote('AAPL');
+
+    expect(quote.provider).toBe('finnhub');
+    expect(quote.attempts[0]).toMatchObject({ provider: 'alpha_vantage', status: 'error', errorCode: 'E1008' });
+  });
+
+  it('should reject with every attempt once all providers fail', async () => {
+    alphaVantageClient.circuitBreaker.isAllowingRequests.mockReturnValue(false);
+    finnhubClient.getQuote.mockRejectedValue(new ExternalAPIError('Server error 503 from finnhub', 'finnhub'));
+
+    const error = await service.getQuote('AAPL').catch(e => e);
+
+    expect(error).toBeInstanceOf(ExternalAPIError);
+    expect(error.details.map(({ provider, status }) => `${provider}:${status}`)).toEqual(['alpha_vantage:skipped', 'finnhub:error']);
+    expect(auditLogRepository.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', provider: null }));
+  });
+
+  it('should quote crypto from the CoinGecko price table', async () => {
+    const quote = await service.getQuote('BTC');
+
+    expect(coinGeckoClient.getSimplePrice).toHaveBeenCalledWith({ ids: 'bitcoin' });
+    expect(quote).toMatchObject({ symbol: 'BTC', price: '65000', changePercent: '-1.5%', provider: 'coingecko', providerSymbol: 'bitcoin' });
+  });
+
+  it('should quote forex pairs from the base currency rate table', async () => {
+    const quote = await service.getQuote('EURJPY');
+
+    expect(exchangeRateClient.getLatestRates).toHaveBeenCalledWith('EUR');
+    expect(quote).toMatchObject({ symbol: 'EURJPY', price: '162.5', currency: 'JPY', provider: 'exchangerate_api' });
+  });
+});
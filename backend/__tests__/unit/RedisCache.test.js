@@ -0,0 +1,346 @@
+/**
+ * Redis Cache Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// Redis glob (* only) to RegExp, for the fake SCAN
+const globToRegExp = (pattern) => new RegExp(`^${pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+// In-memory stand-in for the Redis commands the cache uses
+let redisClient = null;
+const createFakeRedis = () => {
+  const data = new Map();
+  const sets = new Map();
+  const commands = {
+    setex: (key, ttl, value) => { data.set(key, { value, ttl }); return 'OK'; },
+    sadd: (key, member) => {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+      return 1;
+    },
+    expire: () => 1,
+    exists: (key) => (data.has(key) ? 1 : 0),
+  };
+  return {
+    data,
+    sets,
+    get: jest.fn(async (key) => data.get(key)?.value ?? null),
+    setex: jest.fn(async (key, ttl, value) => commands.setex(key, ttl, value)),
+    del: jest.fn(async (key) => data.delete(key)),
+    unlink: jest.fn(async (...keys) => keys.filter(key => data.delete(key) || sets.delete(key)).length),
+    // Queues commands and replies [error, result] per command, like ioredis
+    multi: jest.fn(() => {
+      const queued = [];
+      const pipeline = { exec: async () => queued.map(run => [null, run()]) };
+      for (const [name, command] of Object.entries(commands)) {
+        pipeline[name] = (...args) => { queued.push(() => command(...args)); return pipeline; };
+      }
+      return pipeline;
+    }),
+    // Single page - real Redis may need several, the cache loops until cursor 0
+    scan: jest.fn(async (cursor, match, pattern) => {
+      const regex = globToRegExp(pattern);
+      return ['0', [...data.keys(), ...sets.keys()].filter(key => regex.test(key))];
+    }),
+    sscan: jest.fn(async (key) => ['0', [...(sets.get(key) || [])]]),
+    // SET key value PX ttl NX
+    set: jest.fn(async (key, value) => {
+      if (data.has(key)) return null;
+      data.set(key, { value });
+      return 'OK';
+    }),
+    exists: jest.fn(async (key) => commands.exists(key)),
+    // Mirrors RELEASE_LOCK_SCRIPT
+    eval: jest.fn(async (script, numKeys, key, token) => {
+      if (data.get(key)?.value !== token) return 0;
+      data.delete(key);
+      return 1;
+    }),
+  };
+};
+
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  getRedisClient: () => redisClient,
+  isRedisConnected: () => redisClient !== null,
+}));
+
+const { RedisCache } = await import('../../src/infrastructure/cache/RedisCache.js');
+const { MemoryCache } = await import('../../src/infrastructure/cache/MemoryCache.js');
+const { CircuitBreakerError } = await import('../../src/utils/errors.js');
+
+const KEY = 'globalfi:alpha_vantage:stocks:IBM';
+
+describe('RedisCache', () => {
+  let cache;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.UTC(2026, 0, 5, 12, 0, 0) });
+    redisClient = createFakeRedis();
+    cache = new RedisCache({ lockTtlMs: 1000, lockPollMs: 50 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getOrSet', () => {
+    it('should fetch on a miss and keep the entry until the hard TTL', async () => {
+      const fetchFn = jest.fn().mockResolvedValue({ price: 100 });
+
+      const result = await cache.getOrSet(KEY, fetchFn, 60, { hardTtlSeconds: 600 });
+
+      expect(result).toEqual({ data: { price: 100 }, fromCache: false, stale: false, age: 0 });
+      expect(redisClient.data.get(KEY).ttl).toBe(600);
+    });
+
+    it('should serve fresh entries without fetching', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60);
+      jest.advanceTimersByTime(30 * 1000);
+      const fetchFn = jest.fn();
+
+      const result = await cache.getOrSet(KEY, fetchFn, 60);
+
+      expect(result).toMatchObject({ data: { price: 100 }, fromCache: true, stale: false, age: 30 });
+      expect(fetchFn).not.toHaveBeenCalled();
+    });
+
+    it('should return stale data at once and refresh it in the background', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60);
+      jest.advanceTimersByTime(90 * 1000);
+      const fetchFn = jest.fn().mockResolvedValue({ price: 105 });
+
+      const result = await cache.getOrSet(KEY, fetchFn, 60);
+
+      expect(result).toMatchObject({ data: { price: 100 }, fromCache: true, stale: true, age: 90 });
+      await cache.inflight.get(KEY);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+
+      const next = await cache.getOrSet(KEY, jest.fn(), 60);
+      expect(next).toMatchObject({ data: { price: 105 }, stale: false });
+    });
+
+    it('should keep serving stale data while the provider circuit is open', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60);
+      jest.advanceTimersByTime(120 * 1000);
+      const fetchFn = jest.fn().mockRejectedValue(new CircuitBreakerError('alpha_vantage'));
+
+      const first = await cache.getOrSet(KEY, fetchFn, 60);
+      await cache.inflight.get(KEY).catch(() => {});
+      const second = await cache.getOrSet(KEY, fetchFn, 60);
+
+      expect(first).toMatchObject({ data: { price: 100 }, stale: true });
+      expect(second).toMatchObject({ data: { price: 100 }, stale: true, age: 120 });
+    });
+
+    it('should run a single background refresh per key', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60);
+      jest.advanceTimersByTime(90 * 1000);
+      const fetchFn = jest.fn().mockResolvedValue({ price: 105 });
+
+      await Promise.all([cache.getOrSet(KEY, fetchFn, 60), cache.getOrSet(KEY, fetchFn, 60)]);
+      await cache.inflight.get(KEY);
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share one fetch between concurrent misses in this process', async () => {
+      const fetchFn = jest.fn().mockResolvedValue({ price: 100 });
+
+      const results = await Promise.all([
+        cache.getOrSet(KEY, fetchFn, 60),
+        cache.getOrSet(KEY, fetchFn, 60),
+        cache.getOrSet(KEY, fetchFn, 60),
+      ]);
+
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(results.map(r => r.data)).toEqual([{ price: 100 }, { price: 100 }, { price: 100 }]);
+      expect(redisClient.data.has(`${KEY}:lock`)).toBe(false);
+    });
+
+    it('should wait for another instance holding the fetch lock', async () => {
+      const peer = new RedisCache({ lockTtlMs: 1000, lockPollMs: 50 });
+      let resolvePeer;
+      const peerFetch = jest.fn(() => new Promise(resolve => { resolvePeer = resolve; }));
+      const peerResult = peer.getOrSet(KEY, peerFetch, 60);
+      await jest.advanceTimersByTimeAsync(0);
+
+      const fetchFn = jest.fn();
+      const pending = cache.getOrSet(KEY, fetchFn, 60);
+      resolvePeer({ price: 100 });
+      await peerResult;
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect(await pending).toMatchObject({ data: { price: 100 }, fromCache: true });
+      expect(fetchFn).not.toHaveBeenCalled();
+    });
+
+    it('should fetch itself when the lock holder fails', async () => {
+      const peer = new RedisCache({ lockTtlMs: 1000, lockPollMs: 50 });
+      let rejectPeer;
+      const peerResult = peer.getOrSet(KEY, () => new Promise((resolve, reject) => { rejectPeer = reject; }), 60);
+      await jest.advanceTimersByTimeAsync(0);
+
+      const fetchFn = jest.fn().mockResolvedValue({ price: 101 });
+      const pending = cache.getOrSet(KEY, fetchFn, 60);
+      rejectPeer(new Error('upstream down'));
+      await expect(peerResult).rejects.toThrow('upstream down');
+      await jest.advanceTimersByTimeAsync(50);
+
+      expect(await pending).toMatchObject({ data: { price: 101 }, fromCache: false });
+    });
+
+    it('should propagate fetch errors when nothing is cached', async () => {
+      const fetchFn = jest.fn().mockRejectedValue(new Error('boom'));
+
+      await expect(cache.getOrSet(KEY, fetchFn, 60)).rejects.toThrow('boom');
+    });
+  });
+
+  describe('get', () => {
+    it('should unwrap entries written by getOrSet', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60);
+
+      expect(await cache.get(KEY)).toEqual({ price: 100 });
+    });
+
+    it('should return plain values written by set', async () => {
+      await cache.set('globalfi:ai:abc', 'summary', 60);
+
+      expect(await cache.get('globalfi:ai:abc')).toBe('summary');
+    });
+  });
+
+  describe('invalidate', () => {
+    const AAPL = 'globalfi:alpha_vantage:stocks:AAPL';
+    const CRYPTO = 'globalfi:coingecko:crypto:bitcoin';
+
+    beforeEach(async () => {
+      await cache.getOrSet(AAPL, async () => ({ price: 190 }), 60, { symbols: ['aapl'] });
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60, { symbols: ['IBM'] });
+      await cache.getOrSet(CRYPTO, async () => ({ price: 60000 }), 30, { symbols: ['BTC'] });
+      // Auth and quota state shares the prefix but is not cache data
+      redisClient.data.set('globalfi:auth:refresh:abc', { value: '1' });
+      redisClient.data.set('globalfi:quota:alpha_vantage:day:1', { value: '3' });
+    });
+
+    it('should tag entries by provider and symbol', async () => {
+      expect(await cache.findKeys({ tag: 'symbol:AAPL' })).toEqual([AAPL]);
+      expect(await cache.findKeys({ tag: 'provider:alpha_vantage' })).toEqual([AAPL, KEY]);
+    });
+
+    it('should tag entries stored for a user with user:<id>', async () => {
+      const PREFERENCE = 'globalfi:users:u1:currency';
+      await cache.getOrSet(PREFERENCE, async () => 'EUR', 300, { userId: 'u1' });
+
+      expect(await cache.findKeys({ tag: 'user:u1' })).toEqual([PREFERENCE]);
+      await cache.invalidate({ tag: 'user:u1' });
+      expect(redisClient.data.has(PREFERENCE)).toBe(false);
+      expect(redisClient.data.has(KEY)).toBe(true);
+    });
+
+    it('should delete every key carrying a tag, and the tag set itself', async () => {
+      const result = await cache.invalidate({ tag: 'symbol:AAPL' });
+
+      expect(result).toEqual({ matched: 1, deleted: 1, dryRun: false });
+      expect(redisClient.data.has(AAPL)).toBe(false);
+      expect(redisClient.data.has(KEY)).toBe(true);
+      expect(redisClient.sets.has('globalfi:tag:symbol:AAPL')).toBe(false);
+    });
+
+    it('should only count matches on a dry run', async () => {
+      const result = await cache.invalidate({ pattern: 'alpha_vantage:stocks:*' }, { dryRun: true });
+
+      expect(result).toEqual({ matched: 2, deleted: 0, dryRun: true });
+      expect(redisClient.data.has(AAPL)).toBe(true);
+    });
+
+    it('should leave auth and quota keys alone when clearing', async () => {
+      await cache.clear();
+
+      expect([...redisClient.data.keys()]).toEqual(['globalfi:auth:refresh:abc', 'globalfi:quota:alpha_vantage:day:1']);
+    });
+
+    it('should skip tag members that already expired', async () => {
+      redisClient.data.delete(KEY);
+
+      expect(await cache.invalidate({ tag: 'provider:alpha_vantage' }, { dryRun: true })).toMatchObject({ matched: 1 });
+    });
+  });
+
+  describe('without Redis', () => {
+    beforeEach(() => {
+      redisClient = null;
+    });
+
+    it('should serve repeat requests from the in-memory tier', async () => {
+      const fetchFn = jest.fn().mockResolvedValue({ price: 100 });
+
+      await cache.getOrSet(KEY, fetchFn, 60);
+      const result = await cache.getOrSet(KEY, fetchFn, 60);
+
+      expect(result).toMatchObject({ data: { price: 100 }, fromCache: true });
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+      expect(cache.getStatus()).toEqual({ mode: 'memory', memory: { entries: 1, maxEntries: 1000 } });
+    });
+
+    it('should switch back to Redis and drop in-memory entries on reconnect', async () => {
+      await cache.set(KEY, { price: 100 }, 60);
+
+      redisClient = createFakeRedis();
+
+      expect(await cache.get(KEY)).toBeNull();
+      expect(cache.getStatus()).toMatchObject({ mode: 'redis', memory: { entries: 0 } });
+    });
+
+    it('should invalidate the in-memory tier by tag and pattern', async () => {
+      await cache.getOrSet(KEY, async () => ({ price: 100 }), 60, { symbols: ['IBM'] });
+      await cache.getOrSet('globalfi:coingecko:crypto:bitcoin', async () => ({ price: 60000 }), 30, { symbols: ['BTC'] });
+
+      expect(await cache.invalidate({ tag: 'symbol:IBM' })).toMatchObject({ deleted: 1 });
+      expect(await cache.invalidate({ pattern: 'coingecko:*' }, { dryRun: true })).toMatchObject({ matched: 1 });
+      expect(cache.getStatus().memory.entries).toBe(1);
+    });
+  });
+});
+
+describe('MemoryCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should evict the least recently used entry when full', () => {
+    const memory = new MemoryCache({ maxEntries: 2 });
+    memory.set('a', '1', 60);
+    memory.set('b', '2', 60);
+    memory.get('a');
+
+    memory.set('c', '3', 60);
+
+    expect(memory.get('a')).toBe('1');
+    expect(memory.get('b')).toBeNull();
+    expect(memory.size).toBe(2);
+  });
+
+  it('should expire entries after their TTL', () => {
+    jest.useFakeTimers();
+    const memory = new MemoryCache();
+    memory.set('a', '1', 60);
+
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(memory.get('a')).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Redis Rate Limit Store Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// In-memory stand-in for the Redis commands the store uses
+let redisClient = null;
+const createFakeRedis = () => {
+  const counters = new Map();
+  return {
+    counters,
+    eval: jest.fn(async (script, numKeys, key, windowMs) => {
+      if (script.includes('INCR')) {
+        const hits = (counters.get(key) || 0) + 1;
+        counters.set(key, hits);
+        return [hits, windowMs];
+      }
+      if (!counters.has(key)) return 0;
+      counters.set(key, counters.get(key) - 1);
+      return counters.get(key);
+    }),
+    multi: jest.fn(() => {
+      const reads = [];
+      const chain = {
+        get: (key) => { reads.push(counters.has(key) ? String(counters.get(key)) : null); return chain; },
+        pttl: () => { reads.push(30000); return chain; },
+        exec: async () => reads.map(value => [null, value]),
+      };
+      return chain;
+    }),
+    del: jest.fn(async (key) => counters.delete(key)),
+  };
+};
+
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  getRedisClient: () => redisClient,
+  isRedisConnected: () => redisClient !== null,
+}));
+
+const { RedisRateLimitStore } = await import('../../src/infrastructure/cache/RedisRateLimitStore.js');
+
+describe('RedisRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    redisClient = createFakeRedis();
+    store = new RedisRateLimitStore({ name: 'user' });
+    store.init({ windowMs: 60000 });
+  });
+
+  afterEach(() => {
+    store.shutdown();
+  });
+
+  it('should count hits in Redis under a per-limiter prefix', async () => {
+    await store.increment('user:abc');
+    const result = await store.increment('user:abc');
+
+    expect(result.totalHits).toBe(2);
+    expect(result.resetTime).toBeInstanceOf(Date);
+    expect(redisClient.counters.get('globalfi:ratelimit:user:user:abc')).toBe(2);
+  });
+
+  it('should read the current count without incrementing', async () => {
+    await store.increment('user:abc');
+
+    const info = await store.get('user:abc');
+
+    expect(info.totalHits).toBe(1);
+    expect(await store.get('user:unknown')).toBeUndefined();
+  });
+
+  it('should decrement and reset keys', async () => {
+    await store.increment('user:abc');
+    await store.increment('user:abc');
+    await store.decrement('user:abc');
+
+    expect((await store.get('user:abc')).totalHits).toBe(1);
+
+    await store.resetKey('user:abc');
+    expect(await store.get('user:abc')).toBeUndefined();
+  });
+
+  it('should fall back to memory while Redis is unavailable', async () => {
+    redisClient = null;
+
+    await store.increment('user:abc');
+    const result = await store.increment('user:abc');
+
+    expect(result.totalHits).toBe(2);
+    expect(store.usingFallback).toBe(true);
+  });
+
+  it('should fall back to memory when a Redis command fails', async () => {
+    redisClient.eval.mockRejectedValue(new Error('READONLY'));
+
+    const result = await store.increment('user:abc');
+
+    expect(result.totalHits).toBe(1);
+    expect(store.usingFallback).toBe(true);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Socket Manager Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { config } = await import('../../src/config/environment.js');
+const { SocketManager } = await import('../../src/infrastructure/websocket/SocketManager.js');
+
+// Minimal Socket.io server double that captures middleware and handlers
+const createMockIo = () => {
+  const roomEmit = jest.fn();
+  return {
+    middleware: null,
+    connectionHandler: null,
+    roomEmit,
+    use: jest.fn(function (fn) { this.middleware = fn; }),
+    on: jest.fn(function (event, fn) { if (event === 'connection') this.connectionHandler = fn; }),
+    to: jest.fn(() => ({ emit: roomEmit })),
+  };
+};
+
+const createMockSocket = (handshake = {}) => ({
+  id: 'socket-1',
+  data: {},
+  handshake: { auth: {}, headers: {}, ...handshake },
+  join: jest.fn(),
+  leave: jest.fn(),
+  emit: jest.fn(),
+  on: jest.fn(),
+});
+
+describe('SocketManager', () => {
+  let io;
+
+  beforeEach(() => {
+    io = createMockIo();
+    new SocketManager(io);
+  });
+
+  describe('handshake authentication', () => {
+    it('should accept anonymous sockets without joining a user room', async () => {
+      const socket = createMockSocket();
+      const next = jest.fn();
+
+      await io.middleware(socket, next);
+      io.connectionHandler(socket);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.user).toBeNull();
+      expect(socket.join).not.toHaveBeenCalled();
+    });
+
+    it('should join authenticated sockets to their user room', async () => {
+      const token = jwt.sign({ userId: 'abc123', email: 'a@b.co' }, config.security.jwtSecret);
+      const socket = createMockSocket({ auth: { token } });
+      const next = jest.fn();
+
+      await io.middleware(socket, next);
+      io.connectionHandler(socket);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(socket.data.user.userId).toBe('abc123');
+      expect(socket.join).toHaveBeenCalledWith('user:abc123');
+    });
+
+    it('should accept a Bearer token in the Authorization header', async () => {
+      const token = jwt.sign({ userId: 'abc123' }, config.security.jwtSecret);
+      const socket = createMockSocket({ headers: { authorization: `Bearer ${token}` } });
+      const next = jest.fn();
+
+      await io.middleware(socket, next);
+
+      expect(socket.data.user.userId).toBe('abc123');
+    });
+
+    it('should reject sockets with an invalid token', async () => {
+      const token = jwt.sign({ userId: 'abc123' }, 'wrong-secret');
+      const socket = createMockSocket({ auth: { token } });
+      const next = jest.fn();
+
+      await io.middleware(socket, next);
+
+      const error = next.mock.calls[0][0];
+      expect(error).toBeInstanceOf(Error);
+      expect(error.data.code).toBe('E1007');
+    });
+  });
+
+  describe('emitAlertTriggered', () => {
+    it('should emit only to the owning user room', () => {
+      const manager = new SocketManager(createMockIo());
+
+      manager.emitAlertTriggered({ alertId: 'alert-1', userId: 'abc123', symbol: 'IBM' });
+
+      expect(manager.io.to).toHaveBeenCalledWith('user:abc123');
+      expect(manager.io.roomEmit).toHaveBeenCalledWith('alert:triggered', expect.objectContaining({
+        alertId: 'alert-1',
+        symbol: 'IBM',
+      }));
+    });
+  });
+
+  describe('price subscriptions', () => {
+    // Handler registered by the connection handler for a socket event
+    const handlerFor = (socket, event) => socket.on.mock.calls.find(([name]) => name === event)[1];
+    const authenticatedSocket = (id = 'socket-1') => ({ ...createMockSocket(), id, data: { user: { userId: `user-${id}` } } });
+
+    it('should join price rooms and report first subscribers and last leavers', () => {
+      const manager = new SocketManager(createMockIo());
+      const listener = jest.fn();
+      manager.onPriceSubscriptionChange(listener);
+
+      const first = authenticatedSocket();
+      const second = authenticatedSocket('socket-2');
+      manager.io.connectionHandler(first);
+      manager.io.connectionHandler(second);
+
+      const ack = jest.fn();
+      handlerFor(first, 'price:subscribe')({ symbols: ['aapl', 'btc', 'not a symbol'] }, ack);
+      handlerFor(second, 'price:subscribe')({ symbols: ['AAPL'] });
+
+      expect(ack).toHaveBeenCalledWith({ symbols: ['AAPL', 'BTC'] });
+      expect(first.join).toHaveBeenCalledWith('price:AAPL');
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({ added: ['AAPL', 'BTC'], removed: [] });
+
+      handlerFor(first, 'disconnect')('transport close');
+
+      expect(listener).toHaveBeenLastCalledWith({ added: [], removed: ['BTC'] });
+      expect(manager.getPriceSubscriptions()).toEqual(['AAPL']);
+    });
+
+    it('should refuse price subscriptions from anonymous sockets', () => {
+      const manager = new SocketManager(createMockIo());
+      const socket = createMockSocket();
+      manager.io.connectionHandler(socket);
+
+      const ack = jest.fn();
+      handlerFor(socket, 'price:subscribe')({ symbols: ['AAPL'] }, ack);
+
+      expect(ack).toHaveBeenCalledWith({ symbols: [], error: 'Authentication required' });
+      expect(socket.join).not.toHaveBeenCalled();
+      expect(manager.getPriceSubscriptions()).toEqual([]);
+    });
+
+    it('should only add symbols the filter accepts, up to the total symbol cap', () => {
+      const manager = new SocketManager(createMockIo());
+      manager.setPriceSymbolFilter(symbol => symbol !== 'JUNK');
+
+      const ack = jest.fn();
+      for (let i = 0; i < 26; i++) {
+        const socket = authenticatedSocket(`socket-${i}`);
+        manager.io.connectionHandler(socket);
+        const symbols = Array.from({ length: 20 }, (_, n) => `S${i * 20 + n}`);
+        handlerFor(socket, 'price:subscribe')({ symbols: i === 0 ? ['JUNK', ...symbols] : symbols }, ack);
+      }
+
+      expect(ack.mock.calls[0][0].symbols).not.toContain('JUNK');
+      expect(manager.getPriceSubscriptions()).toHaveLength(500);
+      expect(ack).toHaveBeenLastCalledWith({ symbols: [] });
+    });
+
+    it('should emit price ticks to the symbol room', () => {
+      const manager = new SocketManager(createMockIo());
+
+      manager.emitPriceTick({ symbol: 'AAPL', price: '187.9' });
+
+      expect(manager.io.to).toHaveBeenCalledWith('price:AAPL');
+      expect(manager.io.roomEmit).toHaveBeenCalledWith('price:tick', { symbol: 'AAPL', price: '187.9' });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Symbol Registry Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { SymbolRegistryService } = await import('../../src/services/SymbolRegistryService.js');
+
+// In-memory stand-in with SymbolMappingRepository.bulkUpsert's merge semantics
+const createFakeRepository = () => {
+  const docs = new Map();
+  return {
+    docs,
+    count: jest.fn(async () => docs.size),
+    findAll: jest.fn(async () => [...docs.values()].map(doc => ({ ...doc, providers: { ...doc.providers } }))),
+    bulkUpsert: jest.fn(async (entries) => {
+      let upserted = 0;
+      let modified = 0;
+      for (const { symbol, assetType, name, providers = {}, rank, source, upsert = true } of entries) {
+        const key = `${symbol}:${assetType}`;
+        let doc = docs.get(key);
+        if (!doc) {
+          if (!upsert) continue;
+          doc = { symbol, assetType, providers: {}, rank: null, source };
+          docs.set(key, doc);
+          upserted++;
+        } else {
+          modified++;
+        }
+        Object.entries(providers).forEach(([provider, id]) => { if (id) doc.providers[provider] = id; });
+        if (name) doc.name = name;
+        if (rank !== undefined) doc.rank = rank;
+      }
+      return { upserted, modified };
+    }),
+  };
+};
+
+describe('SymbolRegistryService', () => {
+  let repository;
+  let coinGeckoClient;
+  let finnhubClient;
+  let registry;
+
+  beforeEach(async () => {
+    repository = createFakeRepository();
+    coinGeckoClient = {
+      getCoinList: jest.fn().mockResolvedValue([
+        { id: 'bitcoin', symbol: 'BTC', name: 'Bitcoin' },
+        { id: 'bitcoin-on-somechain', symbol: 'BTC', name: 'Bridged Bitcoin' },
+        { id: 'pepe', symbol: 'PEPE', name: 'Pepe' },
+        { id: 'pepe-copy', symbol: 'PEPE', name: 'Pepe Copy' },
+        { id: 'chainlink', symbol: 'LINK', name: 'Chainlink' },
+        { id: 'fake-a', symbol: 'DUP', name: 'Dup A' },
+        { id: 'fake-b', symbol: 'DUP', name: 'Dup B' },
+      ]),
+      getMarkets: jest.fn().mockResolvedValue({
+        assets: [{ coinId: 'pepe', symbol: 'PEPE', metadata: { rank: 30 } }],
+      }),
+    };
+    finnhubClient = {
+      getStockSymbols: jest.fn().mockResolvedValue([
+        { symbol: 'LINK', name: 'Interlink Electronics' },
+        { symbol: 'F', name: 'Ford Motor Co' },
+      ]),
+      getCryptoSymbols: jest.fn().mockResolvedValue([
+        { symbol: 'BINANCE:PEPEUSD', base: 'PEPE', quote: 'USD' },
+        { symbol: 'BINANCE:PEPEUSDT', base: 'PEPE', quote: 'USDT' },
+      ]),
+    };
+
+    registry = new SymbolRegistryService({ symbolMappingRepository: repository, coinGeckoClient, finnhubClient });
+    await registry.initialize();
+  });
+
+  it('should seed an empty registry once', async () => {
+    expect(registry.resolve('BTC')).toMatchObject({
+      assetType: 'crypto',
+      providers: { coingecko: 'bitcoin', finnhub: 'BINANCE:BTCUSDT' },
+      registered: true,
+    });
+
+    await registry.initialize();
+
+    expect(repository.bulkUpsert).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fall back to provider conventions for unregistered symbols', () => {
+    expect(registry.resolve('abcd')).toEqual({
+      symbol: 'ABCD',
+      assetType: 'stock',
+      name: null,
+      providers: { alpha_vantage: 'ABCD', finnhub: 'ABCD' },
+      registered: false,
+    });
+    expect(registry.getProviderId('EUR/JPY', 'exchangerate_api', { assetType: 'forex' })).toBe('EUR/JPY');
+    expect(registry.getProviderId('GBP', 'finnhub', { assetType: 'forex' })).toBe('OANDA:GBP_USD');
+    expect(registry.getProviderId('WIF', 'coingecko', { assetType: 'crypto' })).toBe('wif');
+  });
+
+  it('should import ranked and unambiguous coins without touching seeded ones', async () => {
+    const result = await registry.refresh();
+
+    expect(result.coingecko).toEqual({ entries: 2 });
+    expect(registry.getProviderId('PEPE', 'coingecko', { assetType: 'crypto' })).toBe('pepe');
+    expect(registry.getProviderId('LINK', 'coingecko', { assetType: 'crypto' })).toBe('chainlink');
+    expect(registry.resolve('DUP', { assetType: 'crypto' }).registered).toBe(false);
+    expect(repository.docs.get('BTC:crypto')).toMatchObject({ source: 'seed', providers: { coingecko: 'bitcoin' } });
+  });
+
+  it('should prefer USDT pairs for Finnhub crypto IDs', async () => {
+    await registry.refresh();
+
+    expect(registry.getProviderId('PEPE', 'finnhub', { assetType: 'crypto' })).toBe('BINANCE:PEPEUSDT');
+  });
+
+  it('should resolve a bare ticker to top coins before stocks and stocks before other coins', async () => {
+    await registry.refresh();
+
+    expect(registry.resolve('PEPE').assetType).toBe('crypto');
+    expect(registry.resolve('LINK').assetType).toBe('stock');
+    expect(registry.resolve('LINK', { assetType: 'crypto' }).providers.coingecko).toBe('chainlink');
+  });
+
+  it('should canonicalize CoinGecko IDs and map them back to symbols', async () => {
+    await registry.refresh();
+
+    expect(registry.canonicalize('bitcoin')).toBe('BTC');
+    expect(registry.canonicalize('CHAINLINK')).toBe('LINK');
+    expect(registry.canonicalize(' aapl ')).toBe('AAPL');
+    expect(registry.getSymbolForProviderId('coingecko', 'pepe')).toBe('PEPE');
+    expect(registry.getSymbolForProviderId('coingecko', 'unknown-coin')).toBe('UNKNOWN-COIN');
+    expect(registry.findSymbolForProviderId('coingecko', 'chainlink')).toBe('LINK');
+    expect(registry.findSymbolForProviderId('coingecko', 'fake-a')).toBeNull();
+  });
+
+  it('should keep the other provider when one import fails', async () => {
+    coinGeckoClient.getCoinList.mockRejectedValue(new Error('Service unavailable'));
+
+    const result = await registry.refresh();
+
+    expect(result.coingecko).toEqual({ error: 'Service unavailable' });
+    expect(result.finnhub).toEqual({ entries: 2, cryptoPairs: 1 });
+    expect(registry.resolve('F')).toMatchObject({ assetType: 'stock', name: 'Ford Motor Co', registered: true });
+    expect(registry.getStatus().lastRefresh).toMatchObject({ upserted: 2 });
+  });
+});
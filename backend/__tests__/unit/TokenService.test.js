@@ -0,0 +1,139 @@
+/**
+ * Token Service Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// In-memory stand-in for the ioredis commands TokenStore uses
+let redisClient = null;
+const createFakeRedis = () => {
+  const data = new Map();
+  return {
+    data,
+    setex: jest.fn(async (key, ttl, value) => { data.set(key, value); }),
+    exists: jest.fn(async (key) => (data.has(key) ? 1 : 0)),
+    del: jest.fn(async (key) => (data.delete(key) ? 1 : 0)),
+    // Mirrors ROTATE_SCRIPT
+    eval: jest.fn(async (script, numKeys, key, presented, next) => {
+      if (!data.has(key)) return 0;
+      if (data.get(key) === presented) {
+        data.set(key, next);
+        return 1;
+      }
+      data.delete(key);
+      return -1;
+    }),
+  };
+};
+
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  getRedisClient: () => redisClient,
+}));
+
+const { TokenStore } = await import('../../src/infrastructure/cache/TokenStore.js');
+const { TokenService } = await import('../../src/services/TokenService.js');
+
+const SECRET = 'test-secret';
+const user = { _id: 'user-1', email: 'a@b.co', role: 'user', permissions: [] };
+
+describe('TokenService', () => {
+  let tokenStore;
+  let tokenService;
+
+  beforeEach(() => {
+    redisClient = createFakeRedis();
+    tokenStore = new TokenStore();
+    tokenService = new TokenService({
+      tokenStore,
+      secret: SECRET,
+      accessExpiresIn: '15m',
+      refreshExpiresIn: '7d',
+    });
+  });
+
+  it('should issue a short-lived access token and a refresh token', async () => {
+    const tokens = await tokenService.issueTokens(user);
+
+    const access = jwt.verify(tokens.accessToken, SECRET);
+    const refresh = jwt.verify(tokens.refreshToken, SECRET);
+
+    expect(access).toMatchObject({ userId: 'user-1', role: 'user' });
+    expect(access.jti).toBeDefined();
+    expect(tokens.expiresIn).toBe(15 * 60);
+    expect(refresh).toMatchObject({ userId: 'user-1', type: 'refresh' });
+    expect(redisClient.data.get(`globalfi:auth:family:${refresh.fam}`)).toBe(refresh.jti);
+  });
+
+  it('should rotate a refresh token within the same family', async () => {
+    const first = await tokenService.issueTokens(user);
+    const payload = tokenService.verifyRefreshToken(first.refreshToken);
+
+    const second = await tokenService.rotateTokens(payload, user);
+    const nextPayload = jwt.decode(second.refreshToken);
+
+    expect(nextPayload.fam).toBe(payload.fam);
+    expect(nextPayload.jti).not.toBe(payload.jti);
+  });
+
+  it('should revoke the family when an old refresh token is replayed', async () => {
+    const first = await tokenService.issueTokens(user);
+    const oldPayload = tokenService.verifyRefreshToken(first.refreshToken);
+    const second = await tokenService.rotateTokens(oldPayload, user);
+
+    await expect(tokenService.rotateTokens(oldPayload, user)).rejects.toThrow('Refresh token reuse detected');
+
+    // The legitimate holder's newer token is now dead too
+    const currentPayload = tokenService.verifyRefreshToken(second.refreshToken);
+    await expect(tokenService.rotateTokens(currentPayload, user)).rejects.toThrow('Refresh token revoked');
+  });
+
+  it('should reject access tokens presented as refresh tokens', async () => {
+    const tokens = await tokenService.issueTokens(user);
+
+    expect(() => tokenService.verifyRefreshToken(tokens.accessToken)).toThrow('Invalid refresh token');
+  });
+
+  it('should denylist the access token and drop the refresh family on logout', async () => {
+    const tokens = await tokenService.issueTokens(user);
+    const access = jwt.decode(tokens.accessToken);
+    const refresh = jwt.decode(tokens.refreshToken);
+
+    const result = await tokenService.revokeSession(access, tokens.refreshToken);
+
+    expect(result).toEqual({ accessRevoked: true, refreshRevoked: true });
+    expect(await tokenStore.isAccessTokenRevoked(access.jti)).toBe(true);
+    expect(redisClient.data.has(`globalfi:auth:family:${refresh.fam}`)).toBe(false);
+  });
+
+  describe('without Redis', () => {
+    beforeEach(() => {
+      redisClient = null;
+    });
+
+    it('should still issue and rotate tokens', async () => {
+      const first = await tokenService.issueTokens(user);
+      const payload = tokenService.verifyRefreshToken(first.refreshToken);
+
+      const second = await tokenService.rotateTokens(payload, user);
+
+      expect(second.accessToken).toBeDefined();
+    });
+
+    it('should treat access tokens as not revoked', async () => {
+      expect(await tokenStore.isAccessTokenRevoked('some-jti')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Trade Stream Tests
+ *
+ * Runs FinnhubTradeStream against a local mock of Finnhub's trades websocket.
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import { WebSocketServer } from 'ws';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { FinnhubTradeStream } = await import('../../src/infrastructure/websocket/FinnhubTradeStream.js');
+const { TradeStreamService } = await import('../../src/services/TradeStreamService.js');
+
+// Speaks the subset of the Finnhub protocol the stream uses: subscribe/unsubscribe in, trade/ping out
+const createMockFinnhubServer = async () => {
+  const wss = new WebSocketServer({ port: 0 });
+  await new Promise(resolve => wss.once('listening', resolve));
+
+  const server = {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    connections: 0,
+    tokens: [],
+    received: [],
+    waiters: [],
+    sendTrades: (data) => {
+      wss.clients.forEach(client => client.send(JSON.stringify({ type: 'trade', data })));
+    },
+    // Abrupt drop, as on a network failure
+    dropClients: () => wss.clients.forEach(client => client.terminate()),
+    // Resolves once the server has received `count` messages in total
+    waitForMessages: (count) => new Promise(resolve => {
+      if (server.received.length >= count) return resolve(server.received);
+      server.waiters.push({ count, resolve });
+    }),
+    close: () => new Promise(resolve => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close(resolve);
+    }),
+  };
+
+  wss.on('connection', (socket, req) => {
+    server.connections++;
+    server.tokens.push(new URL(req.url, server.url).searchParams.get('token'));
+    socket.send(JSON.stringify({ type: 'ping' }));
+
+    socket.on('message', (raw) => {
+      server.received.push(JSON.parse(raw.toString()));
+      server.waiters = server.waiters.filter(({ count, resolve }) => {
+        if (server.received.length < count) return true;
+        resolve(server.received);
+        return false;
+      });
+    });
+  });
+
+  return server;
+};
+
+const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('FinnhubTradeStream', () => {
+  let server;
+  let stream;
+
+  beforeEach(async () => {
+    server = await createMockFinnhubServer();
+    stream = new FinnhubTradeStream({ url: server.url, apiKey: 'test-key', reconnectBaseMs: 10, reconnectMaxMs: 50 });
+  });
+
+  afterEach(async () => {
+    await stream.close();
+    await server.close();
+  });
+
+  it('should authenticate with the API key and send subscriptions made before connecting', async () => {
+    stream.subscribe('AAPL');
+    stream.subscribe('BINANCE:BTCUSDT');
+    stream.connect();
+
+    const received = await server.waitForMessages(2);
+
+    expect(server.tokens).toEqual(['test-key']);
+    expect(received).toEqual([
+      { type: 'subscribe', symbol: 'AAPL' },
+      { type: 'subscribe', symbol: 'BINANCE:BTCUSDT' },
+    ]);
+  });
+
+  it('should emit trade messages and ignore pings', async () => {
+    const onTrades = jest.fn();
+    stream.on('trades', onTrades);
+    stream.connect();
+    await once(stream, 'open');
+
+    server.sendTrades([{ s: 'AAPL', p: 187.3, v: 10, t: 1760000000000 }]);
+    await once(stream, 'trades');
+
+    expect(onTrades).toHaveBeenCalledTimes(1);
+    expect(onTrades).toHaveBeenCalledWith([{ s: 'AAPL', p: 187.3, v: 10, t: 1760000000000 }]);
+  });
+
+  it('should reconnect after a dropped connection and re-subscribe', async () => {
+    stream.subscribe('AAPL');
+    stream.connect();
+    await server.waitForMessages(1);
+
+    server.dropClients();
+    await once(stream, 'close');
+    await once(stream, 'open');
+    const received = await server.waitForMessages(2);
+
+    expect(server.connections).toBe(2);
+    expect(received[1]).toEqual({ type: 'subscribe', symbol: 'AAPL' });
+    expect(stream.getStatus()).toMatchObject({ connected: true, reconnectAttempts: 0 });
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    const delays = [0, 1, 2, 3, 4].map(attempts => {
+      stream.reconnectAttempts = attempts;
+      return stream._reconnectDelay();
+    });
+
+    expect(delays).toEqual([10, 20, 40, 50, 50]);
+    Math.random.mockRestore();
+  });
+
+  it('should not reconnect once closed', async () => {
+    stream.connect();
+    await once(stream, 'open');
+
+    await stream.close();
+
+    expect(stream.reconnectTimer).toBeNull();
+    expect(stream.isConnected()).toBe(false);
+  });
+});
+
+describe('TradeStreamService', () => {
+  let server;
+  let service;
+  let socketManager;
+  let subscriptionListener;
+
+  // Unregistered tickers resolve to themselves, as SymbolRegistryService does
+  const registry = {
+    resolve: (symbol) => {
+      const finnhub = { AAPL: 'AAPL', BTC: 'BINANCE:BTCUSDT', MSFT: 'MSFT' }[symbol];
+      return { symbol, providers: { finnhub: finnhub || symbol }, registered: Boolean(finnhub) };
+    },
+  };
+
+  beforeEach(async () => {
+    server = await createMockFinnhubServer();
+    socketManager = {
+      subscriptions: ['AAPL'],
+      getPriceSubscriptions: jest.fn(function () { return this.subscriptions; }),
+      onPriceSubscriptionChange: jest.fn((listener) => { subscriptionListener = listener; }),
+      setPriceSymbolFilter: jest.fn(),
+      emitPriceTick: jest.fn(),
+    };
+
+    service = new TradeStreamService({
+      tradeStream: new FinnhubTradeStream({ url: server.url, apiKey: 'test-key', reconnectBaseMs: 10 }),
+      socketManager,
+      symbolRegistryService: registry,
+      flushIntervalMs: 60000,
+      maxSymbols: 2,
+    });
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    await server.close();
+  });
+
+  it('should aggregate streamed trades into one price tick per symbol', async () => {
+    service.start();
+    await server.waitForMessages(1);
+
+    server.sendTrades([
+      { s: 'AAPL', p: 187.1, v: 5, t: 1760000000000 },
+      { s: 'AAPL', p: 187.9, v: 2, t: 1760000000400 },
+      { s: 'AAPL', p: 186.8, v: 3, t: 1760000000200 },
+      { s: 'TSLA', p: 250, v: 1, t: 1760000000100 },
+    ]);
+    await once(service.tradeStream, 'trades');
+    service.flush();
+
+    expect(socketManager.emitPriceTick).toHaveBeenCalledTimes(1);
+    expect(socketManager.emitPriceTick).toHaveBeenCalledWith({
+      symbol: 'AAPL',
+      providerSymbol: 'AAPL',
+      price: '187.9',
+      open: '187.1',
+      high: '187.9',
+      low: '186.8',
+      volume: 10,
+      trades: 3,
+      timestamp: new Date(1760000000400).toISOString(),
+      source: 'finnhub',
+    });
+
+    service.flush();
+    expect(socketManager.emitPriceTick).toHaveBeenCalledTimes(1);
+  });
+
+  it('should follow client subscriptions using the registry Finnhub symbol', async () => {
+    service.start();
+    await server.waitForMessages(1);
+
+    socketManager.subscriptions = ['BTC'];
+    subscriptionListener({ added: ['BTC'], removed: ['AAPL'] });
+    const received = await server.waitForMessages(3);
+
+    expect(received).toEqual([
+      { type: 'subscribe', symbol: 'AAPL' },
+      { type: 'subscribe', symbol: 'BINANCE:BTCUSDT' },
+      { type: 'unsubscribe', symbol: 'AAPL' },
+    ]);
+    expect(service.getStatus().symbols).toEqual(['BTC']);
+  });
+
+  it('should cap streamed symbols and hand freed slots to waiting subscriptions', () => {
+    socketManager.subscriptions = ['AAPL', 'BTC', 'MSFT'];
+    service.start();
+
+    expect(service.getStatus().symbols).toEqual(['AAPL', 'BTC']);
+
+    socketManager.subscriptions = ['BTC', 'MSFT'];
+    subscriptionListener({ added: [], removed: ['AAPL'] });
+
+    expect(service.getStatus().symbols).toEqual(['BTC', 'MSFT']);
+  });
+
+  it('should not stream symbols the registry does not know', () => {
+    socketManager.subscriptions = ['NOTAREALTICKER', 'AAPL'];
+    service.start();
+
+    expect(service.getStatus().symbols).toEqual(['AAPL']);
+    const [filter] = socketManager.setPriceSymbolFilter.mock.calls[0];
+    expect(filter('NOTAREALTICKER')).toBe(false);
+    expect(filter('BTC')).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * User Service Tests
+ *
+ * Registration never grants admin; only an operator promotes an existing account
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { UserService } = await import('../../src/services/UserService.js');
+
+const createRepository = (users = []) => ({
+  users,
+  emailExists: jest.fn(async email => users.some(user => user.email === email)),
+  findByEmail: jest.fn(async email => users.find(user => user.email === email.toLowerCase()) ?? null),
+  create: jest.fn(async (data) => {
+    const user = { _id: `u${users.length + 1}`, ...data };
+    users.push(user);
+    return user;
+  }),
+  update: jest.fn(async (id, data) => Object.assign(users.find(user => user._id === id), data)),
+  delete: jest.fn(async id => users.find(user => user._id === id) ?? null),
+});
+
+describe('UserService', () => {
+  describe('createUser', () => {
+    it('should always register a plain user, even with no admin and a role in the payload', async () => {
+      const userRepository = createRepository();
+      const service = new UserService({ userRepository });
+
+      const user = await service.createUser({ email: 'admin@example.com', password: 'secret123', role: 'admin' });
+
+      expect(user.role).toBe('user');
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('user-scoped cache', () => {
+    it.each([
+      ['updateUser', service => service.updateUser('u1', { preferences: { defaultCurrency: 'EUR' } })],
+      ['deleteUser', service => service.deleteUser('u1')],
+    ])('should invalidate the user:<id> tag on %s', async (method, run) => {
+      const cache = { invalidate: jest.fn().mockResolvedValue({ matched: 1, deleted: 1, dryRun: false }) };
+      const service = new UserService({ userRepository: createRepository([{ _id: 'u1', email: 'a@example.com' }]), cache });
+
+      await run(service);
+
+      expect(cache.invalidate).toHaveBeenCalledWith({ tag: 'user:u1' });
+    });
+
+    it('should not fail the update when the cache is unavailable', async () => {
+      const cache = { invalidate: jest.fn().mockRejectedValue(new Error('Redis down')) };
+      const service = new UserService({ userRepository: createRepository([{ _id: 'u1', email: 'a@example.com' }]), cache });
+
+      await expect(service.updateUser('u1', { firstName: 'Ada' })).resolves.toMatchObject({ firstName: 'Ada' });
+    });
+  });
+
+  describe('promoteToAdmin', () => {
+    it('should promote an existing account', async () => {
+      const userRepository = createRepository([{ _id: 'u1', email: 'ops@example.com', role: 'user', isActive: true }]);
+      const service = new UserService({ userRepository });
+
+      const admin = await service.promoteToAdmin('OPS@example.com');
+
+      expect(admin).toMatchObject({ _id: 'u1', role: 'admin' });
+      expect(userRepository.update).toHaveBeenCalledWith('u1', { role: 'admin', isActive: true });
+    });
+
+    it('should refuse an email with no account instead of creating one', async () => {
+      const userRepository = createRepository();
+      const service = new UserService({ userRepository });
+
+      await expect(service.promoteToAdmin('nobody@example.com')).rejects.toThrow('User not found');
+      expect(userRepository.create).not.toHaveBeenCalled();
+      expect(userRepository.update).not.toHaveBeenCalled();
+    });
+  });
+});
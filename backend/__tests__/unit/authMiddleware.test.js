@@ -0,0 +1,231 @@
+/**
+ * Auth Middleware Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+
+// Denylisted jti values, as TokenStore reads them from Redis
+const revoked = new Set();
+jest.unstable_mockModule('../../src/config/redis.js', () => ({
+  getRedisClient: () => ({
+    exists: async key => (revoked.has(key.split(':').pop()) ? 1 : 0),
+  }),
+}));
+
+const { config } = await import('../../src/config/environment.js');
+const {
+  requireAuth,
+  requireRole,
+  requirePermission,
+  requireAuthOrApiKey,
+  optionalApiKey,
+  registerApiKeyAuthenticator,
+  identifyCaller,
+} = await import('../../src/middleware/authMiddleware.js');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = (middleware, req) => {
+  const res = createRes();
+  const next = jest.fn();
+  const result = middleware({ headers: {}, requestId: 'req-1', ...req }, res, next);
+  return { res, next, done: Promise.resolve(result) };
+};
+
+describe('authMiddleware', () => {
+  describe('requireAuth', () => {
+    it('should attach role claims from the token', async () => {
+      const token = jwt.sign({ userId: 'u1', email: 'a@b.co', role: 'admin', permissions: [] }, config.security.jwtSecret);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toMatchObject({ userId: 'u1', role: 'admin' });
+    });
+
+    it('should reject refresh tokens', async () => {
+      const token = jwt.sign({ userId: 'u1', type: 'refresh', fam: 'f1' }, config.security.jwtSecret);
+      const res = createRes();
+      const next = jest.fn();
+
+      await requireAuth({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('requireRole', () => {
+    it('should allow users with a matching role', () => {
+      const { next } = run(requireRole('admin'), { user: { userId: 'u1', role: 'admin' } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject other roles with 403', () => {
+      const { res, next } = run(requireRole('admin'), { user: { userId: 'u1', role: 'user' } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'E1011' }),
+      }));
+    });
+
+    it('should treat tokens without a role claim as plain users', () => {
+      const { next: adminNext } = run(requireRole('admin'), { user: { userId: 'u1' } });
+      const { next: userNext } = run(requireRole('user'), { user: { userId: 'u1' } });
+
+      expect(adminNext).not.toHaveBeenCalled();
+      expect(userNext).toHaveBeenCalled();
+    });
+
+    it('should respond 401 when no user is attached', () => {
+      const { res } = run(requireRole('admin'), {});
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should allow users holding the permission', () => {
+      const { next } = run(requirePermission('assets:write'), {
+        user: { userId: 'u1', role: 'user', permissions: ['assets:write'] },
+      });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should allow admins without an explicit grant', () => {
+      const { next } = run(requirePermission('assets:write'), { user: { userId: 'u1', role: 'admin' } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject users missing the permission', () => {
+      const { res } = run(requirePermission('assets:write'), { user: { userId: 'u1', role: 'user', permissions: [] } });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('API keys', () => {
+    const principal = { userId: 'u1', authMethod: 'api_key', apiKeyId: 'k1', scopes: ['alerts:read'] };
+
+    beforeEach(() => {
+      registerApiKeyAuthenticator(async (rawKey) => (rawKey === 'gfu_valid' ? principal : null));
+    });
+
+    it('should accept a key holding the required scope', async () => {
+      const req = { headers: { 'x-api-key': 'gfu_valid' } };
+      const { next, done } = run(requireAuthOrApiKey('alerts:read'), req);
+      await done;
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject a key without the required scope', async () => {
+      const { res, next, done } = run(requireAuthOrApiKey('alerts:write'), { headers: { 'x-api-key': 'gfu_valid' } });
+      await done;
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject unknown keys', async () => {
+      const { res, done } = run(requireAuthOrApiKey('alerts:read'), { headers: { 'x-api-key': 'gfu_bogus' } });
+      await done;
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should require some credential', async () => {
+      const { res } = run(requireAuthOrApiKey('alerts:read'), {});
+
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should let anonymous requests through optionalApiKey', () => {
+      const { next } = run(optionalApiKey('market:read'), {});
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should keep API keys out of role-guarded routes', () => {
+      const { res } = run(requireRole('admin'), { user: principal });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('identifyCaller', () => {
+    it('should identify JWT callers with their plan', async () => {
+      const token = jwt.sign({ userId: 'u1', plan: 'pro' }, config.security.jwtSecret);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+
+      await identifyCaller(req, createRes(), next);
+
+      expect(req.caller).toEqual({ type: 'user', id: 'u1', plan: 'pro' });
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should identify API keys once and reuse the lookup', async () => {
+      const authenticate = jest.fn(async () => ({ userId: 'u1', plan: 'free', apiKeyId: 'k1', scopes: ['market:read'] }));
+      registerApiKeyAuthenticator(authenticate);
+      const req = { headers: { 'x-api-key': 'gfu_valid' }, path: '/v1/financial/live' };
+
+      await identifyCaller(req, createRes(), jest.fn());
+      await optionalApiKey('market:read')(req, createRes(), jest.fn());
+
+      expect(req.caller).toEqual({ type: 'api_key', id: 'k1', plan: 'free' });
+      expect(authenticate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not look keys up on routes that do not accept them', async () => {
+      const authenticate = jest.fn(async () => ({ userId: 'u1', plan: 'pro', apiKeyId: 'k1', scopes: ['market:read'] }));
+      registerApiKeyAuthenticator(authenticate);
+      const req = { headers: { 'x-api-key': 'gfu_valid' }, path: '/v1/watchlists' };
+      const next = jest.fn();
+
+      await identifyCaller(req, createRes(), next);
+
+      expect(req.caller).toBeNull();
+      expect(authenticate).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should leave revoked tokens unidentified so they lose their plan budget', async () => {
+      revoked.add('jti-revoked');
+      const token = jwt.sign({ userId: 'u1', plan: 'pro', jti: 'jti-revoked' }, config.security.jwtSecret);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+
+      await identifyCaller(req, createRes(), next);
+
+      expect(req.caller).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should leave bad credentials unidentified without blocking', async () => {
+      const req = { headers: { authorization: 'Bearer not-a-jwt' } };
+      const next = jest.fn();
+
+      await identifyCaller(req, createRes(), next);
+
+      expect(req.caller).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Ownership Tests
+ *
+ * Watchlists, alerts and user accounts are scoped to the authenticated caller
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+// In-memory stand-in for a Mongoose model - applies the same filters the repositories send to MongoDB
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+  key === '$or' ? value.some(branch => matches(doc, branch)) : String(doc[key]) === String(value)
+));
+
+const createModel = () => {
+  const docs = [];
+  const query = result => ({
+    populate: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  });
+
+  return {
+    docs,
+    findOne: jest.fn(filter => query(docs.find(doc => matches(doc, filter)) ?? null)),
+    findOneAndUpdate: jest.fn(async (filter, { $set }) => {
+      const doc = docs.find(item => matches(item, filter));
+      return doc ? Object.assign(doc, $set) : null;
+    }),
+    findOneAndDelete: jest.fn(async (filter) => {
+      const index = docs.findIndex(doc => matches(doc, filter));
+      return index === -1 ? null : docs.splice(index, 1)[0];
+    }),
+    countDocuments: jest.fn(async () => 0),
+  };
+};
+
+const mockWatchlist = createModel();
+const mockAlert = createModel();
+
+jest.unstable_mockModule('../../src/models/index.js', () => ({
+  Watchlist: mockWatchlist,
+  Alert: mockAlert,
+}));
+
+const { WatchlistRepository } = await import('../../src/infrastructure/repositories/WatchlistRepository.js');
+const { AlertRepository } = await import('../../src/infrastructure/repositories/AlertRepository.js');
+const { WatchlistService } = await import('../../src/services/WatchlistService.js');
+const { AlertService } = await import('../../src/services/AlertService.js');
+const { WatchlistController } = await import('../../src/controllers/WatchlistController.js');
+const { AlertController } = await import('../../src/controllers/AlertController.js');
+const { UserController } = await import('../../src/controllers/UserController.js');
+const { validateRequest } = await import('../../src/middleware/validateRequest.js');
+const { createWatchlistSchema, updateWatchlistSchema } = await import('../../src/validators/watchlistSchemas.js');
+const { createAlertSchema, updateAlertSchema } = await import('../../src/validators/alertSchemas.js');
+
+const OWNER = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const OTHER = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const PRIVATE_ID = '111111111111111111111111';
+const PUBLIC_ID = '222222222222222222222222';
+const ALERT_ID = '333333333333333333333333';
+
+const symbolRegistryService = {
+  canonicalize: symbol => symbol.toUpperCase(),
+  resolve: () => ({ assetType: 'stock' }),
+};
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const call = async (controller, method, req) => {
+  const res = createRes();
+  const next = jest.fn();
+  await controller[method]({ requestId: 'req-1', params: {}, body: {}, query: {}, ...req }, res, next);
+  return { res, next, status: res.status.mock.calls[0]?.[0], body: res.json.mock.calls[0]?.[0] };
+};
+
+describe('ownership', () => {
+  let watchlists;
+  let alerts;
+
+  beforeEach(() => {
+    mockWatchlist.docs.splice(0, mockWatchlist.docs.length,
+      { _id: PRIVATE_ID, userId: OWNER, name: 'Private', isPublic: false, assets: [] },
+      { _id: PUBLIC_ID, userId: OWNER, name: 'Shared', isPublic: true, assets: [] });
+    mockAlert.docs.splice(0, mockAlert.docs.length,
+      { _id: ALERT_ID, userId: OWNER, symbol: 'AAPL', condition: 'above', targetPrice: 200, isActive: true });
+
+    watchlists = new WatchlistController({
+      watchlistService: new WatchlistService({
+        watchlistRepository: new WatchlistRepository(),
+        financialAssetRepository: { findBySymbols: async () => [] },
+        symbolRegistryService,
+      }),
+      currencyConversionService: {
+        resolveTarget: async () => null,
+        convertRecords: async (target, records) => ({ records, conversion: null }),
+      },
+    });
+    alerts = new AlertController({
+      alertService: new AlertService({ alertRepository: new AlertRepository(), symbolRegistryService }),
+    });
+  });
+
+  describe('watchlists', () => {
+    it('should let the owner read, update and delete their watchlist', async () => {
+      const user = { userId: OWNER };
+
+      expect((await call(watchlists, 'getWatchlist', { user, params: { id: PRIVATE_ID } })).status).toBe(200);
+      expect((await call(watchlists, 'updateWatchlist', {
+        user, params: { id: PRIVATE_ID }, body: { description: 'Mine' },
+      })).status).toBe(200);
+      expect((await call(watchlists, 'deleteWatchlist', { user, params: { id: PRIVATE_ID } })).status).toBe(200);
+      expect(mockWatchlist.docs.map(doc => doc._id)).toEqual([PUBLIC_ID]);
+    });
+
+    it.each([
+      ['getWatchlist', {}],
+      ['updateWatchlist', { body: { description: 'Taken over' } }],
+      ['deleteWatchlist', {}],
+    ])('should report another user\'s private watchlist as not found on %s', async (method, extra) => {
+      const { status, body, next } = await call(watchlists, method, {
+        user: { userId: OTHER }, params: { id: PRIVATE_ID }, ...extra,
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(status).toBe(404);
+      expect(body.error).toEqual({ code: 'E3001', message: 'Watchlist not found' });
+      const watchlist = mockWatchlist.docs.find(doc => doc._id === PRIVATE_ID);
+      expect(watchlist).toMatchObject({ userId: OWNER });
+      expect(watchlist).not.toHaveProperty('description');
+    });
+
+    it('should let anyone read a public watchlist but only the owner change it', async () => {
+      const user = { userId: OTHER };
+
+      const read = await call(watchlists, 'getWatchlist', { user, params: { id: PUBLIC_ID } });
+      expect(read.status).toBe(200);
+      expect(read.body.watchlist).toMatchObject({ _id: PUBLIC_ID, name: 'Shared' });
+
+      const update = await call(watchlists, 'updateWatchlist', { user, params: { id: PUBLIC_ID }, body: { name: 'Mine now' } });
+      const remove = await call(watchlists, 'deleteWatchlist', { user, params: { id: PUBLIC_ID } });
+
+      expect(update.status).toBe(404);
+      expect(remove.status).toBe(404);
+      expect(mockWatchlist.docs.find(doc => doc._id === PUBLIC_ID)).toMatchObject({ userId: OWNER, name: 'Shared' });
+    });
+  });
+
+  describe('alerts', () => {
+    it('should let the owner read, update and delete their alert', async () => {
+      const user = { userId: OWNER };
+
+      expect((await call(alerts, 'getAlert', { user, params: { id: ALERT_ID } })).status).toBe(200);
+      expect((await call(alerts, 'updateAlert', { user, params: { id: ALERT_ID }, body: { targetPrice: 210 } })).status).toBe(200);
+      expect((await call(alerts, 'deleteAlert', { user, params: { id: ALERT_ID } })).status).toBe(200);
+      expect(mockAlert.docs).toHaveLength(0);
+    });
+
+    it.each([
+      ['getAlert', {}],
+      ['updateAlert', { body: { targetPrice: 1 } }],
+      ['deleteAlert', {}],
+    ])('should report another user\'s alert as not found on %s', async (method, extra) => {
+      const { status, body, next } = await call(alerts, method, {
+        user: { userId: OTHER }, params: { id: ALERT_ID }, ...extra,
+      });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(status).toBe(404);
+      expect(body.error).toEqual({ code: 'E4001', message: 'Alert not found' });
+      expect(mockAlert.docs[0]).toMatchObject({ userId: OWNER, targetPrice: 200 });
+    });
+  });
+
+  describe('userId in request bodies', () => {
+    const validate = (schema, req) => {
+      const next = jest.fn();
+      const res = createRes();
+      validateRequest(schema)(req, res, next);
+      expect(next).toHaveBeenCalled();
+      return req.body;
+    };
+
+    it.each([
+      ['createWatchlistSchema', createWatchlistSchema, { name: 'Tech' }, {}],
+      ['updateWatchlistSchema', updateWatchlistSchema, { name: 'Tech' }, { id: PRIVATE_ID }],
+      ['createAlertSchema', createAlertSchema, { symbol: 'aapl', condition: 'above', targetPrice: 200 }, {}],
+      ['updateAlertSchema', updateAlertSchema, { targetPrice: 210 }, { id: ALERT_ID }],
+    ])('should strip userId in %s', (name, schema, body, params) => {
+      const validated = validate(schema, { body: { ...body, userId: OTHER }, params, query: {} });
+
+      expect(validated).not.toHaveProperty('userId');
+    });
+
+    it('should create watchlists and alerts for the authenticated user', async () => {
+      const watchlistService = { createWatchlist: jest.fn(async data => data) };
+      const alertService = { createAlert: jest.fn(async data => data) };
+      const user = { userId: OWNER };
+
+      await call(new WatchlistController({ watchlistService }), 'createWatchlist', {
+        user, body: { name: 'Tech', userId: OTHER },
+      });
+      await call(new AlertController({ alertService }), 'createAlert', {
+        user, body: { symbol: 'AAPL', condition: 'above', targetPrice: 200, userId: OTHER },
+      });
+
+      expect(watchlistService.createWatchlist).toHaveBeenCalledWith(expect.objectContaining({ userId: OWNER }));
+      expect(alertService.createAlert).toHaveBeenCalledWith(expect.objectContaining({ userId: OWNER }));
+    });
+
+    it('should never move a watchlist or alert to another owner through an update', async () => {
+      const user = { userId: OWNER };
+      const watchlistBody = validate(updateWatchlistSchema, {
+        body: { name: 'Renamed', userId: OTHER }, params: { id: PRIVATE_ID }, query: {},
+      });
+      const alertBody = validate(updateAlertSchema, {
+        body: { targetPrice: 210, userId: OTHER }, params: { id: ALERT_ID }, query: {},
+      });
+
+      await call(watchlists, 'updateWatchlist', { user, params: { id: PRIVATE_ID }, body: watchlistBody });
+      await call(alerts, 'updateAlert', { user, params: { id: ALERT_ID }, body: alertBody });
+
+      expect(mockWatchlist.docs.find(doc => doc._id === PRIVATE_ID)).toMatchObject({ userId: OWNER, name: 'Renamed' });
+      expect(mockAlert.docs[0]).toMatchObject({ userId: OWNER, targetPrice: 210 });
+    });
+  });
+
+  describe('UserController', () => {
+    let userService;
+    let users;
+
+    beforeEach(() => {
+      userService = {
+        getUser: jest.fn(async id => ({ _id: id })),
+        updateUser: jest.fn(async (id, data) => ({ _id: id, ...data })),
+        deleteUser: jest.fn(async () => true),
+      };
+      users = new UserController({ userService });
+    });
+
+    it.each([
+      ['getUser', {}],
+      ['updateUser', { body: { firstName: 'Mallory' } }],
+      ['patchUser', { body: { firstName: 'Mallory' } }],
+      ['deleteUser', {}],
+    ])('should refuse another user\'s account with 403 on %s', async (method, extra) => {
+      const { status, body } = await call(users, method, {
+        user: { userId: OTHER, role: 'user' }, params: { id: OWNER }, ...extra,
+      });
+
+      expect(status).toBe(403);
+      expect(body.error.code).toBe('E1011');
+      expect(userService.getUser).not.toHaveBeenCalled();
+      expect(userService.updateUser).not.toHaveBeenCalled();
+      expect(userService.deleteUser).not.toHaveBeenCalled();
+    });
+
+    it('should let users access their own account and admins any account', async () => {
+      const own = await call(users, 'getUser', { user: { userId: OWNER, role: 'user' }, params: { id: OWNER } });
+      const admin = await call(users, 'deleteUser', { user: { userId: OTHER, role: 'admin' }, params: { id: OWNER } });
+
+      expect(own.body.user).toEqual({ _id: OWNER });
+      expect(admin.body.message).toBe('User deleted successfully');
+      expect(userService.deleteUser).toHaveBeenCalledWith(OWNER);
+    });
+  });
+});
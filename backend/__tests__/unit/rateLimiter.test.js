@@ -0,0 +1,85 @@
+/**
+ * Rate Limiter Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+// Mock logger to prevent real config/winston initialization during tests
+jest.unstable_mockModule('../../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { config } = await import('../../src/config/environment.js');
+const { getRateLimitStatus, refreshRateLimiter, RATE_LIMIT_PLANS } = await import('../../src/middleware/rateLimiter.js');
+
+describe('getRateLimitStatus', () => {
+  it('should report the anonymous per-IP budget', async () => {
+    const status = await getRateLimitStatus({ ip: '10.0.0.1', caller: null });
+
+    expect(status.caller).toEqual({ type: 'anonymous', plan: null });
+    expect(status.limits.global).toMatchObject({
+      limit: config.security.rateLimitMaxRequests,
+      used: 0,
+      remaining: config.security.rateLimitMaxRequests,
+    });
+  });
+
+  it('should select limits from the caller plan', async () => {
+    const status = await getRateLimitStatus({ ip: '10.0.0.1', caller: { type: 'user', id: 'u1', plan: 'pro' } });
+
+    expect(status.caller).toEqual({ type: 'user', plan: 'pro' });
+    expect(status.limits.global.limit).toBe(RATE_LIMIT_PLANS.pro.requests);
+    expect(status.limits.authenticated.limit).toBe(RATE_LIMIT_PLANS.pro.requests);
+    expect(status.limits.ai.limit).toBe(RATE_LIMIT_PLANS.pro.ai);
+  });
+
+  it('should treat unknown plans as free', async () => {
+    const status = await getRateLimitStatus({ ip: '10.0.0.1', caller: { type: 'api_key', id: 'k1', plan: 'legacy' } });
+
+    expect(status.limits.ai.limit).toBe(RATE_LIMIT_PLANS.free.ai);
+  });
+});
+
+describe('refreshRateLimiter', () => {
+  const refreshToken = (fam, secret = config.security.jwtSecret) => jwt.sign({ userId: 'u1', type: 'refresh', fam }, secret);
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.post('/refresh', refreshRateLimiter, (req, res) => res.json({ ok: true }));
+  });
+
+  const refresh = token => request(app).post('/refresh').send({ refreshToken: token });
+
+  it('should give each session from an IP its own budget', async () => {
+    const session = refreshToken('family-a');
+
+    for (let i = 0; i < 10; i++) {
+      await refresh(session).expect(200);
+    }
+
+    const { body } = await refresh(session).expect(429);
+    expect(body.error.code).toBe('E1013');
+    await refresh(refreshToken('family-b')).expect(200);
+  });
+
+  it('should put forged and malformed tokens in one bucket per IP', async () => {
+    for (let i = 0; i < 5; i++) {
+      await refresh(refreshToken(`forged-${i}`, 'not-the-secret')).expect(200);
+      await refresh('not-a-jwt').expect(200);
+    }
+
+    await refresh(refreshToken('forged-new', 'not-the-secret')).expect(429);
+  });
+});
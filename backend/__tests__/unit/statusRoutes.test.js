@@ -0,0 +1,57 @@
+/**
+ * Status Routes Tests
+ *
+ * @jest-environment node
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+const { config } = await import('../../src/config/environment.js');
+const { StatusController } = await import('../../src/controllers/StatusController.js');
+const { createStatusRoutes } = await import('../../src/routes/statusRoutes.js');
+
+const bearer = role => `Bearer ${jwt.sign({ userId: `${role}-1`, role, permissions: [] }, config.security.jwtSecret)}`;
+
+describe('status routes', () => {
+  let client;
+  let app;
+
+  beforeEach(() => {
+    client = {
+      getCircuitBreakerStatus: jest.fn(() => ({ name: 'finnhub', state: 'CLOSED' })),
+      getQuotaStatus: jest.fn(async () => ({ provider: 'finnhub', minute: { used: 3, limit: 60 } })),
+    };
+    const controller = new StatusController({
+      apiClients: [client],
+      getRateLimitStatus: async req => ({ caller: req.user ? `user:${req.user.userId}` : 'ip:test', limits: {} }),
+    });
+
+    app = express();
+    app.use('/status', createStatusRoutes(controller));
+  });
+
+  it('should only show circuit breakers to admins', async () => {
+    await request(app).get('/status/circuit-breakers').expect(401);
+    await request(app).get('/status/circuit-breakers').set('Authorization', bearer('user')).expect(403);
+
+    const { body } = await request(app).get('/status/circuit-breakers').set('Authorization', bearer('admin')).expect(200);
+    expect(body.circuitBreakers).toEqual([{ name: 'finnhub', state: 'CLOSED' }]);
+  });
+
+  it('should show callers their own budget but provider quotas only to admins', async () => {
+    const anonymous = await request(app).get('/status/rate-limits').expect(200);
+    const user = await request(app).get('/status/rate-limits').set('Authorization', bearer('user')).expect(200);
+
+    expect(anonymous.body).toMatchObject({ caller: 'ip:test', limits: {} });
+    expect(user.body.caller).toBe('user:user-1');
+    expect(anonymous.body).not.toHaveProperty('rateLimits');
+    expect(user.body).not.toHaveProperty('rateLimits');
+    expect(client.getQuotaStatus).not.toHaveBeenCalled();
+
+    const admin = await request(app).get('/status/rate-limits').set('Authorization', bearer('admin')).expect(200);
+    expect(admin.body.rateLimits).toEqual({ finnhub: { provider: 'finnhub', minute: { used: 3, limit: 60 } } });
+  });
+});
@@ -26,7 +26,7 @@
  *
  * Graceful Shutdown:
  * On SIGTERM/SIGINT, connections close in reverse order:
- * HTTP → Socket.io → AI job queue → MongoDB → Redis → RabbitMQ
+ * HTTP → Alert monitor/trade stream → Socket.io → AI job queue → MongoDB → Redis → RabbitMQ
  * Force-exits after 15 seconds if graceful shutdown stalls.
  *
  * @module server
@@ -55,12 +55,13 @@ import { createApp, setupRoutes } from './src/app.js';  // ← imported from src
  *
  * Shutdown Order:
  * 1. Await server.close() — drain active HTTP keep-alive connections first
- * 2. Close Socket.io connections
- * 3. Close AI job queue (RabbitMQ consumer)
- * 4. Close MongoDB connection
- * 5. Close Redis connection
- * 6. Close RabbitMQ connection
- * 7. Flush Winston logger buffers
+ * 2. Stop the background alert monitor, cache warmer, economic updates and trade stream
+ * 3. Close Socket.io connections
+ * 4. Close AI job queue (RabbitMQ consumer)
+ * 5. Close MongoDB connection
+ * 6. Close Redis connection
+ * 7. Close RabbitMQ connection
+ * 8. Flush Winston logger buffers
  *
  * Safety: Force-exits after 15 seconds if graceful shutdown stalls.
  * Uses `isShuttingDown` flag to prevent duplicate shutdown attempts.
@@ -90,22 +91,29 @@ const setupGracefulShutdown = (server, container) => {
             await new Promise((resolve) => server.close(resolve));
             safeLog('info', 'HTTP server closed');
 
-            // 1. Socket.io — stop WebSocket connections
+            // 1. Background jobs — stop scheduling price checks and cache warm-ups against MongoDB
+            container.stopAlertMonitor();
+            container.stopCacheWarmer();
+            container.stopEconomicUpdates();
+            await container.stopTradeStream();
+            safeLog('info', 'Background jobs and trade stream stopped');
+
+            // 2. Socket.io — stop WebSocket connections
             const socketManager = container.getSocketManager();
             if (socketManager) {
                 await socketManager.close();
                 safeLog('info', 'Socket.io closed');
             }
 
-            // 2. AI job queue — stop consuming RabbitMQ messages
+            // 3. AI job queue — stop consuming RabbitMQ messages
             await container.closeAIJobQueue();
             safeLog('info', 'AI job queue closed');
 
-            // 3. MongoDB — close connection pool
+            // 4. MongoDB — close connection pool
             await closeDatabaseConnection();
             safeLog('info', 'MongoDB connection closed');
 
-            // 4. Redis — close connection (may already be disconnected)
+            // 5. Redis — close connection (may already be disconnected)
             try {
                 await closeRedisConnection();
                 safeLog('info', 'Redis connection closed');
@@ -113,11 +121,11 @@ const setupGracefulShutdown = (server, container) => {
                 safeLog('warn', 'Redis already disconnected or not available');
             }
 
-            // 5. RabbitMQ — close AMQP connection
+            // 6. RabbitMQ — close AMQP connection
             await closeRabbitMQConnection();
             safeLog('info', 'RabbitMQ connection closed');
 
-            // 6. Flush logger — ensure all log entries are written to disk
+            // 7. Flush logger — ensure all log entries are written to disk
             await flushLogger();
             console.log('Graceful shutdown complete');
 
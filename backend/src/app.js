@@ -16,10 +16,11 @@
  * 5. `requestIdMiddleware`  — Attach X-Request-Id to every request
  * 6. `requestLogger`     — Log request details on response finish
  * 7. API version header  — X-API-Version: 1.0.0
- * 8. `globalRateLimiter` — 100 req/15min on /api prefix
- * 9. Routes             — All API routes mounted under /api/v1/
- * 10. `notFoundHandler`  — 404 for unmatched routes
- * 11. `errorHandler`     — Centralized error handler
+ * 8. `identifyCaller`    — Resolve JWT / API key caller + plan for rate limiting
+ * 9. `globalRateLimiter` — 100 req/15min per IP (plan budget if identified) on /api prefix
+ * 10. Routes            — All API routes mounted under /api/v1/
+ * 11. `notFoundHandler`  — 404 for unmatched routes
+ * 12. `errorHandler`     — Centralized error handler
  *
  * @module app
  */
@@ -28,6 +29,7 @@ import express from 'express';
 import { logger } from './config/index.js';
 import {
     requestIdMiddleware,
+    identifyCaller,
     globalRateLimiter,
     errorHandler,
     notFoundHandler,
@@ -44,6 +46,9 @@ import {
     createWatchlistRoutes,
     createAlertRoutes,
     createAssetRoutes,
+    createEconomicRoutes,
+    createForexRoutes,
+    createApiKeyRoutes,
 } from './routes/index.js';
 import { createAIRoutes } from './routes/aiRoutes.js';
 
@@ -80,8 +85,9 @@ export const createApp = () => {
     });
 
     // ─── Rate Limiting ───────────────────────────────────────────────
-    // Global rate limit: 100 requests per 15 minutes, applied to all /api/** routes
-    app.use('/api', globalRateLimiter);
+    // Identify the caller first so every limiter can key on user/API key and pick the plan budget
+    // Global rate limit: 100 requests per 15 minutes for anonymous callers, applied to all /api/** routes
+    app.use('/api', identifyCaller, globalRateLimiter);
 
     // ─── Root Route ──────────────────────────────────────────────────
     app.get('/', (req, res) => {
@@ -93,6 +99,8 @@ export const createApp = () => {
                 health:    '/api/v1/health/health',
                 readiness: '/api/v1/health/readiness',
                 financial: '/api/v1/financial',
+                economic:  '/api/v1/economic',
+                forex:     '/api/v1/forex',
                 ai:        '/api/v1/ai',
             },
         });
@@ -116,6 +124,9 @@ export const createApp = () => {
  * | /api/v1/watchlists   | WatchlistController   | authenticatedUser|
  * | /api/v1/alerts       | AlertController       | authenticatedUser|
  * | /api/v1/assets       | AssetController       | authenticatedUser|
+ * | /api/v1/economic     | EconomicController    | globalRateLimiter|
+ * | /api/v1/forex        | ForexController       | globalRateLimiter|
+ * | /api/v1/api-keys     | ApiKeyController      | authenticatedUser|
  * | /api/v1/ai           | AIController (opt.)   | aiRateLimiter    |
  * ─────────────────────────────────────────────────────────────────
  *
@@ -130,12 +141,15 @@ export const setupRoutes = (app, container) => {
     app.use('/api/v1/financial', createFinancialRoutes(container.get('financialController')));
     app.use('/api/v1/admin', createAdminRoutes(container.get('adminController')));
     app.use('/api/v1/status', createStatusRoutes(container.get('statusController')));
+    app.use('/api/v1/economic', createEconomicRoutes(container.get('economicController')));
+    app.use('/api/v1/forex', createForexRoutes(container.get('forexController')));
 
     // Resource CRUD endpoints
     app.use('/api/v1/users', createUserRoutes(container.get('userController')));
     app.use('/api/v1/watchlists', createWatchlistRoutes(container.get('watchlistController')));
     app.use('/api/v1/alerts', createAlertRoutes(container.get('alertController')));
     app.use('/api/v1/assets', createAssetRoutes(container.get('assetController')));
+    app.use('/api/v1/api-keys', createApiKeyRoutes(container.get('apiKeyController')));
 
     // AI routes — only mounted if GROQ_API_KEY is configured
     const aiController = container.get('aiController');
@@ -4,6 +4,21 @@
 import 'dotenv/config';
 import { z } from 'zod';
 
+// Providers with a quote endpoint, for the QUOTE_PROVIDERS_* failover order
+const QUOTE_PROVIDERS = ['alpha_vantage', 'finnhub', 'coingecko', 'exchangerate_api'];
+const quoteProviderList = z.string()
+  .transform(v => v.split(',').map(s => s.trim()).filter(Boolean))
+  .refine(list => list.length > 0 && list.every(p => QUOTE_PROVIDERS.includes(p)), {
+    message: `Expected a comma-separated list of ${QUOTE_PROVIDERS.join(', ')}`,
+  });
+
+// Dashboard indicators: built-in keys (cpi_yoy, m2, ...) or FRED series IDs with an optional units transform (PAYEMS:chg)
+const indicatorList = z.string()
+  .transform(v => v.split(',').map(s => s.trim()).filter(Boolean))
+  .refine(list => list.length > 0 && list.every(i => /^[A-Za-z0-9_]+(:(lin|chg|ch1|pch|pc1|pca|cch|cca|log))?$/.test(i)), {
+    message: 'Expected a comma-separated list of indicator keys or FRED series IDs, optionally with :units',
+  });
+
 // Zod schema for all environment variables
 // All numeric values are strings with .transform(Number) because process.env values are always strings
 const envSchema = z.object({
@@ -20,6 +35,10 @@ const envSchema = z.object({
   REDIS_URL: z.string().default('redis://localhost:6379'),
   REDIS_PASSWORD: z.string().optional().default(''),
   REDIS_TTL_DEFAULT: z.string().transform(Number).default('300'),
+  // Stale entries are kept (and served) for this many times their fresh TTL
+  CACHE_HARD_TTL_MULTIPLIER: z.string().transform(Number).default('10'),
+  // Size of the in-process LRU cache used while Redis is down
+  CACHE_MEMORY_MAX_ENTRIES: z.string().transform(Number).default('1000'),
 
   // External API keys
   ALPHA_VANTAGE_API_KEY: z.string().default('demo'),
@@ -27,6 +46,8 @@ const envSchema = z.object({
   NEWS_API_KEY: z.string().default(''),
   FRED_API_KEY: z.string().default(''),
   FINNHUB_API_KEY: z.string().default(''),
+  // v6 key - only needed for historical rates; latest rates use the open endpoint
+  EXCHANGERATE_API_KEY: z.string().default(''),
 
   // Security
   CORS_ORIGIN: z.string().default('http://localhost:3000,http://localhost:5173'),
@@ -35,13 +56,31 @@ const envSchema = z.object({
 
   // JWT Authentication
   JWT_SECRET: z.string().default('globalfi-ultra-dev-secret-change-in-production'),
-  JWT_EXPIRES_IN: z.string().default('7d'),
+  // Access token lifetime - keep short, clients renew via POST /users/refresh
+  JWT_EXPIRES_IN: z.string().default('15m'),
+  JWT_REFRESH_EXPIRES_IN: z.string().default('7d'),
 
   // Circuit breaker
   CIRCUIT_BREAKER_THRESHOLD: z.string().transform(Number).default('3'),
   CIRCUIT_BREAKER_TIMEOUT: z.string().transform(Number).default('30000'),
   CIRCUIT_BREAKER_RESET_TIMEOUT: z.string().transform(Number).default('30000'),
 
+  // Outbound provider quotas - calls per minute / per UTC day, 0 = unlimited
+  QUOTA_ALPHA_VANTAGE_PER_MINUTE: z.string().transform(Number).default('5'),
+  QUOTA_ALPHA_VANTAGE_PER_DAY: z.string().transform(Number).default('25'),
+  QUOTA_COINGECKO_PER_MINUTE: z.string().transform(Number).default('30'),
+  QUOTA_COINGECKO_PER_DAY: z.string().transform(Number).default('0'),
+  QUOTA_EXCHANGERATE_PER_MINUTE: z.string().transform(Number).default('0'),
+  QUOTA_EXCHANGERATE_PER_DAY: z.string().transform(Number).default('50'),
+  QUOTA_NEWSAPI_PER_MINUTE: z.string().transform(Number).default('0'),
+  QUOTA_NEWSAPI_PER_DAY: z.string().transform(Number).default('100'),
+  QUOTA_FRED_PER_MINUTE: z.string().transform(Number).default('120'),
+  QUOTA_FRED_PER_DAY: z.string().transform(Number).default('0'),
+  QUOTA_FINNHUB_PER_MINUTE: z.string().transform(Number).default('60'),
+  QUOTA_FINNHUB_PER_DAY: z.string().transform(Number).default('0'),
+  // How long a call may wait for the next minute window before it is rejected
+  QUOTA_MAX_WAIT_MS: z.string().transform(Number).default('15000'),
+
   // Logging
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'http', 'debug']).default('info'),
   LOG_FILE_PATH: z.string().default('./logs/app.log'),
@@ -52,6 +91,45 @@ const envSchema = z.object({
   // Feature flags
   ENABLE_CACHE_WARMING: z.string().transform(v => v === 'true').default('false'),
   ENABLE_METRICS_COLLECTION: z.string().transform(v => v === 'true').default('true'),
+  ENABLE_ALERT_MONITORING: z.string().transform(v => v === 'true').default('false'),
+  ENABLE_TRADE_STREAMING: z.string().transform(v => v === 'true').default('false'),
+  ENABLE_ECONOMIC_UPDATES: z.string().transform(v => v === 'true').default('true'),
+
+  // Alert monitor
+  ALERT_MONITOR_INTERVAL_MS: z.string().transform(Number).default('60000'),
+  ALERT_MONITOR_BATCH_SIZE: z.string().transform(Number).default('5'),
+  // Share of each provider quota window the monitor leaves for user requests
+  ALERT_MONITOR_QUOTA_RESERVE: z.string().transform(Number).default('0.2'),
+
+  // Cache warmer (ENABLE_CACHE_WARMING)
+  CACHE_WARMING_INTERVAL_MS: z.string().transform(Number).default('60000'),
+  CACHE_WARMING_MAX_KEYS: z.string().transform(Number).default('50'),
+  // Share of each provider quota window the warmer leaves for user requests
+  CACHE_WARMING_QUOTA_RESERVE: z.string().transform(Number).default('0.2'),
+
+  // Symbol registry - provider identifier lists are imported on refresh
+  SYMBOL_REGISTRY_REFRESH_ON_START: z.string().transform(v => v === 'true').default('false'),
+  SYMBOL_REGISTRY_STOCK_EXCHANGE: z.string().default('US'),
+  SYMBOL_REGISTRY_CRYPTO_EXCHANGE: z.string().default('binance'),
+
+  // Quote failover - comma-separated providers tried in order; stock also covers index and commodity
+  QUOTE_PROVIDERS_STOCK: quoteProviderList.default('alpha_vantage,finnhub'),
+  QUOTE_PROVIDERS_CRYPTO: quoteProviderList.default('coingecko,finnhub'),
+  QUOTE_PROVIDERS_FOREX: quoteProviderList.default('exchangerate_api'),
+
+  // Currency conversion - every pair is crossed through one rates table for this base
+  FOREX_PIVOT_CURRENCY: z.string().regex(/^[A-Za-z]{3}$/).transform(val => val.toUpperCase()).default('USD'),
+
+  // Finnhub trade stream (ENABLE_TRADE_STREAMING) - free tier allows 50 symbols per connection
+  TRADE_STREAM_URL: z.string().default('wss://ws.finnhub.io'),
+  TRADE_STREAM_FLUSH_MS: z.string().transform(Number).default('1000'),
+  TRADE_STREAM_MAX_SYMBOLS: z.string().transform(Number).default('50'),
+  TRADE_STREAM_RECONNECT_BASE_MS: z.string().transform(Number).default('1000'),
+  TRADE_STREAM_RECONNECT_MAX_MS: z.string().transform(Number).default('30000'),
+
+  // Macro dashboard - polled for new releases (ENABLE_ECONOMIC_UPDATES); most indicators are monthly
+  ECONOMIC_DASHBOARD_INDICATORS: indicatorList.default('cpi_yoy,core_pce,unemployment,fed_funds,gdp_growth,m2'),
+  ECONOMIC_DASHBOARD_INTERVAL_MS: z.string().transform(Number).default('3600000'),
 
   // RabbitMQ
   RABBITMQ_URL: z.string().default('amqp://localhost:5672'),
@@ -100,6 +178,8 @@ export const config = {
     url: env.REDIS_URL,
     password: env.REDIS_PASSWORD,
     ttlDefault: env.REDIS_TTL_DEFAULT,
+    hardTtlMultiplier: env.CACHE_HARD_TTL_MULTIPLIER,
+    memoryMaxEntries: env.CACHE_MEMORY_MAX_ENTRIES,
   },
 
   apiKeys: {
@@ -108,6 +188,7 @@ export const config = {
     newsApi: env.NEWS_API_KEY,
     fred: env.FRED_API_KEY,
     finnhub: env.FINNHUB_API_KEY,
+    exchangeRate: env.EXCHANGERATE_API_KEY,
   },
 
   security: {
@@ -116,6 +197,7 @@ export const config = {
     rateLimitMaxRequests: env.RATE_LIMIT_MAX_REQUESTS,
     jwtSecret: env.JWT_SECRET,
     jwtExpiresIn: env.JWT_EXPIRES_IN,
+    jwtRefreshExpiresIn: env.JWT_REFRESH_EXPIRES_IN,
   },
 
   circuitBreaker: {
@@ -124,6 +206,20 @@ export const config = {
     resetTimeout: env.CIRCUIT_BREAKER_RESET_TIMEOUT,
   },
 
+  // Outbound call budgets keyed by BaseApiClient name, shared across instances via Redis
+  // Defaults follow the free tiers (ExchangeRate-API: 1500/month ≈ 50/day)
+  providerQuotas: {
+    maxWaitMs: env.QUOTA_MAX_WAIT_MS,
+    providers: {
+      alpha_vantage: { perMinute: env.QUOTA_ALPHA_VANTAGE_PER_MINUTE, perDay: env.QUOTA_ALPHA_VANTAGE_PER_DAY },
+      coingecko: { perMinute: env.QUOTA_COINGECKO_PER_MINUTE, perDay: env.QUOTA_COINGECKO_PER_DAY },
+      exchangerate_api: { perMinute: env.QUOTA_EXCHANGERATE_PER_MINUTE, perDay: env.QUOTA_EXCHANGERATE_PER_DAY },
+      newsapi: { perMinute: env.QUOTA_NEWSAPI_PER_MINUTE, perDay: env.QUOTA_NEWSAPI_PER_DAY },
+      fred: { perMinute: env.QUOTA_FRED_PER_MINUTE, perDay: env.QUOTA_FRED_PER_DAY },
+      finnhub: { perMinute: env.QUOTA_FINNHUB_PER_MINUTE, perDay: env.QUOTA_FINNHUB_PER_DAY },
+    },
+  },
+
   logging: {
     level: env.LOG_LEVEL,
     filePath: env.LOG_FILE_PATH,
@@ -136,6 +232,57 @@ export const config = {
   features: {
     cacheWarming: env.ENABLE_CACHE_WARMING,
     metricsCollection: env.ENABLE_METRICS_COLLECTION,
+    alertMonitoring: env.ENABLE_ALERT_MONITORING,
+    tradeStreaming: env.ENABLE_TRADE_STREAMING,
+    economicUpdates: env.ENABLE_ECONOMIC_UPDATES,
+  },
+
+  // Background price alert evaluation
+  // Batch size caps concurrent upstream calls per provider (Alpha Vantage free tier: 5/min)
+  alertMonitor: {
+    intervalMs: env.ALERT_MONITOR_INTERVAL_MS,
+    batchSize: env.ALERT_MONITOR_BATCH_SIZE,
+    quotaReserve: env.ALERT_MONITOR_QUOTA_RESERVE,
+  },
+
+  // Background refresh of popular provider cache keys
+  cacheWarming: {
+    intervalMs: env.CACHE_WARMING_INTERVAL_MS,
+    maxKeys: env.CACHE_WARMING_MAX_KEYS,
+    quotaReserve: env.CACHE_WARMING_QUOTA_RESERVE,
+  },
+
+  symbolRegistry: {
+    refreshOnStart: env.SYMBOL_REGISTRY_REFRESH_ON_START,
+    stockExchange: env.SYMBOL_REGISTRY_STOCK_EXCHANGE,
+    cryptoExchange: env.SYMBOL_REGISTRY_CRYPTO_EXCHANGE,
+  },
+
+  // Quote provider priority per asset type
+  quoteProviders: {
+    stock: env.QUOTE_PROVIDERS_STOCK,
+    index: env.QUOTE_PROVIDERS_STOCK,
+    commodity: env.QUOTE_PROVIDERS_STOCK,
+    crypto: env.QUOTE_PROVIDERS_CRYPTO,
+    forex: env.QUOTE_PROVIDERS_FOREX,
+  },
+
+  forex: {
+    pivotCurrency: env.FOREX_PIVOT_CURRENCY,
+  },
+
+  // Finnhub trades websocket - ticks are aggregated per flush window before fan-out
+  tradeStream: {
+    url: env.TRADE_STREAM_URL,
+    flushIntervalMs: env.TRADE_STREAM_FLUSH_MS,
+    maxSymbols: env.TRADE_STREAM_MAX_SYMBOLS,
+    reconnectBaseMs: env.TRADE_STREAM_RECONNECT_BASE_MS,
+    reconnectMaxMs: env.TRADE_STREAM_RECONNECT_MAX_MS,
+  },
+
+  economicDashboard: {
+    indicators: env.ECONOMIC_DASHBOARD_INDICATORS,
+    intervalMs: env.ECONOMIC_DASHBOARD_INTERVAL_MS,
   },
 
   rabbitmq: {
@@ -155,9 +302,11 @@ export const config = {
     alphaVantage: 60,     // Stock quotes: 1 minute
     coinGecko: 30,        // Crypto prices: 30 seconds
     exchangeRate: 300,    // Forex rates: 5 minutes
+    exchangeRateHistory: 86400, // Past days' forex tables don't change: 24 hours
     newsApi: 600,         // News: 10 minutes
     fred: 1800,           // Economic data: 30 minutes
     finnhub: 600,         // Finnhub data: 10 minutes
+    fundamentals: 21600,  // Company profiles, metrics, analyst trends: 6 hours
   },
 };
 
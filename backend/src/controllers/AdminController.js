@@ -4,9 +4,12 @@
 import { logger } from '../config/logger.js';
 
 export class AdminController {
-    constructor({ cache, auditLogRepository }) {
+    constructor({ cache, auditLogRepository, cacheWarmerService = null, tradeStreamService = null, symbolRegistryService = null }) {
         this.cache = cache;
         this.auditLogRepository = auditLogRepository;
+        this.cacheWarmerService = cacheWarmerService;
+        this.tradeStreamService = tradeStreamService;
+        this.symbolRegistryService = symbolRegistryService;
     }
 
     // Clear all cached data - use this when APIs are returning stale/bad data
@@ -33,7 +36,76 @@ export class AdminController {
         }
     }
 
-    // Get system metrics for the last X hours (default 24)
+    // List cached keys by tag (symbol:AAPL, provider:coingecko, user:<id>) or pattern - count plus the first `limit` keys
+    async inspectCache(req, res, next) {
+        try {
+            const { tag, pattern, limit = 100 } = req.query;
+            const keys = await this.cache.findKeys({ tag, pattern });
+
+            res.json({
+                ...(tag ? { tag } : { pattern }),
+                count: keys.length,
+                keys: keys.slice(0, limit),
+                mode: this.cache.getStatus().mode,
+                requestId: req.requestId,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Invalidate by tag or pattern - dryRun reports the match count without deleting
+    async invalidateCache(req, res, next) {
+        try {
+            const { tag, pattern, dryRun } = req.body;
+            const result = await this.cache.invalidate({ tag, pattern }, { dryRun });
+
+            logger.info('Admin invalidated cache', { tag, pattern, ...result, requestId: req.requestId });
+
+            res.json({
+                ...(tag ? { tag } : { pattern }),
+                ...result,
+                requestId: req.requestId,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Provider identifiers for a symbol - registered: false means provider conventions were assumed
+    async resolveSymbol(req, res, next) {
+        try {
+            const { assetType } = req.query;
+            const resolved = this.symbolRegistryService.resolve(req.params.symbol, { assetType });
+
+            res.json({
+                ...resolved,
+                registry: this.symbolRegistryService.getStatus(),
+                requestId: req.requestId,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Re-import CoinGecko's coin list and Finnhub's symbol lists - a few provider calls, takes a while
+    async refreshSymbols(req, res, next) {
+        try {
+            const result = await this.symbolRegistryService.refresh();
+
+            logger.info('Admin refreshed symbol registry', { ...result, requestId: req.requestId });
+
+            res.json({
+                ...result,
+                registry: this.symbolRegistryService.getStatus(),
+                requestId: req.requestId,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Get system metrics for the last X hours (default 24), plus the cache warmer's last run and trade stream status
     async getMetrics(req, res, next) {
         try {
             const hours = parseInt(req.query.hours) || 24;
@@ -42,6 +114,8 @@ export class AdminController {
             res.json({
                 period: `Last ${hours} hours`,
                 metrics,
+                cacheWarming: this.cacheWarmerService ? this.cacheWarmerService.getStatus() : null,
+                tradeStream: this.tradeStreamService ? this.tradeStreamService.getStatus() : null,
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
             });
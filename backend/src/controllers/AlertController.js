@@ -8,27 +8,12 @@ export class AlertController {
         this.alertService = alertService;
     }
 
-    // List alerts with optional filters - if userId provided, returns just that user's alerts
+    // List the caller's alerts - paginated, with optional symbol/status filters
     async listAlerts(req, res, next) {
         try {
-            const { userId, symbol, isActive, isTriggered, page, limit, sort } = req.query;
+            const { symbol, isActive, isTriggered, page, limit, sort } = req.query;
 
-            // Fast path for user-specific alerts
-            if (userId) {
-                const alerts = await this.alertService.getUserAlerts(userId, {
-                    isActive: isActive !== undefined ? isActive : null,
-                    sort: sort || '-createdAt',
-                });
-
-                return res.status(200).json({
-                    requestId: req.requestId,
-                    timestamp: new Date().toISOString(),
-                    alerts,
-                });
-            }
-
-            // General listing with filters
-            const filter = {};
+            const filter = { userId: req.user.userId };
             if (symbol) filter.symbol = symbol.toUpperCase();
             if (isActive !== undefined) filter.isActive = isActive;
             if (isTriggered !== undefined) filter.isTriggered = isTriggered;
@@ -53,7 +38,7 @@ export class AlertController {
     // Get single alert by ID
     async getAlert(req, res, next) {
         try {
-            const alert = await this.alertService.getAlert(req.params.id);
+            const alert = await this.alertService.getAlert(req.params.id, req.user.userId);
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -71,10 +56,10 @@ export class AlertController {
         }
     }
 
-    // Create new price alert
+    // Create new price alert - owner is always the authenticated user
     async createAlert(req, res, next) {
         try {
-            const alert = await this.alertService.createAlert(req.body);
+            const alert = await this.alertService.createAlert({ ...req.body, userId: req.user.userId });
 
             res.status(201).json({
                 requestId: req.requestId,
@@ -90,7 +75,7 @@ export class AlertController {
     // Update existing alert
     async updateAlert(req, res, next) {
         try {
-            const alert = await this.alertService.updateAlert(req.params.id, req.body);
+            const alert = await this.alertService.updateAlert(req.params.id, req.user.userId, req.body);
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -112,7 +97,7 @@ export class AlertController {
     // Delete alert permanently
     async deleteAlert(req, res, next) {
         try {
-            await this.alertService.deleteAlert(req.params.id);
+            await this.alertService.deleteAlert(req.params.id, req.user.userId);
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -133,7 +118,7 @@ export class AlertController {
     // Turn alert on - starts monitoring price
     async activateAlert(req, res, next) {
         try {
-            const alert = await this.alertService.updateAlert(req.params.id, { isActive: true });
+            const alert = await this.alertService.updateAlert(req.params.id, req.user.userId, { isActive: true });
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -155,7 +140,7 @@ export class AlertController {
     // Turn alert off - stops monitoring but keeps the record
     async deactivateAlert(req, res, next) {
         try {
-            const alert = await this.alertService.updateAlert(req.params.id, { isActive: false });
+            const alert = await this.alertService.updateAlert(req.params.id, req.user.userId, { isActive: false });
 
             res.status(200).json({
                 requestId: req.requestId,
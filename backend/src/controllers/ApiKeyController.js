@@ -0,0 +1,70 @@
+// API key management - users create, list and revoke keys for headless access
+// The raw key appears only in the create response
+
+export class ApiKeyController {
+    constructor({ apiKeyService }) {
+        this.apiKeyService = apiKeyService;
+    }
+
+    // List the caller's keys (hashes are never returned)
+    async listApiKeys(req, res, next) {
+        try {
+            const apiKeys = await this.apiKeyService.listKeys(req.user.userId);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                apiKeys,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Create a key - the raw key must be copied now, it cannot be retrieved later
+    async createApiKey(req, res, next) {
+        try {
+            const { apiKey, key } = await this.apiKeyService.createKey(req.user.userId, req.body);
+
+            res.status(201).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                message: 'API key created. Store it now - it will not be shown again.',
+                key,
+                apiKey,
+            });
+        } catch (error) {
+            if (error.message === 'API key limit reached') {
+                return res.status(409).json({
+                    error: { code: 'E6002', message: 'API key limit reached. Revoke an unused key first.' },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+
+    // Revoke a key - takes effect on the next request that uses it
+    async revokeApiKey(req, res, next) {
+        try {
+            const apiKey = await this.apiKeyService.revokeKey(req.params.id, req.user.userId);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                message: 'API key revoked successfully',
+                apiKey,
+            });
+        } catch (error) {
+            if (error.message === 'API key not found') {
+                return res.status(404).json({
+                    error: { code: 'E6001', message: 'API key not found' },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+}
+
+export default ApiKeyController;
@@ -1,12 +1,33 @@
 // Asset management - stocks, crypto, forex, commodities, indices
-// The /live endpoint is expensive - hits external APIs in real-time
+// The /live endpoint hits external APIs in real-time, one quote provider at a time
 
 import { logger } from '../config/logger.js';
 
+// Monetary fields copied into each record's `converted` block when a target currency applies
+const ASSET_MONEY_FIELDS = ['currentPrice', 'metadata.marketCap'];
+const QUOTE_MONEY_FIELDS = ['price', 'change', 'open', 'high', 'low', 'previousClose', 'marketCap'];
+
 export class AssetController {
-    constructor({ assetService, financialDataService }) {
+    constructor({ assetService, quoteService, symbolRegistryService, currencyConversionService }) {
         this.assetService = assetService;
-        this.financialDataService = financialDataService;
+        this.quoteService = quoteService;
+        this.symbolRegistryService = symbolRegistryService;
+        this.currencyConversionService = currencyConversionService;
+    }
+
+    // ?currency, else the caller's preferred currency - null leaves the response as it was
+    _targetCurrency(req) {
+        return this.currencyConversionService.resolveTarget({ currency: req.query.currency, userId: req.user?.userId });
+    }
+
+    _unsupportedCurrency(error, req, res) {
+        if (!error.message.startsWith('Unsupported currency')) return false;
+
+        res.status(400).json({
+            error: { code: 'E8001', message: error.message },
+            requestId: req.requestId,
+        });
+        return true;
     }
 
     // Search/list assets with filters - supports pagination
@@ -26,12 +47,21 @@ export class AssetController {
                 search: search || '',
             });
 
+            const { records: assets, conversion } = await this.currencyConversionService.convertRecords(
+                await this._targetCurrency(req),
+                result.assets,
+                { fields: ASSET_MONEY_FIELDS, currencyOf: asset => asset.currency },
+            );
+
             res.status(200).json({
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
                 ...result,
+                assets,
+                ...(conversion && { conversion }),
             });
         } catch (error) {
+            if (this._unsupportedCurrency(error, req, res)) return;
             next(error);
         }
     }
@@ -39,14 +69,22 @@ export class AssetController {
     // Get single asset by symbol (case-insensitive)
     async getAsset(req, res, next) {
         try {
-            const asset = await this.assetService.getAsset(req.params.symbol);
+            const found = await this.assetService.getAsset(req.params.symbol);
+
+            const { records: [asset], conversion } = await this.currencyConversionService.convertRecords(
+                await this._targetCurrency(req),
+                [found],
+                { fields: ASSET_MONEY_FIELDS, currencyOf: record => record.currency },
+            );
 
             res.status(200).json({
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
                 asset,
+                ...(conversion && { conversion }),
             });
         } catch (error) {
+            if (this._unsupportedCurrency(error, req, res)) return;
             if (error.message === 'Asset not found') {
                 return res.status(404).json({
                     error: { code: 'E5001', message: 'Asset not found' },
@@ -63,7 +101,7 @@ export class AssetController {
             const { symbol } = req.params;
             const { forceRefresh } = req.query;
 
-            // Try to get asset type from DB, default to stock if not found
+            // Try to get asset type from DB, else the symbol registry decides
             let asset;
             try {
                 asset = await this.assetService.getAsset(symbol);
@@ -71,39 +109,120 @@ export class AssetController {
                 asset = null;
             }
 
-            const assetType = asset?.type || 'stock';
-            let liveData;
-
-            if (assetType === 'stock') {
-                liveData = await this.financialDataService.execute({
-                    stockSymbol: symbol,
-                    cryptoIds: '',
-                    baseCurrency: 'USD',
-                    newsQuery: symbol,
-                    fredSeriesId: 'GDP',
-                });
-            } else if (assetType === 'crypto') {
-                liveData = await this.financialDataService.execute({
-                    stockSymbol: 'IBM',
-                    cryptoIds: symbol.toLowerCase(),
-                    baseCurrency: 'USD',
-                    newsQuery: symbol,
-                    fredSeriesId: 'GDP',
-                });
+            const { assetType, providers } = this.symbolRegistryService.resolve(symbol, { assetType: asset?.type });
+            // Falls over to the next provider in QUOTE_PROVIDERS_* order - liveData.provider says which one answered
+            const quote = await this.quoteService.getQuote(symbol, { assetType });
+            // Feeds /assets/:symbol/history - best-effort, failures are logged by the service
+            if (asset) {
+                await this.assetService.recordQuote(asset.symbol, quote);
             }
 
+            // Stock providers don't name a currency - the asset record's, else USD
+            const { records: [liveData], conversion } = await this.currencyConversionService.convertRecords(
+                await this._targetCurrency(req),
+                [quote],
+                { fields: QUOTE_MONEY_FIELDS, currencyOf: record => record.currency || asset?.currency },
+            );
+
             res.status(200).json({
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
                 symbol,
+                assetType,
+                providers,
+                provider: liveData.provider,
                 assetInfo: asset,
                 liveData,
+                ...(conversion && { conversion }),
+            });
+        } catch (error) {
+            if (this._unsupportedCurrency(error, req, res)) return;
+            next(error);
+        }
+    }
+
+    // OHLCV candles from stored history - never calls external APIs
+    async getAssetHistory(req, res, next) {
+        try {
+            const { interval, from, to, limit } = req.query;
+            const history = await this.assetService.getPriceHistory(req.params.symbol, { interval, from, to, limit });
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...history,
+                count: history.candles.length,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Company profile, basic financials and analyst recommendations (Finnhub, cached for hours)
+    // Only the profile's market cap is converted - metrics are Finnhub's raw mix of ratios, percentages and amounts
+    async getAssetFundamentals(req, res, next) {
+        try {
+            const fundamentals = await this.assetService.getFundamentals(req.params.symbol);
+
+            const { records: [profile], conversion } = fundamentals.profile
+                ? await this.currencyConversionService.convertRecords(
+                    await this._targetCurrency(req),
+                    [fundamentals.profile],
+                    { fields: ['marketCap'], currencyOf: record => record.currency },
+                )
+                : { records: [null], conversion: null };
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...fundamentals,
+                profile,
+                ...(conversion && { conversion }),
+            });
+        } catch (error) {
+            if (this._unsupportedCurrency(error, req, res)) return;
+            next(error);
+        }
+    }
+
+    // Company news from Finnhub for a date range
+    async getAssetNews(req, res, next) {
+        try {
+            const { from, to, limit } = req.query;
+            const result = await this.assetService.getCompanyNews(req.params.symbol, { from, to, limit });
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...result,
+                count: result.news.length,
             });
         } catch (error) {
             next(error);
         }
     }
 
+    // Backfill stored candles from the provider - spends provider quota (Alpha Vantage: 25 calls/day)
+    async backfillAssetHistory(req, res, next) {
+        try {
+            const result = await this.assetService.backfillPriceHistory(req.params.symbol, req.body);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...result,
+            });
+        } catch (error) {
+            if (error.message === 'Unsupported interval for crypto history') {
+                return res.status(400).json({
+                    error: { code: 'E1008', message: 'Crypto history supports the 30m, 4h and 1d intervals' },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+
     // Create new asset
     async createAsset(req, res, next) {
         try {
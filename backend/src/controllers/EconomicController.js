@@ -0,0 +1,99 @@
+// Economic data - FRED series for charting CPI, unemployment, rates etc. over time, and the Treasury yield curve
+
+export class EconomicController {
+    constructor({ economicDataService, economicDashboardService }) {
+        this.economicDataService = economicDataService;
+        this.economicDashboardService = economicDashboardService;
+    }
+
+    // Latest, previous, change and trend for each configured macro indicator
+    async getDashboard(req, res, next) {
+        try {
+            const dashboard = await this.economicDashboardService.getDashboard();
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...dashboard,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Series metadata and observations - date range, frequency, units and vintage from the query
+    async getSeries(req, res, next) {
+        try {
+            const result = await this.economicDataService.getSeries(req.params.id, req.query);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...result,
+            });
+        } catch (error) {
+            if (error.message === 'Series not found') {
+                return res.status(404).json({
+                    error: { code: 'E7001', message: `FRED series ${req.params.id.toUpperCase()} not found` },
+                    requestId: req.requestId,
+                });
+            }
+            if (error.message === 'FRED rejected the observation options for this series') {
+                return res.status(400).json({
+                    error: { code: 'E1008', message: error.message },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+
+    // Treasury yield curve, latest or as of ?date, with 2s10s and 3m10y spreads
+    async getYieldCurve(req, res, next) {
+        try {
+            const curve = await this.economicDataService.getYieldCurve(req.query.date || null);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...curve,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Curve on ?from against ?to (latest if omitted), with changes in basis points
+    async compareYieldCurves(req, res, next) {
+        try {
+            const { from, to } = req.query;
+            const comparison = await this.economicDataService.compareYieldCurves(from, to || null);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...comparison,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Full-text search over FRED series, most popular first
+    async searchSeries(req, res, next) {
+        try {
+            const { q, limit, offset } = req.query;
+            const result = await this.economicDataService.searchSeries(q, { limit, offset });
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+export default EconomicController;
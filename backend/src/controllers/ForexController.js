@@ -0,0 +1,47 @@
+// Forex - rates tables by base and date, and currency conversion through the pivot currency
+
+export class ForexController {
+    constructor({ forexService }) {
+        this.forexService = forexService;
+    }
+
+    // Rates for ?base (pivot currency by default), latest or as of ?date
+    async getRates(req, res, next) {
+        try {
+            const { base, date } = req.query;
+            const rates = await this.forexService.getRates(base || this.forexService.pivotCurrency, date || null);
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...rates,
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ?amount of ?from in ?to, at the latest rates or those of ?date
+    async convert(req, res, next) {
+        try {
+            const { from, to, amount, date } = req.query;
+            const conversion = await this.forexService.convert({ from, to, amount, date: date || null });
+
+            res.status(200).json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                ...conversion,
+            });
+        } catch (error) {
+            if (error.message.startsWith('Unsupported currency')) {
+                return res.status(400).json({
+                    error: { code: 'E8001', message: error.message },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+}
+
+export default ForexController;
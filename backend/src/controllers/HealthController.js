@@ -26,9 +26,13 @@ export class HealthController {
         const aiEnabled = container.isAIEnabled();
         const aiStreamHandler = container.getAIStreamHandler();
 
+        const cache = container.get('cache');
+
         const checks = {
             database: isDatabaseConnected(),
             redis: isRedisConnected(),
+            // 'redis', or 'memory' while the in-process fallback tier is serving
+            cache: cache ? cache.getStatus() : null,
             ai: {
                 enabled: aiEnabled,
                 websocket: aiStreamHandler !== null,
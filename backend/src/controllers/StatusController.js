@@ -4,6 +4,7 @@
 export class StatusController {
     constructor(dependencies) {
         this.apiClients = dependencies.apiClients || [];
+        this.getRateLimitStatus = dependencies.getRateLimitStatus || null;
     }
 
     // Check circuit breaker states - closed (healthy), open (down), half-open (testing)
@@ -17,19 +18,21 @@ export class StatusController {
         });
     }
 
-    // Show rate limits for each API - usage tracking not implemented yet
-    getRateLimits(req, res) {
-        const rateLimits = {
-            alpha_vantage: { limit: 5, period: '1 minute', usage: 'N/A' },
-            coingecko: { limit: 50, period: '1 minute', usage: 'N/A' },
-            exchangerate_api: { limit: 1500, period: '1 month', usage: 'N/A' },
-            newsapi: { limit: 100, period: '1 day', usage: 'N/A' },
-            fred: { limit: 'unlimited', period: 'N/A', usage: 'N/A' },
-            finnhub: { limit: 60, period: '1 minute', usage: 'N/A' },
-        };
+    // Show the caller's remaining budget on our own limiters, plus each upstream API's outbound quota for admins
+    // Quota counters are shared via Redis, so this is the budget left for the whole deployment
+    async getRateLimits(req, res) {
+        const budget = this.getRateLimitStatus ? await this.getRateLimitStatus(req) : null;
+
+        let rateLimits;
+        if (req.user?.role === 'admin') {
+            const quotas = await Promise.all(this.apiClients.map(client => client.getQuotaStatus()));
+            rateLimits = Object.fromEntries(quotas.map(quota => [quota.provider, quota]));
+        }
 
         res.status(200).json({
-            rateLimits,
+            caller: budget?.caller || null,
+            limits: budget?.limits || null,
+            ...(rateLimits && { rateLimits }),
             requestId: req.requestId,
             timestamp: new Date().toISOString(),
         });
@@ -34,9 +34,28 @@ export class UserController {
         }
     }
 
+    // Users may only access their own account; admins may access any account
+    _canAccess(req) {
+        return req.user?.role === 'admin' || req.params.id === String(req.user?.userId);
+    }
+
+    _forbidden(req, res) {
+        return res.status(403).json({
+            error: {
+                code: 'E1011',
+                message: 'You can only access your own account',
+            },
+            requestId: req.requestId,
+        });
+    }
+
     // Get single user by ID
     async getUser(req, res, next) {
         try {
+            if (!this._canAccess(req)) {
+                return this._forbidden(req, res);
+            }
+
             const user = await this.userService.getUser(req.params.id);
 
             res.json({
@@ -80,6 +99,21 @@ export class UserController {
     // Update existing user
     async updateUser(req, res, next) {
         try {
+            if (!this._canAccess(req)) {
+                return this._forbidden(req, res);
+            }
+
+            const changesPrivileges = ['role', 'permissions', 'plan'].some(field => req.body[field] !== undefined);
+            if (changesPrivileges && req.user.role !== 'admin') {
+                return res.status(403).json({
+                    error: {
+                        code: 'E1011',
+                        message: 'Only admins can change roles, permissions or plans',
+                    },
+                    requestId: req.requestId,
+                });
+            }
+
             const user = await this.userService.updateUser(req.params.id, req.body);
 
             res.json({
@@ -113,6 +147,10 @@ export class UserController {
     // Soft delete user (sets isActive to false)
     async deleteUser(req, res, next) {
         try {
+            if (!this._canAccess(req)) {
+                return this._forbidden(req, res);
+            }
+
             await this.userService.deleteUser(req.params.id);
 
             res.json({
@@ -153,7 +191,10 @@ export class UserController {
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
                 message: 'Login successful',
-                token: result.token,  // JWT token
+                token: result.accessToken,  // Short-lived access JWT
+                refreshToken: result.refreshToken,
+                tokenType: result.tokenType,
+                expiresIn: result.expiresIn,
                 user: {
                     _id: result.user._id,
                     email: result.user.email,
@@ -161,6 +202,9 @@ export class UserController {
                     lastName: result.user.lastName,
                     fullName: result.user.fullName,
                     isActive: result.user.isActive,
+                    role: result.user.role,
+                    permissions: result.user.permissions,
+                    plan: result.user.plan,
                     preferences: result.user.preferences,
                     createdAt: result.user.createdAt,
                     updatedAt: result.user.updatedAt,
@@ -188,6 +232,68 @@ export class UserController {
             next(error);
         }
     }
+
+    // Exchange a refresh token for a new token pair (rotation)
+    async refreshToken(req, res, next) {
+        try {
+            const result = await this.userService.refreshSession(req.body.refreshToken);
+
+            res.json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                token: result.accessToken,
+                refreshToken: result.refreshToken,
+                tokenType: result.tokenType,
+                expiresIn: result.expiresIn,
+            });
+        } catch (error) {
+            if (['Invalid refresh token', 'Refresh token revoked', 'Refresh token reuse detected'].includes(error.message)) {
+                return res.status(401).json({
+                    error: {
+                        code: 'E1007',
+                        message: error.message === 'Refresh token reuse detected'
+                            ? 'Refresh token reuse detected. Please sign in again.'
+                            : 'Invalid or revoked refresh token',
+                    },
+                    requestId: req.requestId,
+                });
+            }
+            if (error.message === 'Account is inactive') {
+                return res.status(403).json({
+                    error: {
+                        code: 'E1005',
+                        message: 'Account is inactive'
+                    },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
+
+    // Revoke the caller's access token and, if provided, their refresh token
+    async logoutUser(req, res, next) {
+        try {
+            await this.userService.logoutUser(req.user, req.body?.refreshToken);
+
+            res.json({
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                message: 'Logout successful',
+            });
+        } catch (error) {
+            if (error.message === 'Invalid refresh token') {
+                return res.status(400).json({
+                    error: {
+                        code: 'E1008',
+                        message: 'Invalid refresh token'
+                    },
+                    requestId: req.requestId,
+                });
+            }
+            next(error);
+        }
+    }
 }
 
 export default UserController;
\ No newline at end of file
@@ -3,30 +3,19 @@
 import { logger } from '../config/logger.js';
 
 export class WatchlistController {
-    constructor({ watchlistService }) {
+    constructor({ watchlistService, currencyConversionService }) {
         this.watchlistService = watchlistService;
+        this.currencyConversionService = currencyConversionService;
     }
 
-    // List watchlists - if userId provided, returns just that user's lists
+    // List the caller's watchlists - or, with isPublic=true, everyone's public watchlists
     async listWatchlists(req, res, next) {
         try {
-            const { userId, page, limit, isPublic, sort } = req.query;
+            const { page, limit, isPublic, sort } = req.query;
 
-            if (userId) {
-                const watchlists = await this.watchlistService.getUserWatchlists(userId, {
-                    sort: sort || '-createdAt',
-                });
-
-                return res.status(200).json({
-                    requestId: req.requestId,
-                    timestamp: new Date().toISOString(),
-                    watchlists,
-                });
-            }
-
-            const filter = {};
-            if (isPublic !== undefined) {
-                filter.isPublic = isPublic;
+            const filter = isPublic ? { isPublic: true } : { userId: req.user.userId };
+            if (isPublic === false) {
+                filter.isPublic = false;
             }
 
             const result = await this.watchlistService.listWatchlists({
@@ -46,17 +35,31 @@ export class WatchlistController {
         }
     }
 
-    // Get single watchlist by ID
+    // Get single watchlist by ID, with stored asset prices in ?currency or the caller's preferred currency
     async getWatchlist(req, res, next) {
         try {
-            const watchlist = await this.watchlistService.getWatchlist(req.params.id);
+            const found = await this.watchlistService.getWatchlist(req.params.id, req.user.userId);
+            const watchlist = await this.watchlistService.priceAssets(found);
+
+            const { records: assets, conversion } = await this.currencyConversionService.convertRecords(
+                await this.currencyConversionService.resolveTarget({ currency: req.query.currency, userId: req.user.userId }),
+                watchlist.assets,
+                { fields: ['currentPrice'], currencyOf: entry => entry.currency },
+            );
 
             res.status(200).json({
                 requestId: req.requestId,
                 timestamp: new Date().toISOString(),
-                watchlist,
+                watchlist: { ...watchlist, assets },
+                ...(conversion && { conversion }),
             });
         } catch (error) {
+            if (error.message.startsWith('Unsupported currency')) {
+                return res.status(400).json({
+                    error: { code: 'E8001', message: error.message },
+                    requestId: req.requestId,
+                });
+            }
             if (error.message === 'Watchlist not found') {
                 return res.status(404).json({
                     error: { code: 'E3001', message: 'Watchlist not found' },
@@ -67,10 +70,10 @@ export class WatchlistController {
         }
     }
 
-    // Create new watchlist - name must be unique per user
+    // Create new watchlist - name must be unique per user, owner is the authenticated user
     async createWatchlist(req, res, next) {
         try {
-            const watchlist = await this.watchlistService.createWatchlist(req.body);
+            const watchlist = await this.watchlistService.createWatchlist({ ...req.body, userId: req.user.userId });
 
             res.status(201).json({
                 requestId: req.requestId,
@@ -92,7 +95,7 @@ export class WatchlistController {
     // Update watchlist metadata - use addAsset/removeAsset to modify assets
     async updateWatchlist(req, res, next) {
         try {
-            const watchlist = await this.watchlistService.updateWatchlist(req.params.id, req.body);
+            const watchlist = await this.watchlistService.updateWatchlist(req.params.id, req.user.userId, req.body);
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -107,6 +110,12 @@ export class WatchlistController {
                     requestId: req.requestId,
                 });
             }
+            if (error.message === 'Watchlist name already exists for this user') {
+                return res.status(409).json({
+                    error: { code: 'E3002', message: 'Watchlist name already exists for this user' },
+                    requestId: req.requestId,
+                });
+            }
             next(error);
         }
     }
@@ -114,7 +123,7 @@ export class WatchlistController {
     // Delete watchlist permanently
     async deleteWatchlist(req, res, next) {
         try {
-            await this.watchlistService.deleteWatchlist(req.params.id);
+            await this.watchlistService.deleteWatchlist(req.params.id, req.user.userId);
 
             res.status(200).json({
                 requestId: req.requestId,
@@ -138,6 +147,7 @@ export class WatchlistController {
             const { symbol, notes } = req.body;
             const watchlist = await this.watchlistService.addAssetToWatchlist(
                 req.params.id,
+                req.user.userId,
                 symbol,
                 notes
             );
@@ -164,6 +174,7 @@ export class WatchlistController {
         try {
             const watchlist = await this.watchlistService.removeAssetFromWatchlist(
                 req.params.id,
+                req.user.userId,
                 req.params.symbol
             );
 
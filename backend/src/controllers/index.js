@@ -9,4 +9,7 @@ export { StatusController } from './StatusController.js';
 export { UserController } from './UserController.js';
 export { WatchlistController } from './WatchlistController.js';
 export { AlertController } from './AlertController.js';
-export { AssetController } from './AssetController.js';
\ No newline at end of file
+export { AssetController } from './AssetController.js';
+export { EconomicController } from './EconomicController.js';
+export { ForexController } from './ForexController.js';
+export { ApiKeyController } from './ApiKeyController.js';
@@ -10,10 +10,11 @@
  * The container follows a layered initialization pattern:
  * 
  * 1. Infrastructure Layer (bottom)
- *    - Cache (RedisCache)
- *    - Repositories (User, Alert, Watchlist, Asset, AuditLog)
+ *    - Cache (RedisCache), TokenStore (JWT denylist + refresh families)
+ *    - Repositories (User, Alert, Watchlist, Asset, PriceCandle, SymbolMapping, AuditLog, ApiKey)
  *    - API Clients (AlphaVantage, CoinGecko, FRED, NewsAPI, Finnhub, ExchangeRate)
- *    - WebSocket Manager (Socket.io)
+ *      each with a circuit breaker and a Redis-shared ProviderQuota
+ *    - WebSocket Manager (Socket.io), Finnhub trades websocket
  * 
  * 2. AI Infrastructure (optional)
  *    - GroqClient → AINewsService, AIMarketService
@@ -21,11 +22,24 @@
  *    - AIJobQueue (RabbitMQ consumer)
  * 
  * 3. Service Layer (middle)
- *    - FinancialDataService, UserService, WatchlistService, AlertService, AssetService
+ *    - SymbolRegistryService (canonical symbol → provider identifiers)
+ *    - QuoteService (quote provider failover by circuit breaker and quota)
+ *    - FinancialDataService, EconomicDataService (FRED series), UserService, WatchlistService, AlertService, AssetService
+ *    - ForexService (historical rates, cross-rate currency conversion)
+ *    - CurrencyConversionService (asset prices in ?currency or the user's preferred currency)
+ *    - TokenService (access/refresh token issuance and rotation)
+ *    - ApiKeyService (scoped X-API-Key authentication)
+ *    - AlertMonitorService (background price alert evaluation)
+ *    - AlertNotificationService (per-user alert delivery over Socket.io)
+ *    - CacheWarmerService (ENABLE_CACHE_WARMING background cache refresh)
+ *    - TradeStreamService (ENABLE_TRADE_STREAMING Finnhub trades → price:tick)
+ *    - EconomicDashboardService (macro indicators; ENABLE_ECONOMIC_UPDATES → economic:update)
  * 
  * 4. Controller Layer (top)
  *    - HealthController, FinancialController, AdminController, StatusController
  *    - UserController, WatchlistController, AlertController, AssetController
+ *    - EconomicController, ForexController
+ *    - ApiKeyController
  *    - AIController (optional)
  * 
  * Singleton Pattern:
@@ -37,22 +51,38 @@
  */
 
 import { AlphaVantageClient, CoinGeckoClient, ExchangeRateClient, NewsAPIClient, FREDClient, FinnhubClient } from '../infrastructure/http/index.js';
-import { RedisCache } from '../infrastructure/cache/index.js';
+import { RedisCache, TokenStore } from '../infrastructure/cache/index.js';
 import {
     AuditLogRepository,
     UserRepository,
     FinancialAssetRepository,
     WatchlistRepository,
-    AlertRepository
+    AlertRepository,
+    ApiKeyRepository,
+    PriceCandleRepository,
+    SymbolMappingRepository
 } from '../infrastructure/repositories/index.js';
-import { SocketManager } from '../infrastructure/websocket/index.js';
+import { SocketManager, FinnhubTradeStream } from '../infrastructure/websocket/index.js';
 import { MessageQueue } from '../infrastructure/messaging/index.js';
 import {
     FinancialDataService,
+    EconomicDataService,
+    EconomicDashboardService,
+    ForexService,
+    CurrencyConversionService,
     UserService,
+    TokenService,
+    ApiKeyService,
     WatchlistService,
     AlertService,
-    AssetService
+    AssetService,
+    AlertMonitorService,
+    AlertNotificationService,
+    CacheWarmerService,
+    TradeStreamService,
+    SymbolRegistryService,
+    QuoteService,
+    ALERT_TRIGGERED_EVENT
 } from '../services/index.js';
 import {
     HealthController,
@@ -62,10 +92,15 @@ import {
     UserController,
     WatchlistController,
     AlertController,
-    AssetController
+    AssetController,
+    EconomicController,
+    ForexController,
+    ApiKeyController
 } from '../controllers/index.js';
 import { logger } from '../config/logger.js';
 import { config } from '../config/environment.js';
+import { registerApiKeyAuthenticator } from '../middleware/authMiddleware.js';
+import { getRateLimitStatus } from '../middleware/rateLimiter.js';
 
 // AI Infrastructure — conditionally initialized based on GROQ_API_KEY
 import { GroqClient } from '../infrastructure/ai/groqClient.js';
@@ -135,10 +170,13 @@ export class Container {
         const auditLogRepository = new AuditLogRepository();
         const userRepository = new UserRepository();
         const financialAssetRepository = new FinancialAssetRepository();
+        const priceCandleRepository = new PriceCandleRepository();
+        const symbolMappingRepository = new SymbolMappingRepository();
         const watchlistRepository = new WatchlistRepository();
         const alertRepository = new AlertRepository();
+        const apiKeyRepository = new ApiKeyRepository();
 
-        // External API clients — each with its own circuit breaker
+        // External API clients — each with its own circuit breaker and outbound quota
         const alphaVantageClient = new AlphaVantageClient({ onCircuitStateChange });
         const coinGeckoClient = new CoinGeckoClient({ onCircuitStateChange });
         const exchangeRateClient = new ExchangeRateClient({ onCircuitStateChange });
@@ -146,7 +184,7 @@ export class Container {
         const fredClient = new FREDClient({ onCircuitStateChange });
         const finnhubClient = new FinnhubClient({ onCircuitStateChange });
 
-        // All API clients in an array for StatusController (circuit breaker status)
+        // All API clients in an array for StatusController (circuit breaker and quota status)
         const apiClients = [
             alphaVantageClient,
             coinGeckoClient,
@@ -222,6 +260,17 @@ export class Container {
         }
 
         // ─── Layer 2: Services ───────────────────────────────────────
+        // Canonical symbol → provider IDs for every service below — seeded on first start
+        const symbolRegistryService = new SymbolRegistryService({
+            symbolMappingRepository,
+            coinGeckoClient,
+            finnhubClient,
+        });
+        await symbolRegistryService.initialize().catch((error) => {
+            logger.warn('Symbol registry unavailable, using provider defaults', { error: error.message });
+        });
+        coinGeckoClient.setSymbolResolver(coinId => symbolRegistryService.findSymbolForProviderId('coingecko', coinId));
+
         const financialDataService = new FinancialDataService({
             alphaVantageClient,
             coinGeckoClient,
@@ -229,14 +278,104 @@ export class Container {
             newsAPIClient,
             fredClient,
             finnhubClient,
+            symbolRegistryService,
+            cache,
+            auditLogRepository,
+        });
+
+        // FRED series observations, metadata and search for /economic
+        const economicDataService = new EconomicDataService({ fredClient, cache });
+        const economicDashboardService = new EconomicDashboardService({
+            economicDataService,
+            socketManager: this.socketManager,
+        });
+
+        if (config.features.economicUpdates && config.apiKeys.fred) {
+            economicDashboardService.start();
+        }
+
+        // Latest and historical rates tables, crossed through FOREX_PIVOT_CURRENCY for /forex/convert
+        const forexService = new ForexService({ exchangeRateClient, cache });
+        const currencyConversionService = new CurrencyConversionService({ forexService, userRepository, cache });
+
+        // Live quotes with provider failover — order per asset type from QUOTE_PROVIDERS_*
+        const quoteService = new QuoteService({
+            alphaVantageClient,
+            coinGeckoClient,
+            exchangeRateClient,
+            finnhubClient,
+            symbolRegistryService,
             cache,
             auditLogRepository,
         });
 
-        const userService = new UserService({ userRepository });
-        const watchlistService = new WatchlistService({ watchlistRepository });
-        const alertService = new AlertService({ alertRepository });
-        const assetService = new AssetService({ financialAssetRepository });
+        const tokenService = new TokenService({ tokenStore: new TokenStore() });
+        const userService = new UserService({ userRepository, tokenService, cache });
+        const apiKeyService = new ApiKeyService({ apiKeyRepository, userRepository });
+        // X-API-Key resolution for requireAuthOrApiKey / optionalApiKey
+        registerApiKeyAuthenticator((rawKey, meta) => apiKeyService.authenticate(rawKey, meta));
+        const watchlistService = new WatchlistService({ watchlistRepository, financialAssetRepository, symbolRegistryService });
+        const alertService = new AlertService({ alertRepository, symbolRegistryService });
+        const assetService = new AssetService({
+            financialAssetRepository,
+            priceCandleRepository,
+            alphaVantageClient,
+            coinGeckoClient,
+            finnhubClient,
+            symbolRegistryService,
+            cache,
+        });
+
+        // Background alert evaluation — shares provider cache keys with FinancialDataService
+        const alertMonitorService = new AlertMonitorService({
+            alertService,
+            alphaVantageClient,
+            coinGeckoClient,
+            exchangeRateClient,
+            symbolRegistryService,
+            cache,
+        });
+        // Triggered alerts are pushed to the owner's `user:<id>` Socket.io room
+        const alertNotificationService = new AlertNotificationService({
+            userRepository,
+            socketManager: this.socketManager,
+        });
+        alertMonitorService.on(ALERT_TRIGGERED_EVENT, (event) => alertNotificationService.notify(event));
+
+        if (config.features.alertMonitoring) {
+            alertMonitorService.start();
+        } else {
+            logger.info('ℹ️  Alert monitoring disabled (ENABLE_ALERT_MONITORING=false)');
+        }
+
+        // Refreshes provider cache keys for preferences, alerts and watchlists ahead of TTL expiry
+        const cacheWarmerService = new CacheWarmerService({
+            userRepository,
+            watchlistRepository,
+            alertService,
+            alphaVantageClient,
+            coinGeckoClient,
+            exchangeRateClient,
+            symbolRegistryService,
+            cache,
+        });
+
+        if (config.features.cacheWarming) {
+            cacheWarmerService.start();
+        }
+
+        // Streams Finnhub trades for symbols clients subscribe to over Socket.io (price:subscribe)
+        const tradeStreamService = new TradeStreamService({
+            tradeStream: new FinnhubTradeStream(),
+            socketManager: this.socketManager,
+            symbolRegistryService,
+        });
+
+        if (config.features.tradeStreaming && config.apiKeys.finnhub) {
+            tradeStreamService.start();
+        } else if (config.features.tradeStreaming) {
+            logger.warn('⚠️ Trade streaming needs FINNHUB_API_KEY - not started');
+        }
 
         // ─── Layer 3: Controllers ────────────────────────────────────
         const healthController = new HealthController();
@@ -247,16 +386,25 @@ export class Container {
         const adminController = new AdminController({
             cache,
             auditLogRepository,
+            cacheWarmerService,
+            tradeStreamService,
+            symbolRegistryService,
         });
         const statusController = new StatusController({
             apiClients,
+            getRateLimitStatus,
         });
         const userController = new UserController({ userService });
-        const watchlistController = new WatchlistController({ watchlistService });
+        const apiKeyController = new ApiKeyController({ apiKeyService });
+        const watchlistController = new WatchlistController({ watchlistService, currencyConversionService });
         const alertController = new AlertController({ alertService });
+        const economicController = new EconomicController({ economicDataService, economicDashboardService });
+        const forexController = new ForexController({ forexService });
         const assetController = new AssetController({
             assetService,
-            financialDataService,
+            quoteService,
+            symbolRegistryService,
+            currencyConversionService,
         });
 
         // ─── Register All Instances ──────────────────────────────────
@@ -265,16 +413,31 @@ export class Container {
         this.instances.set('auditLogRepository', auditLogRepository);
         this.instances.set('userRepository', userRepository);
         this.instances.set('financialAssetRepository', financialAssetRepository);
+        this.instances.set('priceCandleRepository', priceCandleRepository);
+        this.instances.set('symbolMappingRepository', symbolMappingRepository);
         this.instances.set('watchlistRepository', watchlistRepository);
         this.instances.set('alertRepository', alertRepository);
+        this.instances.set('apiKeyRepository', apiKeyRepository);
         this.instances.set('apiClients', apiClients);
 
         // Services
+        this.instances.set('symbolRegistryService', symbolRegistryService);
         this.instances.set('financialDataService', financialDataService);
+        this.instances.set('economicDataService', economicDataService);
+        this.instances.set('economicDashboardService', economicDashboardService);
+        this.instances.set('forexService', forexService);
+        this.instances.set('currencyConversionService', currencyConversionService);
+        this.instances.set('quoteService', quoteService);
+        this.instances.set('tokenService', tokenService);
         this.instances.set('userService', userService);
+        this.instances.set('apiKeyService', apiKeyService);
         this.instances.set('watchlistService', watchlistService);
         this.instances.set('alertService', alertService);
         this.instances.set('assetService', assetService);
+        this.instances.set('alertMonitorService', alertMonitorService);
+        this.instances.set('alertNotificationService', alertNotificationService);
+        this.instances.set('cacheWarmerService', cacheWarmerService);
+        this.instances.set('tradeStreamService', tradeStreamService);
 
         // Controllers
         this.instances.set('healthController', healthController);
@@ -282,9 +445,12 @@ export class Container {
         this.instances.set('adminController', adminController);
         this.instances.set('statusController', statusController);
         this.instances.set('userController', userController);
+        this.instances.set('apiKeyController', apiKeyController);
         this.instances.set('watchlistController', watchlistController);
         this.instances.set('alertController', alertController);
         this.instances.set('assetController', assetController);
+        this.instances.set('economicController', economicController);
+        this.instances.set('forexController', forexController);
 
         // AI instances (may be null if AI is not configured/available)
         this.instances.set('groqClient', groqClient);
@@ -335,6 +501,52 @@ export class Container {
         return this.instances.get('aiController') != null;
     }
 
+    /**
+     * Stop the background alert monitor.
+     * Called during server shutdown before database connections close.
+     */
+    stopAlertMonitor() {
+        const alertMonitorService = this.instances.get('alertMonitorService');
+        if (alertMonitorService) {
+            alertMonitorService.stop();
+        }
+    }
+
+    /**
+     * Stop the background cache warmer.
+     * Called during server shutdown alongside the alert monitor.
+     */
+    stopCacheWarmer() {
+        const cacheWarmerService = this.instances.get('cacheWarmerService');
+        if (cacheWarmerService) {
+            cacheWarmerService.stop();
+        }
+    }
+
+    /**
+     * Stop polling FRED for new dashboard observations.
+     * Called during server shutdown alongside the alert monitor.
+     */
+    stopEconomicUpdates() {
+        const economicDashboardService = this.instances.get('economicDashboardService');
+        if (economicDashboardService) {
+            economicDashboardService.stop();
+        }
+    }
+
+    /**
+     * Stop the Finnhub trade stream and close its websocket.
+     * Called during server shutdown before Socket.io closes.
+     * 
+     * @returns {Promise<void>}
+     */
+    async stopTradeStream() {
+        const tradeStreamService = this.instances.get('tradeStreamService');
+        if (tradeStreamService) {
+            await tradeStreamService.stop();
+        }
+    }
+
     /**
      * Gracefully close the AI job queue (RabbitMQ consumer).
      * Called during server shutdown to stop consuming messages.
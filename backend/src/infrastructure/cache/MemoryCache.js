@@ -0,0 +1,78 @@
+// Bounded in-process LRU cache with per-entry TTL - RedisCache's tier while Redis is down
+// Values are kept serialized so callers never share mutable objects, same as with Redis
+
+// Redis-style glob (* and ?) to an anchored RegExp
+const globToRegExp = (pattern) => new RegExp(
+    `^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`
+);
+
+export class MemoryCache {
+    constructor({ maxEntries = 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        // Map iteration order doubles as recency order: oldest first
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        // Re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.data;
+    }
+
+    set(key, data, ttlSeconds, tags = []) {
+        this.entries.delete(key);
+        this.entries.set(key, { data, tags, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    // Live keys, without touching recency
+    _liveKeys(predicate) {
+        const now = Date.now();
+        return [...this.entries]
+            .filter(([key, entry]) => entry.expiresAt > now && predicate(key, entry))
+            .map(([key]) => key);
+    }
+
+    findByTag(tag) {
+        return this._liveKeys((key, entry) => entry.tags.includes(tag));
+    }
+
+    findByPattern(pattern) {
+        const regex = globToRegExp(pattern);
+        return this._liveKeys(key => regex.test(key));
+    }
+
+    // Drop every key starting with prefix, or everything without one
+    clear(prefix = '') {
+        let removed = 0;
+        for (const key of [...this.entries.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+export default MemoryCache;
@@ -1,16 +1,72 @@
-// Redis cache with TTL and stale-while-revalidate pattern
+// Redis cache with TTL, stale-while-revalidate, single-flight fetches and tag invalidation
+// Switches to a bounded in-memory LRU tier while Redis is disconnected
 
-import { getRedisClient } from '../../config/redis.js';
+import { randomUUID } from 'crypto';
+import { getRedisClient, isRedisConnected } from '../../config/redis.js';
 import { config } from '../../config/environment.js';
 import { logger } from '../../config/logger.js';
+import { MemoryCache } from './MemoryCache.js';
+
+// Marks values written by getOrSet, which carry their write time for staleness checks
+const ENTRY_MARKER = '__swr';
+
+// Delete the fetch lock only if we still own it - it may have expired and been taken over
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Namespaces under the shared prefix that hold auth, rate-limit and quota state - never cache data
+const RESERVED_NAMESPACES = ['auth', 'ratelimit', 'quota'];
+
+// Keys per SCAN/SSCAN page and per UNLINK call - small enough not to stall Redis
+const SCAN_BATCH = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 export class RedisCache {
-    constructor() {
+    constructor(options = {}) {
         this.keyPrefix = 'globalfi';
+        // Fetches in flight, keyed by cache key - callers in this process share one promise
+        this.inflight = new Map();
+        // Cross-instance fetch lock: held at most lockTtlMs, other instances poll for the result
+        this.lockTtlMs = options.lockTtlMs ?? 10000;
+        this.lockPollMs = options.lockPollMs ?? 100;
+
+        this.memory = new MemoryCache({ maxEntries: options.memoryMaxEntries ?? config.redis.memoryMaxEntries });
+        this.mode = 'redis';
     }
 
+    // Redis while it is connected, the in-memory tier otherwise
     _getClient() {
-        return getRedisClient();
+        const client = isRedisConnected() ? getRedisClient() : null;
+        this._setMode(client ? 'redis' : 'memory');
+        return client;
+    }
+
+    // Log mode switches once rather than on every call
+    _setMode(mode) {
+        if (this.mode === mode) return;
+
+        this.mode = mode;
+        if (mode === 'memory') {
+            logger.warn('Cache using in-memory fallback', { maxEntries: this.memory.maxEntries });
+        } else {
+            // Entries written during the outage never reached Redis - drop them so the next outage starts clean
+            const dropped = this.memory.clear();
+            logger.info('Cache back on Redis', { droppedEntries: dropped });
+        }
+    }
+
+    // Cache tier in use, reported by the readiness check
+    getStatus() {
+        this._getClient();
+        return {
+            mode: this.mode,
+            memory: { entries: this.memory.size, maxEntries: this.memory.maxEntries },
+        };
     }
 
     // Build cache key with prefix
@@ -18,13 +74,12 @@ export class RedisCache {
         return `${this.keyPrefix}:${service}:${identifier}`;
     }
 
-    // Get cached value
-    async get(key) {
+    // Read the raw stored value, envelope included
+    async _read(key) {
         const client = this._getClient();
-        if (!client) return null;
 
         try {
-            const data = await client.get(key);
+            const data = client ? await client.get(key) : this.memory.get(key);
             if (!data) return null;
 
             const parsed = JSON.parse(data);
@@ -36,14 +91,52 @@ export class RedisCache {
         }
     }
 
-    // Set value with TTL
-    async set(key, value, ttlSeconds = config.redis.ttlDefault) {
+    _isEntry(value) {
+        return value !== null && typeof value === 'object' && value[ENTRY_MARKER] === 1;
+    }
+
+    // Get cached value - fresh or stale, callers that care use getOrSet
+    async get(key) {
+        const stored = await this._read(key);
+        return this._isEntry(stored) ? stored.value : stored;
+    }
+
+    _tagKey(tag) {
+        return `${this.keyPrefix}:tag:${tag}`;
+    }
+
+    // Every key under the prefix is tagged with its provider, e.g. globalfi:coingecko:... → provider:coingecko
+    // plus symbol:<SYMBOL> for each of options.symbols, user:<id> for options.userId and any raw options.tags
+    _tagsFor(key, { tags = [], symbols = [], userId = null } = {}) {
+        const [prefix, namespace] = key.split(':');
+        const isCacheKey = prefix === this.keyPrefix && namespace && namespace !== 'tag' && !RESERVED_NAMESPACES.includes(namespace);
+
+        return [...new Set([
+            ...(isCacheKey ? [`provider:${namespace}`] : []),
+            ...symbols.map(symbol => `symbol:${String(symbol).toUpperCase()}`),
+            ...(userId ? [`user:${userId}`] : []),
+            ...tags,
+        ])];
+    }
+
+    // Set value with TTL, optionally tagged for invalidation (see _tagsFor)
+    async set(key, value, ttlSeconds = config.redis.ttlDefault, options = {}) {
         const client = this._getClient();
-        if (!client) return false;
+        const tags = this._tagsFor(key, options);
 
         try {
             const data = JSON.stringify(value);
-            await client.setex(key, ttlSeconds, data);
+            if (client) {
+                const pipeline = client.multi().setex(key, ttlSeconds, data);
+                for (const tag of tags) {
+                    // Tag sets live as long as their longest-lived member
+                    const tagKey = this._tagKey(tag);
+                    pipeline.sadd(tagKey, key).expire(tagKey, ttlSeconds, 'NX').expire(tagKey, ttlSeconds, 'GT');
+                }
+                await pipeline.exec();
+            } else {
+                this.memory.set(key, data, ttlSeconds, tags);
+            }
             logger.debug(`Cache set: ${key} (TTL: ${ttlSeconds}s)`);
             return true;
         } catch (error) {
@@ -54,8 +147,10 @@ export class RedisCache {
 
     // Delete cached value
     async delete(key) {
+        this.memory.delete(key);
+
         const client = this._getClient();
-        if (!client) return false;
+        if (!client) return true;
 
         try {
             await client.del(key);
@@ -67,17 +162,11 @@ export class RedisCache {
         }
     }
 
-    // Clear all cache entries
+    // Clear all cache entries - auth, rate-limit and quota state is left alone
     async clear() {
-        const client = this._getClient();
-        if (!client) return false;
-
         try {
-            const keys = await client.keys(`${this.keyPrefix}:*`);
-            if (keys.length > 0) {
-                await client.del(...keys);
-                logger.info(`Cache cleared: ${keys.length} keys`);
-            }
+            const { deleted } = await this.invalidate({ pattern: '*' });
+            logger.info(`Cache cleared: ${deleted} keys`);
             return true;
         } catch (error) {
             logger.error('Cache clear error', { error: error.message });
@@ -85,19 +174,233 @@ export class RedisCache {
         }
     }
 
+    // Patterns are relative to the prefix unless they already include it
+    _qualifyPattern(pattern) {
+        return pattern.startsWith(`${this.keyPrefix}:`) ? pattern : `${this.keyPrefix}:${pattern}`;
+    }
+
+    _isDataKey(key) {
+        const [, namespace] = key.split(':');
+        return !RESERVED_NAMESPACES.includes(namespace) && !key.endsWith(':lock');
+    }
+
+    // Incremental SCAN - never blocks Redis the way KEYS does
+    async _scan(client, pattern) {
+        const keys = [];
+        let cursor = '0';
+
+        do {
+            const [next, batch] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_BATCH);
+            cursor = next;
+            keys.push(...batch.filter(key => this._isDataKey(key)));
+        } while (cursor !== '0');
+
+        return [...new Set(keys)];
+    }
+
+    // Members of a tag set that still exist - expired keys linger in the set until it expires
+    async _scanTag(client, tag) {
+        const members = [];
+        let cursor = '0';
+
+        do {
+            const [next, batch] = await client.sscan(this._tagKey(tag), cursor, 'COUNT', SCAN_BATCH);
+            cursor = next;
+            members.push(...batch);
+        } while (cursor !== '0');
+
+        const unique = [...new Set(members)];
+        if (unique.length === 0) return [];
+
+        const pipeline = client.multi();
+        unique.forEach(key => pipeline.exists(key));
+        const results = await pipeline.exec();
+
+        return unique.filter((key, index) => results[index][1] === 1);
+    }
+
+    // Keys carrying a tag or matching a glob pattern (e.g. alpha_vantage:stocks:*)
+    async findKeys({ tag, pattern }) {
+        const client = this._getClient();
+
+        if (!client) {
+            return tag ? this.memory.findByTag(tag) : this.memory.findByPattern(this._qualifyPattern(pattern));
+        }
+
+        return tag ? this._scanTag(client, tag) : this._scan(client, this._qualifyPattern(pattern));
+    }
+
+    // Delete keys by tag or pattern; dryRun only counts what would be deleted
+    async invalidate({ tag, pattern }, { dryRun = false } = {}) {
+        const keys = await this.findKeys({ tag, pattern });
+        if (dryRun) {
+            return { matched: keys.length, deleted: 0, dryRun: true };
+        }
+
+        const client = this._getClient();
+        // Tag sets themselves go too, when invalidating by tag
+        const targets = tag ? [...keys, this._tagKey(tag)] : keys;
+
+        if (client) {
+            for (let i = 0; i < targets.length; i += SCAN_BATCH) {
+                await client.unlink(...targets.slice(i, i + SCAN_BATCH));
+            }
+        }
+        keys.forEach(key => this.memory.delete(key));
+
+        logger.info('Cache invalidated', { tag, pattern, deleted: keys.length });
+        return { matched: keys.length, deleted: keys.length, dryRun: false };
+    }
+
+    // Store a value with its write time; Redis keeps it until the hard TTL so it can be served stale
+    async _setEntry(key, value, ttlSeconds, { hardTtlSeconds, ...tagOptions }) {
+        const entry = { [ENTRY_MARKER]: 1, value, storedAt: Date.now() };
+        return this.set(key, entry, Math.max(hardTtlSeconds, ttlSeconds), tagOptions);
+    }
+
+    _storeOptions(ttlSeconds, { hardTtlSeconds, tags, symbols, userId }) {
+        return {
+            hardTtlSeconds: hardTtlSeconds ?? ttlSeconds * config.redis.hardTtlMultiplier,
+            tags,
+            symbols,
+            userId,
+        };
+    }
+
+    _lockKey(key) {
+        return `${key}:lock`;
+    }
+
+    // Returns a token when acquired, false when another instance holds it, null without Redis
+    async _acquireLock(key) {
+        const client = this._getClient();
+        if (!client) return null;
+
+        try {
+            const token = randomUUID();
+            const acquired = await client.set(this._lockKey(key), token, 'PX', this.lockTtlMs, 'NX');
+            return acquired ? token : false;
+        } catch (error) {
+            logger.error('Cache lock error', { key, error: error.message });
+            return null;
+        }
+    }
+
+    async _releaseLock(key, token) {
+        const client = this._getClient();
+        if (!client) return;
+
+        try {
+            await client.eval(RELEASE_LOCK_SCRIPT, 1, this._lockKey(key), token);
+        } catch (error) {
+            logger.error('Cache unlock error', { key, error: error.message });
+        }
+    }
+
+    // Poll until the lock holder stores an entry; null once the lock is gone without one
+    async _waitForPeer(key) {
+        const client = this._getClient();
+        const deadline = Date.now() + this.lockTtlMs;
+
+        while (client && Date.now() < deadline) {
+            await sleep(this.lockPollMs);
+
+            const cached = await this._read(key);
+            if (this._isEntry(cached)) return cached;
+
+            try {
+                if (!(await client.exists(this._lockKey(key)))) return null;
+            } catch {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    // Share one in-flight promise per key within this process
+    _singleFlight(key, task) {
+        if (this.inflight.has(key)) return this.inflight.get(key);
+
+        const promise = task().finally(() => this.inflight.delete(key));
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    // Fetch and store under the cross-instance lock; waits for the holder's result instead of fetching twice
+    // Background refreshes skip the wait - another instance is already refreshing the stale value
+    async _fetchAndStore(key, fetchFn, ttlSeconds, storeOptions, { waitForPeer = true } = {}) {
+        const lock = await this._acquireLock(key);
+
+        if (lock === false) {
+            if (!waitForPeer) return null;
+
+            const stored = await this._waitForPeer(key);
+            if (stored) {
+                return { data: stored.value, fromCache: true, stale: false, age: Math.floor((Date.now() - stored.storedAt) / 1000) };
+            }
+            // Holder gave up or failed - fetch ourselves rather than fail the request
+        }
+
+        try {
+            const data = await fetchFn();
+            await this._setEntry(key, data, ttlSeconds, storeOptions);
+            return { data, fromCache: false, stale: false, age: 0 };
+        } finally {
+            if (lock) await this._releaseLock(key, lock);
+        }
+    }
+
+    // Refresh a stale entry without blocking the caller; failures keep the stale value in place
+    _revalidate(key, fetchFn, ttlSeconds, storeOptions) {
+        return this._singleFlight(key, () =>
+            this._fetchAndStore(key, fetchFn, ttlSeconds, storeOptions, { waitForPeer: false })
+        ).catch((error) => {
+            logger.warn('Cache revalidation failed, serving stale', { key, error: error.message });
+        });
+    }
+
+    // Seconds since getOrSet stored the entry - null when missing or written by plain set()
+    async getAge(key) {
+        const cached = await this._read(key);
+        return this._isEntry(cached) ? Math.floor((Date.now() - cached.storedAt) / 1000) : null;
+    }
+
+    // Fetch and store now, regardless of freshness - used by the cache warmer
+    // Returns null when another instance is already fetching the key
+    async refresh(key, fetchFn, ttlSeconds = config.redis.ttlDefault, options = {}) {
+        const storeOptions = this._storeOptions(ttlSeconds, options);
+
+        return this._singleFlight(key, () =>
+            this._fetchAndStore(key, fetchFn, ttlSeconds, storeOptions, { waitForPeer: false })
+        );
+    }
+
     // Get or set with callback (stale-while-revalidate)
-    async getOrSet(key, fetchFn, ttlSeconds) {
-        // Try cache first
-        const cached = await this.get(key);
+    // Fresh for ttlSeconds; after that the stale value is returned at once while a background
+    // refresh runs, so a failing fetch or open circuit keeps serving it until the hard TTL.
+    // Only one fetch per key runs at a time across all instances; concurrent callers get its result
+    async getOrSet(key, fetchFn, ttlSeconds = config.redis.ttlDefault, options = {}) {
+        const storeOptions = this._storeOptions(ttlSeconds, options);
+
+        const cached = await this._read(key);
         if (cached) {
-            return { data: cached, fromCache: true };
+            // Values written by plain set() have no write time and are fresh until Redis expires them
+            if (!this._isEntry(cached)) {
+                return { data: cached, fromCache: true, stale: false, age: null };
+            }
+
+            const age = Math.floor((Date.now() - cached.storedAt) / 1000);
+            if (age < ttlSeconds) {
+                return { data: cached.value, fromCache: true, stale: false, age };
+            }
+
+            this._revalidate(key, fetchFn, ttlSeconds, storeOptions);
+            return { data: cached.value, fromCache: true, stale: true, age };
         }
 
         // Fetch fresh data
         try {
-            const data = await fetchFn();
-            await this.set(key, data, ttlSeconds);
-            return { data, fromCache: false };
+            return await this._singleFlight(key, () => this._fetchAndStore(key, fetchFn, ttlSeconds, storeOptions));
         } catch (error) {
             logger.error('Cache getOrSet fetch error', { key, error: error.message });
             throw error;
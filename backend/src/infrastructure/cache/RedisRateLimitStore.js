@@ -0,0 +1,127 @@
+// express-rate-limit store backed by Redis - counters are shared by every instance
+// Falls back to a per-process MemoryStore while Redis is unavailable
+
+import { MemoryStore } from 'express-rate-limit';
+import { getRedisClient, isRedisConnected } from '../../config/redis.js';
+import { logger } from '../../config/logger.js';
+
+// Fixed window: the first hit starts the window, the key expires when it ends
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+    ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+    return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+export class RedisRateLimitStore {
+    constructor({ name }) {
+        this.name = name;
+        this.prefix = `globalfi:ratelimit:${name}:`;
+        this.localKeys = false;
+        this.windowMs = 60 * 1000;
+        this.fallback = new MemoryStore();
+        this.usingFallback = false;
+    }
+
+    // Called by express-rate-limit with the limiter's options
+    init(options) {
+        this.windowMs = options.windowMs;
+        this.fallback.init(options);
+    }
+
+    _getClient() {
+        return isRedisConnected() ? getRedisClient() : null;
+    }
+
+    _key(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    // Log mode switches once rather than on every request
+    _setFallback(usingFallback, error = null) {
+        if (this.usingFallback === usingFallback) return;
+
+        this.usingFallback = usingFallback;
+        if (usingFallback) {
+            logger.warn('Rate limit store using in-memory fallback', { limiter: this.name, error: error?.message });
+        } else {
+            logger.info('Rate limit store back on Redis', { limiter: this.name });
+        }
+    }
+
+    async increment(key) {
+        const client = this._getClient();
+        if (!client) {
+            this._setFallback(true);
+            return this.fallback.increment(key);
+        }
+
+        try {
+            const [totalHits, ttl] = await client.eval(INCREMENT_SCRIPT, 1, this._key(key), this.windowMs);
+            this._setFallback(false);
+            return { totalHits, resetTime: new Date(Date.now() + ttl) };
+        } catch (error) {
+            this._setFallback(true, error);
+            return this.fallback.increment(key);
+        }
+    }
+
+    async get(key) {
+        const client = this._getClient();
+        if (!client) {
+            return this.fallback.get(key);
+        }
+
+        try {
+            const [[, hits], [, ttl]] = await client.multi().get(this._key(key)).pttl(this._key(key)).exec();
+            if (hits === null) return undefined;
+
+            return { totalHits: Number(hits), resetTime: new Date(Date.now() + Math.max(ttl, 0)) };
+        } catch (error) {
+            logger.error('Rate limit store get error', { limiter: this.name, error: error.message });
+            return this.fallback.get(key);
+        }
+    }
+
+    async decrement(key) {
+        const client = this._getClient();
+        if (!client) {
+            return this.fallback.decrement(key);
+        }
+
+        try {
+            await client.eval(DECREMENT_SCRIPT, 1, this._key(key));
+        } catch (error) {
+            logger.error('Rate limit store decrement error', { limiter: this.name, error: error.message });
+        }
+    }
+
+    async resetKey(key) {
+        this.fallback.resetKey(key);
+
+        const client = this._getClient();
+        if (!client) return;
+
+        try {
+            await client.del(this._key(key));
+        } catch (error) {
+            logger.error('Rate limit store reset error', { limiter: this.name, error: error.message });
+        }
+    }
+
+    shutdown() {
+        this.fallback.shutdown();
+    }
+}
+
+export default RedisRateLimitStore;
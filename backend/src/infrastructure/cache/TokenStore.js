@@ -0,0 +1,120 @@
+// Token store - access token denylist and refresh token families in Redis
+// Degrades like RedisCache: without Redis nothing is revoked and rotation is not enforced
+
+import { getRedisClient } from '../../config/redis.js';
+import { logger } from '../../config/logger.js';
+
+// Atomically advance a refresh family to the next token
+// 1 = rotated, -1 = reuse of an old token (family revoked), 0 = family unknown/revoked
+const ROTATE_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if current == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+    return 1
+end
+redis.call('DEL', KEYS[1])
+return -1
+`;
+
+export const ROTATION_RESULT = {
+    ROTATED: 'rotated',
+    REUSED: 'reused',
+    REVOKED: 'revoked',
+    UNAVAILABLE: 'unavailable',
+};
+
+export class TokenStore {
+    constructor() {
+        this.keyPrefix = 'globalfi:auth';
+    }
+
+    _getClient() {
+        return getRedisClient();
+    }
+
+    _denylistKey(jti) {
+        return `${this.keyPrefix}:denylist:${jti}`;
+    }
+
+    _familyKey(familyId) {
+        return `${this.keyPrefix}:family:${familyId}`;
+    }
+
+    isAvailable() {
+        return Boolean(this._getClient());
+    }
+
+    // Deny an access token until it would have expired anyway
+    async revokeAccessToken(jti, ttlSeconds) {
+        const client = this._getClient();
+        if (!client || !jti || ttlSeconds <= 0) return false;
+
+        try {
+            await client.setex(this._denylistKey(jti), ttlSeconds, '1');
+            return true;
+        } catch (error) {
+            logger.error('Token denylist set error', { jti, error: error.message });
+            return false;
+        }
+    }
+
+    // Fails open - a Redis outage must not lock every user out
+    async isAccessTokenRevoked(jti) {
+        const client = this._getClient();
+        if (!client || !jti) return false;
+
+        try {
+            return (await client.exists(this._denylistKey(jti))) === 1;
+        } catch (error) {
+            logger.error('Token denylist check error', { jti, error: error.message });
+            return false;
+        }
+    }
+
+    // Start a refresh family - a family is one login session, rotated on every refresh
+    async createFamily(familyId, jti, ttlSeconds) {
+        const client = this._getClient();
+        if (!client) return false;
+
+        try {
+            await client.setex(this._familyKey(familyId), ttlSeconds, jti);
+            return true;
+        } catch (error) {
+            logger.error('Refresh family create error', { familyId, error: error.message });
+            return false;
+        }
+    }
+
+    // Replace the family's current token - presenting anything but the current token revokes the family
+    async rotateFamily(familyId, presentedJti, nextJti, ttlSeconds) {
+        const client = this._getClient();
+        if (!client) return ROTATION_RESULT.UNAVAILABLE;
+
+        try {
+            const result = await client.eval(ROTATE_SCRIPT, 1, this._familyKey(familyId), presentedJti, nextJti, ttlSeconds);
+
+            if (result === 1) return ROTATION_RESULT.ROTATED;
+            if (result === -1) return ROTATION_RESULT.REUSED;
+            return ROTATION_RESULT.REVOKED;
+        } catch (error) {
+            logger.error('Refresh family rotate error', { familyId, error: error.message });
+            return ROTATION_RESULT.UNAVAILABLE;
+        }
+    }
+
+    async revokeFamily(familyId) {
+        const client = this._getClient();
+        if (!client) return false;
+
+        try {
+            await client.del(this._familyKey(familyId));
+            return true;
+        } catch (error) {
+            logger.error('Refresh family revoke error', { familyId, error: error.message });
+            return false;
+        }
+    }
+}
+
+export default TokenStore;
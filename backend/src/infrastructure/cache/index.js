@@ -3,3 +3,5 @@
  */
 
 export { RedisCache } from './RedisCache.js';
+export { MemoryCache } from './MemoryCache.js';
+export { TokenStore, ROTATION_RESULT } from './TokenStore.js';
@@ -1,10 +1,48 @@
-// Alpha Vantage client for stock quotes (free tier: 5 requests/minute)
+// Alpha Vantage client for stock quotes and OHLCV time series (free tier: 5 requests/minute)
 
 import { BaseApiClient } from './BaseApiClient.js';
 import { config } from '../../config/environment.js';
 import { ValidationError } from '../../utils/errors.js';
 import { Money, Percentage } from '../../utils/valueObjects.js';
 
+// Our candle intervals → Alpha Vantage intraday intervals
+const INTRADAY_INTERVALS = {
+    '1m': '1min',
+    '5m': '5min',
+    '15m': '15min',
+    '30m': '30min',
+    '1h': '60min',
+};
+
+// Exchange-local timestamp ('2026-01-05 15:55:00' in e.g. US/Eastern) → UTC Date
+const zonedToUtc = (dateTime, timeZone) => {
+    const asUtc = new Date(`${dateTime.replace(' ', 'T')}Z`);
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+    }).formatToParts(asUtc).map(({ type, value }) => [type, Number(value)]));
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - asUtc.getTime();
+    return new Date(asUtc.getTime() - offset);
+};
+
+// Weekly and monthly bars are dated by their last trading day - the history store keys them by period start
+const periodStart = (date, interval) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    if (interval === '1w') {
+        return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+    }
+    if (interval === '1M') {
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    }
+    return day;
+};
+
 export class AlphaVantageClient extends BaseApiClient {
     constructor(options = {}) {
         super('alpha_vantage', {
@@ -26,16 +64,123 @@ export class AlphaVantageClient extends BaseApiClient {
         return this._normalizeQuote(response, symbol);
     }
 
-    _normalizeQuote(response, symbol) {
-        const quote = response['Global Quote'];
+    // Intraday bars for one of 1m, 5m, 15m, 30m, 1h - month (YYYY-MM) reaches back beyond the last 30 days
+    async getIntraday(symbol, { interval = '5m', outputSize = 'compact', month, extendedHours = false } = {}) {
+        if (!INTRADAY_INTERVALS[interval]) {
+            throw new ValidationError(
+                `Unsupported intraday interval: ${interval}`,
+                [{ field: 'interval', message: `Must be one of ${Object.keys(INTRADAY_INTERVALS).join(', ')}` }]
+            );
+        }
 
-        // Handle API limit message
+        const response = await this.get('/query', {
+            function: 'TIME_SERIES_INTRADAY',
+            symbol,
+            interval: INTRADAY_INTERVALS[interval],
+            outputsize: outputSize,
+            extended_hours: extendedHours,
+            ...(month && { month }),
+            apikey: this.apiKey,
+        });
+
+        return this._normalizeTimeSeries(response, symbol, interval);
+    }
+
+    // Daily bars with split/dividend-adjusted close
+    async getDailyAdjusted(symbol, { outputSize = 'compact' } = {}) {
+        const response = await this.get('/query', {
+            function: 'TIME_SERIES_DAILY_ADJUSTED',
+            symbol,
+            outputsize: outputSize,
+            apikey: this.apiKey,
+        });
+
+        return this._normalizeTimeSeries(response, symbol, '1d');
+    }
+
+    // Full weekly history - no outputsize option
+    async getWeekly(symbol) {
+        const response = await this.get('/query', {
+            function: 'TIME_SERIES_WEEKLY',
+            symbol,
+            apikey: this.apiKey,
+        });
+
+        return this._normalizeTimeSeries(response, symbol, '1w');
+    }
+
+    // Full monthly history - no outputsize option
+    async getMonthly(symbol) {
+        const response = await this.get('/query', {
+            function: 'TIME_SERIES_MONTHLY',
+            symbol,
+            apikey: this.apiKey,
+        });
+
+        return this._normalizeTimeSeries(response, symbol, '1M');
+    }
+
+    // Alpha Vantage answers 200 with a Note/Information message when rate limited or on premium-only functions
+    _checkLimit(response) {
         if (response.Note || response.Information) {
             throw new ValidationError(
                 'Alpha Vantage API limit or invalid response',
                 [{ message: response.Note || response.Information }]
             );
         }
+    }
+
+    // Common candle shape for every time series: UTC bar open time, Money strings, oldest first
+    _normalizeTimeSeries(response, symbol, interval) {
+        this._checkLimit(response);
+
+        const seriesKey = Object.keys(response).find(key => key.includes('Time Series'));
+        const series = seriesKey ? response[seriesKey] : null;
+
+        if (!series || Object.keys(series).length === 0) {
+            throw new ValidationError(
+                `No time series data returned for symbol: ${symbol}`,
+                [{ field: 'symbol', message: response['Error Message'] || 'Invalid or unknown symbol' }]
+            );
+        }
+
+        const meta = response['Meta Data'] || {};
+        // Intraday timestamps are exchange-local; the zone is the last "Time Zone" entry of Meta Data
+        const timeZone = Object.entries(meta).find(([key]) => key.includes('Time Zone'))?.[1] || 'US/Eastern';
+        const isIntraday = Boolean(INTRADAY_INTERVALS[interval]);
+
+        const candles = Object.entries(series).map(([time, bar]) => {
+            // Adjusted series shift volume to "6. volume" and add "5. adjusted close"
+            const adjustedClose = bar['5. adjusted close'];
+            const volume = adjustedClose === undefined ? bar['5. volume'] : bar['6. volume'];
+
+            return {
+                timestamp: (isIntraday ? zonedToUtc(time, timeZone) : periodStart(time, interval)).toISOString(),
+                open: new Money(bar['1. open']).toString(),
+                high: new Money(bar['2. high']).toString(),
+                low: new Money(bar['3. low']).toString(),
+                close: new Money(bar['4. close']).toString(),
+                adjustedClose: adjustedClose === undefined ? null : new Money(adjustedClose).toString(),
+                volume: Number(volume) || 0,
+            };
+        });
+
+        candles.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        return {
+            symbol: meta['2. Symbol'] || symbol,
+            interval,
+            candles,
+            lastRefreshed: meta['3. Last Refreshed'] || null,
+            source: 'alpha_vantage',
+        };
+    }
+
+    _normalizeQuote(response, symbol) {
+        const quote = response['Global Quote'];
+
+        // Handle API limit message
+        this._checkLimit(response);
 
         if (!quote || Object.keys(quote).length === 0) {
             throw new ValidationError(
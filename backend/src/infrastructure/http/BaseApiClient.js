@@ -1,9 +1,10 @@
 // Base API client with circuit breaker, retry logic, and error handling
 
 import axios from 'axios';
-import { configureRetry } from '../resilience/RetryStrategy.js';
+import { configureRetry, getRetryCount } from '../resilience/RetryStrategy.js';
 import { CircuitBreaker } from '../resilience/CircuitBreaker.js';
-import { ExternalAPIError } from '../../utils/errors.js';
+import { ProviderQuota } from '../resilience/ProviderQuota.js';
+import { ExternalAPIError, QuotaExceededError } from '../../utils/errors.js';
 import { logger } from '../../config/logger.js';
 
 export class BaseApiClient {
@@ -23,17 +24,28 @@ export class BaseApiClient {
         configureRetry(this.client, {
             retries: 3,
             retryDelay: 1000,
+            logUrl: url => this._logUrl(url),
         });
 
         this.circuitBreaker = new CircuitBreaker(name, {
             onStateChange: options.onCircuitStateChange,
         });
 
+        this.quota = options.quota || new ProviderQuota(name);
+
+        // Every retry is another upstream call - get() spends the first attempt's quota
+        this.client.interceptors.request.use(async (config) => {
+            if (getRetryCount(config) > 0) {
+                await this.quota.acquire();
+            }
+            return config;
+        });
+
         // Request logging
         this.client.interceptors.request.use((config) => {
             config.metadata = { startTime: Date.now() };
             logger.debug(`API Request: ${this.name}`, {
-                url: config.url,
+                url: this._logUrl(config.url),
                 method: config.method,
             });
             return config;
@@ -44,7 +56,7 @@ export class BaseApiClient {
             (response) => {
                 const duration = Date.now() - response.config.metadata.startTime;
                 logger.debug(`API Response: ${this.name}`, {
-                    url: response.config.url,
+                    url: this._logUrl(response.config.url),
                     status: response.status,
                     duration: `${duration}ms`,
                 });
@@ -55,7 +67,7 @@ export class BaseApiClient {
                     ? Date.now() - error.config.metadata.startTime
                     : 0;
                 logger.error(`API Error: ${this.name}`, {
-                    url: error.config?.url,
+                    url: this._logUrl(error.config?.url),
                     status: error.response?.status,
                     message: error.message,
                     duration: `${duration}ms`,
@@ -71,7 +83,13 @@ export class BaseApiClient {
     }
 
     // Make GET request
+    // Quota is spent before the circuit breaker so a rejected call is never sent or counted as a failure
+    // Retries acquire their own quota in the request interceptor
     async get(endpoint, params = {}) {
+        if (this.circuitBreaker.isAllowingRequests()) {
+            await this.quota.acquire();
+        }
+
         return this.executeWithCircuitBreaker(async () => {
             try {
                 const response = await this.client.get(endpoint, { params });
@@ -82,8 +100,18 @@ export class BaseApiClient {
         });
     }
 
+    // URL as written to the logs - clients that put a secret in the path override this to mask it
+    _logUrl(url) {
+        return url;
+    }
+
     // Transform API errors into ExternalAPIError
     _handleError(error) {
+        // A retry refused by the quota was never sent
+        if (error instanceof QuotaExceededError) {
+            return error;
+        }
+
         // Timeout
         if (error.code === 'ECONNABORTED' || error.message?.includes('timeout')) {
             return new ExternalAPIError(`Request timeout for ${this.name}`, this.name, error.message);
@@ -112,6 +140,11 @@ export class BaseApiClient {
     getCircuitBreakerStatus() {
         return this.circuitBreaker.getStatus();
     }
+
+    // Get remaining outbound quota
+    async getQuotaStatus() {
+        return this.quota.getStatus();
+    }
 }
 
 export default BaseApiClient;
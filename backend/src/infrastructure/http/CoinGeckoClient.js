@@ -1,9 +1,22 @@
-// CoinGecko client for crypto prices (free tier: 10-50 requests/minute)
+// CoinGecko client for crypto prices, history and coin metadata (free tier: 10-50 requests/minute)
 
 import { BaseApiClient } from './BaseApiClient.js';
 import { ValidationError } from '../../utils/errors.js';
 import { Money } from '../../utils/valueObjects.js';
 
+// OHLC candle width by requested days (free tier) - timestamps mark the candle close
+const ohlcInterval = (days) => {
+    if (days <= 2) return { interval: '30m', ms: 30 * 60 * 1000 };
+    if (days <= 30) return { interval: '4h', ms: 4 * 60 * 60 * 1000 };
+    return { interval: '4d', ms: 4 * 24 * 60 * 60 * 1000 };
+};
+
+// Longest range the free OHLC endpoint still returns 4h bars for
+const MAX_4H_OHLC_DAYS = 30;
+const BARS_PER_DAY = 6;
+
+const toMoney = (value) => (value === null || value === undefined ? null : new Money(value.toString()).toString());
+
 export class CoinGeckoClient extends BaseApiClient {
     constructor(options = {}) {
         super('coingecko', {
@@ -11,6 +24,13 @@ export class CoinGeckoClient extends BaseApiClient {
             timeout: 15000,
             onCircuitStateChange: options.onCircuitStateChange,
         });
+
+        // Coin ID → ticker for response labels - the container wires in the symbol registry
+        this.symbolResolver = () => null;
+    }
+
+    setSymbolResolver(resolve) {
+        this.symbolResolver = resolve;
     }
 
     async getSimplePrice(params = {}) {
@@ -26,6 +46,141 @@ export class CoinGeckoClient extends BaseApiClient {
         return this._normalizeResponse(response, ids, vsCurrencies);
     }
 
+    // Price, market cap and volume points - CoinGecko picks 5m/hourly/daily granularity from days unless interval='daily'
+    async getMarketChart(coinId, { vsCurrency = 'usd', days = 30, interval } = {}) {
+        const response = await this.get(`/coins/${encodeURIComponent(coinId)}/market_chart`, {
+            vs_currency: vsCurrency,
+            days,
+            ...(interval && { interval }),
+        });
+
+        if (!response?.prices?.length) {
+            throw new ValidationError(
+                `No market chart data returned for coin: ${coinId}`,
+                [{ field: 'coinId', message: 'Invalid or unknown CoinGecko coin ID' }]
+            );
+        }
+
+        const marketCaps = new Map((response.market_caps || []).map(([time, value]) => [time, value]));
+        const volumes = new Map((response.total_volumes || []).map(([time, value]) => [time, value]));
+
+        const points = response.prices.map(([time, price]) => ({
+            timestamp: new Date(time).toISOString(),
+            price: toMoney(price),
+            marketCap: toMoney(marketCaps.get(time)),
+            volume: volumes.get(time) ?? null,
+        }));
+
+        return {
+            id: coinId,
+            symbol: this.getSymbol(coinId),
+            currency: vsCurrency.toUpperCase(),
+            points,
+            source: 'coingecko',
+        };
+    }
+
+    // Daily candles built from 4h OHLC bars - the free tier has 4h bars up to 30 days back and 4-day bars beyond
+    // Only complete UTC days (six bars) are kept; OHLC data has no volume
+    async getDailyCandles(coinId, { vsCurrency = 'usd', days = 30 } = {}) {
+        const series = await this.getOhlc(coinId, { vsCurrency, days: Math.min(days, MAX_4H_OHLC_DAYS) });
+        const day = 24 * 60 * 60 * 1000;
+
+        const byDay = new Map();
+        for (const bar of series.candles) {
+            const start = Math.floor(Date.parse(bar.timestamp) / day) * day;
+            if (!byDay.has(start)) byDay.set(start, []);
+            byDay.get(start).push(bar);
+        }
+
+        const candles = [...byDay]
+            .filter(([, bars]) => bars.length === BARS_PER_DAY)
+            .map(([start, bars]) => ({
+                timestamp: new Date(start).toISOString(),
+                open: bars[0].open,
+                high: toMoney(Math.max(...bars.map(bar => Number(bar.high)))),
+                low: toMoney(Math.min(...bars.map(bar => Number(bar.low)))),
+                close: bars[bars.length - 1].close,
+                adjustedClose: null,
+                volume: 0,
+            }));
+
+        return { id: coinId, symbol: series.symbol, currency: series.currency, interval: '1d', candles, source: 'coingecko' };
+    }
+
+    // OHLC candles in the common shape, keyed by bar open time - 30m up to 2 days, 4h up to 30, 4d beyond
+    async getOhlc(coinId, { vsCurrency = 'usd', days = 1 } = {}) {
+        const response = await this.get(`/coins/${encodeURIComponent(coinId)}/ohlc`, {
+            vs_currency: vsCurrency,
+            days,
+        });
+
+        if (!Array.isArray(response) || response.length === 0) {
+            throw new ValidationError(
+                `No OHLC data returned for coin: ${coinId}`,
+                [{ field: 'coinId', message: 'Invalid or unknown CoinGecko coin ID' }]
+            );
+        }
+
+        const { interval, ms } = ohlcInterval(Number(days) || Infinity);
+        const candles = response.map(([time, open, high, low, close]) => ({
+            timestamp: new Date(time - ms).toISOString(),
+            open: toMoney(open),
+            high: toMoney(high),
+            low: toMoney(low),
+            close: toMoney(close),
+            adjustedClose: null,
+            volume: 0,
+        }));
+
+        return { id: coinId, symbol: this.getSymbol(coinId), currency: vsCurrency.toUpperCase(), interval, candles, source: 'coingecko' };
+    }
+
+    // Coins ranked by market cap, in the FinancialAsset shape plus rank, volume and 24h change
+    async getMarkets({ vsCurrency = 'usd', ids, perPage = 100, page = 1 } = {}) {
+        const response = await this.get('/coins/markets', {
+            vs_currency: vsCurrency,
+            order: 'market_cap_desc',
+            per_page: perPage,
+            page,
+            ...(ids && { ids }),
+        });
+
+        if (!Array.isArray(response)) {
+            throw new ValidationError('Invalid markets response from CoinGecko');
+        }
+
+        const assets = response.map(coin => ({
+            coinId: coin.id,
+            symbol: coin.symbol.toUpperCase(),
+            name: coin.name,
+            type: 'crypto',
+            currentPrice: toMoney(coin.current_price),
+            currency: vsCurrency.toUpperCase(),
+            lastUpdated: coin.last_updated || null,
+            volume24h: coin.total_volume ?? null,
+            changePercent24h: coin.price_change_percentage_24h ?? null,
+            metadata: {
+                marketCap: coin.market_cap ?? null,
+                rank: coin.market_cap_rank ?? null,
+                logo: coin.image || null,
+            },
+        }));
+
+        return { assets, source: 'coingecko' };
+    }
+
+    // Every coin CoinGecko lists (~15k) - IDs, upper-cased tickers and names
+    async getCoinList() {
+        const response = await this.get('/coins/list');
+
+        if (!Array.isArray(response)) {
+            throw new ValidationError('Invalid coin list response from CoinGecko');
+        }
+
+        return response.map(({ id, symbol, name }) => ({ id, symbol: symbol.toUpperCase(), name }));
+    }
+
     _normalizeResponse(response, ids, vsCurrencies) {
         if (!response || Object.keys(response).length === 0) {
             throw new ValidationError(
@@ -52,7 +207,7 @@ export class CoinGeckoClient extends BaseApiClient {
 
                 coins.push({
                     id: coinId,
-                    symbol: this._getSymbol(coinId),
+                    symbol: this.getSymbol(coinId),
                     currency: currency.toUpperCase(),
                     price: priceValue.toString(),
                     change24h: change24h ? new Money(change24h.toString()).toString() : null,
@@ -71,18 +226,10 @@ export class CoinGeckoClient extends BaseApiClient {
         };
     }
 
-    _getSymbol(coinId) {
-        const symbols = {
-            bitcoin: 'BTC',
-            ethereum: 'ETH',
-            tether: 'USDT',
-            'binancecoin': 'BNB',
-            ripple: 'XRP',
-            cardano: 'ADA',
-            solana: 'SOL',
-            dogecoin: 'DOGE',
-        };
-        return symbols[coinId] || coinId.toUpperCase();
+    // Ticker for a CoinGecko coin ID (e.g. "bitcoin" → "BTC") from the registry's /coins/list import
+    // null for coins the registry doesn't hold - an upper-cased ID is not a ticker
+    getSymbol(coinId) {
+        return this.symbolResolver(coinId) || null;
     }
 }
 
@@ -1,9 +1,13 @@
 // ExchangeRate-API client for forex data (free tier: 1500 requests/month)
+// Latest tables come from the open v4 endpoint; historical tables need a v6 key on a plan that includes history
 
 import { BaseApiClient } from './BaseApiClient.js';
+import { config } from '../../config/environment.js';
 import { ValidationError } from '../../utils/errors.js';
 import { Money } from '../../utils/valueObjects.js';
 
+const V6_BASE_URL = 'https://v6.exchangerate-api.com/v6';
+
 export class ExchangeRateClient extends BaseApiClient {
     constructor(options = {}) {
         super('exchangerate_api', {
@@ -11,6 +15,8 @@ export class ExchangeRateClient extends BaseApiClient {
             timeout: 10000,
             onCircuitStateChange: options.onCircuitStateChange,
         });
+
+        this.apiKey = config.apiKeys.exchangeRate;
     }
 
     async getLatestRates(base = 'USD') {
@@ -19,6 +25,40 @@ export class ExchangeRateClient extends BaseApiClient {
         return this._normalizeResponse(response, base);
     }
 
+    // The v6 key is part of the path, so it's masked before BaseApiClient logs the URL
+    _logUrl(url) {
+        return this.apiKey && url ? url.split(this.apiKey).join('***') : url;
+    }
+
+    hasHistoricalRates() {
+        return Boolean(this.apiKey);
+    }
+
+    // Rates table for base as published on date (YYYY-MM-DD)
+    async getHistoricalRates(date, base = 'USD') {
+        if (!this.hasHistoricalRates()) {
+            throw new ValidationError('Historical exchange rates are not configured', [
+                { field: 'date', message: 'EXCHANGERATE_API_KEY is required for historical rates' },
+            ]);
+        }
+
+        const [year, month, day] = date.split('-').map(Number);
+        const response = await this.get(`${V6_BASE_URL}/${this.apiKey}/history/${base.toUpperCase()}/${year}/${month}/${day}`);
+
+        // v6 reports problems such as no-data-available or plan-upgrade-required in the body
+        if (response?.result === 'error') {
+            throw new ValidationError(`ExchangeRate-API error: ${response['error-type']}`, [
+                { field: 'date', message: `No historical rates for ${base.toUpperCase()} on ${date}` },
+            ]);
+        }
+
+        return this._normalizeResponse({
+            base: response?.base_code,
+            date,
+            rates: response?.conversion_rates,
+        }, base);
+    }
+
     _normalizeResponse(response, base) {
         if (!response || !response.rates) {
             throw new ValidationError(
@@ -36,13 +76,20 @@ export class ExchangeRateClient extends BaseApiClient {
             }
         }
 
+        const date = response.date || new Date().toISOString().split('T')[0];
+        // v4 stamps the table with its update time; historical tables only carry their date
+        const updatedAt = response.time_last_updated
+            ? new Date(response.time_last_updated * 1000).toISOString()
+            : `${date}T00:00:00.000Z`;
+
         return {
             baseCurrency: response.base || base.toUpperCase(),
             rates: normalizedRates,
             allRates: Object.fromEntries(
                 Object.entries(response.rates).map(([k, v]) => [k, new Money(v.toString()).toString()])
             ),
-            date: response.date || new Date().toISOString().split('T')[0],
+            date,
+            updatedAt,
             provider: response.provider || 'exchangerate-api',
             source: 'exchangerate_api',
         };
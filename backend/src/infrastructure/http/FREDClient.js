@@ -1,4 +1,4 @@
-// FRED client for economic indicators (no official rate limit)
+// FRED client for economic series - observations, metadata and search (no official rate limit)
 
 import { BaseApiClient } from './BaseApiClient.js';
 import { config } from '../../config/environment.js';
@@ -16,42 +16,141 @@ export class FREDClient extends BaseApiClient {
         this.apiKey = config.apiKeys.fred;
     }
 
+    // Observations for one series - just the latest by default (limit 1, newest first)
+    // Date range, frequency aggregation, units transform and real-time/vintage options map to FRED's own parameters
     async getSeriesObservations(params = {}) {
-        const { seriesId = 'GDP', limit = 1 } = params;
+        const {
+            seriesId = 'GDP',
+            limit = 1,
+            sortOrder = 'desc',
+            observationStart,
+            observationEnd,
+            frequency,
+            aggregationMethod,
+            units,
+            realtimeStart,
+            realtimeEnd,
+            vintageDates,
+        } = params;
 
-        const response = await this.get('/series/observations', {
+        const query = {
             series_id: seriesId,
             api_key: this.apiKey,
             file_type: 'json',
+            sort_order: sortOrder,
+            limit,
+            observation_start: observationStart,
+            observation_end: observationEnd,
+            frequency,
+            aggregation_method: aggregationMethod,
+            units,
+            realtime_start: realtimeStart,
+            realtime_end: realtimeEnd,
+            vintage_dates: Array.isArray(vintageDates) ? vintageDates.join(',') : vintageDates,
+        };
+
+        const response = await this.get('/series/observations', this._withoutEmpty(query));
+        const isRange = Boolean(observationStart || observationEnd);
+        const isVintage = Boolean(realtimeStart || realtimeEnd || vintageDates);
+
+        return this._normalizeResponse(response, seriesId, { isRange, isVintage });
+    }
+
+    // Series metadata - title, native frequency and units, seasonal adjustment, coverage
+    async getSeries(seriesId) {
+        const response = await this.get('/series', {
+            series_id: seriesId,
+            api_key: this.apiKey,
+            file_type: 'json',
+        });
+
+        const series = response?.seriess?.[0];
+        if (!series) {
+            throw new ValidationError(
+                `No metadata returned for FRED series: ${seriesId}`,
+                [{ field: 'seriesId', message: 'Invalid or unknown series ID' }]
+            );
+        }
+
+        return { ...this._normalizeSeries(series), source: 'fred' };
+    }
+
+    // Full-text series search, most popular first
+    async searchSeries(searchText, { limit = 20, offset = 0 } = {}) {
+        const response = await this.get('/series/search', {
+            search_text: searchText,
+            api_key: this.apiKey,
+            file_type: 'json',
+            order_by: 'popularity',
             sort_order: 'desc',
             limit,
+            offset,
         });
 
-        return this._normalizeResponse(response, seriesId);
+        if (!response || !Array.isArray(response.seriess)) {
+            throw new ValidationError('Invalid FRED series search response');
+        }
+
+        return {
+            query: searchText,
+            count: response.count ?? response.seriess.length,
+            offset: response.offset ?? offset,
+            series: response.seriess.map(series => this._normalizeSeries(series)),
+            source: 'fred',
+        };
     }
 
-    _normalizeResponse(response, seriesId) {
-        if (!response.observations || response.observations.length === 0) {
+    _withoutEmpty(query) {
+        return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    }
+
+    _normalizeSeries(series) {
+        return {
+            id: series.id,
+            title: series.title,
+            frequency: series.frequency || null,
+            frequencyShort: series.frequency_short || null,
+            units: series.units || null,
+            unitsShort: series.units_short || null,
+            seasonalAdjustment: series.seasonal_adjustment_short || null,
+            observationStart: series.observation_start || null,
+            observationEnd: series.observation_end || null,
+            lastUpdated: series.last_updated || null,
+            popularity: series.popularity ?? null,
+            notes: series.notes || null,
+        };
+    }
+
+    // A range with no observations is a valid empty result; a latest-value lookup without one is not
+    _normalizeResponse(response, seriesId, { isRange = false, isVintage = false } = {}) {
+        const observations = response?.observations || [];
+
+        if (observations.length === 0 && !isRange) {
             throw new ValidationError(
                 `No data returned for FRED series: ${seriesId}`,
                 [{ field: 'seriesId', message: 'Invalid or unknown series ID' }]
             );
         }
 
-        const latest = response.observations[0];
-
         // Handle missing data points (FRED uses "." for missing)
-        const value = latest.value === '.' ? null : new Money(latest.value).toString();
+        const toValue = (value) => (value === '.' || value === undefined ? null : new Money(value).toString());
+
+        // Newest observation whatever the sort order; ISO dates compare as strings
+        const latest = observations.reduce((newest, obs) => (!newest || obs.date > newest.date ? obs : newest), null);
 
         return {
             indicator: seriesId,
-            value,
-            date: latest.date || null,
+            value: latest ? toValue(latest.value) : null,
+            date: latest?.date || null,
             realtimeStart: response.realtime_start || null,
             realtimeEnd: response.realtime_end || null,
-            observations: response.observations.map(obs => ({
+            units: response.units || null,
+            count: response.count ?? observations.length,
+            // Vintage queries return one row per revision, each with the window it was current in
+            observations: observations.map(obs => ({
                 date: obs.date,
-                value: obs.value === '.' ? null : new Money(obs.value).toString(),
+                value: toValue(obs.value),
+                ...(isVintage && { realtimeStart: obs.realtime_start, realtimeEnd: obs.realtime_end }),
             })),
             source: 'fred',
         };
@@ -1,8 +1,9 @@
-// Finnhub client for market news (free tier: 60 requests/minute)
+// Finnhub client for market and company news, quotes, company fundamentals and symbol lists (free tier: 60 requests/minute)
 
 import { BaseApiClient } from './BaseApiClient.js';
 import { config } from '../../config/environment.js';
 import { ValidationError } from '../../utils/errors.js';
+import { Money, Percentage } from '../../utils/valueObjects.js';
 
 export class FinnhubClient extends BaseApiClient {
     constructor(options = {}) {
@@ -26,7 +27,170 @@ export class FinnhubClient extends BaseApiClient {
         return this._normalizeResponse(response);
     }
 
-    _normalizeResponse(response) {
+    // News about one company between two dates (YYYY-MM-DD, inclusive) - free tier covers the last year
+    async getCompanyNews(symbol, { from, to, limit = 20 } = {}) {
+        const today = new Date().toISOString().slice(0, 10);
+        const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        const response = await this.get('/company-news', {
+            symbol,
+            from: from || weekAgo,
+            to: to || today,
+            token: this.apiKey,
+        });
+
+        return { symbol, ...this._normalizeResponse(response, limit) };
+    }
+
+    // Company profile - Finnhub reports market cap and shares outstanding in millions
+    async getCompanyProfile(symbol) {
+        const response = await this.get('/stock/profile2', {
+            symbol,
+            token: this.apiKey,
+        });
+
+        // Unknown symbols come back as an empty object
+        if (!response || !response.ticker) {
+            throw new ValidationError(
+                `No company profile returned for symbol: ${symbol}`,
+                [{ field: 'symbol', message: 'Invalid or unknown symbol' }]
+            );
+        }
+
+        const millions = (value) => (typeof value === 'number' ? Math.round(value * 1e6) : null);
+
+        return {
+            symbol: response.ticker,
+            name: response.name || null,
+            exchange: response.exchange || null,
+            industry: response.finnhubIndustry || null,
+            country: response.country || null,
+            currency: response.currency || null,
+            ipo: response.ipo || null,
+            marketCap: millions(response.marketCapitalization),
+            sharesOutstanding: millions(response.shareOutstanding),
+            logo: response.logo || null,
+            website: response.weburl || null,
+            source: 'finnhub',
+        };
+    }
+
+    // Basic financials - valuation, margins, 52-week range etc. as reported, e.g. { peTTM, beta, '52WeekHigh' }
+    async getBasicFinancials(symbol) {
+        const response = await this.get('/stock/metric', {
+            symbol,
+            metric: 'all',
+            token: this.apiKey,
+        });
+
+        if (!response || typeof response.metric !== 'object') {
+            throw new ValidationError('Invalid Finnhub metric response');
+        }
+
+        return {
+            symbol: response.symbol || symbol,
+            metrics: response.metric || {},
+            source: 'finnhub',
+        };
+    }
+
+    // Analyst buy/hold/sell counts per month, newest first
+    async getRecommendationTrends(symbol) {
+        const response = await this.get('/stock/recommendation', {
+            symbol,
+            token: this.apiKey,
+        });
+
+        if (!Array.isArray(response)) {
+            throw new ValidationError('Invalid Finnhub recommendation response');
+        }
+
+        const trends = response
+            .map(item => ({
+                period: item.period,
+                strongBuy: item.strongBuy ?? 0,
+                buy: item.buy ?? 0,
+                hold: item.hold ?? 0,
+                sell: item.sell ?? 0,
+                strongSell: item.strongSell ?? 0,
+            }))
+            .filter(item => item.period)
+            .sort((a, b) => b.period.localeCompare(a.period));
+
+        return { symbol, trends, source: 'finnhub' };
+    }
+
+    // Real-time quote - US stocks on the free tier, EXCHANGE:PAIR symbols for crypto and forex
+    async getQuote(symbol) {
+        const response = await this.get('/quote', {
+            symbol,
+            token: this.apiKey,
+        });
+
+        // Unknown symbols come back as all zeros rather than an error
+        if (!response || typeof response.c !== 'number' || (response.c === 0 && !response.t)) {
+            throw new ValidationError(
+                `No quote data returned for symbol: ${symbol}`,
+                [{ field: 'symbol', message: 'Invalid or unknown symbol' }]
+            );
+        }
+
+        const toMoney = (value) => (typeof value === 'number' ? new Money(value.toString()).toString() : null);
+
+        return {
+            symbol,
+            price: toMoney(response.c),
+            change: toMoney(response.d),
+            changePercent: typeof response.dp === 'number' ? new Percentage(response.dp).toString() : null,
+            open: toMoney(response.o),
+            high: toMoney(response.h),
+            low: toMoney(response.l),
+            previousClose: toMoney(response.pc),
+            timestamp: response.t ? new Date(response.t * 1000).toISOString() : null,
+            source: 'finnhub',
+        };
+    }
+
+    // Every symbol listed on a stock exchange (US: ~30k) - symbol, name, security type, currency
+    async getStockSymbols(exchange = 'US') {
+        const response = await this.get('/stock/symbol', {
+            exchange,
+            token: this.apiKey,
+        });
+
+        if (!Array.isArray(response)) {
+            throw new ValidationError('Invalid Finnhub symbol list response');
+        }
+
+        return response.map(item => ({
+            symbol: item.symbol,
+            displaySymbol: item.displaySymbol || item.symbol,
+            name: item.description || '',
+            type: item.type || null,
+            currency: item.currency || null,
+        }));
+    }
+
+    // Crypto pairs on one exchange, e.g. { symbol: 'BINANCE:BTCUSDT', base: 'BTC', quote: 'USDT' }
+    async getCryptoSymbols(exchange = 'binance') {
+        const response = await this.get('/crypto/symbol', {
+            exchange,
+            token: this.apiKey,
+        });
+
+        if (!Array.isArray(response)) {
+            throw new ValidationError('Invalid Finnhub crypto symbol response');
+        }
+
+        return response
+            .map(item => {
+                const [base, quote] = (item.displaySymbol || '').split('/');
+                return { symbol: item.symbol, base: base?.toUpperCase(), quote: quote?.toUpperCase(), name: item.description || '' };
+            })
+            .filter(pair => pair.base && pair.quote);
+    }
+
+    _normalizeResponse(response, limit = 10) {
         if (!Array.isArray(response)) {
             throw new ValidationError(
                 'Invalid Finnhub response format',
@@ -41,7 +205,7 @@ export class FinnhubClient extends BaseApiClient {
             };
         }
 
-        const news = response.slice(0, 10).map(item => ({
+        const news = response.slice(0, limit).map(item => ({
             id: item.id?.toString() || null,
             headline: item.headline || '',
             summary: item.summary || '',
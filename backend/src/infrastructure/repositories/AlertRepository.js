@@ -31,6 +31,16 @@ export class AlertRepository {
         }
     }
 
+    // Scoped lookup - returns null when the alert doesn't exist or belongs to another user
+    async findOwned(id, userId) {
+        try {
+            return await Alert.findOne({ _id: id, userId });
+        } catch (error) {
+            logger.error('Error finding owned alert', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
     async findByUserId(userId, { isActive = null, sort = '-createdAt', limit = 100 } = {}) {
         try {
             const filter = { userId };
@@ -118,6 +128,25 @@ export class AlertRepository {
         }
     }
 
+    async updateOwned(id, userId, updateData) {
+        try {
+            const alert = await Alert.findOneAndUpdate(
+                { _id: id, userId },
+                { $set: updateData },
+                { new: true, runValidators: true }
+            );
+
+            if (alert) {
+                logger.info('Alert updated', { alertId: id, userId });
+            }
+
+            return alert;
+        } catch (error) {
+            logger.error('Error updating owned alert', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
     async markTriggered(id, triggeredPrice) {
         try {
             const alert = await Alert.findByIdAndUpdate(
@@ -144,21 +173,51 @@ export class AlertRepository {
         }
     }
 
-    async checkAndTrigger(symbol, currentPrice) {
+    // Distinct symbol/assetType pairs that still have untriggered active alerts
+    async findActiveSymbols() {
         try {
-            const alerts = await this.findBySymbol(symbol, { isActive: true });
+            return await Alert.aggregate([
+                { $match: { isActive: true, isTriggered: false } },
+                {
+                    $group: {
+                        _id: { symbol: '$symbol', assetType: '$assetType' },
+                        alertCount: { $sum: 1 },
+                    },
+                },
+                {
+                    $project: {
+                        _id: 0,
+                        symbol: '$_id.symbol',
+                        assetType: { $ifNull: ['$_id.assetType', 'stock'] },
+                        alertCount: 1,
+                    },
+                },
+            ]);
+        } catch (error) {
+            logger.error('Error finding active alert symbols', { error: error.message });
+            throw error;
+        }
+    }
+
+    async checkAndTrigger(symbol, currentPrice, { assetType = null } = {}) {
+        try {
+            const filter = { symbol: symbol.toUpperCase(), isActive: true, isTriggered: false };
+            if (assetType) {
+                filter.assetType = assetType;
+            }
+
+            const alerts = await Alert.find(filter);
             const triggered = [];
 
-            for (const alert of alerts) {
-                const alertDoc = await Alert.findById(alert._id);
-                if (alertDoc && alertDoc.checkTrigger(currentPrice)) {
+            for (const alertDoc of alerts) {
+                if (alertDoc.checkTrigger(currentPrice)) {
                     await alertDoc.save();
                     triggered.push(alertDoc);
                 }
             }
 
             if (triggered.length > 0) {
-                logger.info('Alerts triggered', { symbol, count: triggered.length });
+                logger.info('Alerts triggered', { symbol, assetType, count: triggered.length });
             }
 
             return triggered;
@@ -184,6 +243,22 @@ export class AlertRepository {
         }
     }
 
+    async deleteOwned(id, userId) {
+        try {
+            const result = await Alert.findOneAndDelete({ _id: id, userId });
+
+            if (result) {
+                logger.info('Alert deleted', { alertId: id, userId });
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error deleting owned alert', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
     async deactivateExpired() {
         try {
             const result = await Alert.updateMany(
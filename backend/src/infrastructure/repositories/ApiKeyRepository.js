@@ -0,0 +1,84 @@
+// ApiKey repository - database operations for ApiKey model
+
+import { ApiKey } from '../../models/index.js';
+import { logger } from '../../config/logger.js';
+
+export class ApiKeyRepository {
+    // Create new API key
+    async create(apiKeyData) {
+        try {
+            const apiKey = new ApiKey(apiKeyData);
+            await apiKey.save();
+            logger.info('API key created', { apiKeyId: apiKey._id, userId: apiKey.userId });
+            return apiKey;
+        } catch (error) {
+            logger.error('Error creating API key', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Find a non-revoked key by its hash (authentication path)
+    async findActiveByHash(keyHash) {
+        try {
+            return await ApiKey.findOne({ keyHash, revokedAt: null }).lean();
+        } catch (error) {
+            logger.error('Error finding API key by hash', { error: error.message });
+            throw error;
+        }
+    }
+
+    // List a user's keys, newest first (revoked keys included for auditing)
+    async findByUser(userId) {
+        try {
+            return await ApiKey.find({ userId }).sort('-createdAt').lean();
+        } catch (error) {
+            logger.error('Error finding API keys by user', { userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Count a user's non-revoked keys
+    async countActiveByUser(userId) {
+        try {
+            return await ApiKey.countDocuments({ userId, revokedAt: null });
+        } catch (error) {
+            logger.error('Error counting API keys', { userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Revoke a key only if it belongs to userId - returns null otherwise
+    async revokeOwned(id, userId) {
+        try {
+            const apiKey = await ApiKey.findOneAndUpdate(
+                { _id: id, userId, revokedAt: null },
+                { $set: { revokedAt: new Date() } },
+                { new: true }
+            );
+
+            if (apiKey) {
+                logger.info('API key revoked', { apiKeyId: id, userId });
+            }
+
+            return apiKey;
+        } catch (error) {
+            logger.error('Error revoking API key', { id, error: error.message });
+            throw error;
+        }
+    }
+
+    // Record a successful authentication
+    async recordUsage(id, ip = null) {
+        try {
+            await ApiKey.updateOne(
+                { _id: id },
+                { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { usageCount: 1 } }
+            );
+        } catch (error) {
+            logger.error('Error recording API key usage', { id, error: error.message });
+            throw error;
+        }
+    }
+}
+
+export default ApiKeyRepository;
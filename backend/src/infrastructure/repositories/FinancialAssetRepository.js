@@ -25,6 +25,15 @@ export class FinancialAssetRepository {
         }
     }
 
+    async findBySymbols(symbols) {
+        try {
+            return await FinancialAsset.find({ symbol: { $in: symbols.map(symbol => symbol.toUpperCase()) } }).lean();
+        } catch (error) {
+            logger.error('Error finding assets by symbols', { count: symbols.length, error: error.message });
+            throw error;
+        }
+    }
+
     async findById(id) {
         try {
             return await FinancialAsset.findById(id);
@@ -96,7 +105,7 @@ export class FinancialAssetRepository {
                 return null;
             }
 
-            await asset.updatePrice(price, source);
+            await asset.updatePrice(price);
             logger.info('Asset price updated', { symbol, price, source });
 
             return asset;
@@ -0,0 +1,115 @@
+// Price candle repository - OHLCV range queries with on-the-fly downsampling
+
+import { PriceCandle } from '../../models/index.js';
+import { CANDLE_INTERVALS, canDownsample } from '../../models/PriceCandle.js';
+import { logger } from '../../config/logger.js';
+
+export class PriceCandleRepository {
+    // Store provider bars, replacing any already stored for the same symbol, interval and time span
+    async insertCandles(symbol, interval, candles, source = 'api') {
+        if (candles.length === 0) return 0;
+
+        try {
+            const upperSymbol = symbol.toUpperCase();
+            const timestamps = candles.map(candle => new Date(candle.timestamp).getTime());
+
+            // Time-series collections have no unique indexes - clear the span first so re-imports don't duplicate bars
+            // Filtering a time-series delete on the time field needs MongoDB 7.0+ (earlier versions: metaField only)
+            await PriceCandle.deleteMany({
+                'meta.symbol': upperSymbol,
+                'meta.interval': interval,
+                timestamp: { $gte: new Date(Math.min(...timestamps)), $lte: new Date(Math.max(...timestamps)) },
+            });
+
+            const docs = candles.map(({ timestamp, open, high, low, close, volume = 0 }) => ({
+                timestamp: new Date(timestamp),
+                meta: { symbol: upperSymbol, interval, source },
+                open,
+                high,
+                low,
+                close,
+                volume,
+            }));
+            await PriceCandle.insertMany(docs, { ordered: false });
+
+            logger.info('Price candles stored', { symbol: upperSymbol, interval, count: docs.length, source });
+            return docs.length;
+        } catch (error) {
+            logger.error('Error storing price candles', { symbol, interval, error: error.message });
+            throw error;
+        }
+    }
+
+    // Record a single price as a 1m bar - ticks in the same minute are merged when read
+    async recordPrice(symbol, price, source = 'api', at = new Date()) {
+        try {
+            const minute = CANDLE_INTERVALS['1m'].ms;
+
+            await PriceCandle.create({
+                timestamp: new Date(Math.floor(at.getTime() / minute) * minute),
+                meta: { symbol: symbol.toUpperCase(), interval: '1m', source },
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volume: 0,
+            });
+        } catch (error) {
+            logger.error('Error recording price', { symbol, error: error.message });
+            throw error;
+        }
+    }
+
+    // Coarsest stored interval that builds `interval` exactly, or null when nothing usable is stored
+    async findSourceInterval(symbol, interval) {
+        try {
+            const stored = await PriceCandle.distinct('meta.interval', { 'meta.symbol': symbol.toUpperCase() });
+
+            return stored
+                .filter(source => canDownsample(source, interval))
+                .sort((a, b) => CANDLE_INTERVALS[b].ms - CANDLE_INTERVALS[a].ms)[0] || null;
+        } catch (error) {
+            logger.error('Error finding candle intervals', { symbol, interval, error: error.message });
+            throw error;
+        }
+    }
+
+    // Candles in [from, to), built from sourceInterval bars (defaults to the interval itself)
+    // Returns the most recent `limit` candles, oldest first
+    async findRange(symbol, interval, { from, to, sourceInterval = interval, limit = 1000 }) {
+        const { unit, binSize } = CANDLE_INTERVALS[interval];
+
+        try {
+            const candles = await PriceCandle.aggregate([
+                {
+                    $match: {
+                        'meta.symbol': symbol.toUpperCase(),
+                        'meta.interval': sourceInterval,
+                        timestamp: { $gte: from, $lt: to },
+                    },
+                },
+                { $sort: { timestamp: 1 } },
+                {
+                    $group: {
+                        _id: { $dateTrunc: { date: '$timestamp', unit, binSize, startOfWeek: 'monday' } },
+                        open: { $first: '$open' },
+                        high: { $max: '$high' },
+                        low: { $min: '$low' },
+                        close: { $last: '$close' },
+                        volume: { $sum: '$volume' },
+                    },
+                },
+                { $sort: { _id: -1 } },
+                { $limit: limit },
+                { $project: { _id: 0, timestamp: '$_id', open: 1, high: 1, low: 1, close: 1, volume: 1 } },
+            ]);
+
+            return candles.reverse();
+        } catch (error) {
+            logger.error('Error finding price candles', { symbol, interval, error: error.message });
+            throw error;
+        }
+    }
+}
+
+export default PriceCandleRepository;
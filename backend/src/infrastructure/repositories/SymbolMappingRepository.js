@@ -0,0 +1,68 @@
+// Symbol registry repository - bulk upserts from provider imports, full loads for the in-memory index
+
+import { SymbolMapping } from '../../models/index.js';
+import { logger } from '../../config/logger.js';
+
+// Upserts per bulkWrite call - provider lists run to tens of thousands of symbols
+const BULK_BATCH = 1000;
+
+export class SymbolMappingRepository {
+    // Every entry, lean - the registry keeps them in memory
+    async findAll() {
+        try {
+            return await SymbolMapping.find({}, { symbol: 1, assetType: 1, name: 1, providers: 1, rank: 1, source: 1 }).lean();
+        } catch (error) {
+            logger.error('Error loading symbol registry', { error: error.message });
+            throw error;
+        }
+    }
+
+    async count() {
+        try {
+            return await SymbolMapping.estimatedDocumentCount();
+        } catch (error) {
+            logger.error('Error counting symbol registry', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Merge provider IDs into entries keyed by symbol + assetType
+    // Entries with upsert: false only update existing symbols; source is set on insert only
+    async bulkUpsert(entries) {
+        try {
+            let upserted = 0;
+            let modified = 0;
+
+            for (let i = 0; i < entries.length; i += BULK_BATCH) {
+                const operations = entries.slice(i, i + BULK_BATCH).map(({ symbol, assetType, name, providers = {}, rank, source, upsert = true }) => {
+                    const $set = {};
+                    for (const [provider, id] of Object.entries(providers)) {
+                        if (id) $set[`providers.${provider}`] = id;
+                    }
+                    if (name) $set.name = name;
+                    if (rank !== undefined) $set.rank = rank;
+
+                    return {
+                        updateOne: {
+                            filter: { symbol: symbol.toUpperCase(), assetType },
+                            update: { $set, $setOnInsert: { source } },
+                            upsert,
+                        },
+                    };
+                });
+
+                const result = await SymbolMapping.bulkWrite(operations, { ordered: false });
+                upserted += result.upsertedCount;
+                modified += result.modifiedCount;
+            }
+
+            logger.info('Symbol registry updated', { entries: entries.length, upserted, modified });
+            return { upserted, modified };
+        } catch (error) {
+            logger.error('Error updating symbol registry', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+export default SymbolMappingRepository;
@@ -141,6 +141,38 @@ export class UserRepository {
         }
     }
 
+    // Distinct default stock/crypto/currency preferences of active users, most common first
+    async findPreferenceTargets() {
+        try {
+            return await User.aggregate([
+                { $match: { isActive: true } },
+                {
+                    $group: {
+                        _id: {
+                            stockSymbol: '$preferences.defaultStockSymbol',
+                            cryptoIds: '$preferences.defaultCryptoIds',
+                            currency: '$preferences.defaultCurrency',
+                        },
+                        userCount: { $sum: 1 },
+                    },
+                },
+                { $sort: { userCount: -1 } },
+                {
+                    $project: {
+                        _id: 0,
+                        stockSymbol: '$_id.stockSymbol',
+                        cryptoIds: '$_id.cryptoIds',
+                        currency: '$_id.currency',
+                        userCount: 1,
+                    },
+                },
+            ]);
+        } catch (error) {
+            logger.error('Error finding user preference targets', { error: error.message });
+            throw error;
+        }
+    }
+
     // Check if email exists (optionally exclude a user ID)
     async emailExists(email, excludeId = null) {
         try {
@@ -31,6 +31,27 @@ export class WatchlistRepository {
         }
     }
 
+    // Scoped lookup - returns null when the watchlist doesn't exist or belongs to another user
+    async findOwned(id, userId) {
+        try {
+            return await Watchlist.findOne({ _id: id, userId });
+        } catch (error) {
+            logger.error('Error finding owned watchlist', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Readable by the owner, or by anyone if the watchlist is public
+    async findVisible(id, userId) {
+        try {
+            return await Watchlist.findOne({ _id: id, $or: [{ userId }, { isPublic: true }] })
+                .populate('userId', 'firstName lastName');
+        } catch (error) {
+            logger.error('Error finding visible watchlist', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
     async findByUserId(userId, { sort = '-createdAt', limit = 100 } = {}) {
         try {
             return await Watchlist.find({ userId })
@@ -91,9 +112,29 @@ export class WatchlistRepository {
         }
     }
 
-    async addAsset(id, symbol, notes = '') {
+    async updateOwned(id, userId, updateData) {
+        try {
+            const watchlist = await Watchlist.findOneAndUpdate(
+                { _id: id, userId },
+                { $set: updateData },
+                { new: true, runValidators: true }
+            );
+
+            if (watchlist) {
+                logger.info('Watchlist updated', { watchlistId: id, userId });
+            }
+
+            return watchlist;
+        } catch (error) {
+            logger.error('Error updating owned watchlist', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Pass userId to restrict the change to the owner's watchlist
+    async addAsset(id, symbol, notes = '', userId = null) {
         try {
-            const watchlist = await Watchlist.findById(id);
+            const watchlist = await Watchlist.findOne(userId ? { _id: id, userId } : { _id: id });
 
             if (!watchlist) {
                 return null;
@@ -109,9 +150,9 @@ export class WatchlistRepository {
         }
     }
 
-    async removeAsset(id, symbol) {
+    async removeAsset(id, symbol, userId = null) {
         try {
-            const watchlist = await Watchlist.findById(id);
+            const watchlist = await Watchlist.findOne(userId ? { _id: id, userId } : { _id: id });
 
             if (!watchlist) {
                 return null;
@@ -143,6 +184,32 @@ export class WatchlistRepository {
         }
     }
 
+    async deleteOwned(id, userId) {
+        try {
+            const result = await Watchlist.findOneAndDelete({ _id: id, userId });
+
+            if (result) {
+                logger.info('Watchlist deleted', { watchlistId: id, userId });
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error deleting owned watchlist', { id, userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Distinct symbols across all watchlists - used by the cache warmer
+    async findDistinctSymbols() {
+        try {
+            return await Watchlist.distinct('assets.symbol');
+        } catch (error) {
+            logger.error('Error finding watchlist symbols', { error: error.message });
+            throw error;
+        }
+    }
+
     async nameExistsForUser(userId, name, excludeId = null) {
         try {
             const query = { userId, name };
@@ -7,3 +7,6 @@ export { UserRepository } from './UserRepository.js';
 export { FinancialAssetRepository } from './FinancialAssetRepository.js';
 export { WatchlistRepository } from './WatchlistRepository.js';
 export { AlertRepository } from './AlertRepository.js';
+export { ApiKeyRepository } from './ApiKeyRepository.js';
+export { PriceCandleRepository } from './PriceCandleRepository.js';
+export { SymbolMappingRepository } from './SymbolMappingRepository.js';
@@ -0,0 +1,208 @@
+// Outbound quota per upstream provider - minute and daily windows shared via Redis
+// Calls wait for the next minute window when it is close enough, otherwise they are rejected before sending
+
+import { getRedisClient, isRedisConnected } from '../../config/redis.js';
+import { config } from '../../config/environment.js';
+import { logger } from '../../config/logger.js';
+import { QuotaExceededError } from '../../utils/errors.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Check both windows, then count the call in both - atomic so instances cannot overspend
+// Returns { status, minuteUsed, dayUsed } where status 1 = granted, -1 = minute full, -2 = day full
+const CONSUME_SCRIPT = `
+local minuteUsed = tonumber(redis.call('GET', KEYS[1]) or '0')
+local dayUsed = tonumber(redis.call('GET', KEYS[2]) or '0')
+local perMinute = tonumber(ARGV[1])
+local perDay = tonumber(ARGV[2])
+if perDay > 0 and dayUsed >= perDay then
+    return { -2, minuteUsed, dayUsed }
+end
+if perMinute > 0 and minuteUsed >= perMinute then
+    return { -1, minuteUsed, dayUsed }
+end
+minuteUsed = redis.call('INCR', KEYS[1])
+if minuteUsed == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+dayUsed = redis.call('INCR', KEYS[2])
+if dayUsed == 1 then
+    redis.call('PEXPIRE', KEYS[2], ARGV[4])
+end
+return { 1, minuteUsed, dayUsed }
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class ProviderQuota {
+    constructor(name, options = {}) {
+        const defaults = config.providerQuotas.providers[name] || {};
+
+        this.name = name;
+        this.prefix = `globalfi:quota:${name}:`;
+        // 0 means the provider has no limit on that window
+        this.perMinute = options.perMinute ?? defaults.perMinute ?? 0;
+        this.perDay = options.perDay ?? defaults.perDay ?? 0;
+        this.maxWaitMs = options.maxWaitMs ?? config.providerQuotas.maxWaitMs;
+
+        // Per-process counters used while Redis is unavailable
+        this.local = { minute: { window: null, used: 0 }, day: { window: null, used: 0 } };
+        this.usingFallback = false;
+        this.queued = 0;
+    }
+
+    get isLimited() {
+        return this.perMinute > 0 || this.perDay > 0;
+    }
+
+    _getClient() {
+        return isRedisConnected() ? getRedisClient() : null;
+    }
+
+    // Fixed windows aligned to the clock (UTC days) so every instance agrees on the boundaries
+    _windows(now = Date.now()) {
+        const minute = Math.floor(now / MINUTE_MS);
+        const day = Math.floor(now / DAY_MS);
+        return {
+            minute: { id: minute, resetsAt: (minute + 1) * MINUTE_MS },
+            day: { id: day, resetsAt: (day + 1) * DAY_MS },
+        };
+    }
+
+    // Log mode switches once rather than on every call
+    _setFallback(usingFallback, error = null) {
+        if (this.usingFallback === usingFallback) return;
+
+        this.usingFallback = usingFallback;
+        if (usingFallback) {
+            logger.warn('Provider quota using in-memory fallback', { provider: this.name, error: error?.message });
+        } else {
+            logger.info('Provider quota back on Redis', { provider: this.name });
+        }
+    }
+
+    _localCounter(window, id) {
+        const counter = this.local[window];
+        if (counter.window !== id) {
+            counter.window = id;
+            counter.used = 0;
+        }
+        return counter;
+    }
+
+    _consumeLocal(windows) {
+        const minute = this._localCounter('minute', windows.minute.id);
+        const day = this._localCounter('day', windows.day.id);
+
+        if (this.perDay > 0 && day.used >= this.perDay) return { status: -2, minuteUsed: minute.used, dayUsed: day.used };
+        if (this.perMinute > 0 && minute.used >= this.perMinute) return { status: -1, minuteUsed: minute.used, dayUsed: day.used };
+
+        minute.used++;
+        day.used++;
+        return { status: 1, minuteUsed: minute.used, dayUsed: day.used };
+    }
+
+    async _consume(windows) {
+        const client = this._getClient();
+        if (!client) {
+            this._setFallback(true);
+            return this._consumeLocal(windows);
+        }
+
+        try {
+            const [status, minuteUsed, dayUsed] = await client.eval(
+                CONSUME_SCRIPT,
+                2,
+                `${this.prefix}minute:${windows.minute.id}`,
+                `${this.prefix}day:${windows.day.id}`,
+                this.perMinute,
+                this.perDay,
+                MINUTE_MS,
+                DAY_MS
+            );
+            this._setFallback(false);
+            return { status, minuteUsed, dayUsed };
+        } catch (error) {
+            this._setFallback(true, error);
+            return this._consumeLocal(windows);
+        }
+    }
+
+    // Reserve one call; waits for the next minute window if it opens within maxWaitMs
+    async acquire() {
+        if (!this.isLimited) return;
+
+        const deadline = Date.now() + this.maxWaitMs;
+        let waiting = false;
+
+        try {
+            for (;;) {
+                const windows = this._windows();
+                const { status } = await this._consume(windows);
+                if (status === 1) return;
+
+                if (status === -2) {
+                    throw new QuotaExceededError(this.name, 'day', windows.day.resetsAt - Date.now());
+                }
+
+                if (windows.minute.resetsAt > deadline) {
+                    throw new QuotaExceededError(this.name, 'minute', windows.minute.resetsAt - Date.now());
+                }
+
+                if (!waiting) {
+                    waiting = true;
+                    this.queued++;
+                    logger.debug(`Provider quota ${this.name}: waiting for next minute window`, { provider: this.name });
+                }
+                await sleep(windows.minute.resetsAt - Date.now());
+            }
+        } catch (error) {
+            logger.warn(`Provider quota ${this.name}: call rejected`, { provider: this.name, error: error.message });
+            throw error;
+        } finally {
+            if (waiting) this.queued--;
+        }
+    }
+
+    async _readUsage(windows) {
+        const client = this._getClient();
+        if (client) {
+            try {
+                const [minuteUsed, dayUsed] = await client.mget(
+                    `${this.prefix}minute:${windows.minute.id}`,
+                    `${this.prefix}day:${windows.day.id}`
+                );
+                return { minuteUsed: Number(minuteUsed) || 0, dayUsed: Number(dayUsed) || 0, shared: true };
+            } catch (error) {
+                logger.error('Provider quota read error', { provider: this.name, error: error.message });
+            }
+        }
+
+        return {
+            minuteUsed: this._localCounter('minute', windows.minute.id).used,
+            dayUsed: this._localCounter('day', windows.day.id).used,
+            shared: false,
+        };
+    }
+
+    // Current budget without consuming it
+    async getStatus() {
+        const windows = this._windows();
+        const { minuteUsed, dayUsed, shared } = await this._readUsage(windows);
+
+        const describe = (limit, used, window) => (limit > 0
+            ? { limit, used, remaining: Math.max(limit - used, 0), resetTime: new Date(window.resetsAt).toISOString() }
+            : { limit: 'unlimited', used });
+
+        return {
+            provider: this.name,
+            minute: describe(this.perMinute, minuteUsed, windows.minute),
+            day: describe(this.perDay, dayUsed, windows.day),
+            queued: this.queued,
+            shared,
+        };
+    }
+}
+
+export default ProviderQuota;
@@ -1,10 +1,14 @@
 // Axios retry configuration with exponential backoff
 
-import axiosRetry from 'axios-retry';
+import axiosRetry, { namespace as retryNamespace } from 'axios-retry';
 import { logger } from '../../config/logger.js';
 
+// Retries axios-retry has made for this request config - 0 on the first attempt
+export const getRetryCount = requestConfig => requestConfig?.[retryNamespace]?.retryCount || 0;
+
 export const configureRetry = (axiosInstance, options = {}) => {
-    const { retries = 3, retryDelay = 1000 } = options;
+    // logUrl masks secrets that a provider requires in the URL path
+    const { retries = 3, retryDelay = 1000, logUrl = url => url } = options;
 
     axiosRetry(axiosInstance, {
         retries,
@@ -20,8 +24,9 @@ export const configureRetry = (axiosInstance, options = {}) => {
             );
         },
         onRetry: (retryCount, error, requestConfig) => {
-            logger.warn(`Retry attempt ${retryCount} for ${requestConfig.url}`, {
-                url: requestConfig.url,
+            const url = logUrl(requestConfig.url);
+            logger.warn(`Retry attempt ${retryCount} for ${url}`, {
+                url,
                 error: error.message,
                 retryCount,
             });
@@ -3,4 +3,5 @@
  */
 
 export { CircuitBreaker, CircuitState } from './CircuitBreaker.js';
-export { configureRetry } from './RetryStrategy.js';
+export { configureRetry, getRetryCount } from './RetryStrategy.js';
+export { ProviderQuota } from './ProviderQuota.js';
@@ -0,0 +1,152 @@
+// Finnhub trades websocket - keeps one connection open and re-subscribes its symbols after reconnecting
+// Emits 'trades' with raw Finnhub trades ({ s, p, v, t }), plus 'open' and 'close'
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { logger } from '../../config/logger.js';
+import { config } from '../../config/environment.js';
+
+export class FinnhubTradeStream extends EventEmitter {
+    constructor({
+        url = config.tradeStream.url,
+        apiKey = config.apiKeys.finnhub,
+        reconnectBaseMs = config.tradeStream.reconnectBaseMs,
+        reconnectMaxMs = config.tradeStream.reconnectMaxMs,
+    } = {}) {
+        super();
+        this.url = url;
+        this.apiKey = apiKey;
+        this.reconnectBaseMs = reconnectBaseMs;
+        this.reconnectMaxMs = reconnectMaxMs;
+
+        this.symbols = new Set();
+        this.ws = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closing = false;
+    }
+
+    // No-op if a connection is already open or being made
+    connect() {
+        if (this.ws) return;
+
+        this.closing = false;
+        const ws = new WebSocket(`${this.url}?token=${this.apiKey}`);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            logger.info('Trade stream connected', { symbols: this.symbols.size, reconnectAttempts: this.reconnectAttempts });
+            this.reconnectAttempts = 0;
+            for (const symbol of this.symbols) {
+                this._send({ type: 'subscribe', symbol });
+            }
+            this.emit('open');
+        });
+
+        ws.on('message', (raw) => this._handleMessage(raw));
+
+        // 'close' always follows, so reconnecting is left to it
+        ws.on('error', (error) => {
+            logger.warn('Trade stream error', { error: error.message });
+        });
+
+        ws.on('close', (code) => {
+            this.ws = null;
+            this.emit('close', code);
+
+            if (this.closing) return;
+            this._scheduleReconnect(code);
+        });
+    }
+
+    // Symbols are Finnhub identifiers, e.g. AAPL or BINANCE:BTCUSDT
+    subscribe(symbol) {
+        if (this.symbols.has(symbol)) return;
+
+        this.symbols.add(symbol);
+        this._send({ type: 'subscribe', symbol });
+    }
+
+    unsubscribe(symbol) {
+        if (!this.symbols.delete(symbol)) return;
+
+        this._send({ type: 'unsubscribe', symbol });
+    }
+
+    isConnected() {
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
+    getStatus() {
+        return {
+            connected: this.isConnected(),
+            symbols: [...this.symbols],
+            reconnectAttempts: this.reconnectAttempts,
+        };
+    }
+
+    async close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        const ws = this.ws;
+        if (!ws) return;
+
+        await new Promise((resolve) => {
+            ws.once('close', resolve);
+            if (ws.readyState === WebSocket.CONNECTING) {
+                ws.terminate();
+            } else {
+                ws.close();
+            }
+        });
+        logger.info('Trade stream closed');
+    }
+
+    // Exponential backoff with jitter: base, 2x base, 4x base ... up to reconnectMaxMs
+    _reconnectDelay() {
+        const delay = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * 2 ** this.reconnectAttempts);
+        return Math.round(delay * (0.5 + Math.random() / 2));
+    }
+
+    _scheduleReconnect(code) {
+        const delay = this._reconnectDelay();
+        this.reconnectAttempts++;
+
+        logger.warn('Trade stream disconnected, reconnecting', { code, attempt: this.reconnectAttempts, delayMs: delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+        // Don't keep the process alive just for a reconnect
+        this.reconnectTimer.unref();
+    }
+
+    // Subscriptions made while disconnected are sent on the next open
+    _send(message) {
+        if (this.isConnected()) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    _handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            logger.warn('Trade stream sent invalid JSON', { error: error.message });
+            return;
+        }
+
+        if (message.type === 'trade' && Array.isArray(message.data)) {
+            this.emit('trades', message.data);
+        } else if (message.type === 'error') {
+            logger.warn('Trade stream error message', { message: message.msg });
+        }
+        // 'ping' keep-alives need no reply
+    }
+}
+
+export default FinnhubTradeStream;
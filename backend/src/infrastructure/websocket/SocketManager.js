@@ -1,37 +1,112 @@
 // Socket.io manager for real-time connections and broadcasting
 
 import { logger } from '../../config/logger.js';
+import { extractBearerToken, verifyToken, isTokenRevoked } from '../../middleware/authMiddleware.js';
+
+// Tickers and provider-style pairs: AAPL, BRK.B, BTC, EUR/USD
+const PRICE_SYMBOL_PATTERN = /^[A-Z0-9.:/_-]{1,20}$/;
+const MAX_PRICE_SUBSCRIPTIONS_PER_SOCKET = 20;
+// Distinct symbols across all sockets - bounds priceSubscribers however many sockets connect
+const MAX_PRICE_SYMBOLS = 500;
 
 export class SocketManager {
     constructor(io) {
         this.io = io;
         this.LIVE_STREAM_ROOM = 'live-stream';
+        // symbol → ids of the sockets subscribed to its price ticks
+        this.priceSubscribers = new Map();
+        this.priceSubscriptionListeners = [];
+        // Decides whether a symbol nobody subscribes to yet may be added
+        this.priceSymbolFilter = () => true;
+        this._setupAuthentication();
         this._setupEventHandlers();
     }
 
+    // Per-user room name - only sockets authenticated as that user are joined to it
+    static userRoom(userId) {
+        return `user:${userId}`;
+    }
+
+    // Per-symbol room for price:tick events
+    static priceRoom(symbol) {
+        return `price:${symbol}`;
+    }
+
+    // Verify the handshake JWT with the same secret as requireAuth
+    // Sockets without a token connect anonymously (live-stream only); invalid or revoked tokens are rejected
+    _setupAuthentication() {
+        this.io.use(async (socket, next) => {
+            const { auth = {}, headers = {} } = socket.handshake;
+            const token = auth.token || extractBearerToken(headers.authorization);
+
+            if (!token) {
+                socket.data.user = null;
+                return next();
+            }
+
+            let payload;
+            try {
+                payload = verifyToken(token);
+            } catch (err) {
+                logger.warn('Socket authentication failed', {
+                    socketId: socket.id,
+                    reason: err.name,
+                });
+                const error = new Error(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+                error.data = { code: err.name === 'TokenExpiredError' ? 'E1006' : 'E1007' };
+                return next(error);
+            }
+
+            if (await isTokenRevoked(payload)) {
+                const error = new Error('Token revoked');
+                error.data = { code: 'E1007' };
+                return next(error);
+            }
+
+            socket.data.user = payload;
+            next();
+        });
+    }
+
     _setupEventHandlers() {
         this.io.on('connection', (socket) => {
-            logger.info('Socket connected', { socketId: socket.id });
+            const userId = socket.data.user?.userId || null;
+            logger.info('Socket connected', { socketId: socket.id, userId });
+
+            if (userId) {
+                socket.join(SocketManager.userRoom(userId));
+            }
 
             socket.emit('connection-acknowledged', {
                 socketId: socket.id,
+                authenticated: userId !== null,
                 timestamp: new Date().toISOString(),
             });
 
-            socket.on('join-live-stream', (payload) => {
+            socket.on('join-live-stream', () => {
                 socket.join(this.LIVE_STREAM_ROOM);
-                logger.debug('Socket joined live-stream', {
-                    socketId: socket.id,
-                    userId: payload?.userId,
-                });
+                logger.debug('Socket joined live-stream', { socketId: socket.id, userId });
             });
 
-            socket.on('leave-live-stream', (payload) => {
+            socket.on('leave-live-stream', () => {
                 socket.leave(this.LIVE_STREAM_ROOM);
-                logger.debug('Socket left live-stream', {
-                    socketId: socket.id,
-                    userId: payload?.userId,
-                });
+                logger.debug('Socket left live-stream', { socketId: socket.id, userId });
+            });
+
+            // { symbols: ['AAPL', 'BTC'] } - acknowledged with the symbols actually subscribed
+            // Authenticated sockets only: each new symbol can take one of the upstream stream's few slots
+            socket.on('price:subscribe', (payload, ack) => {
+                if (!userId) {
+                    if (typeof ack === 'function') ack({ symbols: [], error: 'Authentication required' });
+                    return;
+                }
+                const subscribed = this._subscribePrices(socket, payload?.symbols);
+                if (typeof ack === 'function') ack({ symbols: subscribed });
+            });
+
+            socket.on('price:unsubscribe', (payload, ack) => {
+                const unsubscribed = this._unsubscribePrices(socket, payload?.symbols);
+                if (typeof ack === 'function') ack({ symbols: unsubscribed });
             });
 
             socket.on('request-current-data', () => {
@@ -42,8 +117,10 @@ export class SocketManager {
             });
 
             socket.on('disconnect', (reason) => {
+                this._unsubscribePrices(socket, [...this.priceSubscribers.keys()]);
                 logger.info('Socket disconnected', {
                     socketId: socket.id,
+                    userId,
                     reason,
                 });
             });
@@ -86,6 +163,118 @@ export class SocketManager {
         logger.info('Circuit breaker state change broadcast', payload);
     }
 
+    // New FRED observations on the macro dashboard
+    broadcastEconomicUpdate(update) {
+        this.io.to(this.LIVE_STREAM_ROOM).emit('economic:update', {
+            ...update,
+            timestamp: new Date().toISOString(),
+        });
+        logger.debug('Economic update broadcast', { room: this.LIVE_STREAM_ROOM, indicators: update.indicators.length });
+    }
+
+    // Push a triggered price alert to the owning user's sockets only
+    emitAlertTriggered(event) {
+        this.io.to(SocketManager.userRoom(event.userId)).emit('alert:triggered', {
+            ...event,
+            timestamp: new Date().toISOString(),
+        });
+        logger.debug('Alert triggered notification sent', {
+            alertId: event.alertId,
+            userId: event.userId,
+        });
+    }
+
+    // Fan an aggregated trade tick out to the sockets subscribed to its symbol
+    emitPriceTick(tick) {
+        this.io.to(SocketManager.priceRoom(tick.symbol)).emit('price:tick', tick);
+    }
+
+    // Called with { added, removed } when a symbol gets its first subscriber or loses its last
+    onPriceSubscriptionChange(listener) {
+        this.priceSubscriptionListeners.push(listener);
+    }
+
+    // e.g. only symbols the registry knows - checked when a symbol gets its first subscriber
+    setPriceSymbolFilter(predicate) {
+        this.priceSymbolFilter = predicate;
+    }
+
+    getPriceSubscriptions() {
+        return [...this.priceSubscribers.keys()];
+    }
+
+    _subscribePrices(socket, symbols) {
+        const requested = this._normalizePriceSymbols(symbols);
+        const current = [...this.priceSubscribers].filter(([, ids]) => ids.has(socket.id)).length;
+        const subscribed = [];
+        const added = [];
+
+        for (const symbol of requested) {
+            const ids = this.priceSubscribers.get(symbol) || new Set();
+            if (ids.has(socket.id)) {
+                subscribed.push(symbol);
+                continue;
+            }
+            if (current + subscribed.length >= MAX_PRICE_SUBSCRIPTIONS_PER_SOCKET) break;
+
+            if (ids.size === 0) {
+                if (this.priceSubscribers.size >= MAX_PRICE_SYMBOLS || !this.priceSymbolFilter(symbol)) continue;
+                added.push(symbol);
+            }
+            ids.add(socket.id);
+            this.priceSubscribers.set(symbol, ids);
+            socket.join(SocketManager.priceRoom(symbol));
+            subscribed.push(symbol);
+        }
+
+        this._notifyPriceSubscriptionChange(added, []);
+        return subscribed;
+    }
+
+    _unsubscribePrices(socket, symbols) {
+        const unsubscribed = [];
+        const removed = [];
+
+        for (const symbol of this._normalizePriceSymbols(symbols)) {
+            const ids = this.priceSubscribers.get(symbol);
+            if (!ids?.delete(socket.id)) continue;
+
+            socket.leave(SocketManager.priceRoom(symbol));
+            unsubscribed.push(symbol);
+            if (ids.size === 0) {
+                this.priceSubscribers.delete(symbol);
+                removed.push(symbol);
+            }
+        }
+
+        this._notifyPriceSubscriptionChange([], removed);
+        return unsubscribed;
+    }
+
+    _normalizePriceSymbols(symbols) {
+        if (!Array.isArray(symbols)) return [];
+
+        const normalized = symbols
+            .filter(symbol => typeof symbol === 'string')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(symbol => PRICE_SYMBOL_PATTERN.test(symbol));
+
+        return [...new Set(normalized)];
+    }
+
+    // A failing listener must not break the socket handler that triggered it
+    _notifyPriceSubscriptionChange(added, removed) {
+        if (added.length === 0 && removed.length === 0) return;
+
+        for (const listener of this.priceSubscriptionListeners) {
+            try {
+                listener({ added, removed });
+            } catch (error) {
+                logger.error('Price subscription listener failed', { error: error.message });
+            }
+        }
+    }
+
     sendError(socketId, code, message) {
         this.io.to(socketId).emit('error', { code, message });
     }
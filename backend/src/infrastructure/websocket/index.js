@@ -3,3 +3,4 @@
  */
 
 export { SocketManager } from './SocketManager.js';
+export { FinnhubTradeStream } from './FinnhubTradeStream.js';
@@ -2,26 +2,87 @@
  * JWT Authentication Middleware
  *
  * Verifies the Bearer token on protected routes and attaches
- * the decoded payload to req.user.
+ * the decoded payload to req.user. Role and permission guards
+ * run after requireAuth and read the claims from req.user.
+ * Revoked access tokens (logout) are rejected via the Redis denylist;
+ * without Redis the denylist is skipped and tokens live until they expire.
+ *
+ * Scripts authenticate with an `X-API-Key` header instead of a JWT. API keys
+ * are only accepted where a route opts in with a scope
+ * (requireAuthOrApiKey / optionalApiKey) — requireAuth stays JWT-only.
  *
  * Usage:
  *   router.get('/protected', requireAuth, handler)
+ *   router.post('/admin-only', requireAuth, requireRole('admin'), handler)
+ *   router.post('/alerts', requireAuthOrApiKey('alerts:write'), handler)
  *
  * @module middleware/authMiddleware
  */
 
 import jwt from 'jsonwebtoken';
 import { config } from '../config/environment.js';
+import { TokenStore } from '../infrastructure/cache/TokenStore.js';
+
+// Stateless wrapper over the shared Redis client
+const tokenStore = new TokenStore();
+
+// Resolves raw API keys to principals — registered by the DI container (needs MongoDB)
+let apiKeyAuthenticator = null;
+
+// Paths under /api whose routes accept X-API-Key, plus the rate-limit report for the key's own budget.
+// identifyCaller looks keys up only here; elsewhere a key header is ignored and the request counted by IP
+const API_KEY_PATHS = ['/v1/financial', '/v1/economic', '/v1/forex', '/v1/assets', '/v1/alerts', '/v1/ai', '/v1/status/rate-limits'];
+
+const acceptsApiKey = (path = '') => API_KEY_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
 
 /**
- * Require a valid JWT token.
- * Returns 401 if missing/invalid, 403 if expired.
+ * Extract a Bearer token from an Authorization header value.
+ *
+ * @param {string|undefined} authHeader - Raw Authorization header
+ * @returns {string|null} Token, or null if the header is missing or not a Bearer token
  */
-export const requireAuth = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.startsWith('Bearer ')
+export const extractBearerToken = (authHeader) => {
+    return authHeader && authHeader.startsWith('Bearer ')
         ? authHeader.slice(7)
         : null;
+};
+
+/**
+ * Verify a JWT and return its decoded payload.
+ * Shared by the HTTP middleware below and the Socket.io handshake in SocketManager.
+ *
+ * Refresh tokens are signed with the same secret but are rejected here —
+ * they are only accepted by POST /users/refresh.
+ *
+ * @param {string} token - Signed JWT
+ * @returns {{ userId: string, email: string, role: string, permissions: string[], plan: string, jti: string, iat: number, exp: number }} Decoded payload
+ * @throws {import('jsonwebtoken').JsonWebTokenError} If the token is invalid, expired or a refresh token
+ */
+export const verifyToken = (token) => {
+    const payload = jwt.verify(token, config.security.jwtSecret);
+
+    if (payload.type === 'refresh') {
+        throw new jwt.JsonWebTokenError('Refresh tokens cannot be used for authentication');
+    }
+
+    return payload;
+};
+
+/**
+ * Check whether an access token was revoked by logout.
+ * Never throws — fails open when Redis is unavailable.
+ *
+ * @param {{ jti?: string }} payload - Decoded access token
+ * @returns {Promise<boolean>}
+ */
+export const isTokenRevoked = (payload) => tokenStore.isAccessTokenRevoked(payload.jti);
+
+/**
+ * Require a valid, non-revoked JWT token.
+ * Returns 401 if missing/invalid/revoked, 403 if expired.
+ */
+export const requireAuth = async (req, res, next) => {
+    const token = extractBearerToken(req.headers['authorization']);
 
     if (!token) {
         return res.status(401).json({
@@ -30,10 +91,9 @@ export const requireAuth = (req, res, next) => {
         });
     }
 
+    let payload;
     try {
-        const payload = jwt.verify(token, config.security.jwtSecret);
-        req.user = payload; // { userId, email, iat, exp }
-        next();
+        payload = verifyToken(token);
     } catch (err) {
         if (err.name === 'TokenExpiredError') {
             return res.status(403).json({
@@ -46,21 +106,31 @@ export const requireAuth = (req, res, next) => {
             requestId: req.requestId,
         });
     }
+
+    if (await isTokenRevoked(payload)) {
+        return res.status(401).json({
+            error: { code: 'E1007', message: 'Token has been revoked. Please sign in again.' },
+            requestId: req.requestId,
+        });
+    }
+
+    req.user = payload; // { userId, email, role, permissions, plan, jti, iat, exp }
+    next();
 };
 
 /**
  * Optionally attach user info from JWT if present — does NOT block unauthenticated requests.
  * Useful for routes that work for both guests and authenticated users.
  */
-export const optionalAuth = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.startsWith('Bearer ')
-        ? authHeader.slice(7)
-        : null;
+export const optionalAuth = async (req, res, next) => {
+    const token = extractBearerToken(req.headers['authorization']);
 
     if (token) {
         try {
-            req.user = jwt.verify(token, config.security.jwtSecret);
+            const payload = verifyToken(token);
+            if (!(await isTokenRevoked(payload))) {
+                req.user = payload;
+            }
         } catch {
             // Invalid token — treat as unauthenticated, don't block
         }
@@ -69,4 +139,167 @@ export const optionalAuth = (req, res, next) => {
     next();
 };
 
+/**
+ * Respond 401 when no authenticated user is attached, 403 with the given message otherwise.
+ */
+const rejectForbidden = (req, res, message) => {
+    if (!req.user) {
+        return res.status(401).json({
+            error: { code: 'E1003', message: 'Authentication required. Please provide a Bearer token.' },
+            requestId: req.requestId,
+        });
+    }
+    return res.status(403).json({
+        error: { code: 'E1011', message },
+        requestId: req.requestId,
+    });
+};
+
+/**
+ * Require the authenticated user to hold one of the given roles.
+ * Must run after requireAuth. Tokens issued before roles existed carry no
+ * role claim and are treated as 'user'.
+ *
+ * @param {...string} roles - Allowed roles, e.g. 'admin'
+ * @returns {import('express').RequestHandler}
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (req.user && roles.includes(req.user.role || 'user')) {
+        return next();
+    }
+    return rejectForbidden(req, res, 'Insufficient role for this operation.');
+};
+
+/**
+ * Require a specific permission from the user's permission list.
+ * Admins implicitly hold every permission. Must run after requireAuth.
+ *
+ * @param {string} permission - Permission name, e.g. 'assets:write'
+ * @returns {import('express').RequestHandler}
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+    if (req.user && (req.user.role === 'admin' || req.user.permissions?.includes(permission))) {
+        return next();
+    }
+    return rejectForbidden(req, res, `Missing permission: ${permission}.`);
+};
+
+/**
+ * Register the function used to resolve `X-API-Key` values.
+ *
+ * @param {(rawKey: string, meta: { ip: string }) => Promise<Object|null>} authenticate
+ *   Returns the principal for a valid key, or null
+ */
+export const registerApiKeyAuthenticator = (authenticate) => {
+    apiKeyAuthenticator = authenticate;
+};
+
+/**
+ * Authenticate the request's X-API-Key and check it grants `scope`.
+ */
+const resolveApiKey = async (req) => {
+    // identifyCaller may already have looked the key up for rate limiting
+    if (req.apiKeyPrincipal === undefined) {
+        req.apiKeyPrincipal = apiKeyAuthenticator
+            ? await apiKeyAuthenticator(req.headers['x-api-key'], { ip: req.ip })
+            : null;
+    }
+    return req.apiKeyPrincipal;
+};
+
+const authenticateApiKey = async (req, res, next, scope) => {
+    let principal = null;
+
+    try {
+        principal = await resolveApiKey(req);
+    } catch (err) {
+        return next(err);
+    }
+
+    if (!principal) {
+        return res.status(401).json({
+            error: { code: 'E1007', message: 'Invalid, revoked or expired API key.' },
+            requestId: req.requestId,
+        });
+    }
+
+    if (!principal.scopes.includes(scope)) {
+        return res.status(403).json({
+            error: { code: 'E1011', message: `API key is missing the '${scope}' scope.` },
+            requestId: req.requestId,
+        });
+    }
+
+    req.user = principal; // { userId, email, plan, authMethod: 'api_key', apiKeyId, scopes }
+    next();
+};
+
+/**
+ * Require either a valid JWT (full access) or an API key granted `scope`.
+ * A Bearer token wins if both are sent.
+ *
+ * @param {string} scope - Required API key scope, e.g. 'alerts:write'
+ * @returns {import('express').RequestHandler}
+ */
+export const requireAuthOrApiKey = (scope) => (req, res, next) => {
+    if (extractBearerToken(req.headers['authorization'])) {
+        return requireAuth(req, res, next);
+    }
+
+    if (req.headers['x-api-key']) {
+        return authenticateApiKey(req, res, next, scope);
+    }
+
+    return res.status(401).json({
+        error: { code: 'E1003', message: 'Authentication required. Provide a Bearer token or an X-API-Key header.' },
+        requestId: req.requestId,
+    });
+};
+
+/**
+ * Identify API key callers on public routes — requests without a key pass through.
+ * A key that is present must be valid and granted `scope`.
+ *
+ * @param {string} scope - Required API key scope, e.g. 'market:read'
+ * @returns {import('express').RequestHandler}
+ */
+export const optionalApiKey = (scope) => (req, res, next) => {
+    if (!req.headers['x-api-key']) {
+        return next();
+    }
+    return authenticateApiKey(req, res, next, scope);
+};
+
+/**
+ * Identify the caller for rate limiting — never blocks the request.
+ * Sets req.caller to `{ type: 'user' | 'api_key', id, plan }`, or null for
+ * anonymous callers and bad or revoked credentials (which then count against their IP).
+ * API keys are only looked up on paths that accept them (API_KEY_PATHS),
+ * so other routes cost no MongoDB reads or key usage records.
+ * Mounted at /api, so req.path is relative to it.
+ */
+export const identifyCaller = async (req, res, next) => {
+    req.caller = null;
+
+    const token = extractBearerToken(req.headers['authorization']);
+
+    try {
+        if (token) {
+            const payload = verifyToken(token);
+            if (!(await isTokenRevoked(payload))) {
+                req.caller = { type: 'user', id: String(payload.userId), plan: payload.plan || 'free' };
+            }
+        } else if (req.headers['x-api-key'] && acceptsApiKey(req.path)) {
+            const principal = await resolveApiKey(req);
+            if (principal) {
+                req.caller = { type: 'api_key', id: principal.apiKeyId, plan: principal.plan || 'free' };
+            }
+        }
+    } catch {
+        // Unidentified — rate limited by IP
+    }
+
+    next();
+};
+
 export default requireAuth;
@@ -18,10 +18,13 @@ export { requestIdMiddleware } from './requestId.js';
 export {
     globalRateLimiter,
     authRateLimiter,
+    refreshRateLimiter,
     authenticatedUserRateLimiter,
     adminRateLimiter,
     healthRateLimiter,
     aiRateLimiter,
+    getRateLimitStatus,
+    RATE_LIMIT_PLANS,
 } from './rateLimiter.js';
 
 // ─── Security ────────────────────────────────────────────────────────────────
@@ -34,4 +37,12 @@ export { requestLogger } from './requestLogger.js';
 export { validateRequest } from './validateRequest.js';
 
 // ─── Authentication ───────────────────────────────────────────────────────────
-export { requireAuth, optionalAuth } from './authMiddleware.js';
+export {
+    requireAuth,
+    optionalAuth,
+    requireRole,
+    requirePermission,
+    requireAuthOrApiKey,
+    optionalApiKey,
+    identifyCaller,
+} from './authMiddleware.js';
@@ -1,17 +1,30 @@
 // Rate limiting - protects API from abuse with tiered limits
-// Auth: 5/15min, Public: 100/15min, Authenticated: 1000/15min, AI: 10/1min
+// Auth: 5/15min, Refresh: 10/15min per session, Public: 100/15min, Authenticated: plan/15min, AI: plan/1min
+// Global, auth, refresh, authenticated and AI counters live in Redis so all instances share them
 
 import rateLimit from 'express-rate-limit';
+import jwt from 'jsonwebtoken';
 import { config } from '../config/environment.js';
 import { logger } from '../config/logger.js';
+import { RedisRateLimitStore } from '../infrastructure/cache/RedisRateLimitStore.js';
 
 const FIFTEEN_MINUTES_MS = config.security.rateLimitWindowMs;
 const ONE_MINUTE_MS = 60 * 1000;
 
-// Helper: prefer user ID over IP for authenticated requests
+// Per-plan budgets for identified callers (req.caller, set by identifyCaller)
+// requests: per 15 min on global + authenticated limiters, ai: per minute
+export const RATE_LIMIT_PLANS = {
+    free: { requests: 1000, ai: 10 },
+    pro: { requests: 5000, ai: 60 },
+    internal: { requests: 50000, ai: 600 },
+};
+
+const planFor = (req) => RATE_LIMIT_PLANS[req.caller?.plan] || RATE_LIMIT_PLANS.free;
+
+// Helper: API key > user ID > IP - each API key gets its own quota
 const createHybridKeyGenerator = (prefix) => {
     return (req) => {
-        const identifier = req.user?.id || req.ip;
+        const identifier = req.caller ? `${req.caller.type}:${req.caller.id}` : req.ip;
         return `${prefix}:${identifier}`;
     };
 };
@@ -24,7 +37,7 @@ const createLimitHandler = (context) => {
             path: req.path,
             method: req.method,
             requestId: req.requestId,
-            userId: req.user?.id || 'anonymous',
+            caller: req.caller ? `${req.caller.type}:${req.caller.id}` : 'anonymous',
         });
         res.status(429).json(options.message);
     };
@@ -34,6 +47,7 @@ const createLimitHandler = (context) => {
 export const authRateLimiter = rateLimit({
     windowMs: FIFTEEN_MINUTES_MS,
     max: 5,
+    store: new RedisRateLimitStore({ name: 'auth' }),
     message: {
         error: {
             code: 'E1013',
@@ -47,10 +61,48 @@ export const authRateLimiter = rateLimit({
     handler: createLimitHandler('Auth'),
 });
 
-// Global API rate limiter - 100 requests per 15 minutes
+// Refresh rate limiter - 10 refreshes per 15 minutes per IP and refresh-token family (login session)
+// A client needs one per access-token lifetime (15 min); the rest covers retries and racing tabs.
+// Only a correctly signed refresh token names its family - anything else shares one bucket per IP
+const REFRESH_LIMIT = 10;
+
+const refreshKeyGenerator = (req) => {
+    let family = 'invalid';
+    try {
+        const payload = jwt.verify(req.body?.refreshToken, config.security.jwtSecret);
+        if (payload.type === 'refresh' && payload.fam) family = payload.fam;
+    } catch {
+        // Malformed, forged or expired - counted in the IP's shared bucket
+    }
+    return `refresh:${req.ip}:${family}`;
+};
+
+export const refreshRateLimiter = rateLimit({
+    windowMs: FIFTEEN_MINUTES_MS,
+    max: REFRESH_LIMIT,
+    store: new RedisRateLimitStore({ name: 'refresh' }),
+    message: {
+        error: {
+            code: 'E1013',
+            message: 'Too many token refreshes. Please try again in 15 minutes.',
+            retryAfter: Math.ceil(FIFTEEN_MINUTES_MS / 1000),
+        },
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: refreshKeyGenerator,
+    handler: createLimitHandler('Refresh'),
+});
+
+// Global API rate limiter - 100 requests per 15 minutes per IP, plan budget for identified callers
+const globalKeyGenerator = createHybridKeyGenerator('global');
+const globalLimit = (req) => (req.caller ? planFor(req).requests : config.security.rateLimitMaxRequests);
+
 export const globalRateLimiter = rateLimit({
     windowMs: FIFTEEN_MINUTES_MS,
-    max: config.security.rateLimitMaxRequests,  // Default: 100
+    max: globalLimit,  // Anonymous default: 100
+    store: new RedisRateLimitStore({ name: 'global' }),
+    keyGenerator: globalKeyGenerator,
     message: {
         error: {
             code: 'E1002',
@@ -63,10 +115,14 @@ export const globalRateLimiter = rateLimit({
     handler: createLimitHandler('Global'),
 });
 
-// Authenticated user rate limiter - 1000 requests per 15 minutes
+// Authenticated user rate limiter - plan budget per 15 minutes (free: 1000)
+const userKeyGenerator = createHybridKeyGenerator('user');
+const userLimit = (req) => planFor(req).requests;
+
 export const authenticatedUserRateLimiter = rateLimit({
     windowMs: FIFTEEN_MINUTES_MS,
-    max: 1000,
+    max: userLimit,
+    store: new RedisRateLimitStore({ name: 'user' }),
     message: {
         error: {
             code: 'E1014',
@@ -76,7 +132,7 @@ export const authenticatedUserRateLimiter = rateLimit({
     },
     standardHeaders: true,
     legacyHeaders: false,
-    keyGenerator: createHybridKeyGenerator('user'),
+    keyGenerator: userKeyGenerator,
     handler: createLimitHandler('Authenticated User'),
 });
 
@@ -96,20 +152,24 @@ export const adminRateLimiter = rateLimit({
     handler: createLimitHandler('Admin'),
 });
 
-// AI rate limiter - 10 requests per 1 minute (AI calls are expensive)
+// AI rate limiter - plan budget per 1 minute (free: 10, AI calls are expensive)
+const aiKeyGenerator = createHybridKeyGenerator('ai');
+const aiLimit = (req) => planFor(req).ai;
+
 export const aiRateLimiter = rateLimit({
     windowMs: ONE_MINUTE_MS,
-    max: 10,
+    max: aiLimit,
+    store: new RedisRateLimitStore({ name: 'ai' }),
     message: {
         error: {
             code: 'E1012',
-            message: 'AI rate limit exceeded. Maximum 10 AI requests per minute.',
+            message: 'AI rate limit exceeded for your plan. Please try again in a minute.',
             retryAfter: 60,
         },
     },
     standardHeaders: true,
     legacyHeaders: false,
-    keyGenerator: createHybridKeyGenerator('ai'),
+    keyGenerator: aiKeyGenerator,
     handler: createLimitHandler('AI'),
 });
 
@@ -127,4 +187,35 @@ export const healthRateLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Limiters reported by GET /status/rate-limits
+const REPORTED_LIMITERS = [
+    { name: 'global', limiter: globalRateLimiter, keyGenerator: globalKeyGenerator, limit: globalLimit, windowMs: FIFTEEN_MINUTES_MS },
+    { name: 'authenticated', limiter: authenticatedUserRateLimiter, keyGenerator: userKeyGenerator, limit: userLimit, windowMs: FIFTEEN_MINUTES_MS },
+    { name: 'ai', limiter: aiRateLimiter, keyGenerator: aiKeyGenerator, limit: aiLimit, windowMs: ONE_MINUTE_MS },
+];
+
+// Read the caller's current budget on each limiter without consuming any of it
+export const getRateLimitStatus = async (req) => {
+    const limits = {};
+
+    for (const { name, limiter, keyGenerator, limit, windowMs } of REPORTED_LIMITERS) {
+        const max = limit(req);
+        const info = await limiter.getKey(keyGenerator(req));
+        const used = info?.totalHits || 0;
+
+        limits[name] = {
+            limit: max,
+            used,
+            remaining: Math.max(max - used, 0),
+            windowMs,
+            resetTime: info?.resetTime?.toISOString() || null,
+        };
+    }
+
+    return {
+        caller: req.caller ? { type: req.caller.type, plan: req.caller.plan } : { type: 'anonymous', plan: null },
+        limits,
+    };
+};
+
 export default globalRateLimiter;
@@ -0,0 +1,77 @@
+// ApiKey model - hashed, scoped keys for headless API access
+
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+
+const { Schema } = mongoose;
+
+const apiKeySchema = new Schema({
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true,
+    },
+
+    // Human label, e.g. "research notebook"
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+
+    // First characters of the raw key - lets users tell keys apart
+    prefix: {
+        type: String,
+        required: true,
+    },
+
+    // SHA-256 of the raw key - select:false keeps it out of API responses
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false,
+    },
+
+    scopes: {
+        type: [{ type: String, enum: API_KEY_SCOPES }],
+        validate: [(scopes) => scopes.length > 0, 'At least one scope is required'],
+    },
+
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+
+    // Revoked keys are kept for auditing
+    revokedAt: {
+        type: Date,
+        default: null,
+        index: true,
+    },
+
+    // Last-used tracking
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    lastUsedIp: {
+        type: String,
+        default: null,
+    },
+    usageCount: {
+        type: Number,
+        default: 0,
+    },
+}, {
+    timestamps: true,
+    collection: 'api_keys',
+});
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+export const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
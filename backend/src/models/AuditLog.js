@@ -14,7 +14,8 @@ const apiCallResultSchema = new Schema({
     status: {
         type: String,
         required: true,
-        enum: ['success', 'error', 'cached'],
+        // skipped: not tried because its circuit breaker was open or its quota spent (quote failover)
+        enum: ['success', 'error', 'cached', 'stale', 'skipped'],
     },
     duration: {
         type: Number,
@@ -24,6 +25,15 @@ const apiCallResultSchema = new Schema({
         type: Boolean,
         default: false,
     },
+    // Served from cache past its TTL (refresh pending or provider failing); age in seconds
+    stale: {
+        type: Boolean,
+        default: false,
+    },
+    age: {
+        type: Number,
+        default: null,
+    },
     errorCode: {
         type: String,
         default: null,
@@ -65,6 +75,11 @@ const auditLogSchema = new Schema({
         type: Number,
         default: 0,
     },
+    // Provider that served a routed quote - null for the /financial orchestration
+    provider: {
+        type: String,
+        default: null,
+    },
     metadata: {
         type: Schema.Types.Mixed,
         default: {},
@@ -42,10 +42,13 @@ const financialAssetSchema = new Schema({
         sector: String,
         industry: String,
         marketCap: Number,
+        rank: Number,
         description: String,
         website: String,
         logo: String,
     },
+    // Legacy, read-only: no longer written (history lives in PriceCandle) but still returned
+    // until the frontend moves to GET /assets/:symbol/history
     priceHistory: [{
         price: Number,
         timestamp: Date,
@@ -65,21 +68,11 @@ financialAssetSchema.index({ type: 1, isActive: 1 });
 financialAssetSchema.index({ symbol: 1, type: 1 });
 financialAssetSchema.index({ createdAt: -1 });
 
-// Update price and add to history (keeps last 100 entries)
-financialAssetSchema.methods.updatePrice = function (price, source = 'api') {
+// Update the current price - history is kept as candles in PriceCandle
+financialAssetSchema.methods.updatePrice = function (price) {
     this.currentPrice = price;
     this.lastUpdated = new Date();
 
-    this.priceHistory.push({
-        price,
-        timestamp: new Date(),
-        source,
-    });
-
-    if (this.priceHistory.length > 100) {
-        this.priceHistory = this.priceHistory.slice(-100);
-    }
-
     return this.save();
 };
 
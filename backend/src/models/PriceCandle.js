@@ -0,0 +1,88 @@
+// OHLCV candles per symbol and interval - MongoDB time-series collection (MongoDB 7.0+)
+// Replaces FinancialAsset.priceHistory, which only kept the last 100 prices
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+// Bucket definitions for $dateTrunc - ms is nominal for months, used only for default ranges
+export const CANDLE_INTERVALS = {
+    '1m': { unit: 'minute', binSize: 1, ms: 60 * 1000 },
+    '5m': { unit: 'minute', binSize: 5, ms: 5 * 60 * 1000 },
+    '15m': { unit: 'minute', binSize: 15, ms: 15 * 60 * 1000 },
+    '30m': { unit: 'minute', binSize: 30, ms: 30 * 60 * 1000 },
+    '1h': { unit: 'hour', binSize: 1, ms: 60 * 60 * 1000 },
+    '4h': { unit: 'hour', binSize: 4, ms: 4 * 60 * 60 * 1000 },
+    '1d': { unit: 'day', binSize: 1, ms: 24 * 60 * 60 * 1000 },
+    '1w': { unit: 'week', binSize: 1, ms: 7 * 24 * 60 * 60 * 1000 },
+    '1M': { unit: 'month', binSize: 1, ms: 30 * 24 * 60 * 60 * 1000 },
+};
+
+// Whether bars of `source` fit exactly into `target` buckets - weeks straddle month boundaries
+export const canDownsample = (source, target) => {
+    const from = CANDLE_INTERVALS[source];
+    const to = CANDLE_INTERVALS[target];
+    if (!from || !to || from.ms > to.ms) return false;
+    if (to.unit === 'month') return from.unit !== 'week';
+    return to.ms % from.ms === 0;
+};
+
+const priceCandleSchema = new Schema({
+    // Bar open time, UTC
+    timestamp: {
+        type: Date,
+        required: true,
+    },
+    // Constant per series - MongoDB buckets time-series documents by it
+    meta: {
+        symbol: {
+            type: String,
+            required: true,
+            uppercase: true,
+            trim: true,
+        },
+        interval: {
+            type: String,
+            required: true,
+            enum: Object.keys(CANDLE_INTERVALS),
+        },
+        source: {
+            type: String,
+            default: 'api',
+        },
+    },
+    open: {
+        type: Number,
+        required: true,
+    },
+    high: {
+        type: Number,
+        required: true,
+    },
+    low: {
+        type: Number,
+        required: true,
+    },
+    close: {
+        type: Number,
+        required: true,
+    },
+    volume: {
+        type: Number,
+        default: 0,
+    },
+}, {
+    collection: 'price_candles',
+    versionKey: false,
+    timeseries: {
+        timeField: 'timestamp',
+        metaField: 'meta',
+        granularity: 'minutes',
+    },
+});
+
+priceCandleSchema.index({ 'meta.symbol': 1, 'meta.interval': 1, timestamp: 1 });
+
+export const PriceCandle = mongoose.model('PriceCandle', priceCandleSchema);
+
+export default PriceCandle;
@@ -0,0 +1,56 @@
+// Symbol registry entry - a canonical symbol and each provider's identifier for it
+// Keyed by symbol and asset type: the same ticker can be both a stock and a coin
+
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const SYMBOL_SOURCES = ['seed', 'manual', 'coingecko', 'finnhub'];
+
+const symbolMappingSchema = new Schema({
+    // Same as FinancialAsset.symbol
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+    },
+    assetType: {
+        type: String,
+        required: true,
+        enum: ['stock', 'crypto', 'forex', 'commodity', 'index'],
+    },
+    name: {
+        type: String,
+        trim: true,
+    },
+    // e.g. { alpha_vantage: 'IBM', finnhub: 'IBM' } or { coingecko: 'bitcoin', finnhub: 'BINANCE:BTCUSDT' }
+    // exchangerate_api holds BASE/QUOTE, e.g. 'EUR/USD'
+    providers: {
+        alpha_vantage: String,
+        coingecko: String,
+        finnhub: String,
+        exchangerate_api: String,
+    },
+    // Market cap rank for crypto - decides which coin a shared ticker resolves to
+    rank: {
+        type: Number,
+        default: null,
+    },
+    // Seed and manual entries win over imported ones
+    source: {
+        type: String,
+        required: true,
+        enum: SYMBOL_SOURCES,
+    },
+}, {
+    timestamps: true,
+    collection: 'symbol_registry',
+});
+
+symbolMappingSchema.index({ symbol: 1, assetType: 1 }, { unique: true });
+symbolMappingSchema.index({ 'providers.coingecko': 1 }, { sparse: true });
+
+export const SymbolMapping = mongoose.model('SymbolMapping', symbolMappingSchema);
+
+export default SymbolMapping;
@@ -37,6 +37,27 @@ const userSchema = new Schema({
         maxlength: 50,
     },
 
+    // Authorization role - 'admin' unlocks admin routes and asset management
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user',
+        index: true,
+    },
+
+    // Rate-limit tier - selects the budgets in middleware/rateLimiter.js
+    plan: {
+        type: String,
+        enum: ['free', 'pro', 'internal'],
+        default: 'free',
+    },
+
+    // Fine-grained grants on top of the role - checked by requirePermission()
+    permissions: {
+        type: [String],
+        default: [],
+    },
+
     // Soft delete flag
     isActive: {
         type: Boolean,
@@ -7,3 +7,6 @@ export { User } from './User.js';
 export { FinancialAsset } from './FinancialAsset.js';
 export { Watchlist } from './Watchlist.js';
 export { Alert } from './Alert.js';
+export { ApiKey } from './ApiKey.js';
+export { PriceCandle } from './PriceCandle.js';
+export { SymbolMapping } from './SymbolMapping.js';
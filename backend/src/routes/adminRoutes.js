@@ -6,28 +6,40 @@
  * be protected by authentication/authorization in production.
  * 
  * Route Map:
- * ──────────────────────────────────────────────────────────────────
- * | Method | Path         | Handler    | Description               |
- * |--------|--------------|------------|---------------------------|
- * | POST   | /cache/clear | clearCache | Flush Redis cache         |
- * | GET    | /metrics     | getMetrics | System performance metrics|
- * | GET    | /logs        | getLogs    | Recent application logs   |
- * ──────────────────────────────────────────────────────────────────
+ * ──────────────────────────────────────────────────────────────────────────────────
+ * | Method | Path              | Handler         | Description                     |
+ * |--------|-------------------|-----------------|---------------------------------|
+ * | POST   | /cache/clear      | clearCache      | Flush cached provider data      |
+ * | GET    | /cache/keys       | inspectCache    | Cached keys by tag or pattern   |
+ * | POST   | /cache/invalidate | invalidateCache | Delete by tag or pattern        |
+ * | GET    | /symbols/:symbol  | resolveSymbol   | Provider IDs for a symbol       |
+ * | POST   | /symbols/refresh  | refreshSymbols  | Re-import provider symbol lists |
+ * | GET    | /metrics          | getMetrics      | System performance metrics      |
+ * | GET    | /logs             | getLogs         | Recent application logs         |
+ * ──────────────────────────────────────────────────────────────────────────────────
  * 
  * Rate Limiting: adminRateLimiter (20 req / 15 min per IP).
  * The low limit prevents accidental cache-flushing loops and excessive
  * log retrieval, which can be resource-intensive.
  * 
  * Security Notes:
- * - These endpoints should be protected with admin-only authentication
- *   when implementing auth. Currently accessible to anyone with API access.
- * - Cache clear is a POST to prevent CSRF via GET link injection.
+ * - Every route requires a valid JWT with the 'admin' role
+ *   (requireAuth + requireRole('admin')). Non-admins receive 403.
+ * - Cache clear and invalidate are POSTs to prevent CSRF via GET link injection.
+ * - Invalidation uses SCAN/SSCAN and UNLINK in batches, never KEYS, and
+ *   skips auth, rate-limit and quota keys. Pass dryRun: true to see the
+ *   match count first.
+ * - Symbol refresh makes a few large provider calls (CoinGecko coin list
+ *   and markets, Finnhub symbol lists) and counts against their quotas.
  * 
  * @module routes/adminRoutes
  */
 
 import { Router } from 'express';
-import { adminRateLimiter } from '../middleware/index.js';
+import { adminRateLimiter, requireAuth, requireRole } from '../middleware/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { inspectCacheSchema, invalidateCacheSchema } from '../validators/cacheSchemas.js';
+import { resolveSymbolSchema } from '../validators/symbolSchemas.js';
 
 /**
  * Create and configure the admin routes router.
@@ -41,10 +53,25 @@ export const createAdminRoutes = (controller) => {
     // Apply admin rate limiter to all admin routes (20 req / 15 min)
     router.use(adminRateLimiter);
 
-    // POST /admin/cache/clear — Flush all Redis cache entries
+    // Admin-only — authenticate first so non-admins get 403 rather than 401
+    router.use(requireAuth, requireRole('admin'));
+
+    // POST /admin/cache/clear — Flush all cached provider data
     // Useful for forcing fresh data fetches from external APIs
     router.post('/cache/clear', (req, res, next) => controller.clearCache(req, res, next));
 
+    // GET /admin/cache/keys?tag=symbol:AAPL | ?pattern=coingecko:* — Count and list matching keys
+    router.get('/cache/keys', validateRequest(inspectCacheSchema), (req, res, next) => controller.inspectCache(req, res, next));
+
+    // POST /admin/cache/invalidate — Delete keys by { tag } or { pattern }, { dryRun: true } to count only
+    router.post('/cache/invalidate', validateRequest(invalidateCacheSchema), (req, res, next) => controller.invalidateCache(req, res, next));
+
+    // GET /admin/symbols/:symbol?assetType=crypto — Canonical symbol and each provider's identifier
+    router.get('/symbols/:symbol', validateRequest(resolveSymbolSchema), (req, res, next) => controller.resolveSymbol(req, res, next));
+
+    // POST /admin/symbols/refresh — Re-import CoinGecko and Finnhub symbol lists into the registry
+    router.post('/symbols/refresh', (req, res, next) => controller.refreshSymbols(req, res, next));
+
     // GET /admin/metrics — System performance metrics (CPU, memory, request counts)
     router.get('/metrics', (req, res, next) => controller.getMetrics(req, res, next));
 
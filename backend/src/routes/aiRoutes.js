@@ -26,6 +26,9 @@
  * AI calls are expensive (Groq token consumption, latency), so the limit
  * is intentionally low with a short window.
  * 
+ * Authentication: public. Scripts may send an X-API-Key with the `ai:invoke`
+ * scope, which also gives the key its own aiRateLimiter quota.
+ *
  * Validation: All POST endpoints validate request body with Zod schemas
  * from validators/aiSchemas.js.
  * 
@@ -34,6 +37,7 @@
 
 import { Router } from 'express';
 import { aiRateLimiter } from '../middleware/rateLimiter.js';
+import { optionalApiKey } from '../middleware/authMiddleware.js';
 import {
   validateRequest,
   sentimentSchema,
@@ -60,6 +64,9 @@ export const createAIRoutes = (aiController) => {
   // Apply AI-specific rate limiter to all AI routes (10 req / 1 min)
   router.use(aiRateLimiter);
 
+  // Identify API key callers (optional)
+  router.use(optionalApiKey('ai:invoke'));
+
   // ─── Sentiment Analysis ────────────────────────────────────────────────
   // Analyzes text for bullish/bearish/neutral sentiment with confidence score
   router.post('/sentiment', validateRequest(sentimentSchema), aiController.analyzeSentiment);
@@ -7,7 +7,7 @@
  * ──────────────────────────────────────────────────────────────────────────
  * | Method | Path                 | Handler          | Description         |
  * |--------|----------------------|------------------|---------------------|
- * | GET    | /                    | listAlerts       | List alerts (paged) |
+ * | GET    | /                    | listAlerts       | List own alerts     |
  * | GET    | /:id                 | getAlert         | Get alert by ID     |
  * | POST   | /                    | createAlert      | Create new alert    |
  * | PUT    | /:id                 | updateAlert      | Update alert        |
@@ -17,13 +17,16 @@
  * ──────────────────────────────────────────────────────────────────────────
  * 
  * Rate Limiting: authenticatedUserRateLimiter (1000 req / 15 min per user/IP)
+ * Authentication: JWT, or an X-API-Key with the `alerts:read` scope (GET) /
+ * `alerts:write` scope (everything else). The owner is always taken from
+ * the credential — alerts belonging to other users are reported as 404.
  * Validation: Zod schemas from validators/alertSchemas.js
  * 
  * @module routes/alertRoutes
  */
 
 import { Router } from 'express';
-import { authenticatedUserRateLimiter } from '../middleware/index.js';
+import { authenticatedUserRateLimiter, requireAuthOrApiKey } from '../middleware/index.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import {
     createAlertSchema,
@@ -46,26 +49,30 @@ export const createAlertRoutes = (controller) => {
     // Apply authenticated-user rate limiter to all alert routes (1000 req / 15 min)
     router.use(authenticatedUserRateLimiter);
 
-    // GET /alerts — List all alerts with optional filters (userId, symbol, isActive, etc.)
-    router.get('/', validateRequest(listAlertsSchema), (req, res, next) => controller.listAlerts(req, res, next));
+    // Every alert route requires a JWT or a suitably scoped API key
+    const canRead = requireAuthOrApiKey('alerts:read');
+    const canWrite = requireAuthOrApiKey('alerts:write');
+
+    // GET /alerts — List the caller's alerts with optional filters (symbol, isActive, etc.)
+    router.get('/', canRead, validateRequest(listAlertsSchema), (req, res, next) => controller.listAlerts(req, res, next));
 
     // GET /alerts/:id — Get a single alert by its MongoDB ObjectID
-    router.get('/:id', validateRequest(getAlertSchema), (req, res, next) => controller.getAlert(req, res, next));
+    router.get('/:id', canRead, validateRequest(getAlertSchema), (req, res, next) => controller.getAlert(req, res, next));
 
     // POST /alerts — Create a new price alert
-    router.post('/', validateRequest(createAlertSchema), (req, res, next) => controller.createAlert(req, res, next));
+    router.post('/', canWrite, validateRequest(createAlertSchema), (req, res, next) => controller.createAlert(req, res, next));
 
     // PUT /alerts/:id — Full update of an existing alert
-    router.put('/:id', validateRequest(updateAlertSchema), (req, res, next) => controller.updateAlert(req, res, next));
+    router.put('/:id', canWrite, validateRequest(updateAlertSchema), (req, res, next) => controller.updateAlert(req, res, next));
 
     // DELETE /alerts/:id — Delete an alert permanently
-    router.delete('/:id', validateRequest(deleteAlertSchema), (req, res, next) => controller.deleteAlert(req, res, next));
+    router.delete('/:id', canWrite, validateRequest(deleteAlertSchema), (req, res, next) => controller.deleteAlert(req, res, next));
 
     // PATCH /alerts/:id/activate — Enable an alert for price monitoring
-    router.patch('/:id/activate', validateRequest(toggleAlertSchema), (req, res, next) => controller.activateAlert(req, res, next));
+    router.patch('/:id/activate', canWrite, validateRequest(toggleAlertSchema), (req, res, next) => controller.activateAlert(req, res, next));
 
     // PATCH /alerts/:id/deactivate — Disable an alert (stop monitoring)
-    router.patch('/:id/deactivate', validateRequest(toggleAlertSchema), (req, res, next) => controller.deactivateAlert(req, res, next));
+    router.patch('/:id/deactivate', canWrite, validateRequest(toggleAlertSchema), (req, res, next) => controller.deactivateAlert(req, res, next));
 
     return router;
 };
@@ -0,0 +1,57 @@
+/**
+ * Global-Fi Ultra - API Key Routes
+ * 
+ * Express router for managing the caller's API keys.
+ * 
+ * Route Map:
+ * ──────────────────────────────────────────────────────────────────
+ * | Method | Path | Handler      | Description                     |
+ * |--------|------|--------------|---------------------------------|
+ * | GET    | /    | listApiKeys  | List own keys (no secrets)      |
+ * | POST   | /    | createApiKey | Create key — raw key shown once |
+ * | DELETE | /:id | revokeApiKey | Revoke key                      |
+ * ──────────────────────────────────────────────────────────────────
+ * 
+ * Rate Limiting: authenticatedUserRateLimiter (1000 req / 15 min per user/IP)
+ * Authentication: requireAuth (JWT only) — an API key cannot be used to
+ * mint or revoke other keys.
+ * Validation: Zod schemas from validators/apiKeySchemas.js
+ * 
+ * Scopes: market:read, alerts:read, alerts:write, ai:invoke
+ * 
+ * @module routes/apiKeyRoutes
+ */
+
+import { Router } from 'express';
+import { authenticatedUserRateLimiter, requireAuth } from '../middleware/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { createApiKeySchema, revokeApiKeySchema } from '../validators/apiKeySchemas.js';
+
+/**
+ * Create and configure the API key routes router.
+ * 
+ * @param {import('../controllers/ApiKeyController.js').ApiKeyController} controller - Injected API key controller
+ * @returns {import('express').Router} Configured Express router
+ */
+export const createApiKeyRoutes = (controller) => {
+    const router = Router();
+
+    // Apply authenticated-user rate limiter to all API key routes (1000 req / 15 min)
+    router.use(authenticatedUserRateLimiter);
+
+    // Key management requires an interactive (JWT) session
+    router.use(requireAuth);
+
+    // GET /api-keys — List the caller's keys, including revoked ones
+    router.get('/', (req, res, next) => controller.listApiKeys(req, res, next));
+
+    // POST /api-keys — Create a scoped key
+    router.post('/', validateRequest(createApiKeySchema), (req, res, next) => controller.createApiKey(req, res, next));
+
+    // DELETE /api-keys/:id — Revoke a key
+    router.delete('/:id', validateRequest(revokeApiKeySchema), (req, res, next) => controller.revokeApiKey(req, res, next));
+
+    return router;
+};
+
+export default createApiKeyRoutes;
@@ -4,18 +4,28 @@
  * Express router for financial asset management endpoints.
  * 
  * Route Map:
- * ──────────────────────────────────────────────────────────────────────────────
- * | Method | Path            | Handler          | Description                  |
- * |--------|-----------------|------------------|------------------------------|
- * | GET    | /               | searchAssets     | Search/list assets (paged)   |
- * | GET    | /:symbol        | getAsset         | Get asset by symbol          |
- * | GET    | /:symbol/live   | getLiveAssetData | Get live data from APIs      |
- * | POST   | /               | createAsset      | Create new asset record      |
- * | PUT    | /:symbol        | updateAsset      | Update asset by symbol       |
- * | DELETE | /:symbol        | deleteAsset      | Delete asset by symbol       |
- * ──────────────────────────────────────────────────────────────────────────────
+ * ────────────────────────────────────────────────────────────────────────────────────────────────
+ * | Method | Path                      | Handler              | Description                      |
+ * |--------|---------------------------|----------------------|----------------------------------|
+ * | GET    | /                         | searchAssets         | Search/list assets (paged)       |
+ * | GET    | /:symbol                  | getAsset             | Get asset by symbol              |
+ * | GET    | /:symbol/live             | getLiveAssetData     | Get live data from APIs          |
+ * | GET    | /:symbol/fundamentals     | getAssetFundamentals | Profile, metrics, analyst trends |
+ * | GET    | /:symbol/news             | getAssetNews         | Company news (Finnhub)           |
+ * | GET    | /:symbol/history          | getAssetHistory      | OHLCV candles (stored)           |
+ * | POST   | /:symbol/history/backfill | backfillAssetHistory | Import candles from provider     |
+ * | POST   | /                         | createAsset          | Create new asset record          |
+ * | PUT    | /:symbol                  | updateAsset          | Update asset by symbol           |
+ * | DELETE | /:symbol                  | deleteAsset          | Delete asset by symbol           |
+ * ────────────────────────────────────────────────────────────────────────────────────────────────
  * 
  * Rate Limiting: authenticatedUserRateLimiter (1000 req / 15 min per user/IP)
+ * Authorization: reads are public (an X-API-Key, if sent, needs `market:read`);
+ * list, get, live and fundamentals responses add prices converted to
+ * `?currency` or the caller's `preferences.defaultCurrency` — history
+ * refuses `?currency`;
+ * create/update/delete and history backfill require an admin JWT
+ * (requireAuth + requireRole('admin')).
  * Validation: Zod schemas from validators/assetSchemas.js
  * 
  * Note: Assets are keyed by `symbol` (e.g. "AAPL", "BTC") rather than MongoDB
@@ -25,7 +35,7 @@
  */
 
 import { Router } from 'express';
-import { authenticatedUserRateLimiter } from '../middleware/index.js';
+import { authenticatedUserRateLimiter, requireAuth, requireRole, optionalAuth, optionalApiKey } from '../middleware/index.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import {
     createAssetSchema,
@@ -34,6 +44,10 @@ import {
     deleteAssetSchema,
     searchAssetsSchema,
     getLiveAssetSchema,
+    getAssetHistorySchema,
+    backfillAssetHistorySchema,
+    getAssetFundamentalsSchema,
+    getAssetNewsSchema,
 } from '../validators/assetSchemas.js';
 
 /**
@@ -48,25 +62,43 @@ export const createAssetRoutes = (controller) => {
     // Apply authenticated-user rate limiter to all asset routes (1000 req / 15 min)
     router.use(authenticatedUserRateLimiter);
 
+    // Asset records are shared reference data — only admins may change them
+    const adminOnly = [requireAuth, requireRole('admin')];
+    // A signed-in caller's preferred currency is applied to prices, so reads pick up a JWT when one is sent
+    const marketRead = [optionalAuth, optionalApiKey('market:read')];
+
     // GET /assets — Search or list all assets with optional type/search filters
-    router.get('/', validateRequest(searchAssetsSchema), (req, res, next) => controller.searchAssets(req, res, next));
+    router.get('/', ...marketRead, validateRequest(searchAssetsSchema), (req, res, next) => controller.searchAssets(req, res, next));
 
     // GET /assets/:symbol — Get a single asset by its ticker symbol
-    router.get('/:symbol', validateRequest(getAssetSchema), (req, res, next) => controller.getAsset(req, res, next));
+    router.get('/:symbol', ...marketRead, validateRequest(getAssetSchema), (req, res, next) => controller.getAsset(req, res, next));
 
     // GET /assets/:symbol/live — Fetch live market data from external APIs
     // This hits external APIs and is more expensive — the global rate limiter
     // also applies, providing double protection on expensive operations
-    router.get('/:symbol/live', validateRequest(getLiveAssetSchema), (req, res, next) => controller.getLiveAssetData(req, res, next));
+    router.get('/:symbol/live', ...marketRead, validateRequest(getLiveAssetSchema), (req, res, next) => controller.getLiveAssetData(req, res, next));
+
+    // GET /assets/:symbol/fundamentals — Finnhub company profile, basic financials and recommendation trends
+    router.get('/:symbol/fundamentals', ...marketRead, validateRequest(getAssetFundamentalsSchema), (req, res, next) => controller.getAssetFundamentals(req, res, next));
+
+    // GET /assets/:symbol/news?from=YYYY-MM-DD&to=YYYY-MM-DD — Finnhub company news
+    router.get('/:symbol/news', ...marketRead, validateRequest(getAssetNewsSchema), (req, res, next) => controller.getAssetNews(req, res, next));
+
+    // GET /assets/:symbol/history?interval=1d&from=&to= — OHLCV candles from stored history
+    // Coarser intervals are aggregated from finer stored bars; candles stay in the asset's currency
+    router.get('/:symbol/history', ...marketRead, validateRequest(getAssetHistorySchema), (req, res, next) => controller.getAssetHistory(req, res, next));
+
+    // POST /assets/:symbol/history/backfill — Import equity candles from Alpha Vantage (admin, spends quota)
+    router.post('/:symbol/history/backfill', ...adminOnly, validateRequest(backfillAssetHistorySchema), (req, res, next) => controller.backfillAssetHistory(req, res, next));
 
     // POST /assets — Create a new financial asset record in the database
-    router.post('/', validateRequest(createAssetSchema), (req, res, next) => controller.createAsset(req, res, next));
+    router.post('/', ...adminOnly, validateRequest(createAssetSchema), (req, res, next) => controller.createAsset(req, res, next));
 
     // PUT /assets/:symbol — Update an existing asset by its ticker symbol
-    router.put('/:symbol', validateRequest(updateAssetSchema), (req, res, next) => controller.updateAsset(req, res, next));
+    router.put('/:symbol', ...adminOnly, validateRequest(updateAssetSchema), (req, res, next) => controller.updateAsset(req, res, next));
 
     // DELETE /assets/:symbol — Delete an asset by its ticker symbol
-    router.delete('/:symbol', validateRequest(deleteAssetSchema), (req, res, next) => controller.deleteAsset(req, res, next));
+    router.delete('/:symbol', ...adminOnly, validateRequest(deleteAssetSchema), (req, res, next) => controller.deleteAsset(req, res, next));
 
     return router;
 };
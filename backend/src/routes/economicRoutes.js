@@ -0,0 +1,66 @@
+/**
+ * Global-Fi Ultra - Economic Routes
+ * 
+ * Express router for economic data from FRED (Federal Reserve Economic Data).
+ * 
+ * Route Map:
+ * ────────────────────────────────────────────────────────────────────────────────────────
+ * | Method | Path                 | Handler            | Description                     |
+ * |--------|----------------------|--------------------|---------------------------------|
+ * | GET    | /dashboard           | getDashboard       | Macro indicator snapshot        |
+ * | GET    | /series/search       | searchSeries       | Search FRED series by text      |
+ * | GET    | /series/:id          | getSeries          | Series metadata + observations  |
+ * | GET    | /yield-curve         | getYieldCurve      | Treasury curve, latest or dated |
+ * | GET    | /yield-curve/compare | compareYieldCurves | Curve changes between two dates |
+ * ────────────────────────────────────────────────────────────────────────────────────────
+ * 
+ * Rate Limiting: globalRateLimiter (100 req / 15 min per IP), applied at `/api`.
+ * Authentication: public. Scripts may send an X-API-Key with the
+ * `market:read` scope; an invalid key or missing scope is rejected.
+ * 
+ * Responses are cached per query for the FRED TTL (30 minutes).
+ * 
+ * @module routes/economicRoutes
+ */
+
+import { Router } from 'express';
+import { optionalApiKey } from '../middleware/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import {
+    getSeriesSchema,
+    searchSeriesSchema,
+    getYieldCurveSchema,
+    compareYieldCurvesSchema,
+} from '../validators/economicSchemas.js';
+
+/**
+ * Create and configure the economic data routes router.
+ * 
+ * @param {import('../controllers/EconomicController.js').EconomicController} controller - Injected economic controller
+ * @returns {import('express').Router} Configured Express router
+ */
+export const createEconomicRoutes = (controller) => {
+    const router = Router();
+
+    // Identify API key callers (optional)
+    router.use(optionalApiKey('market:read'));
+
+    // GET /economic/dashboard — ECONOMIC_DASHBOARD_INDICATORS with latest/previous values and trend
+    router.get('/dashboard', (req, res, next) => controller.getDashboard(req, res, next));
+
+    // GET /economic/series/search?q=consumer price index — before /series/:id so "search" isn't taken as an ID
+    router.get('/series/search', validateRequest(searchSeriesSchema), (req, res, next) => controller.searchSeries(req, res, next));
+
+    // GET /economic/series/:id?start&end&frequency&aggregation&units&realtimeStart&realtimeEnd&vintageDates&limit
+    router.get('/series/:id', validateRequest(getSeriesSchema), (req, res, next) => controller.getSeries(req, res, next));
+
+    // GET /economic/yield-curve?date=YYYY-MM-DD — DGS1MO…DGS30 assembled into one curve
+    router.get('/yield-curve', validateRequest(getYieldCurveSchema), (req, res, next) => controller.getYieldCurve(req, res, next));
+
+    // GET /economic/yield-curve/compare?from=YYYY-MM-DD&to=YYYY-MM-DD
+    router.get('/yield-curve/compare', validateRequest(compareYieldCurvesSchema), (req, res, next) => controller.compareYieldCurves(req, res, next));
+
+    return router;
+};
+
+export default createEconomicRoutes;
@@ -16,6 +16,9 @@
  * Rate Limiting: globalRateLimiter (100 req / 15 min per IP).
  * The global limiter is already applied at the `/api` prefix level in server.js,
  * so these routes get double protection.
+ *
+ * Authentication: public. Scripts may send an X-API-Key with the
+ * `market:read` scope; an invalid key or missing scope is rejected.
  * 
  * Performance Notes:
  * - `/live` triggers real-time API calls (slower, 2-5s). Use sparingly.
@@ -25,6 +28,7 @@
  */
 
 import { Router } from 'express';
+import { optionalApiKey } from '../middleware/index.js';
 
 /**
  * Create and configure the financial routes router.
@@ -35,6 +39,9 @@ import { Router } from 'express';
 export const createFinancialRoutes = (controller) => {
     const router = Router();
 
+    // Identify API key callers (optional)
+    router.use(optionalApiKey('market:read'));
+
     // GET /financial/live — Fetch fresh data from all external API sources
     // This bypasses cache and makes real API calls; subject to external rate limits
     router.get('/live', (req, res, next) => controller.getLive(req, res, next));
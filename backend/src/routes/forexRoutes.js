@@ -0,0 +1,50 @@
+/**
+ * Global-Fi Ultra - Forex Routes
+ * 
+ * Express router for exchange rates and currency conversion (ExchangeRate-API).
+ * 
+ * Route Map:
+ * ───────────────────────────────────────────────────────────────────────
+ * | Method | Path     | Handler  | Description                          |
+ * |--------|----------|----------|--------------------------------------|
+ * | GET    | /rates   | getRates | Rates table, latest or dated         |
+ * | GET    | /convert | convert  | Convert an amount between currencies |
+ * ───────────────────────────────────────────────────────────────────────
+ * 
+ * Rate Limiting: globalRateLimiter (100 req / 15 min per IP), applied at `/api`.
+ * Authentication: public. Scripts may send an X-API-Key with the
+ * `market:read` scope; an invalid key or missing scope is rejected.
+ * 
+ * Latest rates are cached for the ExchangeRate-API TTL (5 minutes),
+ * historical tables for 24 hours.
+ * 
+ * @module routes/forexRoutes
+ */
+
+import { Router } from 'express';
+import { optionalApiKey } from '../middleware/index.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { getRatesSchema, convertCurrencySchema } from '../validators/forexSchemas.js';
+
+/**
+ * Create and configure the forex routes router.
+ * 
+ * @param {import('../controllers/ForexController.js').ForexController} controller - Injected forex controller
+ * @returns {import('express').Router} Configured Express router
+ */
+export const createForexRoutes = (controller) => {
+    const router = Router();
+
+    // Identify API key callers (optional)
+    router.use(optionalApiKey('market:read'));
+
+    // GET /forex/rates?base=EUR&date=YYYY-MM-DD
+    router.get('/rates', validateRequest(getRatesSchema), (req, res, next) => controller.getRates(req, res, next));
+
+    // GET /forex/convert?from=EUR&to=JPY&amount=100&date=YYYY-MM-DD
+    router.get('/convert', validateRequest(convertCurrencySchema), (req, res, next) => controller.convert(req, res, next));
+
+    return router;
+};
+
+export default createForexRoutes;
@@ -17,6 +17,8 @@
  * | /api/v1/watchlists  | watchlistRoutes| authenticatedUser (1000/15min)|
  * | /api/v1/alerts      | alertRoutes   | authenticatedUser (1000/15min) |
  * | /api/v1/assets      | assetRoutes   | authenticatedUser (1000/15min) |
+ * | /api/v1/economic    | economicRoutes| globalRateLimiter (100/15min)  |
+ * | /api/v1/forex       | forexRoutes   | globalRateLimiter (100/15min)  |
  * | /api/v1/ai          | aiRoutes      | aiRateLimiter (10/min)         |
  * ────────────────────────────────────────────────────────────────────────
  * 
@@ -30,4 +32,7 @@ export { createStatusRoutes } from './statusRoutes.js';
 export { createUserRoutes } from './userRoutes.js';
 export { createWatchlistRoutes } from './watchlistRoutes.js';
 export { createAlertRoutes } from './alertRoutes.js';
-export { createAssetRoutes } from './assetRoutes.js';
\ No newline at end of file
+export { createAssetRoutes } from './assetRoutes.js';
+export { createEconomicRoutes } from './economicRoutes.js';
+export { createForexRoutes } from './forexRoutes.js';
+export { createApiKeyRoutes } from './apiKeyRoutes.js';
@@ -10,16 +10,20 @@
  * | Method | Path              | Handler            | Description          |
  * |--------|-------------------|--------------------|----------------------|
  * | GET    | /circuit-breakers | getCircuitBreakers | External API status  |
- * | GET    | /rate-limits      | getRateLimits      | Rate limit config    |
+ * | GET    | /rate-limits      | getRateLimits      | Caller/API budgets   |
  * ──────────────────────────────────────────────────────────────────────────
  * 
  * Rate Limiting: globalRateLimiter (100 req / 15 min) via /api prefix.
- * These are read-only diagnostic endpoints suitable for monitoring dashboards.
+ * Authorization: circuit breakers and upstream provider quotas are admin-only
+ * (requireAuth + requireRole('admin')). Anyone may read their own limiter
+ * budget from /rate-limits; `rateLimits` (provider quotas) is only included
+ * for admins.
  * 
  * @module routes/statusRoutes
  */
 
 import { Router } from 'express';
+import { optionalAuth, requireAuth, requireRole } from '../middleware/index.js';
 
 /**
  * Create and configure the status routes router.
@@ -31,10 +35,12 @@ export const createStatusRoutes = (controller) => {
     const router = Router();
 
     // GET /status/circuit-breakers — Shows open/closed/half-open state of each external API circuit
-    router.get('/circuit-breakers', (req, res) => controller.getCircuitBreakers(req, res));
+    router.get('/circuit-breakers', requireAuth, requireRole('admin'), (req, res) => controller.getCircuitBreakers(req, res));
 
-    // GET /status/rate-limits — Shows current rate limiting configuration for all tiers
-    router.get('/rate-limits', (req, res) => controller.getRateLimits(req, res));
+    // GET /status/rate-limits — Caller's remaining budget per limiter (plan-aware) + upstream provider quotas
+    // Reading the budget does not consume it; this request itself is counted by globalRateLimiter
+    // optionalAuth only decides whether the provider quotas are shown
+    router.get('/rate-limits', optionalAuth, (req, res, next) => controller.getRateLimits(req, res).catch(next));
 
     return router;
 };
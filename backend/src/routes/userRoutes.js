@@ -7,10 +7,12 @@
  * ──────────────────────────────────────────────────────────────────
  * | Method | Path        | Handler      | Description              |
  * |--------|-------------|--------------|--------------------------|
- * | GET    | /           | listUsers    | List users (paginated)   |
+ * | GET    | /           | listUsers    | List users (admin only)  |
  * | GET    | /:id        | getUser      | Get single user by ID    |
  * | POST   | /           | createUser   | Create new user account  |
  * | POST   | /login      | loginUser    | Login with credentials   |
+ * | POST   | /refresh    | refreshToken | Rotate refresh token     |
+ * | POST   | /logout     | logoutUser   | Revoke current session   |
  * | PUT    | /:id        | updateUser   | Full update of user      |
  * | PATCH  | /:id        | patchUser    | Partial update of user   |
  * | DELETE | /:id        | deleteUser   | Soft-delete user         |
@@ -20,8 +22,17 @@
  * Validation: Zod schemas from validators/userSchemas.js
  * 
  * Security Notes:
+ * - Registration (POST /), login and refresh are public; every other route
+ *   requires a valid JWT. Users can only read or modify their own account — other
+ *   IDs are refused with 403. Admins can access any account, list users and
+ *   change `role`/`permissions`.
+ * - Access tokens are short-lived. POST /refresh exchanges a refresh token
+ *   for a new pair and invalidates the old one; replaying an old refresh
+ *   token revokes the whole session.
  * - POST (create) also has authRateLimiter (5 req / 15 min) to prevent
  *   mass account creation / enumeration attacks.
+ * - POST /refresh has refreshRateLimiter (10 req / 15 min per IP and
+ *   refresh-token family): enough for one refresh per access-token lifetime.
  * - All inputs are validated and sanitized before reaching the controller.
  * - MongoDB ObjectID format is enforced on :id params.
  * 
@@ -29,7 +40,7 @@
  */
 
 import { Router } from 'express';
-import { authenticatedUserRateLimiter, authRateLimiter } from '../middleware/index.js';
+import { authenticatedUserRateLimiter, authRateLimiter, refreshRateLimiter, requireAuth, requireRole } from '../middleware/index.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import {
     createUserSchema,
@@ -39,6 +50,8 @@ import {
     deleteUserSchema,
     listUsersSchema,
     loginSchema,
+    refreshTokenSchema,
+    logoutSchema,
 } from '../validators/userSchemas.js';
 
 /**
@@ -53,11 +66,11 @@ export const createUserRoutes = (controller) => {
     // Apply authenticated-user rate limiter to all user routes (1000 req / 15 min)
     router.use(authenticatedUserRateLimiter);
 
-    // GET /users — List all users with optional pagination and filtering
-    router.get('/', validateRequest(listUsersSchema), (req, res, next) => controller.listUsers(req, res, next));
+    // GET /users — List all users (admin only) with optional pagination and filtering
+    router.get('/', requireAuth, requireRole('admin'), validateRequest(listUsersSchema), (req, res, next) => controller.listUsers(req, res, next));
 
     // GET /users/:id — Get a single user by their MongoDB ObjectID
-    router.get('/:id', validateRequest(getUserSchema), (req, res, next) => controller.getUser(req, res, next));
+    router.get('/:id', requireAuth, validateRequest(getUserSchema), (req, res, next) => controller.getUser(req, res, next));
 
     // POST /users — Create a new user account
     // Additional auth rate limiter (5/15min) to prevent mass account creation
@@ -67,14 +80,22 @@ export const createUserRoutes = (controller) => {
     // Auth rate limiter (5/15min) to prevent brute force attacks
     router.post('/login', authRateLimiter, validateRequest(loginSchema), (req, res, next) => controller.loginUser(req, res, next));
 
+    // POST /users/refresh — Exchange a refresh token for a new access/refresh pair
+    // Refresh rate limiter (10/15min per IP and session) instead of authRateLimiter, which one
+    // refresh per access-token lifetime would exhaust for everyone behind a shared IP
+    router.post('/refresh', refreshRateLimiter, validateRequest(refreshTokenSchema), (req, res, next) => controller.refreshToken(req, res, next));
+
+    // POST /users/logout — Revoke the current access token (and refresh token, if sent)
+    router.post('/logout', requireAuth, validateRequest(logoutSchema), (req, res, next) => controller.logoutUser(req, res, next));
+
     // PUT /users/:id — Full update of user (all fields required)
-    router.put('/:id', validateRequest(updateUserSchema), (req, res, next) => controller.updateUser(req, res, next));
+    router.put('/:id', requireAuth, validateRequest(updateUserSchema), (req, res, next) => controller.updateUser(req, res, next));
 
     // PATCH /users/:id — Partial update of user (only changed fields)
-    router.patch('/:id', validateRequest(patchUserSchema), (req, res, next) => controller.patchUser(req, res, next));
+    router.patch('/:id', requireAuth, validateRequest(patchUserSchema), (req, res, next) => controller.patchUser(req, res, next));
 
     // DELETE /users/:id — Soft-delete user (sets isActive = false)
-    router.delete('/:id', validateRequest(deleteUserSchema), (req, res, next) => controller.deleteUser(req, res, next));
+    router.delete('/:id', requireAuth, validateRequest(deleteUserSchema), (req, res, next) => controller.deleteUser(req, res, next));
 
     return router;
 };
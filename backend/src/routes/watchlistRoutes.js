@@ -7,7 +7,7 @@
  * ───────────────────────────────────────────────────────────────────────────────
  * | Method | Path                    | Handler          | Description           |
  * |--------|-------------------------|------------------|-----------------------|
- * | GET    | /                       | listWatchlists   | List all watchlists   |
+ * | GET    | /                       | listWatchlists   | List own watchlists   |
  * | GET    | /:id                    | getWatchlist      | Get watchlist by ID   |
  * | POST   | /                       | createWatchlist   | Create watchlist      |
  * | PUT    | /:id                    | updateWatchlist   | Update watchlist      |
@@ -17,13 +17,17 @@
  * ───────────────────────────────────────────────────────────────────────────────
  * 
  * Rate Limiting: authenticatedUserRateLimiter (1000 req / 15 min per user/IP)
+ * Authentication: requireAuth on every route. The owner is always taken from
+ * the JWT — watchlists belonging to other users are reported as 404.
+ * GET /:id prices each entry from its stored asset and converts it to
+ * `?currency` or the caller's `preferences.defaultCurrency`.
  * Validation: Zod schemas from validators/watchlistSchemas.js
  * 
  * @module routes/watchlistRoutes
  */
 
 import { Router } from 'express';
-import { authenticatedUserRateLimiter } from '../middleware/index.js';
+import { authenticatedUserRateLimiter, requireAuth } from '../middleware/index.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import {
     createWatchlistSchema,
@@ -47,10 +51,13 @@ export const createWatchlistRoutes = (controller) => {
     // Apply authenticated-user rate limiter to all watchlist routes (1000 req / 15 min)
     router.use(authenticatedUserRateLimiter);
 
-    // GET /watchlists — List all watchlists with optional filters (userId, isPublic, etc.)
+    // Every watchlist route requires a valid JWT
+    router.use(requireAuth);
+
+    // GET /watchlists — List the caller's watchlists, or everyone's public ones with ?isPublic=true
     router.get('/', validateRequest(listWatchlistsSchema), (req, res, next) => controller.listWatchlists(req, res, next));
 
-    // GET /watchlists/:id — Get a single watchlist by its MongoDB ObjectID
+    // GET /watchlists/:id — Get a single watchlist by its MongoDB ObjectID, with stored asset prices
     router.get('/:id', validateRequest(getWatchlistSchema), (req, res, next) => controller.getWatchlist(req, res, next));
 
     // POST /watchlists — Create a new watchlist
@@ -0,0 +1,344 @@
+// Alert monitoring - periodically evaluates active price alerts against live quotes
+// Stocks/indices/commodities via Alpha Vantage, crypto via CoinGecko, forex via ExchangeRate-API
+// Provider identifiers come from the symbol registry; polling is paced to each provider's daily quota
+
+import { EventEmitter } from 'events';
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+
+export const ALERT_TRIGGERED_EVENT = 'alert:triggered';
+
+// Which upstream provider prices each alert asset type
+const PROVIDER_BY_ASSET_TYPE = {
+    stock: 'alpha_vantage',
+    index: 'alpha_vantage',
+    commodity: 'alpha_vantage',
+    crypto: 'coingecko',
+    forex: 'exchangerate_api',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AlertMonitorService extends EventEmitter {
+    constructor({
+        alertService,
+        alphaVantageClient,
+        coinGeckoClient,
+        exchangeRateClient,
+        symbolRegistryService,
+        cache = null,
+        intervalMs = config.alertMonitor.intervalMs,
+        batchSize = config.alertMonitor.batchSize,
+        quotaReserve = config.alertMonitor.quotaReserve,
+    }) {
+        super();
+        this.alertService = alertService;
+        this.alphaVantageClient = alphaVantageClient;
+        this.coinGeckoClient = coinGeckoClient;
+        this.exchangeRateClient = exchangeRateClient;
+        this.symbolRegistryService = symbolRegistryService;
+        this.cache = cache;
+        this.intervalMs = intervalMs;
+        this.batchSize = Math.max(1, batchSize);
+        this.quotaReserve = quotaReserve;
+
+        this.clients = {
+            alpha_vantage: alphaVantageClient,
+            coingecko: coinGeckoClient,
+            exchangerate_api: exchangeRateClient,
+        };
+
+        this.timer = null;
+        this.isChecking = false;
+    }
+
+    // Start periodic evaluation - no-op if already running
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runCheck().catch((error) => {
+                logger.error('Alert monitor cycle failed', { error: error.message });
+            });
+        }, this.intervalMs);
+
+        // Don't keep the process alive just for the monitor
+        this.timer.unref();
+
+        logger.info('Alert monitor started', { intervalMs: this.intervalMs, batchSize: this.batchSize });
+    }
+
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info('Alert monitor stopped');
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Run one evaluation cycle - skipped if the previous cycle is still in flight
+    async runCheck() {
+        if (this.isChecking) {
+            logger.debug('Alert monitor cycle skipped - previous cycle still running');
+            return null;
+        }
+
+        this.isChecking = true;
+        const startTime = Date.now();
+        const summary = { symbolsChecked: 0, pricesFetched: 0, triggered: 0, errors: [] };
+
+        try {
+            await this.alertService.deactivateExpiredAlerts();
+
+            const targets = await this.alertService.getActiveAlertSymbols();
+            summary.symbolsChecked = targets.length;
+
+            if (targets.length === 0) {
+                return summary;
+            }
+
+            const prices = await this._fetchPrices(targets, summary.errors);
+            summary.pricesFetched = prices.size;
+
+            for (const { symbol, assetType } of targets) {
+                const quote = prices.get(this._priceKey(assetType, symbol));
+                if (!quote) continue;
+
+                try {
+                    const triggered = await this.alertService.checkAndTriggerAlerts(symbol, quote.price, { assetType });
+
+                    for (const alert of triggered) {
+                        summary.triggered++;
+                        this.emit(ALERT_TRIGGERED_EVENT, this._toTriggerEvent(alert, quote.source));
+                    }
+                } catch (error) {
+                    summary.errors.push({ symbol, assetType, message: error.message });
+                }
+            }
+
+            return summary;
+        } finally {
+            this.isChecking = false;
+
+            logger.info('Alert monitor cycle complete', {
+                ...summary,
+                errors: summary.errors.length,
+                duration: `${Date.now() - startTime}ms`,
+            });
+        }
+    }
+
+    // Fetch prices for all targets, grouped by provider - returns Map<"type:SYMBOL", { price, source }>
+    async _fetchPrices(targets, errors) {
+        const groups = { alpha_vantage: [], coingecko: [], exchangerate_api: [] };
+
+        for (const { symbol, assetType } of targets) {
+            const provider = PROVIDER_BY_ASSET_TYPE[assetType] || 'alpha_vantage';
+            groups[provider].push({ symbol, assetType });
+        }
+
+        const prices = new Map();
+
+        await Promise.all([
+            this._fetchStockPrices(groups.alpha_vantage, prices, errors),
+            this._fetchCryptoPrices(groups.coingecko, prices, errors),
+            this._fetchForexPrices(groups.exchangerate_api, prices, errors),
+        ]);
+
+        return prices;
+    }
+
+    // Alpha Vantage has no batch quote endpoint - one request per symbol, batchSize at a time
+    async _fetchStockPrices(targets, prices, errors) {
+        const pollMs = await this._pollInterval('alpha_vantage', targets.length);
+
+        for (const batch of this._chunk(targets, this.batchSize)) {
+            const results = await Promise.allSettled(batch.map(({ symbol, assetType }) => {
+                const stockSymbol = this.symbolRegistryService.getProviderId(symbol, 'alpha_vantage', { assetType });
+                return this._fetchWithCache('alpha_vantage', `stocks:${stockSymbol}`, () =>
+                    this.alphaVantageClient.getGlobalQuote(stockSymbol), [symbol], pollMs
+                );
+            }));
+
+            results.forEach((result, index) => {
+                const { symbol, assetType } = batch[index];
+
+                if (result.status === 'rejected') {
+                    errors.push({ symbol, assetType, message: result.reason.message });
+                    return;
+                }
+
+                this._setPrice(prices, assetType, symbol, result.value.price, 'alpha_vantage');
+            });
+        }
+    }
+
+    // CoinGecko accepts comma-separated IDs - one request per batch
+    async _fetchCryptoPrices(targets, prices, errors) {
+        const batches = this._chunk(targets, this.batchSize);
+        const pollMs = await this._pollInterval('coingecko', batches.length);
+
+        for (const batch of batches) {
+            const idToTarget = new Map(batch.map(target => [
+                this.symbolRegistryService.getProviderId(target.symbol, 'coingecko', { assetType: 'crypto' }),
+                target,
+            ]));
+            const ids = [...idToTarget.keys()].join(',');
+
+            try {
+                const data = await this._fetchWithCache('coingecko', `crypto:${ids}`, () =>
+                    this.coinGeckoClient.getSimplePrice({ ids, vsCurrencies: 'usd' }), batch.map(({ symbol }) => symbol), pollMs
+                );
+
+                for (const coin of data.allCoins || []) {
+                    const target = idToTarget.get(coin.id);
+                    if (target) {
+                        this._setPrice(prices, target.assetType, target.symbol, coin.price, 'coingecko');
+                    }
+                }
+            } catch (error) {
+                batch.forEach(({ symbol, assetType }) => errors.push({ symbol, assetType, message: error.message }));
+            }
+        }
+    }
+
+    // The registry resolves pairs ("EURUSD", "EUR/USD") and bare currencies ("EUR", quoted in USD) to "BASE/QUOTE"
+    // One rate table per base currency covers every pair sharing that base
+    async _fetchForexPrices(targets, prices, errors) {
+        const byBase = new Map();
+
+        for (const target of targets) {
+            const pair = this.symbolRegistryService.getProviderId(target.symbol, 'exchangerate_api', { assetType: 'forex' });
+            if (!pair) {
+                errors.push({ ...target, message: 'Unrecognized forex pair' });
+                continue;
+            }
+
+            const [base, quote] = pair.split('/');
+            if (!byBase.has(base)) byBase.set(base, []);
+            byBase.get(base).push({ ...target, quote });
+        }
+
+        const pollMs = await this._pollInterval('exchangerate_api', byBase.size);
+
+        for (const batch of this._chunk([...byBase.keys()], this.batchSize)) {
+            const results = await Promise.allSettled(batch.map(base =>
+                this._fetchWithCache('exchangerate_api', `forex:${base}`, () =>
+                    this.exchangeRateClient.getLatestRates(base), [base], pollMs
+                )
+            ));
+
+            results.forEach((result, index) => {
+                const pairs = byBase.get(batch[index]);
+
+                if (result.status === 'rejected') {
+                    pairs.forEach(({ symbol, assetType }) => errors.push({ symbol, assetType, message: result.reason.message }));
+                    return;
+                }
+
+                for (const { symbol, assetType, quote } of pairs) {
+                    this._setPrice(prices, assetType, symbol, result.value.allRates?.[quote], 'exchangerate_api');
+                }
+            });
+        }
+    }
+
+    // Share cache entries with FinancialDataService so monitoring doesn't double-spend quota
+    // A cached price younger than pollMs is reused; an older one is refetched, never used to trigger alerts
+    async _fetchWithCache(service, cacheKey, fetchFn, symbols = [], pollMs = this.intervalMs) {
+        const fullKey = this.cache?.buildKey(service, cacheKey);
+
+        if (this.cache) {
+            const age = await this.cache.getAge(fullKey);
+            const cached = age !== null && age * 1000 < pollMs ? await this.cache.get(fullKey) : null;
+            if (cached) return cached;
+        }
+
+        if (!(await this._hasQuotaHeadroom(service))) {
+            throw new Error(`${service} quota reserved for user requests`);
+        }
+
+        if (!this.cache) {
+            return fetchFn();
+        }
+
+        // Kept at least pollMs so the next poll finds it; null when another instance is already fetching the key
+        const ttl = this.cache.getTTL(service);
+        const hardTtlSeconds = Math.max(ttl * config.redis.hardTtlMultiplier, Math.ceil(pollMs / 1000));
+        const result = await this.cache.refresh(fullKey, fetchFn, ttl, { symbols, hardTtlSeconds });
+        if (!result) {
+            throw new Error(`${service} refresh already in progress`);
+        }
+        return result.data;
+    }
+
+    // Spread the non-reserved share of a daily quota over the day - keyCount upstream calls per poll
+    // Never faster than intervalMs; providers without a daily limit are polled every interval
+    async _pollInterval(service, keyCount) {
+        const client = this.clients[service];
+        if (!client?.getQuotaStatus || keyCount === 0) return this.intervalMs;
+
+        const { day } = await client.getQuotaStatus();
+        if (typeof day.limit !== 'number') return this.intervalMs;
+
+        const callsPerDay = Math.max(1, Math.floor(day.limit * (1 - this.quotaReserve)));
+        return Math.max(this.intervalMs, Math.ceil(DAY_MS * keyCount / callsPerDay));
+    }
+
+    // Same rule as CacheWarmerService - leave quotaReserve of each provider window to user requests
+    async _hasQuotaHeadroom(service) {
+        const client = this.clients[service];
+        if (!client?.getQuotaStatus) return true;
+
+        const status = await client.getQuotaStatus();
+
+        return [status.minute, status.day].every(window =>
+            typeof window.limit !== 'number' || window.remaining > Math.ceil(window.limit * this.quotaReserve)
+        );
+    }
+
+    _setPrice(prices, assetType, symbol, rawPrice, source) {
+        const price = parseFloat(rawPrice);
+
+        if (Number.isFinite(price) && price > 0) {
+            prices.set(this._priceKey(assetType, symbol), { price, source });
+        }
+    }
+
+    _priceKey(assetType, symbol) {
+        return `${assetType}:${symbol}`;
+    }
+
+    _chunk(items, size) {
+        const chunks = [];
+        for (let i = 0; i < items.length; i += size) {
+            chunks.push(items.slice(i, i + size));
+        }
+        return chunks;
+    }
+
+    _toTriggerEvent(alert, source) {
+        return {
+            alertId: alert._id.toString(),
+            userId: alert.userId.toString(),
+            symbol: alert.symbol,
+            assetType: alert.assetType,
+            condition: alert.condition,
+            targetPrice: alert.targetPrice,
+            triggeredPrice: alert.triggeredPrice,
+            triggeredAt: alert.triggeredAt,
+            notificationMethod: {
+                email: alert.notificationMethod?.email ?? true,
+                websocket: alert.notificationMethod?.websocket ?? true,
+            },
+            notes: alert.notes || null,
+            source,
+        };
+    }
+}
+
+export default AlertMonitorService;
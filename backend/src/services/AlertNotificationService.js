@@ -0,0 +1,50 @@
+// Alert notifications - delivers triggered price alerts over the channels the user opted into
+// A channel is used only if both the alert and the user's preferences allow it
+
+import { logger } from '../config/logger.js';
+
+export class AlertNotificationService {
+    constructor({ userRepository, socketManager }) {
+        this.userRepository = userRepository;
+        this.socketManager = socketManager;
+    }
+
+    // Deliver a trigger event from AlertMonitorService - never throws (runs as an event listener)
+    async notify(event) {
+        const delivered = { websocket: false, email: false };
+
+        try {
+            const user = await this.userRepository.findById(event.userId);
+
+            if (!user || !user.isActive) {
+                logger.debug('Alert notification skipped - owner missing or inactive', {
+                    alertId: event.alertId,
+                    userId: event.userId,
+                });
+                return delivered;
+            }
+
+            const preferences = user.preferences?.notifications || {};
+
+            if (event.notificationMethod?.websocket && preferences.websocket !== false && this.socketManager) {
+                this.socketManager.emitAlertTriggered(event);
+                delivered.websocket = true;
+            }
+
+            if (event.notificationMethod?.email && preferences.email !== false) {
+                // No mail transport is configured yet - log so the undelivered channel is visible
+                logger.debug('Email alert notification not sent - no mail transport configured', {
+                    alertId: event.alertId,
+                    userId: event.userId,
+                });
+            }
+
+            return delivered;
+        } catch (error) {
+            logger.error('Error in notify', { alertId: event.alertId, error: error.message });
+            return delivered;
+        }
+    }
+}
+
+export default AlertNotificationService;
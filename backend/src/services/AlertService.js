@@ -1,16 +1,21 @@
 // Alert management - create, update, check triggers
+// New alerts get canonical symbols and, when not given, the asset type from the symbol registry
 
 import { logger } from '../config/logger.js';
 
 export class AlertService {
-    constructor({ alertRepository }) {
+    constructor({ alertRepository, symbolRegistryService }) {
         this.alertRepository = alertRepository;
+        this.symbolRegistryService = symbolRegistryService;
     }
 
     // Create new alert
     async createAlert(alertData) {
         try {
-            const alert = await this.alertRepository.create(alertData);
+            const symbol = this.symbolRegistryService.canonicalize(alertData.symbol);
+            const { assetType } = this.symbolRegistryService.resolve(symbol, { assetType: alertData.assetType });
+
+            const alert = await this.alertRepository.create({ ...alertData, symbol, assetType });
             logger.info('Alert created successfully', { alertId: alert._id });
             return alert;
         } catch (error) {
@@ -19,10 +24,10 @@ export class AlertService {
         }
     }
 
-    // Get alert by ID
-    async getAlert(alertId) {
+    // Get alert by ID - alerts owned by other users are reported as not found
+    async getAlert(alertId, userId) {
         try {
-            const alert = await this.alertRepository.findById(alertId, true);
+            const alert = await this.alertRepository.findOwned(alertId, userId);
 
             if (!alert) {
                 throw new Error('Alert not found');
@@ -55,6 +60,16 @@ export class AlertService {
         }
     }
 
+    // Get distinct symbols with active alerts, grouped by asset type
+    async getActiveAlertSymbols() {
+        try {
+            return await this.alertRepository.findActiveSymbols();
+        } catch (error) {
+            logger.error('Error in getActiveAlertSymbols', { error: error.message });
+            throw error;
+        }
+    }
+
     // List alerts with pagination
     async listAlerts(options = {}) {
         try {
@@ -65,10 +80,10 @@ export class AlertService {
         }
     }
 
-    // Update alert
-    async updateAlert(alertId, updateData) {
+    // Update alert - only the owner can update
+    async updateAlert(alertId, userId, updateData) {
         try {
-            const alert = await this.alertRepository.update(alertId, updateData);
+            const alert = await this.alertRepository.updateOwned(alertId, userId, updateData);
 
             if (!alert) {
                 throw new Error('Alert not found');
@@ -82,10 +97,10 @@ export class AlertService {
         }
     }
 
-    // Delete alert
-    async deleteAlert(alertId) {
+    // Delete alert - only the owner can delete
+    async deleteAlert(alertId, userId) {
         try {
-            const success = await this.alertRepository.delete(alertId);
+            const success = await this.alertRepository.deleteOwned(alertId, userId);
 
             if (!success) {
                 throw new Error('Alert not found');
@@ -100,9 +115,9 @@ export class AlertService {
     }
 
     // Check if price triggers any alerts for a symbol
-    async checkAndTriggerAlerts(symbol, currentPrice) {
+    async checkAndTriggerAlerts(symbol, currentPrice, options = {}) {
         try {
-            return await this.alertRepository.checkAndTrigger(symbol, currentPrice);
+            return await this.alertRepository.checkAndTrigger(symbol, currentPrice, options);
         } catch (error) {
             logger.error('Error in checkAndTriggerAlerts', { symbol, error: error.message });
             throw error;
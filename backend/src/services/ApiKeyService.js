@@ -0,0 +1,110 @@
+// API keys - users create scoped keys for scripts; only the hash is stored
+// Keys authenticate as their owner but never carry the owner's role or permissions
+
+import { logger } from '../config/logger.js';
+import { generateApiKey, hashApiKey } from '../utils/apiKeys.js';
+
+export class ApiKeyService {
+    constructor({ apiKeyRepository, userRepository, maxKeysPerUser = 10 }) {
+        this.apiKeyRepository = apiKeyRepository;
+        this.userRepository = userRepository;
+        this.maxKeysPerUser = maxKeysPerUser;
+    }
+
+    // Create a key - the raw key is returned once and cannot be recovered
+    async createKey(userId, { name, scopes, expiresAt = null }) {
+        try {
+            const activeCount = await this.apiKeyRepository.countActiveByUser(userId);
+            if (activeCount >= this.maxKeysPerUser) {
+                throw new Error('API key limit reached');
+            }
+
+            const { key, keyHash, prefix } = generateApiKey();
+
+            const apiKey = await this.apiKeyRepository.create({
+                userId,
+                name,
+                prefix,
+                keyHash,
+                scopes: [...new Set(scopes)],
+                expiresAt,
+            });
+
+            return { apiKey: this._toPublic(apiKey.toObject()), key };
+        } catch (error) {
+            logger.error('Error in createKey', { userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // List a user's keys without hashes
+    async listKeys(userId) {
+        try {
+            const apiKeys = await this.apiKeyRepository.findByUser(userId);
+            return apiKeys.map(apiKey => this._toPublic(apiKey));
+        } catch (error) {
+            logger.error('Error in listKeys', { userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Revoke a key - other users' keys are reported as not found
+    async revokeKey(apiKeyId, userId) {
+        try {
+            const apiKey = await this.apiKeyRepository.revokeOwned(apiKeyId, userId);
+
+            if (!apiKey) {
+                throw new Error('API key not found');
+            }
+
+            return this._toPublic(apiKey.toObject());
+        } catch (error) {
+            logger.error('Error in revokeKey', { apiKeyId, userId, error: error.message });
+            throw error;
+        }
+    }
+
+    // Resolve a raw key to a request principal - null if unknown, revoked, expired or owner inactive
+    async authenticate(rawKey, { ip = null } = {}) {
+        try {
+            const apiKey = await this.apiKeyRepository.findActiveByHash(hashApiKey(rawKey));
+
+            if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+                return null;
+            }
+
+            const user = await this.userRepository.findById(apiKey.userId);
+            if (!user || !user.isActive) {
+                return null;
+            }
+
+            // Usage tracking must not slow down or fail the request
+            this.apiKeyRepository.recordUsage(apiKey._id, ip).catch(() => null);
+
+            return {
+                userId: user._id.toString(),
+                email: user.email,
+                plan: user.plan || 'free',
+                authMethod: 'api_key',
+                apiKeyId: apiKey._id.toString(),
+                scopes: apiKey.scopes,
+            };
+        } catch (error) {
+            logger.error('Error in authenticate', { error: error.message });
+            throw error;
+        }
+    }
+
+    _toPublic(apiKey) {
+        const publicKey = { ...apiKey };
+        delete publicKey.keyHash;
+        delete publicKey.__v;
+
+        return {
+            ...publicKey,
+            isActive: !publicKey.revokedAt && (!publicKey.expiresAt || publicKey.expiresAt > new Date()),
+        };
+    }
+}
+
+export default ApiKeyService;
@@ -1,13 +1,40 @@
 // Asset management - CRUD operations for stocks, crypto, forex, etc.
 
 import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { CANDLE_INTERVALS } from '../models/PriceCandle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// CoinGecko days per crypto backfill interval and outputSize - free-tier OHLC is 30m up to 2 days, 4h up to 30
+const CRYPTO_BACKFILL_DAYS = {
+    '30m': { compact: 1, full: 2 },
+    '4h': { compact: 7, full: 30 },
+    '1d': { compact: 14, full: 30 },
+};
 
 export class AssetService {
-    constructor({ financialAssetRepository }) {
+    constructor({
+        financialAssetRepository,
+        priceCandleRepository,
+        alphaVantageClient,
+        coinGeckoClient,
+        finnhubClient,
+        symbolRegistryService,
+        cache,
+    }) {
         this.financialAssetRepository = financialAssetRepository;
+        this.priceCandleRepository = priceCandleRepository;
+        this.alphaVantageClient = alphaVantageClient;
+        this.coinGeckoClient = coinGeckoClient;
+        this.finnhubClient = finnhubClient;
+        this.symbolRegistryService = symbolRegistryService;
+        this.cache = cache;
     }
 
     // Create new asset - checks for duplicate symbols
+    // Crypto assets are filled in from CoinGecko markets: price, market cap, rank and logo, unless given
+    // Stocks are filled in from the Finnhub company profile: exchange, industry, market cap, logo, website
     async createAsset(assetData) {
         try {
             const existing = await this.financialAssetRepository.findBySymbol(assetData.symbol);
@@ -15,7 +42,11 @@ export class AssetService {
                 throw new Error('Asset with this symbol already exists');
             }
 
-            const asset = await this.financialAssetRepository.create(assetData);
+            let enriched = assetData;
+            if (assetData.type === 'crypto') enriched = await this._withCryptoMarketData(assetData);
+            if (assetData.type === 'stock') enriched = await this._withCompanyProfile(assetData);
+
+            const asset = await this.financialAssetRepository.create(enriched);
             logger.info('Financial asset created successfully', { symbol: asset.symbol });
 
             return asset;
@@ -25,6 +56,119 @@ export class AssetService {
         }
     }
 
+    // Best-effort - an unknown coin or CoinGecko outage still creates the asset as given
+    async _withCryptoMarketData(assetData) {
+        try {
+            const coinId = this.symbolRegistryService.getProviderId(assetData.symbol, 'coingecko', { assetType: 'crypto' });
+            const { assets: [market] } = await this.coinGeckoClient.getMarkets({ ids: coinId, perPage: 1 });
+            if (!market) return assetData;
+
+            return {
+                ...assetData,
+                ...(assetData.currentPrice === undefined && market.currentPrice !== null && {
+                    currentPrice: Number(market.currentPrice),
+                    lastUpdated: market.lastUpdated,
+                }),
+                metadata: { ...market.metadata, ...assetData.metadata },
+            };
+        } catch (error) {
+            logger.warn('Crypto market data unavailable for new asset', { symbol: assetData.symbol, error: error.message });
+            return assetData;
+        }
+    }
+
+    // Best-effort like the crypto lookup - Finnhub only has profiles for stocks
+    // Its free profile has an industry but no sector classification, so sector is left unset
+    async _withCompanyProfile(assetData) {
+        try {
+            const profile = await this._getFundamental('profile', assetData.symbol, id => this.finnhubClient.getCompanyProfile(id));
+            const metadata = Object.fromEntries(Object.entries({
+                exchange: profile.exchange,
+                industry: profile.industry,
+                marketCap: profile.marketCap,
+                logo: profile.logo,
+                website: profile.website,
+            }).filter(([, value]) => value !== null));
+
+            return {
+                ...assetData,
+                ...(!assetData.currency && profile.currency && { currency: profile.currency }),
+                metadata: { ...metadata, ...assetData.metadata },
+            };
+        } catch (error) {
+            logger.warn('Company profile unavailable for new asset', { symbol: assetData.symbol, error: error.message });
+            return assetData;
+        }
+    }
+
+    // Profile, basic financials and analyst recommendation trends from Finnhub
+    // Sections that fail come back null and are listed in errors; it only throws if all of them fail
+    async getFundamentals(symbol) {
+        try {
+            const sections = {
+                profile: id => this.finnhubClient.getCompanyProfile(id),
+                metrics: id => this.finnhubClient.getBasicFinancials(id),
+                recommendations: id => this.finnhubClient.getRecommendationTrends(id),
+            };
+            const names = Object.keys(sections);
+            const results = await Promise.allSettled(names.map(kind => this._getFundamental(kind, symbol, sections[kind])));
+
+            if (results.every(result => result.status === 'rejected')) {
+                throw results[0].reason;
+            }
+
+            const errors = [];
+            const [profile, metrics, recommendations] = results.map((result, index) => {
+                if (result.status === 'fulfilled') return result.value;
+                errors.push({ section: names[index], message: result.reason.message });
+                return null;
+            });
+
+            return {
+                symbol: symbol.toUpperCase(),
+                profile,
+                metrics: metrics?.metrics || null,
+                recommendations: recommendations?.trends || null,
+                errors,
+                source: 'finnhub',
+            };
+        } catch (error) {
+            logger.error('Error in getFundamentals', { symbol, error: error.message });
+            throw error;
+        }
+    }
+
+    // Company news for [from, to] (YYYY-MM-DD), the last 7 days by default
+    async getCompanyNews(symbol, { from, to, limit = 20 } = {}) {
+        try {
+            const end = to || new Date().toISOString().slice(0, 10);
+            const start = from || new Date(new Date(end).getTime() - 7 * DAY_MS).toISOString().slice(0, 10);
+            const finnhubSymbol = this.symbolRegistryService.getProviderId(symbol, 'finnhub', { assetType: 'stock' }) || symbol;
+
+            const key = this.cache.buildKey('finnhub', `news:${finnhubSymbol}:${start}:${end}:${limit}`);
+            const fetchNews = () => this.finnhubClient.getCompanyNews(finnhubSymbol, { from: start, to: end, limit });
+            const { data } = await this.cache.getOrSet(key, fetchNews, this.cache.getTTL('finnhub'), {
+                symbols: [symbol.toUpperCase()],
+            });
+
+            return { symbol: symbol.toUpperCase(), from: start, to: end, news: data.news, source: 'finnhub' };
+        } catch (error) {
+            logger.error('Error in getCompanyNews', { symbol, error: error.message });
+            throw error;
+        }
+    }
+
+    // Fundamentals change slowly - cached for cacheTTL.fundamentals under finnhub:<kind>:<finnhub symbol>
+    async _getFundamental(kind, symbol, fetchFn) {
+        const finnhubSymbol = this.symbolRegistryService.getProviderId(symbol, 'finnhub', { assetType: 'stock' }) || symbol;
+        const key = this.cache.buildKey('finnhub', `${kind}:${finnhubSymbol}`);
+        const { data } = await this.cache.getOrSet(key, () => fetchFn(finnhubSymbol), config.cacheTTL.fundamentals, {
+            symbols: [symbol.toUpperCase()],
+        });
+
+        return data;
+    }
+
     // Get asset by symbol
     async getAsset(symbol) {
         try {
@@ -68,7 +212,7 @@ export class AssetService {
         }
     }
 
-    // Update asset price from external API
+    // Update asset price from external API and record it as a 1m candle
     async updateAssetPrice(symbol, price, source = 'api') {
         try {
             const asset = await this.financialAssetRepository.updatePrice(symbol, price, source);
@@ -77,6 +221,9 @@ export class AssetService {
                 throw new Error('Asset not found');
             }
 
+            // History is best-effort - the repository logs failures, the price update stands
+            await this.priceCandleRepository.recordPrice(symbol, price, source).catch(() => null);
+
             return asset;
         } catch (error) {
             logger.error('Error in updateAssetPrice', { symbol, error: error.message });
@@ -84,6 +231,81 @@ export class AssetService {
         }
     }
 
+    // A live quote for a stored asset becomes its current price and a 1m bar
+    // Cached quotes were recorded when they were fetched, so only fresh ones are written
+    async recordQuote(symbol, quote) {
+        if (quote.fromCache || quote.price === null || quote.price === undefined) return null;
+
+        return this.updateAssetPrice(symbol, Number(quote.price), quote.provider).catch(() => null);
+    }
+
+    // OHLCV candles for [from, to), downsampled from the coarsest stored interval that fits
+    // Defaults to the `limit` most recent intervals; sourceInterval is null when nothing is stored
+    async getPriceHistory(symbol, { interval = '1d', from, to, limit = 500 } = {}) {
+        try {
+            const end = to || new Date();
+            const start = from || new Date(end.getTime() - CANDLE_INTERVALS[interval].ms * limit);
+
+            const sourceInterval = await this.priceCandleRepository.findSourceInterval(symbol, interval);
+            const candles = sourceInterval
+                ? await this.priceCandleRepository.findRange(symbol, interval, { from: start, to: end, sourceInterval, limit })
+                : [];
+
+            return { symbol: symbol.toUpperCase(), interval, sourceInterval, from: start, to: end, candles };
+        } catch (error) {
+            logger.error('Error in getPriceHistory', { symbol, interval, error: error.message });
+            throw error;
+        }
+    }
+
+    // Backfill stored candles - crypto assets from CoinGecko, everything else from Alpha Vantage
+    // One provider call; bars already stored in the fetched span are replaced
+    async backfillPriceHistory(symbol, { interval = '1d', outputSize = 'compact', month } = {}) {
+        try {
+            const asset = await this.financialAssetRepository.findBySymbol(symbol);
+            const series = asset?.type === 'crypto'
+                ? await this._fetchCryptoSeries(symbol, interval, outputSize)
+                : await this._fetchEquitySeries(symbol, interval, { outputSize, month, assetType: asset?.type });
+
+            const { candles } = series;
+            const stored = await this.priceCandleRepository.insertCandles(symbol, interval, candles, series.source);
+            logger.info('Price history backfilled', { symbol, interval, stored });
+
+            return {
+                symbol: symbol.toUpperCase(),
+                interval,
+                stored,
+                from: candles[0]?.timestamp || null,
+                to: candles[candles.length - 1]?.timestamp || null,
+                source: series.source,
+            };
+        } catch (error) {
+            logger.error('Error in backfillPriceHistory', { symbol, interval, error: error.message });
+            throw error;
+        }
+    }
+
+    _fetchEquitySeries(symbol, interval, { outputSize, month, assetType }) {
+        const stockSymbol = this.symbolRegistryService.getProviderId(symbol, 'alpha_vantage', { assetType }) || symbol;
+
+        if (interval === '1d') return this.alphaVantageClient.getDailyAdjusted(stockSymbol, { outputSize });
+        if (interval === '1w') return this.alphaVantageClient.getWeekly(stockSymbol);
+        if (interval === '1M') return this.alphaVantageClient.getMonthly(stockSymbol);
+        return this.alphaVantageClient.getIntraday(stockSymbol, { interval, outputSize, month });
+    }
+
+    async _fetchCryptoSeries(symbol, interval, outputSize) {
+        const days = CRYPTO_BACKFILL_DAYS[interval]?.[outputSize];
+        if (!days) {
+            throw new Error('Unsupported interval for crypto history');
+        }
+
+        const coinId = this.symbolRegistryService.getProviderId(symbol, 'coingecko', { assetType: 'crypto' });
+        return interval === '1d'
+            ? this.coinGeckoClient.getDailyCandles(coinId, { days })
+            : this.coinGeckoClient.getOhlc(coinId, { days });
+    }
+
     // Delete asset
     async deleteAsset(symbol) {
         try {
@@ -0,0 +1,256 @@
+// Cache warming - refreshes popular provider cache keys before they go stale
+// Targets come from users' default preferences, active alerts and watchlists
+
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+
+// Same provider routing as AlertMonitorService
+const PROVIDER_BY_ASSET_TYPE = {
+    stock: 'alpha_vantage',
+    index: 'alpha_vantage',
+    commodity: 'alpha_vantage',
+    crypto: 'coingecko',
+    forex: 'exchangerate_api',
+};
+
+export class CacheWarmerService {
+    constructor({
+        userRepository,
+        watchlistRepository,
+        alertService,
+        alphaVantageClient,
+        coinGeckoClient,
+        exchangeRateClient,
+        symbolRegistryService,
+        cache,
+        intervalMs = config.cacheWarming.intervalMs,
+        maxKeys = config.cacheWarming.maxKeys,
+        quotaReserve = config.cacheWarming.quotaReserve,
+    }) {
+        this.userRepository = userRepository;
+        this.watchlistRepository = watchlistRepository;
+        this.alertService = alertService;
+        this.alphaVantageClient = alphaVantageClient;
+        this.coinGeckoClient = coinGeckoClient;
+        this.exchangeRateClient = exchangeRateClient;
+        this.symbolRegistryService = symbolRegistryService;
+        this.cache = cache;
+        this.intervalMs = intervalMs;
+        this.maxKeys = maxKeys;
+        this.quotaReserve = quotaReserve;
+
+        this.clients = {
+            alpha_vantage: alphaVantageClient,
+            coingecko: coinGeckoClient,
+            exchangerate_api: exchangeRateClient,
+        };
+
+        this.timer = null;
+        this.isWarming = false;
+        this.lastRun = null;
+    }
+
+    // Start periodic warming with an immediate first run - no-op if already running
+    start() {
+        if (this.timer) return;
+
+        const run = () => this.runWarmup().catch((error) => {
+            logger.error('Cache warm-up cycle failed', { error: error.message });
+        });
+
+        this.timer = setInterval(run, this.intervalMs);
+        // Don't keep the process alive just for the warmer
+        this.timer.unref();
+        run();
+
+        logger.info('Cache warmer started', { intervalMs: this.intervalMs, maxKeys: this.maxKeys });
+    }
+
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info('Cache warmer stopped');
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Reported by GET /admin/metrics
+    getStatus() {
+        return {
+            enabled: this.isRunning(),
+            intervalMs: this.intervalMs,
+            maxKeys: this.maxKeys,
+            lastRun: this.lastRun,
+        };
+    }
+
+    // Run one warm-up cycle - skipped if the previous cycle is still in flight
+    async runWarmup() {
+        if (this.isWarming) {
+            logger.debug('Cache warm-up cycle skipped - previous cycle still running');
+            return null;
+        }
+
+        this.isWarming = true;
+        const startTime = Date.now();
+        const summary = { keys: 0, warmed: 0, fresh: 0, skipped: 0, failed: 0, coverage: 1, byProvider: {} };
+
+        try {
+            const targets = (await this._collectTargets()).slice(0, this.maxKeys);
+            summary.keys = targets.length;
+
+            // Sequential on purpose - warming is not latency sensitive and must not burst provider quotas
+            for (const target of targets) {
+                const outcome = await this._warm(target);
+                summary[outcome]++;
+
+                const provider = summary.byProvider[target.service] || { keys: 0, warmed: 0, fresh: 0, skipped: 0, failed: 0 };
+                provider.keys++;
+                provider[outcome]++;
+                summary.byProvider[target.service] = provider;
+            }
+
+            // Share of target keys that are fresh in the cache after this cycle
+            if (summary.keys > 0) {
+                summary.coverage = Number(((summary.warmed + summary.fresh) / summary.keys).toFixed(2));
+            }
+
+            return summary;
+        } finally {
+            this.isWarming = false;
+            this.lastRun = {
+                ...summary,
+                completedAt: new Date().toISOString(),
+                duration: Date.now() - startTime,
+            };
+
+            logger.info('Cache warm-up cycle complete', {
+                keys: summary.keys,
+                warmed: summary.warmed,
+                skipped: summary.skipped,
+                failed: summary.failed,
+                coverage: summary.coverage,
+                duration: `${Date.now() - startTime}ms`,
+            });
+        }
+    }
+
+    // Returns 'warmed', 'fresh', 'skipped' (quota headroom) or 'failed'
+    async _warm({ service, cacheKey, fetchFn, symbols }) {
+        const fullKey = this.cache.buildKey(service, cacheKey);
+        const ttl = this.cache.getTTL(service);
+
+        // Still fresh at the next cycle - nothing to do yet
+        const age = await this.cache.getAge(fullKey);
+        if (age !== null && age + this.intervalMs / 1000 < ttl) {
+            return 'fresh';
+        }
+
+        if (!(await this._hasQuotaHeadroom(service))) {
+            return 'skipped';
+        }
+
+        try {
+            await this.cache.refresh(fullKey, fetchFn, ttl, { symbols });
+            return 'warmed';
+        } catch (error) {
+            logger.warn(`Cache warm-up failed: ${fullKey}`, { service, error: error.message });
+            return error.code === 'E1015' ? 'skipped' : 'failed';
+        }
+    }
+
+    // Leave quotaReserve of each provider window to user requests
+    async _hasQuotaHeadroom(service) {
+        const client = this.clients[service];
+        if (!client?.getQuotaStatus) return true;
+
+        const status = await client.getQuotaStatus();
+
+        return [status.minute, status.day].every(window =>
+            typeof window.limit !== 'number' || window.remaining > Math.ceil(window.limit * this.quotaReserve)
+        );
+    }
+
+    // Deduplicated by cache key: preferences first (they back /financial/live), then alerts, then watchlists
+    async _collectTargets() {
+        const targets = new Map();
+        const add = (target) => {
+            const id = `${target.service}:${target.cacheKey}`;
+            if (!targets.has(id)) targets.set(id, target);
+        };
+
+        const [preferences, alertSymbols, watchlistSymbols] = await Promise.all([
+            this.userRepository.findPreferenceTargets(),
+            this.alertService.getActiveAlertSymbols(),
+            this.watchlistRepository.findDistinctSymbols(),
+        ]);
+
+        for (const { stockSymbol, cryptoIds, currency } of preferences) {
+            if (stockSymbol) add(this._stockTarget(stockSymbol));
+            if (cryptoIds) add(this._cryptoTarget(cryptoIds));
+            if (currency) add(this._forexTarget(currency));
+        }
+
+        for (const { symbol, assetType } of alertSymbols) {
+            const target = this._assetTarget(symbol, assetType);
+            if (target) add(target);
+        }
+
+        // Watchlists don't record an asset type - the registry decides
+        for (const symbol of watchlistSymbols) {
+            const target = this._assetTarget(symbol);
+            if (target) add(target);
+        }
+
+        return [...targets.values()];
+    }
+
+    // Provider IDs come from the symbol registry; null when the provider has none
+    _assetTarget(symbol, assetType) {
+        const resolved = this.symbolRegistryService.resolve(symbol, { assetType });
+        const provider = PROVIDER_BY_ASSET_TYPE[resolved.assetType] || 'alpha_vantage';
+        const id = resolved.providers[provider];
+
+        if (!id) return null;
+        if (provider === 'coingecko') return this._cryptoTarget(id);
+        // Rates are fetched per base currency ('EUR/USD' → EUR)
+        if (provider === 'exchangerate_api') return this._forexTarget(id.split('/')[0]);
+        return this._stockTarget(id);
+    }
+
+    // Cache keys and fetches mirror FinancialDataService.execute so warmed entries are hits there
+    _stockTarget(symbol) {
+        const stockSymbol = symbol.toUpperCase();
+        return {
+            service: 'alpha_vantage',
+            cacheKey: `stocks:${stockSymbol}`,
+            fetchFn: () => this.alphaVantageClient.getGlobalQuote(stockSymbol),
+            symbols: [stockSymbol],
+        };
+    }
+
+    _cryptoTarget(ids) {
+        return {
+            service: 'coingecko',
+            cacheKey: `crypto:${ids}`,
+            fetchFn: () => this.coinGeckoClient.getSimplePrice({ ids }),
+            symbols: ids.split(',').map(id => this.symbolRegistryService.getSymbolForProviderId('coingecko', id.trim())),
+        };
+    }
+
+    _forexTarget(currency) {
+        const baseCurrency = currency.toUpperCase();
+        return {
+            service: 'exchangerate_api',
+            cacheKey: `forex:${baseCurrency}`,
+            fetchFn: () => this.exchangeRateClient.getLatestRates(baseCurrency),
+            symbols: [baseCurrency],
+        };
+    }
+}
+
+export default CacheWarmerService;
@@ -0,0 +1,111 @@
+// Response-level currency conversion - adds converted copies of monetary fields next to the original values
+// Target currency is ?currency, else the caller's preferences.defaultCurrency; rates come from ForexService
+
+import { logger } from '../config/logger.js';
+import { Money } from '../utils/valueObjects.js';
+
+// Preferred currency lookups are cached per user, tagged user:<id> - UserService invalidates the tag on change
+const PREFERENCE_TTL_SECONDS = 300;
+
+// 'metadata.marketCap' → record.metadata.marketCap
+const valueAt = (record, path) => path.split('.').reduce((value, key) => value?.[key], record);
+
+export class CurrencyConversionService {
+    constructor({ forexService, userRepository, cache = null }) {
+        this.forexService = forexService;
+        this.userRepository = userRepository;
+        this.cache = cache;
+    }
+
+    // { currency, basis: 'query' | 'preference' }, or null when neither applies
+    async resolveTarget({ currency, userId }) {
+        if (currency) {
+            return { currency, basis: 'query' };
+        }
+        if (!userId) return null;
+
+        try {
+            const preferred = await this._preferredCurrency(userId);
+            return preferred ? { currency: preferred, basis: 'preference' } : null;
+        } catch (error) {
+            logger.warn('Could not read preferred currency', { userId, error: error.message });
+            return null;
+        }
+    }
+
+    async _preferredCurrency(userId) {
+        const load = async () => {
+            const user = await this.userRepository.findById(userId);
+            return user?.preferences?.defaultCurrency || null;
+        };
+
+        if (!this.cache) return load();
+
+        const key = this.cache.buildKey('users', `${userId}:currency`);
+        const { data } = await this.cache.getOrSet(key, load, PREFERENCE_TTL_SECONDS, { userId });
+        return data;
+    }
+
+    // Each record gets a `converted` block with the target currency, the rate used and the converted fields
+    // currencyOf(record) names the currency the record's values are in
+    // A requested currency that can't be converted fails the request; a preference only drops the converted blocks
+    async convertRecords(target, records, { fields, currencyOf }) {
+        if (!target) {
+            return { records, conversion: null };
+        }
+
+        const rates = new Map();
+        try {
+            const converted = [];
+            for (const record of records) {
+                const plain = typeof record?.toObject === 'function' ? record.toObject() : record;
+                const rate = await this._rate((currencyOf(plain) || 'USD').toUpperCase(), target.currency, rates);
+                converted.push({ ...plain, converted: this._convertFields(plain, fields, target.currency, rate) });
+            }
+
+            return { records: converted, conversion: this._summary(target, rates) };
+        } catch (error) {
+            if (target.basis === 'query') throw error;
+
+            logger.warn('Preferred currency conversion skipped', { currency: target.currency, error: error.message });
+            return { records, conversion: { ...target, error: error.message } };
+        }
+    }
+
+    _convertFields(record, fields, currency, rate) {
+        const converted = { currency, rate: rate.rate };
+        for (const path of fields) {
+            const value = valueAt(record, path);
+            const field = path.split('.').pop();
+            converted[field] = value === null || value === undefined
+                ? null
+                : new Money(value).times(rate.rate).toString();
+        }
+        return converted;
+    }
+
+    // Cross rates memoized per response; a currency into itself needs no lookup
+    async _rate(from, to, rates) {
+        if (from === to) {
+            return { rate: '1', date: null, rateTimestamp: null, source: null };
+        }
+
+        if (!rates.has(from)) {
+            rates.set(from, await this.forexService.getCrossRate(from, to));
+        }
+        return rates.get(from);
+    }
+
+    // Every cross rate in a response comes from the same pivot table, so one date and source describe them all
+    _summary(target, rates) {
+        const [first] = rates.values();
+        return {
+            ...target,
+            date: first?.date ?? null,
+            rateTimestamp: first?.rateTimestamp ?? null,
+            source: first?.source ?? null,
+        };
+    }
+}
+
+export default CurrencyConversionService;
@@ -0,0 +1,172 @@
+// Macro dashboard - latest reading of a configurable set of FRED indicators, through EconomicDataService's cache
+// Polls for new observations and broadcasts them to live-stream sockets as economic:update
+
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { Money } from '../utils/valueObjects.js';
+
+// Built-in indicators, by ECONOMIC_DASHBOARD_INDICATORS key
+export const DASHBOARD_INDICATORS = {
+    cpi_yoy: { seriesId: 'CPIAUCSL', units: 'pc1', label: 'CPI inflation (YoY)', unit: '%' },
+    core_pce: { seriesId: 'PCEPILFE', units: 'pc1', label: 'Core PCE inflation (YoY)', unit: '%' },
+    unemployment: { seriesId: 'UNRATE', units: 'lin', label: 'Unemployment rate', unit: '%' },
+    fed_funds: { seriesId: 'FEDFUNDS', units: 'lin', label: 'Effective federal funds rate', unit: '%' },
+    gdp_growth: { seriesId: 'A191RL1Q225SBEA', units: 'lin', label: 'Real GDP growth (annualized QoQ)', unit: '%' },
+    m2: { seriesId: 'M2SL', units: 'pc1', label: 'M2 money supply (YoY)', unit: '%' },
+};
+
+// Percent-change transforms are in %, changes keep the series' own units, logs have none
+const PERCENT_UNITS = ['pch', 'pc1', 'pca', 'cch', 'cca'];
+
+// Latest and previous readings, with a few spare rows for missing ('.') values
+const OBSERVATIONS_PER_INDICATOR = 4;
+
+// 'PAYEMS:chg' → { key: 'PAYEMS:chg', seriesId: 'PAYEMS', units: 'chg' }; labels for raw series come from FRED
+const parseIndicator = (entry) => {
+    if (DASHBOARD_INDICATORS[entry]) {
+        return { key: entry, ...DASHBOARD_INDICATORS[entry] };
+    }
+    const [seriesId, units = 'lin'] = entry.split(':');
+    return { key: entry, seriesId: seriesId.toUpperCase(), units, label: null, unit: null };
+};
+
+export class EconomicDashboardService {
+    constructor({
+        economicDataService,
+        socketManager,
+        indicators = config.economicDashboard.indicators,
+        intervalMs = config.economicDashboard.intervalMs,
+    }) {
+        this.economicDataService = economicDataService;
+        this.socketManager = socketManager;
+        this.indicators = indicators.map(parseIndicator);
+        this.intervalMs = intervalMs;
+
+        this.timer = null;
+        this.isChecking = false;
+        // indicator key → date of the latest observation already seen
+        this.lastSeen = new Map();
+    }
+
+    // Indicators that fail are listed in errors; it only throws if all of them fail
+    async getDashboard() {
+        try {
+            const results = await Promise.allSettled(this.indicators.map(indicator => this._reading(indicator)));
+
+            if (results.every(result => result.status === 'rejected')) {
+                throw results[0].reason;
+            }
+
+            const errors = [];
+            const indicators = [];
+            results.forEach((result, index) => {
+                const { key, seriesId } = this.indicators[index];
+                if (result.status === 'fulfilled') {
+                    indicators.push(result.value);
+                } else {
+                    errors.push({ key, seriesId, message: result.reason.message });
+                }
+            });
+
+            return { indicators, errors, source: 'fred' };
+        } catch (error) {
+            logger.error('Error in getDashboard', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Start periodic checks with an immediate first run that only records the current readings - no-op if already running
+    start() {
+        if (this.timer) return;
+
+        const run = () => this.runCheck().catch((error) => {
+            logger.error('Economic dashboard check failed', { error: error.message });
+        });
+
+        this.timer = setInterval(run, this.intervalMs);
+        // Don't keep the process alive just for the dashboard
+        this.timer.unref();
+        run();
+
+        logger.info('Economic dashboard updates started', { intervalMs: this.intervalMs, indicators: this.indicators.length });
+    }
+
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        logger.info('Economic dashboard updates stopped');
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Broadcast indicators whose latest observation is newer than last seen
+    // The first reading of an indicator is a baseline and isn't broadcast
+    async runCheck() {
+        if (this.isChecking) {
+            logger.debug('Economic dashboard check skipped - previous check still running');
+            return null;
+        }
+
+        this.isChecking = true;
+        try {
+            const dashboard = await this.getDashboard();
+            const updated = dashboard.indicators.filter(({ key, latest }) => {
+                const seen = this.lastSeen.get(key);
+                this.lastSeen.set(key, latest.date);
+                return seen !== undefined && latest.date > seen;
+            });
+
+            if (updated.length > 0) {
+                this.socketManager.broadcastEconomicUpdate({ indicators: updated });
+                logger.info('New economic observations broadcast', { indicators: updated.map(({ key }) => key) });
+            }
+
+            return updated;
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    _unitLabel(units, seriesUnits) {
+        if (PERCENT_UNITS.includes(units)) return '%';
+        return units === 'log' ? null : seriesUnits;
+    }
+
+    async _reading(indicator) {
+        const data = await this.economicDataService.getSeries(indicator.seriesId, {
+            units: indicator.units,
+            limit: OBSERVATIONS_PER_INDICATOR,
+        });
+
+        // Oldest first; readings without a value don't count
+        const readings = data.observations.filter(observation => observation.value !== null);
+        if (readings.length === 0) {
+            throw new Error(`No observations for ${indicator.seriesId}`);
+        }
+
+        const latest = readings[readings.length - 1];
+        const previous = readings[readings.length - 2] || null;
+        const change = previous ? new Money(latest.value).minus(previous.value) : null;
+
+        return {
+            key: indicator.key,
+            label: indicator.label || data.series.title,
+            seriesId: indicator.seriesId,
+            units: indicator.units,
+            unit: indicator.unit || this._unitLabel(indicator.units, data.series.unitsShort),
+            frequency: data.series.frequencyShort,
+            latest,
+            previous,
+            change: change ? change.toString() : null,
+            trend: !change ? null : change.gt(0) ? 'up' : change.lt(0) ? 'down' : 'flat',
+            // When FRED last updated the series - the release that published the latest value
+            releasedAt: data.series.lastUpdated,
+        };
+    }
+}
+
+export default EconomicDashboardService;
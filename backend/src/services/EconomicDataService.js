@@ -0,0 +1,206 @@
+// Economic data - FRED series observations, metadata and search, and the Treasury yield curve, cached per query
+// Observation values stay as FRED reports them, in the units transform requested
+
+import { logger } from '../config/logger.js';
+import { Money } from '../utils/valueObjects.js';
+
+// Constant-maturity Treasury yields (percent, daily), shortest first
+export const TREASURY_TENORS = [
+    { tenor: '1M', seriesId: 'DGS1MO', years: 1 / 12 },
+    { tenor: '3M', seriesId: 'DGS3MO', years: 0.25 },
+    { tenor: '6M', seriesId: 'DGS6MO', years: 0.5 },
+    { tenor: '1Y', seriesId: 'DGS1', years: 1 },
+    { tenor: '2Y', seriesId: 'DGS2', years: 2 },
+    { tenor: '3Y', seriesId: 'DGS3', years: 3 },
+    { tenor: '5Y', seriesId: 'DGS5', years: 5 },
+    { tenor: '7Y', seriesId: 'DGS7', years: 7 },
+    { tenor: '10Y', seriesId: 'DGS10', years: 10 },
+    { tenor: '20Y', seriesId: 'DGS20', years: 20 },
+    { tenor: '30Y', seriesId: 'DGS30', years: 30 },
+];
+
+// Long leg minus short leg; negative means inverted
+const CURVE_SPREADS = {
+    '2s10s': { short: '2Y', long: '10Y' },
+    '3m10y': { short: '3M', long: '10Y' },
+};
+
+// Daily series skip weekends and holidays and mark some days missing - enough rows to step back past them
+const CURVE_LOOKBACK_OBSERVATIONS = 10;
+
+// FRED answers 400 for unknown series and for option combinations it can't serve
+const isFredBadRequest = (error) => error.code === 'E1006' && /Invalid response 400/.test(error.message);
+
+export class EconomicDataService {
+    constructor({ fredClient, cache }) {
+        this.fredClient = fredClient;
+        this.cache = cache;
+    }
+
+    // Metadata plus observations for [start, end], oldest first so the result charts as is
+    async getSeries(seriesId, options = {}) {
+        try {
+            const id = seriesId.toUpperCase();
+            const series = await this._cached(`series:${id}`, () => this.fredClient.getSeries(id)).catch((error) => {
+                if (isFredBadRequest(error)) throw new Error('Series not found');
+                throw error;
+            });
+
+            const query = {
+                seriesId: id,
+                observationStart: options.start,
+                observationEnd: options.end,
+                frequency: options.frequency,
+                aggregationMethod: options.aggregation,
+                units: options.units,
+                realtimeStart: options.realtimeStart,
+                realtimeEnd: options.realtimeEnd,
+                vintageDates: options.vintageDates,
+                sortOrder: 'asc',
+                limit: options.limit || 1000,
+            };
+            // Without a range FRED returns the series from its first observation, so the last `limit` are wanted instead
+            const latestOnly = !options.start && !options.end;
+            if (latestOnly) query.sortOrder = 'desc';
+
+            const observationKey = `observations:${Object.values(query).map(value => value ?? '').join(':')}`;
+            const data = await this._cached(observationKey, () => this.fredClient.getSeriesObservations(query)).catch((error) => {
+                if (isFredBadRequest(error)) {
+                    throw new Error('FRED rejected the observation options for this series');
+                }
+                throw error;
+            });
+
+            const observations = latestOnly ? [...data.observations].reverse() : data.observations;
+
+            return {
+                seriesId: id,
+                series,
+                units: options.units || 'lin',
+                frequency: options.frequency || series.frequencyShort?.toLowerCase() || null,
+                realtimeStart: data.realtimeStart,
+                realtimeEnd: data.realtimeEnd,
+                latest: { date: data.date, value: data.value },
+                count: observations.length,
+                observations,
+                source: 'fred',
+            };
+        } catch (error) {
+            logger.error('Error in getSeries', { seriesId, error: error.message });
+            throw error;
+        }
+    }
+
+    async searchSeries(query, { limit = 20, offset = 0 } = {}) {
+        try {
+            const key = `search:${query.toLowerCase()}:${limit}:${offset}`;
+            return await this._cached(key, () => this.fredClient.searchSeries(query, { limit, offset }));
+        } catch (error) {
+            logger.error('Error in searchSeries', { query, error: error.message });
+            throw error;
+        }
+    }
+
+    // Treasury curve as of a date (latest if none): each tenor's last published yield on or before it
+    // Tenors that fail come back with a null yield and are listed in errors; it only throws if all of them fail
+    async getYieldCurve(date = null) {
+        try {
+            const results = await Promise.allSettled(TREASURY_TENORS.map(({ seriesId }) => this._yieldOn(seriesId, date)));
+
+            if (results.every(result => result.status === 'rejected')) {
+                throw results[0].reason;
+            }
+
+            const errors = [];
+            const points = TREASURY_TENORS.map(({ tenor, seriesId, years }, index) => {
+                const result = results[index];
+                if (result.status === 'rejected') {
+                    errors.push({ tenor, seriesId, message: result.reason.message });
+                }
+                const observation = result.status === 'fulfilled' ? result.value : null;
+                return { tenor, seriesId, years, yield: observation?.value ?? null, date: observation?.date ?? null };
+            });
+
+            const dates = points.map(point => point.date).filter(Boolean);
+            const spreads = this._curveSpreads(points);
+
+            return {
+                requestedDate: date,
+                asOf: dates.length > 0 ? dates.reduce((latest, d) => (d > latest ? d : latest)) : null,
+                points,
+                spreads,
+                inverted: Object.values(spreads).some(spread => spread?.inverted),
+                errors,
+                units: 'percent',
+                source: 'fred',
+            };
+        } catch (error) {
+            logger.error('Error in getYieldCurve', { date, error: error.message });
+            throw error;
+        }
+    }
+
+    // Two curves side by side with the per-tenor and spread changes from `from` to `to`, in basis points
+    async compareYieldCurves(from, to) {
+        try {
+            const [fromCurve, toCurve] = await Promise.all([this.getYieldCurve(from), this.getYieldCurve(to)]);
+            const bpsChange = (start, end) => (start === null || end === null
+                ? null
+                : Math.round(new Money(end).minus(start).times(100).toNumber()));
+
+            const changes = fromCurve.points.map((point, index) => ({
+                tenor: point.tenor,
+                from: point.yield,
+                to: toCurve.points[index].yield,
+                changeBps: bpsChange(point.yield, toCurve.points[index].yield),
+            }));
+
+            const spreadChanges = Object.fromEntries(Object.keys(CURVE_SPREADS).map(name => [
+                name,
+                bpsChange(fromCurve.spreads[name]?.value ?? null, toCurve.spreads[name]?.value ?? null),
+            ]));
+
+            return { from: fromCurve, to: toCurve, changes, spreadChanges, source: 'fred' };
+        } catch (error) {
+            logger.error('Error in compareYieldCurves', { from, to, error: error.message });
+            throw error;
+        }
+    }
+
+    // Last non-missing observation on or before date, newest first from FRED
+    async _yieldOn(seriesId, date) {
+        const data = await this._cached(`yield:${seriesId}:${date || 'latest'}`, () => this.fredClient.getSeriesObservations({
+            seriesId,
+            observationEnd: date || undefined,
+            sortOrder: 'desc',
+            limit: CURVE_LOOKBACK_OBSERVATIONS,
+        }));
+
+        return data.observations.find(observation => observation.value !== null) || null;
+    }
+
+    _curveSpreads(points) {
+        const yieldOf = (tenor) => points.find(point => point.tenor === tenor)?.yield ?? null;
+
+        return Object.fromEntries(Object.entries(CURVE_SPREADS).map(([name, { short, long }]) => {
+            const shortYield = yieldOf(short);
+            const longYield = yieldOf(long);
+            if (shortYield === null || longYield === null) return [name, null];
+
+            const spread = new Money(longYield).minus(shortYield);
+            return [name, {
+                value: spread.toString(),
+                bps: Math.round(spread.times(100).toNumber()),
+                inverted: spread.lt(0),
+            }];
+        }));
+    }
+
+    async _cached(identifier, fetchFn) {
+        const key = this.cache.buildKey('fred', identifier);
+        const { data } = await this.cache.getOrSet(key, fetchFn, this.cache.getTTL('fred'));
+        return data;
+    }
+}
+
+export default EconomicDataService;
@@ -12,6 +12,7 @@ export class FinancialDataService {
         this.newsAPIClient = dependencies.newsAPIClient;
         this.fredClient = dependencies.fredClient;
         this.finnhubClient = dependencies.finnhubClient;
+        this.symbolRegistryService = dependencies.symbolRegistryService;
         this.cache = dependencies.cache;
         this.auditLogRepository = dependencies.auditLogRepository;
     }
@@ -21,6 +22,7 @@ export class FinancialDataService {
         const requestId = uuidv4();
         const startTime = Date.now();
         const apiCallResults = [];
+        const staleServices = [];
         let cacheHits = 0;
 
         const {
@@ -33,16 +35,18 @@ export class FinancialDataService {
 
         logger.info('Starting financial data orchestration', { requestId });
 
+        const cryptoSymbols = cryptoIds.split(',').map(id => this.symbolRegistryService.getSymbolForProviderId('coingecko', id.trim()));
+
         // Define all API calls with caching
         const apiCalls = [
             this._fetchWithCache('alpha_vantage', `stocks:${stockSymbol}`, () =>
-                this.alphaVantageClient.getGlobalQuote(stockSymbol)
+                this.alphaVantageClient.getGlobalQuote(stockSymbol), [stockSymbol]
             ),
             this._fetchWithCache('coingecko', `crypto:${cryptoIds}`, () =>
-                this.coinGeckoClient.getSimplePrice({ ids: cryptoIds })
+                this.coinGeckoClient.getSimplePrice({ ids: cryptoIds }), cryptoSymbols
             ),
             this._fetchWithCache('exchangerate_api', `forex:${baseCurrency}`, () =>
-                this.exchangeRateClient.getLatestRates(baseCurrency)
+                this.exchangeRateClient.getLatestRates(baseCurrency), [baseCurrency]
             ),
             this._fetchWithCache('newsapi', `news:${newsQuery.substring(0, 20)}`, () =>
                 this.newsAPIClient.getEverything({ q: newsQuery })
@@ -78,7 +82,7 @@ export class FinancialDataService {
             const callStart = Date.now();
 
             if (result.status === 'fulfilled') {
-                const { data: fetchedData, fromCache } = result.value;
+                const { data: fetchedData, fromCache, stale = false, age = null } = result.value;
 
                 // Handle special cases for arrays
                 if (dataKey === 'news' && fetchedData.articles) {
@@ -93,11 +97,17 @@ export class FinancialDataService {
                     cacheHits++;
                 }
 
+                if (stale) {
+                    staleServices.push({ service, age });
+                }
+
                 apiCallResults.push({
                     service,
-                    status: fromCache ? 'cached' : 'success',
+                    status: stale ? 'stale' : fromCache ? 'cached' : 'success',
                     duration: Date.now() - callStart,
                     cached: fromCache,
+                    stale,
+                    age,
                 });
             } else {
                 const error = result.reason;
@@ -139,6 +149,8 @@ export class FinancialDataService {
                 totalDuration,
                 cacheHits,
                 apiCallsMade: 6 - cacheHits,
+                // Data served past its TTL because a refresh is pending or the provider is failing
+                staleServices,
             },
         };
 
@@ -169,12 +181,12 @@ export class FinancialDataService {
         return response;
     }
 
-    // Helper: fetch with caching
-    async _fetchWithCache(service, cacheKey, fetchFn) {
+    // Helper: fetch with caching - symbols tag the entry for POST /admin/cache/invalidate
+    async _fetchWithCache(service, cacheKey, fetchFn, symbols = []) {
         const fullKey = this.cache.buildKey(service, cacheKey);
         const ttl = this.cache.getTTL(service);
 
-        return this.cache.getOrSet(fullKey, fetchFn, ttl);
+        return this.cache.getOrSet(fullKey, fetchFn, ttl, { symbols });
     }
 
     // Get cached data only - no API calls
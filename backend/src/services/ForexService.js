@@ -0,0 +1,110 @@
+// Currency conversion - any pair is crossed through one pivot currency's rates table, latest or as of a past date
+// Latest tables share the forex:<base> cache key with quotes, alerts and /financial/live
+
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { Money } from '../utils/valueObjects.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export class ForexService {
+    constructor({ exchangeRateClient, cache, pivotCurrency = config.forex.pivotCurrency }) {
+        this.exchangeRateClient = exchangeRateClient;
+        this.cache = cache;
+        this.pivotCurrency = pivotCurrency;
+    }
+
+    // One base currency's rates table - latest, or as published on date
+    async getRates(base, date = null) {
+        try {
+            const { data, fromCache } = await this._ratesTable(base.toUpperCase(), date);
+            return { ...data, historical: this._isHistorical(date), fromCache };
+        } catch (error) {
+            logger.error('Error in getRates', { base, date, error: error.message });
+            throw error;
+        }
+    }
+
+    // Units of `to` per unit of `from`: pivot→to / pivot→from, so a single cached table serves every pair
+    async getCrossRate(from, to, date = null) {
+        try {
+            const { table, fromCache, fromRate, toRate } = await this._pivotRates(from, to, date);
+
+            return {
+                from,
+                to,
+                rate: new Money(toRate).div(fromRate).toString(),
+                pivot: table.baseCurrency,
+                date: table.date,
+                rateTimestamp: table.updatedAt,
+                historical: this._isHistorical(date),
+                source: table.source,
+                fromCache,
+            };
+        } catch (error) {
+            logger.error('Error in getCrossRate', { from, to, date, error: error.message });
+            throw error;
+        }
+    }
+
+    // amount of `from` in `to`; the result is worked out from the pivot rates rather than the rounded cross rate
+    async convert({ from, to, amount = '1', date = null }) {
+        try {
+            const { table, fromCache, fromRate, toRate } = await this._pivotRates(from, to, date);
+            const value = new Money(amount);
+
+            return {
+                from,
+                to,
+                amount: value.toString(),
+                rate: new Money(toRate).div(fromRate).toString(),
+                result: value.times(toRate).div(fromRate).toString(),
+                pivot: table.baseCurrency,
+                date: table.date,
+                rateTimestamp: table.updatedAt,
+                historical: this._isHistorical(date),
+                source: table.source,
+                fromCache,
+            };
+        } catch (error) {
+            logger.error('Error in convert', { from, to, amount, date, error: error.message });
+            throw error;
+        }
+    }
+
+    async _pivotRates(from, to, date) {
+        const { data: table, fromCache } = await this._ratesTable(this.pivotCurrency, date);
+
+        const pivotRate = (currency) => {
+            if (currency === table.baseCurrency) return 1;
+
+            const rate = table.allRates[currency];
+            if (rate === undefined) {
+                throw new Error(`Unsupported currency: ${currency}`);
+            }
+            return Number(rate);
+        };
+
+        return { table, fromCache, fromRate: pivotRate(from), toRate: pivotRate(to) };
+    }
+
+    // Today's date means the latest table - the provider has no history for a day still in progress
+    _isHistorical(date) {
+        return Boolean(date) && date < today();
+    }
+
+    // Past tables never change, so they are kept far longer than the latest one
+    async _ratesTable(base, date) {
+        if (!this._isHistorical(date)) {
+            const key = this.cache.buildKey('exchangerate_api', `forex:${base}`);
+            return this.cache.getOrSet(key, () => this.exchangeRateClient.getLatestRates(base),
+                this.cache.getTTL('exchangerate_api'), { symbols: [base] });
+        }
+
+        const key = this.cache.buildKey('exchangerate_api', `forex:${base}:${date}`);
+        return this.cache.getOrSet(key, () => this.exchangeRateClient.getHistoricalRates(date, base),
+            config.cacheTTL.exchangeRateHistory, { symbols: [base] });
+    }
+}
+
+export default ForexService;
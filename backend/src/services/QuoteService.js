@@ -0,0 +1,239 @@
+// Quote routing - tries quote providers in configured priority order per asset type
+// A cached quote (stale included) is served first; otherwise providers with an open circuit breaker
+// or a spent quota window are skipped. The serving provider is audited
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { ExternalAPIError, ValidationError } from '../utils/errors.js';
+import { Percentage } from '../utils/valueObjects.js';
+
+// Error a skipped provider would have raised
+const SKIP_ERROR_CODES = {
+    circuit_open: 'E1007',
+    quota_exhausted: 'E1015',
+};
+
+export class QuoteService {
+    constructor({
+        alphaVantageClient,
+        coinGeckoClient,
+        exchangeRateClient,
+        finnhubClient,
+        symbolRegistryService,
+        cache,
+        auditLogRepository,
+        providerOrder = config.quoteProviders,
+    }) {
+        this.alphaVantageClient = alphaVantageClient;
+        this.coinGeckoClient = coinGeckoClient;
+        this.exchangeRateClient = exchangeRateClient;
+        this.finnhubClient = finnhubClient;
+        this.symbolRegistryService = symbolRegistryService;
+        this.cache = cache;
+        this.auditLogRepository = auditLogRepository;
+        this.providerOrder = providerOrder;
+
+        this.clients = {
+            alpha_vantage: alphaVantageClient,
+            coingecko: coinGeckoClient,
+            exchangerate_api: exchangeRateClient,
+            finnhub: finnhubClient,
+        };
+    }
+
+    // First provider that answers wins; attempts lists every provider tried or skipped, in order
+    async getQuote(symbol, { assetType } = {}) {
+        const requestId = uuidv4();
+        const startTime = Date.now();
+        const resolved = this.symbolRegistryService.resolve(symbol, { assetType });
+        const providers = this.providerOrder[resolved.assetType] || this.providerOrder.stock;
+        const attempts = [];
+        let quote = null;
+
+        for (const provider of providers) {
+            const providerSymbol = resolved.providers[provider];
+            const callStart = Date.now();
+
+            if (!providerSymbol) {
+                attempts.push({ provider, status: 'skipped', reason: 'no_symbol' });
+                continue;
+            }
+
+            // Availability only matters when serving this provider needs an upstream call
+            const cached = await this._hasCachedQuote(provider, providerSymbol);
+            const unavailable = cached ? null : await this._unavailableReason(provider);
+            if (unavailable) {
+                attempts.push({ provider, status: 'skipped', reason: unavailable });
+                continue;
+            }
+
+            try {
+                const { data, fromCache, stale = false } = await this._fetchQuote(provider, providerSymbol, resolved.symbol);
+                attempts.push({ provider, status: stale ? 'stale' : fromCache ? 'cached' : 'success', duration: Date.now() - callStart });
+                quote = { ...data, provider, providerSymbol, fromCache, stale };
+                break;
+            } catch (error) {
+                attempts.push({
+                    provider,
+                    status: 'error',
+                    duration: Date.now() - callStart,
+                    errorCode: error.code || 'E1009',
+                    errorMessage: error.message,
+                });
+                logger.warn(`Quote provider failed: ${provider}`, { symbol: resolved.symbol, error: error.message });
+            }
+        }
+
+        await this._audit(requestId, resolved, attempts, quote, Date.now() - startTime);
+
+        if (!quote) {
+            throw new ExternalAPIError(`No quote provider available for ${resolved.symbol}`, 'quote', attempts);
+        }
+
+        if (quote.provider !== providers[0]) {
+            logger.info('Quote served by fallback provider', { symbol: resolved.symbol, provider: quote.provider, attempts: attempts.length });
+        }
+
+        return {
+            ...quote,
+            requestId,
+            symbol: resolved.symbol,
+            assetType: resolved.assetType,
+            attempts,
+        };
+    }
+
+    // Why a provider can't take a call right now, or null if it can
+    async _unavailableReason(provider) {
+        const client = this.clients[provider];
+
+        if (!client.circuitBreaker.isAllowingRequests()) {
+            return 'circuit_open';
+        }
+
+        const status = await client.getQuotaStatus();
+        const spent = [status.minute, status.day].some(window =>
+            typeof window.limit === 'number' && window.remaining === 0
+        );
+
+        return spent ? 'quota_exhausted' : null;
+    }
+
+    // Any stored entry counts - getOrSet serves it within the hard TTL, fresh or stale
+    async _hasCachedQuote(provider, providerSymbol) {
+        const { cacheKey } = this._quoteSource(provider, providerSymbol);
+        return (await this.cache.get(this.cache.buildKey(provider, cacheKey))) !== null;
+    }
+
+    // Cache keys match FinancialDataService and AlertMonitorService so all three share entries
+    // Entries hold each client's own response shape, mapped to a quote on read
+    async _fetchQuote(provider, providerSymbol, symbol) {
+        const { cacheKey, fetchFn, toQuote } = this._quoteSource(provider, providerSymbol);
+        const fullKey = this.cache.buildKey(provider, cacheKey);
+        const result = await this.cache.getOrSet(fullKey, fetchFn, this.cache.getTTL(provider), { symbols: [symbol] });
+
+        return { ...result, data: toQuote(result.data) };
+    }
+
+    _quoteSource(provider, providerSymbol) {
+        switch (provider) {
+            case 'alpha_vantage':
+                return {
+                    cacheKey: `stocks:${providerSymbol}`,
+                    fetchFn: () => this.alphaVantageClient.getGlobalQuote(providerSymbol),
+                    toQuote: data => ({ ...data, timestamp: data.latestTradingDay || null }),
+                };
+            case 'finnhub':
+                return {
+                    cacheKey: `quote:${providerSymbol}`,
+                    fetchFn: () => this.finnhubClient.getQuote(providerSymbol),
+                    toQuote: data => data,
+                };
+            case 'coingecko':
+                return {
+                    cacheKey: `crypto:${providerSymbol}`,
+                    fetchFn: () => this.coinGeckoClient.getSimplePrice({ ids: providerSymbol }),
+                    toQuote: data => this._fromCoinGecko(data, providerSymbol),
+                };
+            case 'exchangerate_api': {
+                const [base, quote] = providerSymbol.split('/');
+                return {
+                    cacheKey: `forex:${base}`,
+                    fetchFn: () => this.exchangeRateClient.getLatestRates(base),
+                    toQuote: data => this._fromExchangeRate(data, base, quote),
+                };
+            }
+            default:
+                throw new ValidationError(`Unsupported quote provider: ${provider}`);
+        }
+    }
+
+    _fromCoinGecko(data, coinId) {
+        const coin = (data.allCoins || []).find(({ id }) => id === coinId);
+        if (!coin) {
+            throw new ValidationError(`No quote data returned for coin: ${coinId}`);
+        }
+
+        return {
+            symbol: coin.symbol,
+            price: coin.price,
+            change: null,
+            changePercent: coin.change24h ? new Percentage(coin.change24h).toString() : null,
+            marketCap: coin.marketCap,
+            currency: coin.currency,
+            timestamp: null,
+            source: 'coingecko',
+        };
+    }
+
+    _fromExchangeRate(data, base, quote) {
+        const rate = data.allRates?.[quote];
+        if (!rate) {
+            throw new ValidationError(`No exchange rate returned for ${base}/${quote}`);
+        }
+
+        return {
+            symbol: `${base}/${quote}`,
+            price: rate,
+            change: null,
+            changePercent: null,
+            currency: quote,
+            timestamp: data.date,
+            source: 'exchangerate_api',
+        };
+    }
+
+    // One audit entry per routed quote; skipped providers carry the error they were spared
+    // Failures to write are logged, never surfaced
+    async _audit(requestId, resolved, attempts, quote, totalDuration) {
+        const apiCalls = attempts.map(({ provider, status, duration = 0, errorCode = null, errorMessage = null, reason }) => ({
+            service: provider,
+            status,
+            duration,
+            cached: status === 'cached' || status === 'stale',
+            stale: status === 'stale',
+            errorCode: errorCode || SKIP_ERROR_CODES[reason] || null,
+            errorMessage: errorMessage || reason || null,
+        }));
+        const failed = apiCalls.some(call => call.status === 'error' || call.status === 'skipped');
+
+        try {
+            await this.auditLogRepository.create({
+                requestId,
+                timestamp: new Date(),
+                status: !quote ? 'error' : failed ? 'partial' : 'success',
+                totalDuration,
+                apiCalls,
+                cacheHits: apiCalls.filter(call => call.cached).length,
+                apiCallsMade: apiCalls.filter(call => call.status === 'success' || call.status === 'error').length,
+                provider: quote?.provider || null,
+                metadata: { type: 'quote', symbol: resolved.symbol, assetType: resolved.assetType },
+            });
+        } catch (error) {
+            logger.error('Failed to save quote audit log', { requestId, error: error.message });
+        }
+    }
+}
+
+export default QuoteService;
@@ -0,0 +1,284 @@
+// Symbol registry - resolves canonical symbols (FinancialAsset.symbol) to each provider's identifier
+// Indexed in memory, persisted in MongoDB, seeded on first start and refreshed from CoinGecko and Finnhub
+
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+
+// Resolvable before the first refresh - and never overwritten by one
+const SEED_SYMBOLS = [
+    { symbol: 'BTC', name: 'Bitcoin', assetType: 'crypto', providers: { coingecko: 'bitcoin', finnhub: 'BINANCE:BTCUSDT' } },
+    { symbol: 'ETH', name: 'Ethereum', assetType: 'crypto', providers: { coingecko: 'ethereum', finnhub: 'BINANCE:ETHUSDT' } },
+    { symbol: 'USDT', name: 'Tether', assetType: 'crypto', providers: { coingecko: 'tether' } },
+    { symbol: 'BNB', name: 'BNB', assetType: 'crypto', providers: { coingecko: 'binancecoin', finnhub: 'BINANCE:BNBUSDT' } },
+    { symbol: 'XRP', name: 'XRP', assetType: 'crypto', providers: { coingecko: 'ripple', finnhub: 'BINANCE:XRPUSDT' } },
+    { symbol: 'ADA', name: 'Cardano', assetType: 'crypto', providers: { coingecko: 'cardano', finnhub: 'BINANCE:ADAUSDT' } },
+    { symbol: 'SOL', name: 'Solana', assetType: 'crypto', providers: { coingecko: 'solana', finnhub: 'BINANCE:SOLUSDT' } },
+    { symbol: 'DOGE', name: 'Dogecoin', assetType: 'crypto', providers: { coingecko: 'dogecoin', finnhub: 'BINANCE:DOGEUSDT' } },
+    ...[
+        ['IBM', 'International Business Machines Corp'],
+        ['AAPL', 'Apple Inc'],
+        ['MSFT', 'Microsoft Corp'],
+        ['GOOGL', 'Alphabet Inc'],
+        ['AMZN', 'Amazon.com Inc'],
+        ['NVDA', 'NVIDIA Corp'],
+        ['META', 'Meta Platforms Inc'],
+        ['TSLA', 'Tesla Inc'],
+    ].map(([symbol, name]) => ({ symbol, name, assetType: 'stock', providers: { alpha_vantage: symbol, finnhub: symbol } })),
+    ...['EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'INR'].map(code => ({
+        symbol: code,
+        assetType: 'forex',
+        providers: { exchangerate_api: `${code}/USD`, finnhub: `OANDA:${code}_USD` },
+    })),
+];
+
+// Crypto quote currencies for Finnhub pairs, most preferred first
+const CRYPTO_QUOTES = ['USDT', 'USD'];
+
+// Which entry a symbol means when no asset type is given: seeded, then top coins, then stocks, then the rest
+const preference = (entry) => {
+    if (entry.source === 'seed') return 0;
+    if (entry.assetType === 'crypto' && entry.rank) return 1;
+    if (entry.assetType === 'stock') return 2;
+    return 3;
+};
+
+// "EURUSD", "EUR/USD" → EUR/USD; a bare currency ("EUR") is quoted in USD
+export const parseForexPair = (symbol) => {
+    const letters = symbol.toUpperCase().replace(/[^A-Z]/g, '');
+
+    if (letters.length === 6) {
+        return { base: letters.slice(0, 3), quote: letters.slice(3) };
+    }
+    if (letters.length === 3) {
+        return { base: letters, quote: 'USD' };
+    }
+    return null;
+};
+
+export class SymbolRegistryService {
+    constructor({
+        symbolMappingRepository,
+        coinGeckoClient,
+        finnhubClient,
+        stockExchange = config.symbolRegistry.stockExchange,
+        cryptoExchange = config.symbolRegistry.cryptoExchange,
+    }) {
+        this.symbolMappingRepository = symbolMappingRepository;
+        this.coinGeckoClient = coinGeckoClient;
+        this.finnhubClient = finnhubClient;
+        this.stockExchange = stockExchange;
+        this.cryptoExchange = cryptoExchange;
+
+        // SYMBOL → entries, most preferred first
+        this.bySymbol = new Map();
+        // provider → (provider ID → SYMBOL)
+        this.byProviderId = { coingecko: new Map(), finnhub: new Map() };
+        this.lastRefresh = null;
+    }
+
+    // Seed an empty registry, load it, and optionally refresh in the background
+    async initialize() {
+        if ((await this.symbolMappingRepository.count()) === 0) {
+            await this.symbolMappingRepository.bulkUpsert(SEED_SYMBOLS.map(entry => ({ ...entry, source: 'seed' })));
+        }
+        await this.load();
+
+        if (config.symbolRegistry.refreshOnStart) {
+            this.refresh().catch((error) => {
+                logger.warn('Symbol registry refresh failed', { error: error.message });
+            });
+        }
+    }
+
+    async load() {
+        const entries = await this.symbolMappingRepository.findAll();
+
+        const bySymbol = new Map();
+        const byProviderId = { coingecko: new Map(), finnhub: new Map() };
+
+        for (const entry of entries) {
+            if (!bySymbol.has(entry.symbol)) bySymbol.set(entry.symbol, []);
+            bySymbol.get(entry.symbol).push(entry);
+        }
+        for (const list of bySymbol.values()) {
+            list.sort((a, b) => preference(a) - preference(b));
+            // Reverse lookups point at the preferred entry
+            for (const entry of [...list].reverse()) {
+                for (const provider of Object.keys(byProviderId)) {
+                    const id = entry.providers?.[provider];
+                    if (id) byProviderId[provider].set(id, entry.symbol);
+                }
+            }
+        }
+
+        this.bySymbol = bySymbol;
+        this.byProviderId = byProviderId;
+        logger.info('Symbol registry loaded', { entries: entries.length, symbols: bySymbol.size });
+    }
+
+    // Canonical entry plus provider IDs; unregistered symbols get the IDs each provider conventionally uses
+    resolve(symbol, { assetType } = {}) {
+        const upper = symbol.toUpperCase();
+        const entries = this.bySymbol.get(upper) || [];
+        const entry = assetType ? entries.find(candidate => candidate.assetType === assetType) : entries[0];
+        const type = entry?.assetType || assetType || 'stock';
+
+        return {
+            symbol: upper,
+            assetType: type,
+            name: entry?.name || null,
+            providers: { ...this._defaultProviders(upper, type), ...entry?.providers },
+            registered: Boolean(entry),
+        };
+    }
+
+    // e.g. getProviderId('BTC', 'coingecko') → 'bitcoin'; null when the provider has no ID for it
+    getProviderId(symbol, provider, options = {}) {
+        return this.resolve(symbol, options).providers[provider] || null;
+    }
+
+    // Reverse lookup, e.g. ('coingecko', 'bitcoin') → 'BTC'; null when no registered symbol uses the ID
+    findSymbolForProviderId(provider, id) {
+        return this.byProviderId[provider]?.get(id) || null;
+    }
+
+    // As above, falling back to the upper-cased ID - for cache tags, which only need a stable label
+    getSymbolForProviderId(provider, id) {
+        return this.findSymbolForProviderId(provider, id) || id.toUpperCase();
+    }
+
+    // User input to a canonical symbol: a registered ticker, or a CoinGecko ID ("bitcoin" → "BTC")
+    canonicalize(input) {
+        const upper = input.trim().toUpperCase();
+        if (this.bySymbol.has(upper)) return upper;
+        return this.byProviderId.coingecko.get(input.trim().toLowerCase()) || upper;
+    }
+
+    getStatus() {
+        let entries = 0;
+        for (const list of this.bySymbol.values()) entries += list.length;
+
+        return { symbols: this.bySymbol.size, entries, lastRefresh: this.lastRefresh };
+    }
+
+    // Import CoinGecko's coin list and Finnhub's symbol lists, then reload
+    // A failing provider is reported and skipped; seeded entries are never overwritten
+    async refresh() {
+        const startTime = Date.now();
+        const summary = {};
+        let coins = [];
+        let finnhub = { stocks: [], cryptoIds: new Map() };
+
+        try {
+            coins = await this._importCoinGecko();
+            summary.coingecko = { entries: coins.length };
+        } catch (error) {
+            logger.warn('CoinGecko symbol import failed', { error: error.message });
+            summary.coingecko = { error: error.message };
+        }
+
+        try {
+            finnhub = await this._importFinnhub();
+            summary.finnhub = { entries: finnhub.stocks.length, cryptoPairs: finnhub.cryptoIds.size };
+        } catch (error) {
+            logger.warn('Finnhub symbol import failed', { error: error.message });
+            summary.finnhub = { error: error.message };
+        }
+
+        // Finnhub pairs fill in the Finnhub ID of imported coins and of coins already registered
+        const imported = new Set(coins.map(({ symbol }) => symbol));
+        for (const coin of coins) {
+            coin.providers.finnhub = finnhub.cryptoIds.get(coin.symbol);
+        }
+        const registeredCoins = [...this.bySymbol.values()].flat()
+            .filter(entry => entry.assetType === 'crypto' && !imported.has(entry.symbol) && finnhub.cryptoIds.has(entry.symbol))
+            .map(entry => ({ symbol: entry.symbol, assetType: 'crypto', providers: { finnhub: finnhub.cryptoIds.get(entry.symbol) }, upsert: false }));
+
+        const entries = [...coins, ...finnhub.stocks, ...registeredCoins].filter(entry => !this._isSeeded(entry));
+        const { upserted, modified } = await this.symbolMappingRepository.bulkUpsert(entries);
+        await this.load();
+
+        this.lastRefresh = {
+            ...summary,
+            upserted,
+            modified,
+            completedAt: new Date().toISOString(),
+            duration: Date.now() - startTime,
+        };
+        return this.lastRefresh;
+    }
+
+    _isSeeded({ symbol, assetType }) {
+        return (this.bySymbol.get(symbol) || []).some(entry => entry.assetType === assetType && entry.source === 'seed');
+    }
+
+    // One coin per ticker: the highest-ranked of the top 250 by market cap, else the only coin using it
+    // Tickers shared only by unranked coins are skipped - there is no telling which one is meant
+    async _importCoinGecko() {
+        const [coins, { assets }] = await Promise.all([
+            this.coinGeckoClient.getCoinList(),
+            this.coinGeckoClient.getMarkets({ perPage: 250 }),
+        ]);
+        const ranks = new Map(assets.map(({ coinId, metadata }) => [coinId, metadata.rank]));
+
+        const byTicker = new Map();
+        for (const coin of coins) {
+            if (!byTicker.has(coin.symbol)) byTicker.set(coin.symbol, []);
+            byTicker.get(coin.symbol).push(coin);
+        }
+
+        const entries = [];
+        for (const [symbol, candidates] of byTicker) {
+            const ranked = candidates.filter(({ id }) => ranks.has(id)).sort((a, b) => ranks.get(a.id) - ranks.get(b.id));
+            const coin = ranked[0] || (candidates.length === 1 ? candidates[0] : null);
+            if (!coin) continue;
+
+            entries.push({
+                symbol,
+                name: coin.name,
+                assetType: 'crypto',
+                providers: { coingecko: coin.id },
+                rank: ranks.get(coin.id) ?? null,
+                source: 'coingecko',
+            });
+        }
+        return entries;
+    }
+
+    async _importFinnhub() {
+        const [stocks, pairs] = await Promise.all([
+            this.finnhubClient.getStockSymbols(this.stockExchange),
+            this.finnhubClient.getCryptoSymbols(this.cryptoExchange),
+        ]);
+
+        const cryptoIds = new Map();
+        for (const quote of [...CRYPTO_QUOTES].reverse()) {
+            pairs.filter(pair => pair.quote === quote).forEach(pair => cryptoIds.set(pair.base, pair.symbol));
+        }
+
+        return {
+            stocks: stocks.map(({ symbol, name }) => ({
+                symbol,
+                name,
+                assetType: 'stock',
+                providers: { alpha_vantage: symbol, finnhub: symbol },
+                source: 'finnhub',
+            })),
+            cryptoIds,
+        };
+    }
+
+    // Provider conventions for symbols the registry doesn't know
+    _defaultProviders(symbol, assetType) {
+        if (assetType === 'crypto') {
+            return { coingecko: symbol.toLowerCase() };
+        }
+        if (assetType === 'forex') {
+            const pair = parseForexPair(symbol);
+            return pair ? { exchangerate_api: `${pair.base}/${pair.quote}`, finnhub: `OANDA:${pair.base}_${pair.quote}` } : {};
+        }
+        return { alpha_vantage: symbol, finnhub: symbol };
+    }
+}
+
+export default SymbolRegistryService;
@@ -0,0 +1,143 @@
+// Token management - short-lived access tokens plus rotating refresh tokens
+// Each login starts a refresh family; replaying a rotated refresh token revokes the whole family
+
+import { randomUUID } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { ROTATION_RESULT } from '../infrastructure/cache/TokenStore.js';
+
+const REFRESH_TOKEN_TYPE = 'refresh';
+
+export class TokenService {
+    constructor({
+        tokenStore,
+        secret = config.security.jwtSecret,
+        accessExpiresIn = config.security.jwtExpiresIn,
+        refreshExpiresIn = config.security.jwtRefreshExpiresIn,
+    }) {
+        this.tokenStore = tokenStore;
+        this.secret = secret;
+        this.accessExpiresIn = accessExpiresIn;
+        this.refreshExpiresIn = refreshExpiresIn;
+    }
+
+    // Issue a token pair for a fresh login - starts a new refresh family
+    async issueTokens(user) {
+        const familyId = randomUUID();
+        const { tokens, refreshJti, refreshTtl } = this._signPair(user, familyId);
+
+        await this.tokenStore.createFamily(familyId, refreshJti, refreshTtl);
+
+        return tokens;
+    }
+
+    // Verify a refresh token's signature and type - throws 'Invalid refresh token'
+    verifyRefreshToken(refreshToken) {
+        try {
+            const payload = jwt.verify(refreshToken, this.secret);
+
+            if (payload.type !== REFRESH_TOKEN_TYPE || !payload.fam || !payload.jti) {
+                throw new Error('Invalid refresh token');
+            }
+
+            return payload;
+        } catch {
+            throw new Error('Invalid refresh token');
+        }
+    }
+
+    // Exchange a verified refresh token for a new pair in the same family
+    async rotateTokens(refreshPayload, user) {
+        const { tokens, refreshJti, refreshTtl } = this._signPair(user, refreshPayload.fam);
+
+        const result = await this.tokenStore.rotateFamily(refreshPayload.fam, refreshPayload.jti, refreshJti, refreshTtl);
+
+        if (result === ROTATION_RESULT.REUSED) {
+            logger.warn('Refresh token reuse detected - session revoked', {
+                userId: refreshPayload.userId,
+                familyId: refreshPayload.fam,
+            });
+            throw new Error('Refresh token reuse detected');
+        }
+
+        if (result === ROTATION_RESULT.REVOKED) {
+            throw new Error('Refresh token revoked');
+        }
+
+        if (result === ROTATION_RESULT.UNAVAILABLE) {
+            logger.warn('Token store unavailable - refresh token rotated without reuse detection', {
+                userId: refreshPayload.userId,
+            });
+        }
+
+        return tokens;
+    }
+
+    // Revoke the current access token and, if given, the refresh family it belongs to
+    async revokeSession(accessPayload, refreshToken = null) {
+        const accessTtl = accessPayload.exp - Math.floor(Date.now() / 1000);
+        const accessRevoked = await this.tokenStore.revokeAccessToken(accessPayload.jti, accessTtl);
+
+        let refreshRevoked = false;
+        if (refreshToken) {
+            const refreshPayload = this.verifyRefreshToken(refreshToken);
+
+            if (String(refreshPayload.userId) !== String(accessPayload.userId)) {
+                throw new Error('Invalid refresh token');
+            }
+
+            refreshRevoked = await this.tokenStore.revokeFamily(refreshPayload.fam);
+        }
+
+        if (!this.tokenStore.isAvailable()) {
+            logger.warn('Token store unavailable - logout could not revoke tokens', { userId: accessPayload.userId });
+        }
+
+        return { accessRevoked, refreshRevoked };
+    }
+
+    // End a login session without an access token (e.g. the account was deactivated)
+    async revokeRefreshFamily(refreshPayload) {
+        return this.tokenStore.revokeFamily(refreshPayload.fam);
+    }
+
+    _signPair(user, familyId) {
+        const userId = user._id.toString();
+        const accessJti = randomUUID();
+        const refreshJti = randomUUID();
+
+        const accessToken = jwt.sign(
+            {
+                userId,
+                email: user.email,
+                role: user.role || 'user',
+                permissions: user.permissions || [],
+                plan: user.plan || 'free',
+            },
+            this.secret,
+            { expiresIn: this.accessExpiresIn, jwtid: accessJti }
+        );
+
+        const refreshToken = jwt.sign(
+            { userId, type: REFRESH_TOKEN_TYPE, fam: familyId },
+            this.secret,
+            { expiresIn: this.refreshExpiresIn, jwtid: refreshJti }
+        );
+
+        const now = Math.floor(Date.now() / 1000);
+
+        return {
+            tokens: {
+                accessToken,
+                refreshToken,
+                tokenType: 'Bearer',
+                expiresIn: jwt.decode(accessToken).exp - now,
+            },
+            refreshJti,
+            refreshTtl: jwt.decode(refreshToken).exp - now,
+        };
+    }
+}
+
+export default TokenService;
@@ -0,0 +1,169 @@
+// Trade streaming - relays Finnhub trades for the symbols Socket.io clients subscribe to
+// Trades are aggregated per symbol over each flush window and fanned out as one price:tick
+
+import { logger } from '../config/logger.js';
+import { config } from '../config/environment.js';
+import { Money } from '../utils/valueObjects.js';
+
+export class TradeStreamService {
+    constructor({
+        tradeStream,
+        socketManager,
+        symbolRegistryService,
+        flushIntervalMs = config.tradeStream.flushIntervalMs,
+        maxSymbols = config.tradeStream.maxSymbols,
+    }) {
+        this.tradeStream = tradeStream;
+        this.socketManager = socketManager;
+        this.symbolRegistryService = symbolRegistryService;
+        this.flushIntervalMs = flushIntervalMs;
+        this.maxSymbols = maxSymbols;
+
+        // canonical symbol ↔ Finnhub symbol for everything streamed
+        this.streamed = new Map();
+        this.bySourceSymbol = new Map();
+        // Finnhub symbol → trades aggregated since the last flush
+        this.pending = new Map();
+
+        this.timer = null;
+        this.stats = { trades: 0, ticks: 0, rejected: 0 };
+
+        this.tradeStream.on('trades', (trades) => this.ingest(trades));
+        // Unknown tickers would otherwise fall back to the ticker itself and be sent to Finnhub as is
+        this.socketManager.setPriceSymbolFilter(symbol => this.symbolRegistryService.resolve(symbol).registered);
+        this.socketManager.onPriceSubscriptionChange(({ added, removed }) => {
+            if (!this.timer) return;
+            added.forEach(symbol => this._stream(symbol));
+            removed.forEach(symbol => this._unstream(symbol));
+            // Freed slots go to symbols that were over the limit
+            if (removed.length > 0) this._streamSubscribed();
+        });
+    }
+
+    // Connect and stream whatever clients already subscribe to - no-op if already running
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+        // Don't keep the process alive just for the stream
+        this.timer.unref();
+
+        this._streamSubscribed();
+        this.tradeStream.connect();
+
+        logger.info('Trade streaming started', { flushIntervalMs: this.flushIntervalMs, maxSymbols: this.maxSymbols });
+    }
+
+    async stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.pending.clear();
+        await this.tradeStream.close();
+        logger.info('Trade streaming stopped');
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // Reported by GET /admin/metrics
+    getStatus() {
+        return {
+            enabled: this.isRunning(),
+            connected: this.tradeStream.isConnected(),
+            symbols: [...this.streamed.keys()],
+            reconnectAttempts: this.tradeStream.getStatus().reconnectAttempts,
+            ...this.stats,
+        };
+    }
+
+    // Finnhub trades: { s: symbol, p: price, v: volume, t: epoch ms }
+    ingest(trades) {
+        for (const { s, p, v, t } of trades) {
+            if (!this.bySourceSymbol.has(s) || typeof p !== 'number') continue;
+
+            const bucket = this.pending.get(s);
+            this.stats.trades++;
+
+            if (!bucket) {
+                this.pending.set(s, { open: p, high: p, low: p, close: p, volume: v || 0, trades: 1, lastTradeAt: t });
+                continue;
+            }
+
+            bucket.high = Math.max(bucket.high, p);
+            bucket.low = Math.min(bucket.low, p);
+            bucket.volume += v || 0;
+            bucket.trades++;
+            // Trades within a message aren't guaranteed to be in time order
+            if (t >= bucket.lastTradeAt) {
+                bucket.close = p;
+                bucket.lastTradeAt = t;
+            }
+        }
+    }
+
+    // Emit one price:tick per symbol that traded since the last flush
+    flush() {
+        const toMoney = (value) => new Money(value.toString()).toString();
+
+        for (const [sourceSymbol, bucket] of this.pending) {
+            this.socketManager.emitPriceTick({
+                symbol: this.bySourceSymbol.get(sourceSymbol),
+                providerSymbol: sourceSymbol,
+                price: toMoney(bucket.close),
+                open: toMoney(bucket.open),
+                high: toMoney(bucket.high),
+                low: toMoney(bucket.low),
+                volume: bucket.volume,
+                trades: bucket.trades,
+                timestamp: new Date(bucket.lastTradeAt).toISOString(),
+                source: 'finnhub',
+            });
+            this.stats.ticks++;
+        }
+
+        this.pending.clear();
+    }
+
+    _streamSubscribed() {
+        for (const symbol of this.socketManager.getPriceSubscriptions()) {
+            if (this.streamed.size >= this.maxSymbols) break;
+            this._stream(symbol);
+        }
+    }
+
+    _stream(symbol) {
+        if (this.streamed.has(symbol)) return;
+
+        const resolved = this.symbolRegistryService.resolve(symbol);
+        const sourceSymbol = resolved.registered ? resolved.providers.finnhub : null;
+        if (!sourceSymbol) {
+            logger.debug('No registered Finnhub symbol to stream', { symbol });
+            return;
+        }
+
+        if (this.streamed.size >= this.maxSymbols) {
+            this.stats.rejected++;
+            logger.warn('Trade stream symbol limit reached', { symbol, maxSymbols: this.maxSymbols });
+            return;
+        }
+
+        this.streamed.set(symbol, sourceSymbol);
+        this.bySourceSymbol.set(sourceSymbol, symbol);
+        this.tradeStream.subscribe(sourceSymbol);
+    }
+
+    _unstream(symbol) {
+        const sourceSymbol = this.streamed.get(symbol);
+        if (!sourceSymbol) return;
+
+        this.streamed.delete(symbol);
+        this.bySourceSymbol.delete(sourceSymbol);
+        this.pending.delete(sourceSymbol);
+        this.tradeStream.unsubscribe(sourceSymbol);
+    }
+}
+
+export default TradeStreamService;
@@ -1,12 +1,13 @@
 // User management - CRUD with email uniqueness enforcement
+// Roles: 'user' on registration; admins are promoted by an operator (npm run admin:promote)
 
-import jwt from 'jsonwebtoken';
 import { logger } from '../config/logger.js';
-import { config } from '../config/environment.js';
 
 export class UserService {
-    constructor({ userRepository }) {
+    constructor({ userRepository, tokenService, cache = null }) {
         this.userRepository = userRepository;
+        this.tokenService = tokenService;
+        this.cache = cache;
     }
 
     // Create new user - enforces email uniqueness
@@ -18,8 +19,8 @@ export class UserService {
                 throw new Error('Email already in use');
             }
 
-            const user = await this.userRepository.create(userData);
-            logger.info('User created successfully', { userId: user._id });
+            const user = await this.userRepository.create({ ...userData, role: 'user' });
+            logger.info('User created successfully', { userId: user._id, role: user.role });
 
             return user;
         } catch (error) {
@@ -71,6 +72,7 @@ export class UserService {
                 throw new Error('User not found');
             }
 
+            await this._invalidateUserCache(userId);
             logger.info('User updated successfully', { userId });
             return user;
         } catch (error) {
@@ -88,6 +90,7 @@ export class UserService {
                 throw new Error('User not found');
             }
 
+            await this._invalidateUserCache(userId);
             logger.info('User deleted successfully', { userId });
             return user;
         } catch (error) {
@@ -105,6 +108,7 @@ export class UserService {
                 throw new Error('User not found');
             }
 
+            await this._invalidateUserCache(userId);
             logger.warn('User hard deleted', { userId });
             return success;
         } catch (error) {
@@ -113,7 +117,37 @@ export class UserService {
         }
     }
 
-    // Login user - validates credentials and returns user data
+    // Drop everything cached for the user (tag user:<id>) - a cache failure never fails the change itself
+    async _invalidateUserCache(userId) {
+        if (!this.cache) return;
+
+        try {
+            await this.cache.invalidate({ tag: `user:${userId}` });
+        } catch (error) {
+            logger.warn('User cache invalidation failed', { userId, error: error.message });
+        }
+    }
+
+    // Promote an existing account to admin - operator-only, run from src/tools/promoteAdmin.js
+    async promoteToAdmin(email) {
+        try {
+            const user = await this.userRepository.findByEmail(email);
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const admin = await this.userRepository.update(user._id, { role: 'admin', isActive: true });
+            logger.warn('User promoted to admin', { userId: admin._id, email: admin.email });
+
+            return admin;
+        } catch (error) {
+            logger.error('Error in promoteToAdmin', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Login user - validates credentials and returns an access/refresh token pair
     async loginUser(email, password) {
         try {
             // Find user by email with password field included
@@ -141,19 +175,50 @@ export class UserService {
             const userObj = user.toObject ? user.toObject() : { ...user };
             delete userObj.passwordHash;
 
-            // Generate signed JWT token
-            const token = jwt.sign(
-                { userId: userObj._id, email: userObj.email },
-                config.security.jwtSecret,
-                { expiresIn: config.security.jwtExpiresIn }
-            );
+            const tokens = await this.tokenService.issueTokens(userObj);
 
-            return { token, user: userObj };
+            return { ...tokens, user: userObj };
         } catch (error) {
             logger.error('Error in loginUser', { email, error: error.message });
             throw error;
         }
     }
+
+    // Exchange a refresh token for a new pair - claims are re-read so role changes apply
+    async refreshSession(refreshToken) {
+        try {
+            const payload = this.tokenService.verifyRefreshToken(refreshToken);
+            const user = await this.userRepository.findById(payload.userId);
+
+            if (!user) {
+                throw new Error('Invalid refresh token');
+            }
+
+            if (!user.isActive) {
+                await this.tokenService.revokeRefreshFamily(payload);
+                throw new Error('Account is inactive');
+            }
+
+            const tokens = await this.tokenService.rotateTokens(payload, user);
+
+            return { ...tokens, user };
+        } catch (error) {
+            logger.error('Error in refreshSession', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Logout - denylists the access token and revokes the refresh family if provided
+    async logoutUser(accessPayload, refreshToken = null) {
+        try {
+            const result = await this.tokenService.revokeSession(accessPayload, refreshToken);
+            logger.info('User logged out', { userId: accessPayload.userId, ...result });
+            return result;
+        } catch (error) {
+            logger.error('Error in logoutUser', { userId: accessPayload.userId, error: error.message });
+            throw error;
+        }
+    }
 }
 
 export default UserService;
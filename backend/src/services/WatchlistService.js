@@ -1,10 +1,13 @@
 // Watchlist management - CRUD operations for user asset collections
+// Asset symbols are stored in canonical form (e.g. "bitcoin" → "BTC") via the symbol registry
 
 import { logger } from '../config/logger.js';
 
 export class WatchlistService {
-    constructor({ watchlistRepository }) {
+    constructor({ watchlistRepository, financialAssetRepository, symbolRegistryService }) {
         this.watchlistRepository = watchlistRepository;
+        this.financialAssetRepository = financialAssetRepository;
+        this.symbolRegistryService = symbolRegistryService;
     }
 
     // Create new watchlist - enforces name uniqueness per user
@@ -19,7 +22,15 @@ export class WatchlistService {
                 throw new Error('Watchlist name already exists for this user');
             }
 
-            const watchlist = await this.watchlistRepository.create(watchlistData);
+            const watchlist = await this.watchlistRepository.create({
+                ...watchlistData,
+                ...(watchlistData.assets && {
+                    assets: watchlistData.assets.map(asset => ({
+                        ...asset,
+                        symbol: this.symbolRegistryService.canonicalize(asset.symbol),
+                    })),
+                }),
+            });
             logger.info('Watchlist created successfully', { watchlistId: watchlist._id });
 
             return watchlist;
@@ -29,10 +40,10 @@ export class WatchlistService {
         }
     }
 
-    // Get watchlist by ID
-    async getWatchlist(watchlistId) {
+    // Get watchlist by ID - visible to its owner, or to anyone if public
+    async getWatchlist(watchlistId, userId) {
         try {
-            const watchlist = await this.watchlistRepository.findById(watchlistId, true);
+            const watchlist = await this.watchlistRepository.findVisible(watchlistId, userId);
 
             if (!watchlist) {
                 throw new Error('Watchlist not found');
@@ -45,6 +56,31 @@ export class WatchlistService {
         }
     }
 
+    // Each entry gets its asset's stored currentPrice, currency and lastUpdated - null when the asset isn't stored
+    async priceAssets(watchlist) {
+        try {
+            const plain = typeof watchlist.toObject === 'function' ? watchlist.toObject() : watchlist;
+            const stored = await this.financialAssetRepository.findBySymbols(plain.assets.map(({ symbol }) => symbol));
+            const bySymbol = new Map(stored.map(asset => [asset.symbol, asset]));
+
+            return {
+                ...plain,
+                assets: plain.assets.map((entry) => {
+                    const asset = bySymbol.get(entry.symbol);
+                    return {
+                        ...entry,
+                        currentPrice: asset?.currentPrice ?? null,
+                        currency: asset?.currency ?? null,
+                        lastUpdated: asset?.lastUpdated ?? null,
+                    };
+                }),
+            };
+        } catch (error) {
+            logger.error('Error in priceAssets', { watchlistId: watchlist._id, error: error.message });
+            throw error;
+        }
+    }
+
     // Get all watchlists for a user
     async getUserWatchlists(userId, options = {}) {
         try {
@@ -65,10 +101,17 @@ export class WatchlistService {
         }
     }
 
-    // Update watchlist
-    async updateWatchlist(watchlistId, updateData) {
+    // Update watchlist - only the owner can update
+    async updateWatchlist(watchlistId, userId, updateData) {
         try {
-            const watchlist = await this.watchlistRepository.update(watchlistId, updateData);
+            if (updateData.name) {
+                const exists = await this.watchlistRepository.nameExistsForUser(userId, updateData.name, watchlistId);
+                if (exists) {
+                    throw new Error('Watchlist name already exists for this user');
+                }
+            }
+
+            const watchlist = await this.watchlistRepository.updateOwned(watchlistId, userId, updateData);
 
             if (!watchlist) {
                 throw new Error('Watchlist not found');
@@ -83,9 +126,11 @@ export class WatchlistService {
     }
 
     // Add asset to watchlist
-    async addAssetToWatchlist(watchlistId, symbol, notes = '') {
+    async addAssetToWatchlist(watchlistId, userId, input, notes = '') {
+        const symbol = this.symbolRegistryService.canonicalize(input);
+
         try {
-            const watchlist = await this.watchlistRepository.addAsset(watchlistId, symbol, notes);
+            const watchlist = await this.watchlistRepository.addAsset(watchlistId, symbol, notes, userId);
 
             if (!watchlist) {
                 throw new Error('Watchlist not found');
@@ -100,9 +145,11 @@ export class WatchlistService {
     }
 
     // Remove asset from watchlist
-    async removeAssetFromWatchlist(watchlistId, symbol) {
+    async removeAssetFromWatchlist(watchlistId, userId, input) {
+        const symbol = this.symbolRegistryService.canonicalize(input);
+
         try {
-            const watchlist = await this.watchlistRepository.removeAsset(watchlistId, symbol);
+            const watchlist = await this.watchlistRepository.removeAsset(watchlistId, symbol, userId);
 
             if (!watchlist) {
                 throw new Error('Watchlist not found');
@@ -116,10 +163,10 @@ export class WatchlistService {
         }
     }
 
-    // Delete watchlist
-    async deleteWatchlist(watchlistId) {
+    // Delete watchlist - only the owner can delete
+    async deleteWatchlist(watchlistId, userId) {
         try {
-            const success = await this.watchlistRepository.delete(watchlistId);
+            const success = await this.watchlistRepository.deleteOwned(watchlistId, userId);
 
             if (!success) {
                 throw new Error('Watchlist not found');
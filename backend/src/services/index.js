@@ -3,9 +3,21 @@
  */
 
 export { UserService } from './UserService.js';
+export { TokenService } from './TokenService.js';
+export { ApiKeyService } from './ApiKeyService.js';
 export { AlertService } from './AlertService.js';
+export { AlertMonitorService, ALERT_TRIGGERED_EVENT } from './AlertMonitorService.js';
+export { AlertNotificationService } from './AlertNotificationService.js';
+export { CacheWarmerService } from './CacheWarmerService.js';
+export { SymbolRegistryService } from './SymbolRegistryService.js';
+export { QuoteService } from './QuoteService.js';
+export { TradeStreamService } from './TradeStreamService.js';
 export { WatchlistService } from './WatchlistService.js';
 export { AssetService } from './AssetService.js';
 export { FinancialDataService } from './FinancialDataService.js';
+export { EconomicDataService } from './EconomicDataService.js';
+export { EconomicDashboardService } from './EconomicDashboardService.js';
+export { ForexService } from './ForexService.js';
+export { CurrencyConversionService } from './CurrencyConversionService.js';
 export { AIMarketService } from './AIMarketService.js';
 export { AINewsService } from './AINewsService.js';
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Promotion Tool
+ *
+ * Operator CLI that promotes an already-registered account to admin.
+ * Registration never grants admin, so the first admin is created here:
+ *
+ *   npm run admin:promote -- admin@example.com
+ *
+ * Requires direct database access (MONGODB_URI); it never creates accounts.
+ *
+ * @module tools/promoteAdmin
+ */
+
+import { connectDatabase, closeDatabaseConnection } from '../config/database.js';
+import { UserRepository } from '../infrastructure/repositories/UserRepository.js';
+import { UserService } from '../services/UserService.js';
+
+const email = process.argv[2]?.trim().toLowerCase();
+
+if (!email) {
+    console.error('Usage: npm run admin:promote -- <email>');
+    process.exit(1);
+}
+
+try {
+    await connectDatabase();
+    const userService = new UserService({ userRepository: new UserRepository() });
+    const admin = await userService.promoteToAdmin(email);
+    console.log(`Promoted ${admin.email} (${admin._id}) to admin`);
+    process.exitCode = 0;
+} catch (error) {
+    console.error(error.message === 'User not found'
+        ? `No account registered with ${email} - register it first`
+        : `Promotion failed: ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    await closeDatabaseConnection().catch(() => null);
+}
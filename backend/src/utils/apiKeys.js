@@ -0,0 +1,26 @@
+// API key helpers - generation, hashing and the scope catalogue
+
+import { createHash, randomBytes } from 'crypto';
+
+// Scopes a key can be granted - JWT sessions implicitly hold all of them
+export const API_KEY_SCOPES = ['market:read', 'alerts:read', 'alerts:write', 'ai:invoke'];
+
+// Recognisable prefix so leaked keys are easy to spot in logs and secret scanners
+export const API_KEY_PREFIX = 'gfu_';
+
+// Characters of the raw key kept in clear for display ("gfu_AbCd1234...")
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// Keys are 256-bit random, so an unsalted SHA-256 is enough and allows lookup by hash
+export const hashApiKey = (rawKey) => createHash('sha256').update(rawKey).digest('hex');
+
+// Generate a new key - the raw value is shown to the user once and never stored
+export const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    };
+};
@@ -6,6 +6,7 @@
 // DatabaseError (E1005, 500) - MongoDB failures
 // ExternalAPIError (E1006, 502) - 3rd-party API failures
 // CircuitBreakerError (E1007, 503) - Circuit breaker open
+// QuotaExceededError (E1015, 503) - Outbound provider quota exhausted
 
 export class AppError extends Error {
     constructor(message, code = 'E1009', httpStatus = 500, details = null) {
@@ -48,4 +49,15 @@ export class CircuitBreakerError extends AppError {
     }
 }
 
-export default { AppError, ValidationError, DatabaseError, ExternalAPIError, CircuitBreakerError };
+// Raised before the request is sent, so it never counts against the circuit breaker
+export class QuotaExceededError extends AppError {
+    constructor(service, window, retryAfterMs) {
+        super(`Quota exhausted for ${service} (${window} window)`, 'E1015', 503);
+        this.name = 'QuotaExceededError';
+        this.service = service;
+        this.window = window;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+export default { AppError, ValidationError, DatabaseError, ExternalAPIError, CircuitBreakerError, QuotaExceededError };
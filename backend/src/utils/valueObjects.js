@@ -28,7 +28,8 @@ export class Money {
     }
 
     times(factor) {
-        return new Money(+(this.value * factor).toFixed(10));
+        const factorVal = factor instanceof Money ? factor.value : parseFloat(factor);
+        return new Money(+(this.value * factorVal).toFixed(10));
     }
 
     div(divisor) {
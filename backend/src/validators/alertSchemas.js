@@ -2,9 +2,9 @@
 
 import { z } from 'zod';
 
+// userId is not accepted from the client - the owner is taken from the JWT
 export const createAlertSchema = z.object({
     body: z.object({
-        userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format'),
         symbol: z.string()
             .min(1, 'Symbol is required')
             .toUpperCase()
@@ -59,14 +59,13 @@ export const deleteAlertSchema = getAlertSchema;
 
 export const listAlertsSchema = z.object({
     query: z.object({
-        userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format').optional(),
         symbol: z.string().toUpperCase().optional(),
         isActive: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
         isTriggered: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
         page: z.string().regex(/^\d+$/).transform(Number).optional(),
         limit: z.string().regex(/^\d+$/).transform(Number).optional(),
         sort: z.string().optional(),
-    }),
+    }).default({}),
 });
 
 export const toggleAlertSchema = z.object({
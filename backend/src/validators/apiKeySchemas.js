@@ -0,0 +1,31 @@
+// API key validation schemas
+
+import { z } from 'zod';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+
+export const createApiKeySchema = z.object({
+    body: z.object({
+        name: z.string()
+            .min(1, 'Name is required')
+            .max(100, 'Name must be 100 characters or less')
+            .trim(),
+        scopes: z.array(z.enum(API_KEY_SCOPES, {
+            errorMap: () => ({ message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}` }),
+        })).min(1, 'At least one scope is required'),
+        expiresAt: z.string()
+            .datetime()
+            .refine(val => new Date(val) > new Date(), 'Expiry must be in the future')
+            .optional(),
+    }),
+});
+
+export const revokeApiKeySchema = z.object({
+    params: z.object({
+        id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid API key ID format'),
+    }),
+});
+
+export default {
+    createApiKeySchema,
+    revokeApiKeySchema,
+};
@@ -1,6 +1,7 @@
 // Financial asset validation schemas
 
 import { z } from 'zod';
+import { currencyCode } from './forexSchemas.js';
 
 export const createAssetSchema = z.object({
     body: z.object({
@@ -69,9 +70,17 @@ export const getAssetSchema = z.object({
     params: z.object({
         symbol: z.string().toUpperCase().trim(),
     }),
+    // Prices in this currency as well, instead of the caller's preferred one
+    query: z.object({
+        currency: currencyCode.optional(),
+    }).default({}),
 });
 
-export const deleteAssetSchema = getAssetSchema;
+export const deleteAssetSchema = z.object({
+    params: z.object({
+        symbol: z.string().toUpperCase().trim(),
+    }),
+});
 
 export const searchAssetsSchema = z.object({
     query: z.object({
@@ -81,6 +90,7 @@ export const searchAssetsSchema = z.object({
         page: z.string().regex(/^\d+$/).transform(Number).optional(),
         limit: z.string().regex(/^\d+$/).transform(Number).optional(),
         sort: z.string().optional(),
+        currency: currencyCode.optional(),
     }),
 });
 
@@ -90,7 +100,69 @@ export const getLiveAssetSchema = z.object({
     }),
     query: z.object({
         forceRefresh: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
+        currency: currencyCode.optional(),
+    }).default({}),
+});
+
+// from/to accept ISO dates or date-times; the range is capped by limit (most recent candles win)
+export const getAssetHistorySchema = z.object({
+    params: z.object({
+        symbol: z.string().toUpperCase().trim(),
+    }),
+    query: z.object({
+        interval: z.enum(['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w', '1M']).default('1d'),
+        from: z.coerce.date().optional(),
+        to: z.coerce.date().optional(),
+        limit: z.string().regex(/^\d+$/).transform(Number)
+            .refine(val => val >= 1 && val <= 1000, 'Limit must be between 1 and 1000')
+            .optional(),
+        // Refused rather than ignored - converting past candles at today's rate would misstate them
+        currency: z.undefined({ invalid_type_error: 'Price history is not converted; candles are in the asset currency' }),
+    }).refine(({ from, to }) => !from || !to || from < to, {
+        message: 'from must be before to',
+        path: ['from'],
+    }).default({}),
+});
+
+export const getAssetFundamentalsSchema = z.object({
+    params: z.object({
+        symbol: z.string().toUpperCase().trim(),
     }),
+    // The profile's market cap in this currency as well
+    query: z.object({
+        currency: currencyCode.optional(),
+    }).default({}),
+});
+
+const newsDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+// Inclusive date range; defaults to the 7 days up to to (or today)
+export const getAssetNewsSchema = z.object({
+    params: z.object({
+        symbol: z.string().toUpperCase().trim(),
+    }),
+    query: z.object({
+        from: newsDate.optional(),
+        to: newsDate.optional(),
+        limit: z.string().regex(/^\d+$/).transform(Number)
+            .refine(val => val >= 1 && val <= 50, 'Limit must be between 1 and 50')
+            .optional(),
+    }).refine(({ from, to }) => !from || !to || from <= to, {
+        message: 'from must not be after to',
+        path: ['from'],
+    }).default({}),
+});
+
+// Provider series only: equities 1m-1h, 1d, 1w, 1M (Alpha Vantage); crypto 30m, 4h, 1d (CoinGecko)
+export const backfillAssetHistorySchema = z.object({
+    params: z.object({
+        symbol: z.string().toUpperCase().trim(),
+    }),
+    body: z.object({
+        interval: z.enum(['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w', '1M']).default('1d'),
+        outputSize: z.enum(['compact', 'full']).default('compact'),
+        month: z.string().regex(/^\d{4}-\d{2}$/, 'Month must be YYYY-MM').optional(),
+    }).default({}),
 });
 
 export default {
@@ -100,4 +172,8 @@ export default {
     deleteAssetSchema,
     searchAssetsSchema,
     getLiveAssetSchema,
+    getAssetHistorySchema,
+    backfillAssetHistorySchema,
+    getAssetFundamentalsSchema,
+    getAssetNewsSchema,
 };
@@ -0,0 +1,36 @@
+// Cache admin validation schemas
+
+import { z } from 'zod';
+
+// provider:<name>, symbol:<TICKER> or user:<id> - see RedisCache._tagsFor
+const cacheTag = z.string()
+    .regex(/^(provider|symbol|user):[\w./-]+$/, 'Tag must be provider:<name>, symbol:<SYMBOL> or user:<id>');
+
+// Redis glob relative to the globalfi: prefix, e.g. alpha_vantage:stocks:*
+const cachePattern = z.string()
+    .min(1, 'Pattern is required')
+    .max(200, 'Pattern must be 200 characters or less');
+
+const oneSelector = (selector) => Boolean(selector.tag) !== Boolean(selector.pattern);
+const oneSelectorMessage = { message: 'Provide exactly one of tag or pattern' };
+
+export const inspectCacheSchema = z.object({
+    query: z.object({
+        tag: cacheTag.optional(),
+        pattern: cachePattern.optional(),
+        limit: z.string().regex(/^\d+$/).transform(Number).optional(),
+    }).refine(oneSelector, oneSelectorMessage),
+});
+
+export const invalidateCacheSchema = z.object({
+    body: z.object({
+        tag: cacheTag.optional(),
+        pattern: cachePattern.optional(),
+        dryRun: z.boolean().default(false),
+    }).refine(oneSelector, oneSelectorMessage),
+});
+
+export default {
+    inspectCacheSchema,
+    invalidateCacheSchema,
+};
@@ -0,0 +1,90 @@
+// Economic data (FRED) validation schemas
+
+import { z } from 'zod';
+
+const fredDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
+export const getSeriesSchema = z.object({
+    params: z.object({
+        id: z.string()
+            .min(1, 'Series ID is required')
+            .max(40, 'Series ID must be 40 characters or less')
+            .regex(/^[A-Za-z0-9_]+$/, 'Series ID must be alphanumeric'),
+    }),
+    query: z.object({
+        start: fredDate.optional(),
+        end: fredDate.optional(),
+        // Only aggregates down from the native frequency, e.g. monthly CPI to quarterly
+        frequency: z.enum(['d', 'w', 'bw', 'm', 'q', 'sa', 'a']).optional(),
+        aggregation: z.enum(['avg', 'sum', 'eop']).optional(),
+        // lin: levels, chg/ch1: change, pch/pc1: % change (from a year ago), pca: compounded annual rate,
+        // cch/cca: continuously compounded rates, log: natural log
+        units: z.enum(['lin', 'chg', 'ch1', 'pch', 'pc1', 'pca', 'cch', 'cca', 'log']).optional(),
+        // As the series was known on a past date (ALFRED vintages)
+        realtimeStart: fredDate.optional(),
+        realtimeEnd: fredDate.optional(),
+        vintageDates: z.string()
+            .regex(/^\d{4}-\d{2}-\d{2}(,\d{4}-\d{2}-\d{2})*$/, 'vintageDates must be comma-separated YYYY-MM-DD dates')
+            .transform(val => val.split(','))
+            .optional(),
+        limit: z.string().regex(/^\d+$/).transform(Number)
+            .refine(val => val >= 1 && val <= 10000, 'Limit must be between 1 and 10000')
+            .optional(),
+    })
+        .refine(({ start, end }) => !start || !end || start <= end, {
+            message: 'start must not be after end',
+            path: ['start'],
+        })
+        .refine(({ realtimeStart, realtimeEnd }) => !realtimeStart || !realtimeEnd || realtimeStart <= realtimeEnd, {
+            message: 'realtimeStart must not be after realtimeEnd',
+            path: ['realtimeStart'],
+        })
+        .refine(({ vintageDates, realtimeStart, realtimeEnd }) => !vintageDates || (!realtimeStart && !realtimeEnd), {
+            message: 'Use either vintageDates or realtimeStart/realtimeEnd, not both',
+            path: ['vintageDates'],
+        })
+        .refine(({ aggregation, frequency }) => !aggregation || frequency, {
+            message: 'aggregation requires frequency',
+            path: ['aggregation'],
+        })
+        .default({}),
+});
+
+export const searchSeriesSchema = z.object({
+    query: z.object({
+        q: z.string()
+            .min(2, 'Search text must be at least 2 characters')
+            .max(100, 'Search text must be 100 characters or less')
+            .trim(),
+        limit: z.string().regex(/^\d+$/).transform(Number)
+            .refine(val => val >= 1 && val <= 100, 'Limit must be between 1 and 100')
+            .optional(),
+        offset: z.string().regex(/^\d+$/).transform(Number).optional(),
+    }),
+});
+
+// Curve dates can't be in the future; weekends and holidays fall back to the previous trading day
+const curveDate = fredDate.refine(val => val <= new Date().toISOString().slice(0, 10), 'Date must not be in the future');
+
+export const getYieldCurveSchema = z.object({
+    query: z.object({
+        date: curveDate.optional(),
+    }).default({}),
+});
+
+export const compareYieldCurvesSchema = z.object({
+    query: z.object({
+        from: curveDate,
+        to: curveDate.optional(),
+    }).refine(({ from, to }) => !to || from < to, {
+        message: 'from must be before to',
+        path: ['from'],
+    }),
+});
+
+export default {
+    getSeriesSchema,
+    searchSeriesSchema,
+    getYieldCurveSchema,
+    compareYieldCurvesSchema,
+};
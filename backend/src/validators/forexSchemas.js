@@ -0,0 +1,37 @@
+// Forex (rates and conversion) validation schemas
+
+import { z } from 'zod';
+
+export const currencyCode = z.string()
+    .regex(/^[A-Za-z]{3}$/, 'Currency must be a 3-letter ISO 4217 code')
+    .transform(val => val.toUpperCase());
+
+// Rates tables are published daily; today's date means the latest table
+const rateDate = z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD')
+    .refine(val => val <= new Date().toISOString().slice(0, 10), 'Date must not be in the future');
+
+export const getRatesSchema = z.object({
+    query: z.object({
+        base: currencyCode.optional(),
+        date: rateDate.optional(),
+    }).default({}),
+});
+
+export const convertCurrencySchema = z.object({
+    query: z.object({
+        from: currencyCode,
+        to: currencyCode,
+        // Kept as a string so Money parses it without a float round trip through the query parser
+        amount: z.string()
+            .regex(/^\d+(\.\d+)?$/, 'Amount must be a positive decimal number')
+            .refine(val => Number(val) > 0, 'Amount must be greater than 0')
+            .optional(),
+        date: rateDate.optional(),
+    }),
+});
+
+export default {
+    getRatesSchema,
+    convertCurrencySchema,
+};
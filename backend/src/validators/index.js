@@ -16,3 +16,7 @@ export * from './userSchemas.js';
 export * from './watchlistSchemas.js';
 export * from './alertSchemas.js';
 export * from './assetSchemas.js';
+export * from './cacheSchemas.js';
+export * from './symbolSchemas.js';
+export * from './economicSchemas.js';
+export * from './forexSchemas.js';
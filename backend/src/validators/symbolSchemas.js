@@ -0,0 +1,19 @@
+// Symbol registry admin validation schemas
+
+import { z } from 'zod';
+
+export const resolveSymbolSchema = z.object({
+    params: z.object({
+        symbol: z.string()
+            .min(1, 'Symbol is required')
+            .max(20, 'Symbol must be 20 characters or less')
+            .regex(/^[\w./-]+$/, 'Symbol contains invalid characters'),
+    }),
+    query: z.object({
+        assetType: z.enum(['stock', 'crypto', 'forex', 'commodity', 'index']).optional(),
+    }).default({}),
+});
+
+export default {
+    resolveSymbolSchema,
+};
@@ -51,6 +51,10 @@ export const updateUserSchema = z.object({
             .trim()
             .optional(),
         isActive: z.boolean().optional(),
+        // Admin only - rejected by the controller for everyone else
+        role: z.enum(['user', 'admin']).optional(),
+        permissions: z.array(z.string().min(1)).optional(),
+        plan: z.enum(['free', 'pro', 'internal']).optional(),
         preferences: z.object({
             defaultCurrency: z.string().length(3).toUpperCase().optional(),
             defaultStockSymbol: z.string().toUpperCase().optional(),
@@ -79,7 +83,7 @@ export const listUsersSchema = z.object({
         limit: z.string().regex(/^\d+$/).transform(Number).optional(),
         isActive: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
         sort: z.string().optional(),
-    }),
+    }).default({}),
 });
 
 export const loginSchema = z.object({
@@ -93,6 +97,19 @@ export const loginSchema = z.object({
     }),
 });
 
+export const refreshTokenSchema = z.object({
+    body: z.object({
+        refreshToken: z.string().min(1, 'Refresh token is required'),
+    }),
+});
+
+// refreshToken is optional - without it only the current access token is revoked
+export const logoutSchema = z.object({
+    body: z.object({
+        refreshToken: z.string().min(1).optional(),
+    }).default({}),
+});
+
 export default {
     createUserSchema,
     updateUserSchema,
@@ -101,4 +118,6 @@ export default {
     deleteUserSchema,
     listUsersSchema,
     loginSchema,
+    refreshTokenSchema,
+    logoutSchema,
 };
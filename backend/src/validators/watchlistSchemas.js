@@ -1,10 +1,11 @@
 // Watchlist validation schemas
 
 import { z } from 'zod';
+import { currencyCode } from './forexSchemas.js';
 
+// userId is not accepted from the client - the owner is taken from the JWT
 export const createWatchlistSchema = z.object({
     body: z.object({
-        userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format'),
         name: z.string()
             .min(1, 'Watchlist name is required')
             .max(100, 'Watchlist name must be 100 characters or less')
@@ -47,18 +48,25 @@ export const getWatchlistSchema = z.object({
     params: z.object({
         id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid watchlist ID format'),
     }),
+    // Stored asset prices in this currency as well, instead of the caller's preferred one
+    query: z.object({
+        currency: currencyCode.optional(),
+    }).default({}),
 });
 
-export const deleteWatchlistSchema = getWatchlistSchema;
+export const deleteWatchlistSchema = z.object({
+    params: z.object({
+        id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid watchlist ID format'),
+    }),
+});
 
 export const listWatchlistsSchema = z.object({
     query: z.object({
-        userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format').optional(),
         page: z.string().regex(/^\d+$/).transform(Number).optional(),
         limit: z.string().regex(/^\d+$/).transform(Number).optional(),
         isPublic: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
         sort: z.string().optional(),
-    }),
+    }).default({}),
 });
 
 export const addAssetSchema = z.object({